@@ -16,13 +16,20 @@ const appState = {
         currentJob: null,
         isProcessing: false
     },
-    connectionRetryCount: 0
+    connectionRetryCount: 0,
+    presets: [],
+    presetPrinterId: '',
+    defaultPreset: null,
+    editingPresetId: null,
+    textFieldLayout: null,
+    positionedCustomFields: []
 };
 
 // Configuration
 const CONFIG = {
     MAX_BADGE_NAME_LENGTH: 50,
     UID_CHECK_DEBOUNCE: 300,
+    TEXT_FIELD_LAYOUT_VERSION: 2,
     VALIDATION_MESSAGES: {
         UID_REQUIRED: 'UID is required',
         UID_DUPLICATE: 'This UID is already in use',
@@ -60,6 +67,34 @@ socket.on('queueUpdate', (queueStatus) => {
     updateQueueDisplay(queueStatus);
 });
 
+socket.on('queueStateChange', (queueState) => {
+    console.log('Queue state change:', queueState);
+    renderQueueState(queueState);
+});
+
+socket.on('printerStatusChange', (change) => {
+    console.log('Printer status change:', change);
+    const name = change.printerName || change.printerId;
+    if (change.isAvailable && change.wasAvailable === false) {
+        showToastNotification(`${name} is back online (${change.status})`, 'completed');
+    } else if (!change.isAvailable && change.wasAvailable !== false) {
+        showToastNotification(`${name} is unavailable (${change.status}); its jobs will wait`, 'failed');
+    }
+});
+
+socket.on('printerRecovery', (recovery) => {
+    console.log('Printer recovery:', recovery);
+    if (recovery.successful && recovery.queueChanged) {
+        showToastNotification(recovery.message, 'completed');
+        loadPrinterStatus();
+    }
+});
+
+socket.on('consumablesUpdate', (update) => {
+    console.log('Consumables update:', update);
+    loadConsumables();
+});
+
 socket.on('jobStatusChange', (jobData) => {
     console.log('Job status change:', jobData);
     updateJobStatus(jobData);
@@ -109,6 +144,7 @@ document.addEventListener('DOMContentLoaded', () => {
     loadUsedUIDs();
     loadQueueStatus();
     checkInitialPrinterStatus();
+    loadConsumables();
     
     // Setup printer modal button
     const setupButton = document.getElementById('printer-setup-btn');
@@ -130,14 +166,24 @@ function initializeElements() {
         submitButton: document.getElementById('submit-badge'),
         uidError: document.getElementById('uid-error'),
         badgeNameError: document.getElementById('badge-name-error'),
+        customFields: document.getElementById('custom-fields'),
         connectionStatus: document.getElementById('connection-status'),
         statusIndicator: document.getElementById('status-indicator'),
         statusText: document.getElementById('status-text'),
+        consumableStatus: document.getElementById('consumable-status'),
         queueCount: document.getElementById('queue-count'),
         processingCount: document.getElementById('processing-count'),
         completedCount: document.getElementById('completed-count'),
         jobList: document.getElementById('job-list'),
-        refreshQueue: document.getElementById('refresh-queue')
+        printerPool: document.getElementById('printer-pool'),
+        refreshQueue: document.getElementById('refresh-queue'),
+        pauseQueue: document.getElementById('pause-queue'),
+        drainQueue: document.getElementById('drain-queue'),
+        resumeQueue: document.getElementById('resume-queue'),
+        queueStateBanner: document.getElementById('queue-state-banner'),
+        queueStateMessage: document.getElementById('queue-state-message'),
+        reviewPanel: document.getElementById('review-panel'),
+        reviewList: document.getElementById('review-list')
     };
 }
 
@@ -191,6 +237,17 @@ function initializeFormHandlers() {
     // Queue refresh button
     elements.refreshQueue.addEventListener('click', loadQueueStatus);
     
+    // Pause, drain and resume controls
+    if (elements.pauseQueue) {
+        elements.pauseQueue.addEventListener('click', () => changeQueueState('pause'));
+    }
+    if (elements.drainQueue) {
+        elements.drainQueue.addEventListener('click', () => changeQueueState('drain'));
+    }
+    if (elements.resumeQueue) {
+        elements.resumeQueue.addEventListener('click', () => changeQueueState('resume'));
+    }
+    
     // Job history button
     const viewHistoryButton = document.getElementById('view-history');
     if (viewHistoryButton) {
@@ -202,6 +259,11 @@ function initializeFormHandlers() {
     // Job list event delegation for cancel/retry/intervention buttons
     elements.jobList.addEventListener('click', handleJobAction);
     
+    // Confirm/reprint buttons for jobs interrupted mid-print
+    if (elements.reviewList) {
+        elements.reviewList.addEventListener('click', handleReviewAction);
+    }
+    
     // Update form validity on any input change
     elements.form.addEventListener('input', updateFormValidity);
     elements.form.addEventListener('change', updateFormValidity);
@@ -449,10 +511,10 @@ function handleTemplateSelection(event) {
     }
 }
 
-// Update template preview (placeholder for future enhancement)
+// Update template preview and the form's custom field inputs
 function updateTemplatePreview(template) {
-    // This could be enhanced to show a larger preview or update form fields
     console.log('Selected template:', template.name);
+    renderCustomFields(template);
     
     // Add visual feedback for selected template
     const templateItems = document.querySelectorAll('.template-item');
@@ -477,7 +539,18 @@ async function validateTemplateAsync(templateId, indicatorElement) {
             const data = await response.json();
             const validation = data.validation;
             
-            if (validation.isValid) {
+            const fontWarnings = data.fontWarnings || [];
+            
+            if (validation.isValid && fontWarnings.length > 0) {
+                // Still printable, but some text falls back to another font
+                const missingFonts = [...new Set(fontWarnings.map(warning => warning.font))];
+                const status = document.createElement('span');
+                status.className = 'validation-status warning';
+                status.textContent = `⚠ Missing font: ${missingFonts.join(', ')}`;
+                status.title = fontWarnings.map(warning => warning.message).join('\n');
+                indicatorElement.replaceChildren(status);
+                indicatorElement.className = 'template-validation warning';
+            } else if (validation.isValid) {
                 indicatorElement.innerHTML = '<span class="validation-status valid">✓ Valid</span>';
                 indicatorElement.className = 'template-validation valid';
             } else {
@@ -544,7 +617,8 @@ async function generateLiveBadgePreview() {
                 templateId: appState.selectedTemplate.id,
                 uid: uidValue,
                 badgeName: badgeNameValue,
-                badgeImage: appState.selectedImage
+                badgeImage: appState.selectedImage,
+                fieldValues: getCustomFieldValues()
             })
         });
         
@@ -675,6 +749,114 @@ function updateCharacterCount(text) {
     }
 }
 
+// Build an input for each of the template's custom fields
+function renderCustomFields(template) {
+    const container = elements.customFields;
+    if (!container) {
+        return;
+    }
+    
+    container.innerHTML = '';
+    const fields = template.customFields || [];
+    container.hidden = fields.length === 0;
+    
+    fields.forEach(field => {
+        const inputId = `custom-field-${field.name}`;
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        
+        const label = document.createElement('label');
+        label.setAttribute('for', inputId);
+        label.textContent = field.required ? field.label : `${field.label} (optional)`;
+        
+        const input = document.createElement('input');
+        input.type = field.type === 'date' ? 'date' : 'text';
+        input.id = inputId;
+        input.name = field.name;
+        input.dataset.fieldName = field.name;
+        input.autocomplete = 'off';
+        input.required = Boolean(field.required);
+        if (field.maxLength) {
+            input.maxLength = field.maxLength;
+        }
+        input.setAttribute('aria-describedby', `${inputId}-error`);
+        
+        const error = document.createElement('div');
+        error.className = 'error-message';
+        error.id = `${inputId}-error`;
+        error.setAttribute('role', 'alert');
+        error.setAttribute('aria-live', 'polite');
+        
+        let previewTimeout;
+        input.addEventListener('input', () => {
+            validateCustomField(field, input);
+            updateFormValidity();
+            
+            clearTimeout(previewTimeout);
+            previewTimeout = setTimeout(generateLiveBadgePreview, CONFIG.UID_CHECK_DEBOUNCE);
+        });
+        
+        group.append(label, input, error);
+        container.appendChild(group);
+    });
+}
+
+// Check a custom field value against the template's field schema (the
+// server applies the same rules); returns an error message or ''
+function getCustomFieldError(field, value) {
+    const trimmed = value.trim();
+    if (!trimmed) {
+        return field.required ? `${field.label} is required` : '';
+    }
+    if (field.maxLength && trimmed.length > field.maxLength) {
+        return `${field.label} must be ${field.maxLength} characters or less`;
+    }
+    if (field.type === 'date' && !/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+        return `${field.label} must be a date`;
+    }
+    return '';
+}
+
+// Validate one custom field input and show its error
+function validateCustomField(field, input) {
+    const message = getCustomFieldError(field, input.value);
+    const error = document.getElementById(`${input.id}-error`);
+    if (error) {
+        error.textContent = message;
+        error.style.display = message ? 'block' : 'none';
+    }
+    input.setAttribute('aria-invalid', message ? 'true' : 'false');
+    return !message;
+}
+
+// Validate every custom field of the selected template
+function validateCustomFields() {
+    return getCustomFieldInputs()
+        .map(({ field, input }) => validateCustomField(field, input))
+        .every(Boolean);
+}
+
+// Custom field inputs of the selected template, paired with their schema
+function getCustomFieldInputs() {
+    if (!appState.selectedTemplate || !elements.customFields) {
+        return [];
+    }
+    return (appState.selectedTemplate.customFields || [])
+        .map(field => ({ field, input: document.getElementById(`custom-field-${field.name}`) }))
+        .filter(({ input }) => input);
+}
+
+// Values of the custom fields that were filled in, by field name
+function getCustomFieldValues() {
+    const values = {};
+    getCustomFieldInputs().forEach(({ field, input }) => {
+        if (input.value.trim()) {
+            values[field.name] = input.value.trim();
+        }
+    });
+    return values;
+}
+
 // Show field-specific error messages
 function showFieldError(fieldName, message) {
     const errorElement = fieldName === 'uid' ? elements.uidError : elements.badgeNameError;
@@ -689,9 +871,10 @@ function updateFormValidity() {
     
     const uidValid = validateUID(uidValue);
     const badgeNameValid = validateBadgeName(badgeNameValue);
+    const customFieldsValid = validateCustomFields();
     const templateSelected = appState.selectedTemplate !== null;
     
-    const isFormValid = uidValid && badgeNameValid && templateSelected && !appState.isSubmitting;
+    const isFormValid = uidValid && badgeNameValid && customFieldsValid && templateSelected && !appState.isSubmitting;
     
     if (elements.submitButton) {
         elements.submitButton.disabled = !isFormValid;
@@ -716,8 +899,9 @@ async function handleFormSubmit(event) {
     // Final validation
     const uidValid = validateUID(elements.uidInput.value);
     const badgeNameValid = validateBadgeName(elements.badgeNameInput.value);
+    const customFieldsValid = validateCustomFields();
     
-    if (!uidValid || !badgeNameValid || !appState.selectedTemplate) {
+    if (!uidValid || !badgeNameValid || !customFieldsValid || !appState.selectedTemplate) {
         showGlobalError('Please fix the errors above before submitting.');
         return;
     }
@@ -727,7 +911,8 @@ async function handleFormSubmit(event) {
         templateId: appState.selectedTemplate.id,
         uid: elements.uidInput.value.trim(),
         badgeName: elements.badgeNameInput.value.trim(),
-        badgeImage: appState.selectedImage
+        badgeImage: appState.selectedImage,
+        fieldValues: getCustomFieldValues()
     };
     
     try {
@@ -773,6 +958,10 @@ function handleFormReset() {
     // Keep template and image selection, only clear input fields
     elements.uidInput.value = '';
     elements.badgeNameInput.value = '';
+    getCustomFieldInputs().forEach(({ input }) => {
+        input.value = '';
+        input.removeAttribute('aria-invalid');
+    });
     
     // Clear error messages
     showFieldError('uid', '');
@@ -809,9 +998,12 @@ function isFormValid() {
     const badgeNameValid = elements.badgeNameInput.value.trim() && 
                           elements.badgeNameInput.value.trim().length <= CONFIG.MAX_BADGE_NAME_LENGTH;
     
+    const customFieldsValid = getCustomFieldInputs()
+        .every(({ field, input }) => !getCustomFieldError(field, input.value));
+    
     const templateSelected = appState.selectedTemplate !== null;
     
-    return uidValid && badgeNameValid && templateSelected;
+    return uidValid && badgeNameValid && customFieldsValid && templateSelected;
 }
 
 // Show/hide template loading state
@@ -929,6 +1121,79 @@ async function checkInitialPrinterStatus() {
     }
 }
 
+// Load ribbon and card stock for the header printer status
+async function loadConsumables() {
+    try {
+        const response = await fetch('/api/printers/consumables');
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        renderConsumableStatus(data.printers || []);
+    } catch (error) {
+        console.log('Could not load printer consumables:', error.message);
+    }
+}
+
+// Show consumables at or below their low-stock threshold, each with a
+// button to record that it was replaced
+function renderConsumableStatus(printers) {
+    if (!elements.consumableStatus) {
+        return;
+    }
+    
+    elements.consumableStatus.innerHTML = '';
+    const showPrinterName = printers.length > 1;
+    
+    printers.forEach(printer => {
+        printer.consumables.filter(consumable => consumable.isLow).forEach(consumable => {
+            const item = document.createElement('span');
+            item.className = `consumable-low ${consumable.remaining === 0 ? 'empty' : ''}`;
+            item.title = `Low-stock threshold: ${consumable.lowThreshold}`;
+            
+            const text = document.createElement('span');
+            const prefix = showPrinterName ? `${printer.printerId}: ` : '';
+            text.textContent = `${prefix}${consumable.label} ${consumable.remaining}/${consumable.capacity}`;
+            
+            const replaceButton = document.createElement('button');
+            replaceButton.type = 'button';
+            replaceButton.className = 'btn btn-small btn-secondary';
+            replaceButton.textContent = 'Replaced';
+            replaceButton.setAttribute('aria-label', `Mark ${consumable.label} replaced on ${printer.printerId}`);
+            replaceButton.addEventListener('click', () => replaceConsumable(printer.printerId, consumable.consumable));
+            
+            item.appendChild(text);
+            item.appendChild(replaceButton);
+            elements.consumableStatus.appendChild(item);
+        });
+    });
+    
+    elements.consumableStatus.hidden = elements.consumableStatus.children.length === 0;
+}
+
+// Record a new ribbon or refilled card hopper
+async function replaceConsumable(printerId, consumable) {
+    try {
+        const response = await fetch(`/api/printers/${encodeURIComponent(printerId)}/consumables/${consumable}/replace`, {
+            method: 'POST'
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || data.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showToastNotification(data.message, 'completed');
+        loadConsumables();
+    } catch (error) {
+        console.error('Consumable replace error:', error);
+        showGlobalError(`Failed to record replacement: ${error.message}`);
+    }
+}
+
 // Load current queue status
 async function loadQueueStatus() {
     try {
@@ -938,7 +1203,8 @@ async function loadQueueStatus() {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         
-        const queueStatus = await response.json();
+        const data = await response.json();
+        const queueStatus = data.queue || data;
         appState.queueStatus = queueStatus;
         updateQueueDisplay(queueStatus);
         
@@ -956,13 +1222,14 @@ function updateQueueDisplay(queueStatus) {
     // Update queue statistics
     const stats = queueStatus.stats || {};
     elements.queueCount.textContent = stats.queued || 0;
-    elements.processingCount.textContent = stats.processing || 0;
+    elements.processingCount.textContent = (stats.processing || 0) + (stats.printing || 0);
     elements.completedCount.textContent = stats.completed || 0;
     
-    // Combine all jobs for display
+    // Combine all jobs for display: jobs printing now, then queued jobs in
+    // the order the server will print them (urgent lane first)
     const allJobs = [
-        ...(queueStatus.queuedJobs || []),
-        ...(queueStatus.processingJobs || [])
+        ...(queueStatus.processingJobs || []),
+        ...(queueStatus.queuedJobs || [])
     ];
     
     // Add current job if it exists and isn't already in the list
@@ -970,10 +1237,14 @@ function updateQueueDisplay(queueStatus) {
         allJobs.unshift(queueStatus.currentJob);
     }
     
-    // Sort jobs by creation time (newest first)
-    allJobs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
     renderJobList(allJobs);
+    renderPrinterPool(queueStatus.printers || []);
+    
+    if (queueStatus.queueState) {
+        renderQueueState(queueStatus.queueState);
+    }
+    
+    renderReviewList(queueStatus.reviewJobs || []);
     
     // Update used UIDs from current jobs
     const currentUIDs = allJobs
@@ -1004,14 +1275,32 @@ function renderJobList(jobs) {
         jobElement.querySelector('.job-template').textContent = getTemplateName(job.templateId);
         jobElement.querySelector('.job-timestamp').textContent = formatTimestamp(job.createdAt);
         
+        const printerElement = jobElement.querySelector('.job-printer');
+        if (printerElement) {
+            printerElement.textContent = job.printerId ? `Printer: ${job.printerId}` : '';
+        }
+        
         // Set status with appropriate styling
         const statusElement = jobElement.querySelector('.job-status');
         statusElement.textContent = formatJobStatus(job.status);
         statusElement.className = `job-status status-${job.status}`;
         
+        // Only urgent and bulk lanes get a label; normal is the default
+        const priorityElement = jobElement.querySelector('.job-priority');
+        if (priorityElement) {
+            const priority = job.priority || 'normal';
+            priorityElement.textContent = priority === 'normal' ? '' : priority;
+            priorityElement.className = `job-priority priority-${priority}`;
+        }
+        
         // Configure action buttons
         const cancelButton = jobElement.querySelector('.job-cancel');
         const retryButton = jobElement.querySelector('.job-retry');
+        const bumpButton = jobElement.querySelector('.job-bump');
+        
+        if (bumpButton) {
+            bumpButton.style.display = job.status === 'queued' && job.priority !== 'urgent' ? 'inline-block' : 'none';
+        }
         
         // Add manual intervention button if not already present
         let interventionButton = jobElement.querySelector('.job-manual-intervention');
@@ -1032,7 +1321,7 @@ function renderJobList(jobs) {
             cancelButton.style.display = 'none';
             retryButton.style.display = 'none';
             interventionButton.style.display = 'none';
-        } else if (job.status === 'processing') {
+        } else if (job.status === 'processing' || job.status === 'printing') {
             cancelButton.style.display = 'inline-block';
             retryButton.style.display = 'none';
             interventionButton.style.display = 'inline-block';
@@ -1054,9 +1343,187 @@ function renderJobList(jobs) {
     });
 }
 
-// Handle job action buttons (cancel/retry/manual intervention)
+// Show the paused/draining banner and matching queue controls
+function renderQueueState(queueState) {
+    if (!elements.queueStateBanner) {
+        return;
+    }
+    
+    const state = queueState.state || 'running';
+    const isRunning = state === 'running';
+    
+    elements.queueStateBanner.hidden = isRunning;
+    elements.queueStateBanner.className = `queue-state-banner ${state}`;
+    elements.pauseQueue.style.display = isRunning ? '' : 'none';
+    elements.drainQueue.style.display = isRunning ? '' : 'none';
+    
+    if (state === 'draining') {
+        const jobs = queueState.activeJobs === 1 ? 'job' : 'jobs';
+        elements.queueStateMessage.textContent =
+            `Draining: finishing ${queueState.activeJobs} ${jobs} in progress, then pausing. New badges will wait in the queue.`;
+    } else if (state === 'paused' && queueState.reason === 'printer-offline') {
+        elements.queueStateMessage.textContent =
+            'Printing is paused because no printer is available. It will resume automatically when a printer comes back.';
+    } else if (state === 'paused') {
+        const reason = queueState.reason && queueState.reason !== 'manual' ? ` (${queueState.reason})` : '';
+        elements.queueStateMessage.textContent =
+            `Printing is paused${reason}. New badges will wait in the queue until you resume.`;
+    }
+}
+
+// Pause, drain or resume the print queue
+async function changeQueueState(action) {
+    try {
+        const response = await fetch(`/api/queue/${action}`, {
+            method: 'POST'
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || `Failed to ${action} queue: ${response.status}`);
+        }
+        
+        renderQueueState(data.queueState);
+        showSuccessMessage(data.message);
+    } catch (error) {
+        console.error('Queue state change error:', error);
+        showGlobalError(error.message);
+    }
+}
+
+// List jobs interrupted mid-print so the operator can confirm or reprint them
+function renderReviewList(jobs) {
+    if (!elements.reviewPanel || !elements.reviewList) {
+        return;
+    }
+    
+    elements.reviewPanel.hidden = jobs.length === 0;
+    elements.reviewList.innerHTML = '';
+    
+    jobs.forEach(job => {
+        const item = document.createElement('div');
+        item.className = 'review-item';
+        item.setAttribute('data-job-id', job.id);
+        
+        const info = document.createElement('div');
+        info.className = 'review-info';
+        
+        const name = document.createElement('span');
+        name.className = 'review-name';
+        name.textContent = `${job.badgeName} (${job.uid})`;
+        
+        const details = document.createElement('span');
+        details.className = 'review-details';
+        const printer = job.printerId ? ` on ${job.printerId}` : '';
+        details.textContent = `Sent to printer${printer} at ${formatTimestamp(job.printStartedAt || job.createdAt)}`;
+        if (job.printCancelConfirmed === false) {
+            details.textContent += ' - timed out and the printer did not confirm the cancellation';
+        }
+        
+        info.appendChild(name);
+        info.appendChild(details);
+        
+        const actions = document.createElement('div');
+        actions.className = 'review-actions';
+        
+        const confirmButton = document.createElement('button');
+        confirmButton.className = 'btn btn-small btn-secondary';
+        confirmButton.setAttribute('data-review-action', 'confirm');
+        confirmButton.setAttribute('aria-label', `Card for ${job.badgeName} was printed`);
+        confirmButton.textContent = 'Was printed';
+        
+        const reprintButton = document.createElement('button');
+        reprintButton.className = 'btn btn-small btn-primary';
+        reprintButton.setAttribute('data-review-action', 'reprint');
+        reprintButton.setAttribute('aria-label', `Reprint badge for ${job.badgeName}`);
+        reprintButton.textContent = 'Reprint';
+        
+        actions.appendChild(confirmButton);
+        actions.appendChild(reprintButton);
+        
+        item.appendChild(info);
+        item.appendChild(actions);
+        elements.reviewList.appendChild(item);
+    });
+}
+
+// Handle confirm/reprint buttons in the review list
+async function handleReviewAction(event) {
+    const action = event.target.getAttribute('data-review-action');
+    if (!action) {
+        return;
+    }
+    
+    const jobId = event.target.closest('.review-item').getAttribute('data-job-id');
+    
+    try {
+        event.target.disabled = true;
+        
+        const response = await fetch(`/api/jobs/${jobId}/review`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ action })
+        });
+        
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || `Failed to resolve job: ${response.status}`);
+        }
+        
+        showSuccessMessage(data.message);
+    } catch (error) {
+        console.error('Review action error:', error);
+        showGlobalError(error.message);
+        event.target.disabled = false;
+    }
+}
+
+// Render per-printer current job and throughput
+function renderPrinterPool(printers) {
+    if (!elements.printerPool) {
+        return;
+    }
+    
+    elements.printerPool.innerHTML = '';
+    
+    printers.forEach(printer => {
+        const item = document.createElement('div');
+        const state = printer.isOffline ? 'offline' : printer.isBusy ? 'busy' : 'idle';
+        item.className = `pool-printer ${state}`;
+        
+        const name = document.createElement('span');
+        name.className = 'pool-printer-name';
+        name.textContent = printer.printerName || 'Selected printer';
+        
+        const job = document.createElement('span');
+        job.className = 'pool-printer-job';
+        if (printer.currentJob) {
+            job.textContent = `Printing ${printer.currentJob.badgeName} (${printer.currentJob.uid})`;
+        } else if (printer.isOffline) {
+            job.textContent = `${printer.printerStatus || 'Offline'}: jobs will wait for this printer`;
+        } else {
+            job.textContent = 'Idle';
+        }
+        
+        const throughput = document.createElement('span');
+        throughput.className = 'pool-printer-throughput';
+        const stats = printer.throughput || {};
+        throughput.textContent = `${stats.jobsLastHour || 0}/hr · ${stats.completedJobs || 0} done`;
+        
+        item.appendChild(name);
+        item.appendChild(job);
+        item.appendChild(throughput);
+        elements.printerPool.appendChild(item);
+    });
+}
+
+// Handle job action buttons (cancel/retry/bump/manual intervention)
 async function handleJobAction(event) {
-    if (!event.target.matches('.job-cancel, .job-retry, .job-manual-intervention')) {
+    if (!event.target.matches('.job-cancel, .job-retry, .job-bump, .job-manual-intervention')) {
         return;
     }
     
@@ -1066,6 +1533,7 @@ async function handleJobAction(event) {
     const jobName = jobItem.querySelector('.job-name').textContent;
     const isCancel = event.target.classList.contains('job-cancel');
     const isRetry = event.target.classList.contains('job-retry');
+    const isBump = event.target.classList.contains('job-bump');
     const isManualIntervention = event.target.classList.contains('job-manual-intervention');
     
     try {
@@ -1121,6 +1589,22 @@ async function handleJobAction(event) {
             
             showSuccessMessage('Job queued for retry');
             
+        } else if (isBump) {
+            const response = await fetch(`/api/jobs/${jobId}/priority`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ priority: 'urgent' })
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json();
+                throw new Error(errorData.message || `Failed to bump job: ${response.status}`);
+            }
+            
+            showSuccessMessage(`Badge for "${jobName}" moved to the front of the queue`);
+            
         } else if (isManualIntervention) {
             await showManualInterventionDialog(jobId, jobUid, jobName);
             event.target.disabled = false;
@@ -1151,6 +1635,11 @@ function updateJobStatus(jobData) {
     // Update action buttons
     const cancelButton = jobItem.querySelector('.job-cancel');
     const retryButton = jobItem.querySelector('.job-retry');
+    const bumpButton = jobItem.querySelector('.job-bump');
+    
+    if (bumpButton && jobData.status !== 'queued') {
+        bumpButton.style.display = 'none';
+    }
     
     if (jobData.status === 'failed') {
         cancelButton.style.display = 'none';
@@ -1180,6 +1669,7 @@ function updateJobStatus(jobData) {
 function showJobNotification(jobData) {
     const notifications = {
         'processing': `Processing badge for ${jobData.badgeName}`,
+        'printing': `Printing badge for ${jobData.badgeName}`,
         'completed': `Badge completed for ${jobData.badgeName}`,
         'failed': `Badge failed for ${jobData.badgeName}: ${jobData.errorMessage || 'Unknown error'}`
     };
@@ -1243,8 +1733,10 @@ function formatJobStatus(status) {
     const statusMap = {
         'queued': 'Queued',
         'processing': 'Processing',
+        'printing': 'Printing',
         'completed': 'Completed',
-        'failed': 'Failed'
+        'failed': 'Failed',
+        'needs_review': 'Needs review'
     };
     return statusMap[status] || status;
 }
@@ -1632,6 +2124,8 @@ async function showJobHistoryModal() {
                     <div style="font-size: 0.8rem; color: #95a5a6;">
                         ${job.processedAt ? formatTimestamp(job.processedAt) : formatTimestamp(job.createdAt)}
                         ${job.retryCount > 0 ? ` • ${job.retryCount} retries` : ''}
+                        ${job.printerPreset ? ` • ${job.printerPreset}` : ''}
+                        ${job.printerId ? ` on ${job.printerId}` : ''}
                     </div>
                     ${job.errorMessage ? `<div style="font-size: 0.8rem; color: #e74c3c; background: #fdf2f2; padding: 4px 8px; border-radius: 4px; margin-top: 4px; border-left: 3px solid #e74c3c;">${job.errorMessage}</div>` : ''}
                 </div>
@@ -1803,6 +2297,50 @@ function initializePrinterSetupModal() {
         disconnectButton.addEventListener('click', disconnectPrinter);
     }
     
+    // Initialize preset editor handlers
+    const presetsPrinterSelect = document.getElementById('presets-printer-select');
+    const addPresetButton = document.getElementById('add-preset');
+    const presetEditor = document.getElementById('preset-editor');
+    const cancelPresetButton = document.getElementById('cancel-preset');
+    
+    if (presetsPrinterSelect) {
+        presetsPrinterSelect.addEventListener('change', () => loadPrinterPresets(presetsPrinterSelect.value));
+    }
+    
+    if (addPresetButton) {
+        addPresetButton.addEventListener('click', () => openPresetEditor(null));
+    }
+    
+    if (presetEditor) {
+        presetEditor.addEventListener('submit', savePreset);
+    }
+    
+    if (cancelPresetButton) {
+        cancelPresetButton.addEventListener('click', closePresetEditor);
+    }
+    
+    // Initialize calibration handlers
+    const calibrationPrinterSelect = document.getElementById('calibration-printer-select');
+    const calibrationForm = document.getElementById('calibration-form');
+    const printCalibrationButton = document.getElementById('print-calibration-card');
+    const checkCalibrationButton = document.getElementById('check-calibration');
+    
+    if (calibrationPrinterSelect) {
+        calibrationPrinterSelect.addEventListener('change', () => loadPrinterCalibration(calibrationPrinterSelect.value));
+    }
+    
+    if (calibrationForm) {
+        calibrationForm.addEventListener('submit', saveCalibration);
+    }
+    
+    if (printCalibrationButton) {
+        printCalibrationButton.addEventListener('click', () => printCalibrationCard(false));
+    }
+    
+    if (checkCalibrationButton) {
+        checkCalibrationButton.addEventListener('click', () => printCalibrationCard(true));
+    }
+    
     // Initialize text positioning handlers
     const updatePositionsButton = document.getElementById('update-positions');
     const resetPositionsButton = document.getElementById('reset-positions');
@@ -1828,7 +2366,10 @@ function loadTabContent(tabName) {
             loadPrinterStatus();
             break;
         case 'presets':
-            loadPrinterPresets();
+            loadPresetPrinters();
+            break;
+        case 'calibration':
+            loadCalibrationPrinters();
             break;
         case 'text-positioning':
             initializeVisualEditor();
@@ -2150,13 +2691,47 @@ async function disconnectPrinter() {
     }
 }
 
-async function loadPrinterPresets() {
+// Fill the Presets tab printer selector from the printer pool
+async function loadPresetPrinters() {
+    const printerSelect = document.getElementById('presets-printer-select');
+    const selectedPrinterId = printerSelect.value;
+    
+    try {
+        const response = await fetch('/api/printers/pool');
+        const data = response.ok ? await response.json() : { printers: [] };
+        const printers = (data.printers || []).filter(printer => printer.printerName);
+        
+        printerSelect.innerHTML = '<option value="">Built-in presets</option>';
+        printers.forEach(printer => {
+            const option = document.createElement('option');
+            option.value = printer.printerId;
+            option.textContent = printer.printerName;
+            printerSelect.appendChild(option);
+        });
+        
+        const stillConnected = printers.some(printer => printer.printerId === selectedPrinterId);
+        printerSelect.value = stillConnected ? selectedPrinterId : (printers.length > 0 ? printers[0].printerId : '');
+    } catch (error) {
+        console.error('Preset printers loading error:', error);
+    }
+    
+    loadPrinterPresets(printerSelect.value);
+}
+
+async function loadPrinterPresets(printerId = '') {
     const presetsList = document.getElementById('presets-list');
+    const addPresetButton = document.getElementById('add-preset');
+    
+    closePresetEditor();
+    addPresetButton.disabled = !printerId;
     
     try {
         presetsList.innerHTML = '<div class="presets-loading">Loading printer presets...</div>';
         
-        const response = await fetch('/api/printers/presets');
+        const url = printerId
+            ? `/api/printers/${encodeURIComponent(printerId)}/presets`
+            : '/api/printers/presets';
+        const response = await fetch(url);
         
         if (!response.ok) {
             throw new Error(`HTTP error! status: ${response.status}`);
@@ -2165,7 +2740,10 @@ async function loadPrinterPresets() {
         const data = await response.json();
         
         if (data.success) {
-            renderPresetsList(data.presets);
+            appState.presetPrinterId = printerId;
+            appState.defaultPreset = data.defaultPreset || null;
+            appState.presets = data.presets;
+            renderPresetsList(data.presets, printerId);
         } else {
             throw new Error(data.message || 'Failed to load presets');
         }
@@ -2176,7 +2754,7 @@ async function loadPrinterPresets() {
     }
 }
 
-function renderPresetsList(presets) {
+function renderPresetsList(presets, printerId = '') {
     const presetsList = document.getElementById('presets-list');
     const presetTemplate = document.getElementById('preset-item-template');
     
@@ -2204,6 +2782,19 @@ function renderPresetsList(presets) {
         const selectButton = presetElement.querySelector('.preset-select');
         selectButton.addEventListener('click', () => selectPreset(preset.name));
         
+        // Stored presets can be edited; the default preset is always kept
+        if (printerId) {
+            const editButton = presetElement.querySelector('.preset-edit');
+            editButton.hidden = false;
+            editButton.addEventListener('click', () => openPresetEditor(preset));
+            
+            if (preset.id !== appState.defaultPreset) {
+                const deleteButton = presetElement.querySelector('.preset-delete');
+                deleteButton.hidden = false;
+                deleteButton.addEventListener('click', () => deletePreset(preset));
+            }
+        }
+        
         presetsList.appendChild(presetElement);
     });
 }
@@ -2218,6 +2809,380 @@ function selectPreset(presetName) {
     console.log('Selected preset:', presetName);
 }
 
+// Open the preset editor for a new preset, or to change an existing one
+function openPresetEditor(preset) {
+    const editor = document.getElementById('preset-editor');
+    const options = preset ? preset.options : { paperSize: 'CR80Card', quality: 'normal', orientation: 'portrait', copies: 1, holokote: false };
+    
+    appState.editingPresetId = preset ? preset.id : null;
+    document.getElementById('preset-editor-title').textContent = preset ? `Edit ${preset.name}` : 'New Preset';
+    document.getElementById('preset-id-input').value = preset ? preset.id : '';
+    document.getElementById('preset-id-input').disabled = Boolean(preset);
+    document.getElementById('preset-label-input').value = preset ? preset.name : '';
+    document.getElementById('preset-description-input').value = preset ? preset.description : '';
+    document.getElementById('preset-paper-size-input').value = options.paperSize || 'CR80Card';
+    document.getElementById('preset-quality-input').value = options.quality || 'normal';
+    document.getElementById('preset-orientation-input').value = options.orientation || 'portrait';
+    document.getElementById('preset-copies-input').value = options.copies || 1;
+    document.getElementById('preset-holokote-input').checked = Boolean(options.holokote);
+    document.getElementById('preset-duplex-input').checked = options.duplex !== false;
+    document.getElementById('preset-editor-error').textContent = '';
+    
+    editor.hidden = false;
+    document.getElementById(preset ? 'preset-label-input' : 'preset-id-input').focus();
+    
+    loadPresetPrinterOptions(appState.presetPrinterId, options.printerOptions || {});
+}
+
+// Render the PPD options the printer offers as form controls, one select per
+// option with an empty choice that leaves it at the printer default
+async function loadPresetPrinterOptions(printerId, selectedOptions) {
+    const container = document.getElementById('preset-printer-options');
+    container.innerHTML = '<div class="help-text">Loading printer options...</div>';
+    
+    try {
+        const response = await fetch(`/api/printers/${encodeURIComponent(printerId)}/options`);
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || data.message || 'Failed to load printer options');
+        }
+        
+        if (data.options.length === 0) {
+            container.innerHTML = '<div class="help-text">This printer does not report any options</div>';
+            return;
+        }
+        
+        container.innerHTML = '';
+        data.options.forEach((option, index) => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            
+            const label = document.createElement('label');
+            label.htmlFor = `preset-printer-option-${index}`;
+            label.textContent = option.label;
+            
+            const select = document.createElement('select');
+            select.id = `preset-printer-option-${index}`;
+            select.dataset.optionName = option.name;
+            
+            const defaultChoice = document.createElement('option');
+            defaultChoice.value = '';
+            defaultChoice.textContent = option.default ? `Printer default (${option.default})` : 'Printer default';
+            select.appendChild(defaultChoice);
+            
+            option.choices.forEach(choice => {
+                const choiceElement = document.createElement('option');
+                choiceElement.value = choice;
+                choiceElement.textContent = choice;
+                select.appendChild(choiceElement);
+            });
+            
+            select.value = option.choices.includes(selectedOptions[option.name]) ? selectedOptions[option.name] : '';
+            
+            group.appendChild(label);
+            group.appendChild(select);
+            container.appendChild(group);
+        });
+    } catch (error) {
+        console.error('Printer options loading error:', error);
+        container.innerHTML = `<div class="help-text">Printer options are unavailable: ${error.message}</div>`;
+    }
+}
+
+// Read the printer options chosen in the preset editor
+function getSelectedPrinterOptions() {
+    const printerOptions = {};
+    document.querySelectorAll('#preset-printer-options select').forEach(select => {
+        if (select.value) {
+            printerOptions[select.dataset.optionName] = select.value;
+        }
+    });
+    return printerOptions;
+}
+
+function closePresetEditor() {
+    const editor = document.getElementById('preset-editor');
+    if (editor) {
+        editor.hidden = true;
+        editor.reset();
+    }
+    appState.editingPresetId = null;
+}
+
+async function savePreset(event) {
+    event.preventDefault();
+    
+    const printerId = appState.presetPrinterId;
+    const presetId = appState.editingPresetId;
+    const errorElement = document.getElementById('preset-editor-error');
+    const saveButton = document.getElementById('save-preset');
+    
+    const preset = {
+        label: document.getElementById('preset-label-input').value.trim(),
+        description: document.getElementById('preset-description-input').value.trim(),
+        paperSize: document.getElementById('preset-paper-size-input').value.trim(),
+        quality: document.getElementById('preset-quality-input').value,
+        orientation: document.getElementById('preset-orientation-input').value,
+        copies: parseInt(document.getElementById('preset-copies-input').value, 10),
+        holokote: document.getElementById('preset-holokote-input').checked,
+        duplex: document.getElementById('preset-duplex-input').checked,
+        printerOptions: getSelectedPrinterOptions()
+    };
+    
+    const baseUrl = `/api/printers/${encodeURIComponent(printerId)}/presets`;
+    const request = presetId
+        ? { url: `${baseUrl}/${encodeURIComponent(presetId)}`, method: 'PUT', body: preset }
+        : { url: baseUrl, method: 'POST', body: { id: document.getElementById('preset-id-input').value.trim(), ...preset } };
+    
+    try {
+        saveButton.disabled = true;
+        errorElement.textContent = '';
+        
+        const response = await fetch(request.url, {
+            method: request.method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(request.body)
+        });
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || data.message || 'Failed to save preset');
+        }
+        
+        showToastNotification(`Saved preset: ${data.preset.name}`, 'completed');
+        if (data.ignoredOptions && data.ignoredOptions.length > 0) {
+            const ignored = data.ignoredOptions.map(option => `${option.name}=${option.value}`).join(', ');
+            showToastNotification(`Printer does not support: ${ignored}`, 'info');
+        }
+        loadPrinterPresets(printerId);
+    } catch (error) {
+        console.error('Preset save error:', error);
+        errorElement.textContent = error.message;
+    } finally {
+        saveButton.disabled = false;
+    }
+}
+
+async function deletePreset(preset) {
+    if (!confirm(`Delete preset "${preset.name}"?`)) {
+        return;
+    }
+    
+    const printerId = appState.presetPrinterId;
+    
+    try {
+        const response = await fetch(
+            `/api/printers/${encodeURIComponent(printerId)}/presets/${encodeURIComponent(preset.id)}`,
+            { method: 'DELETE' }
+        );
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || data.message || 'Failed to delete preset');
+        }
+        
+        showToastNotification(`Deleted preset: ${preset.name}`, 'info');
+        loadPrinterPresets(printerId);
+    } catch (error) {
+        console.error('Preset delete error:', error);
+        showToastNotification(`Delete failed: ${error.message}`, 'failed');
+    }
+}
+
+// Fill the Calibration tab printer selector from the printer pool
+async function loadCalibrationPrinters() {
+    const printerSelect = document.getElementById('calibration-printer-select');
+    const selectedPrinterId = printerSelect.value;
+    
+    try {
+        const response = await fetch('/api/printers/pool');
+        const data = response.ok ? await response.json() : { printers: [] };
+        const printers = (data.printers || []).filter(printer => printer.printerName);
+        
+        printerSelect.innerHTML = printers.length > 0 ? '' : '<option value="">No printer connected</option>';
+        printers.forEach(printer => {
+            const option = document.createElement('option');
+            option.value = printer.printerId;
+            option.textContent = printer.printerName;
+            printerSelect.appendChild(option);
+        });
+        
+        const stillConnected = printers.some(printer => printer.printerId === selectedPrinterId);
+        printerSelect.value = stillConnected ? selectedPrinterId : (printers.length > 0 ? printers[0].printerId : '');
+    } catch (error) {
+        console.error('Calibration printers loading error:', error);
+    }
+    
+    loadPrinterCalibration(printerSelect.value);
+}
+
+async function loadPrinterCalibration(printerId = '') {
+    const errorElement = document.getElementById('calibration-error');
+    ['save-calibration', 'print-calibration-card', 'check-calibration'].forEach(id => {
+        document.getElementById(id).disabled = !printerId;
+    });
+    errorElement.textContent = '';
+    
+    if (!printerId) {
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/printers/${encodeURIComponent(printerId)}/calibration`);
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || data.message || 'Failed to load calibration');
+        }
+        
+        const { calibration } = data;
+        document.getElementById('calibration-offset-x').value = calibration.offsetX;
+        document.getElementById('calibration-offset-y').value = calibration.offsetY;
+        document.getElementById('calibration-scale').value = Math.round(calibration.scale * 1000) / 10;
+        document.getElementById('calibration-rotation').value = calibration.rotation;
+    } catch (error) {
+        console.error('Calibration loading error:', error);
+        errorElement.textContent = error.message;
+    }
+}
+
+async function saveCalibration(event) {
+    event.preventDefault();
+    
+    const printerId = document.getElementById('calibration-printer-select').value;
+    const errorElement = document.getElementById('calibration-error');
+    const saveButton = document.getElementById('save-calibration');
+    
+    const calibration = {
+        offsetX: parseFloat(document.getElementById('calibration-offset-x').value),
+        offsetY: parseFloat(document.getElementById('calibration-offset-y').value),
+        scale: parseFloat(document.getElementById('calibration-scale').value) / 100,
+        rotation: parseFloat(document.getElementById('calibration-rotation').value)
+    };
+    
+    try {
+        saveButton.disabled = true;
+        errorElement.textContent = '';
+        
+        const response = await fetch(`/api/printers/${encodeURIComponent(printerId)}/calibration`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(calibration)
+        });
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || data.message || 'Failed to save calibration');
+        }
+        
+        showToastNotification('Calibration saved', 'completed');
+    } catch (error) {
+        console.error('Calibration save error:', error);
+        errorElement.textContent = error.message;
+    } finally {
+        saveButton.disabled = false;
+    }
+}
+
+// Print a calibration card, as rendered or with the saved calibration applied
+async function printCalibrationCard(applyCalibration) {
+    const printerId = document.getElementById('calibration-printer-select').value;
+    const errorElement = document.getElementById('calibration-error');
+    
+    try {
+        errorElement.textContent = '';
+        
+        const response = await fetch(`/api/printers/${encodeURIComponent(printerId)}/calibration/print`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ applyCalibration })
+        });
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || data.message || 'Failed to print calibration card');
+        }
+        
+        showToastNotification(data.message, 'completed');
+    } catch (error) {
+        console.error('Calibration card error:', error);
+        errorElement.textContent = error.message;
+    }
+}
+
+// Find a field's box in a template's text field layout
+function getTextFieldBox(layout, name) {
+    const fields = layout && Array.isArray(layout.fields) ? layout.fields : [];
+    return fields.find(field => field.name === name) || null;
+}
+
+// Where a custom field goes when it is first placed on the badge
+const DEFAULT_CUSTOM_FIELD_BOX = { x1: 100, y1: 450, x2: 500, y2: 510 };
+
+// Position inputs of a custom field on the text positioning tab
+function getCustomFieldPositionInputs(name) {
+    return {
+        placed: document.getElementById(`custom-${name}-placed`),
+        x1: document.getElementById(`custom-${name}-x1`),
+        y1: document.getElementById(`custom-${name}-y1`),
+        x2: document.getElementById(`custom-${name}-x2`),
+        y2: document.getElementById(`custom-${name}-y2`)
+    };
+}
+
+// Build position inputs for each custom field of the template being laid
+// out, with a checkbox to place it on the front or leave it off
+function renderCustomFieldPositions(template) {
+    const container = document.getElementById('custom-field-positions');
+    if (!container) {
+        return;
+    }
+    
+    container.innerHTML = '';
+    appState.positionedCustomFields = template.customFields || [];
+    
+    appState.positionedCustomFields.forEach(field => {
+        const box = getTextFieldBox(template.textFields, field.name);
+        const group = document.createElement('div');
+        group.className = 'field-group';
+        
+        const heading = document.createElement('h4');
+        heading.textContent = `${field.label} Bounding Box`;
+        
+        const placedLabel = document.createElement('label');
+        const placed = document.createElement('input');
+        placed.type = 'checkbox';
+        placed.id = `custom-${field.name}-placed`;
+        placed.checked = Boolean(box);
+        placed.addEventListener('change', () => {
+            const element = visualEditor.elements[field.name];
+            if (element) {
+                element.visible = placed.checked;
+                drawEditor();
+            }
+        });
+        placedLabel.append(placed, ' Place on badge');
+        
+        const inputs = document.createElement('div');
+        inputs.className = 'position-inputs';
+        [['x1', 'Left', 1226], ['y1', 'Top', 799], ['x2', 'Right', 1226], ['y2', 'Bottom', 799]].forEach(([prop, text, max]) => {
+            const label = document.createElement('label');
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `custom-${field.name}-${prop}`;
+            input.min = 0;
+            input.max = max;
+            input.value = (box || DEFAULT_CUSTOM_FIELD_BOX)[prop];
+            label.append(`${text}: `, input);
+            inputs.appendChild(label);
+        });
+        
+        group.append(heading, placedLabel, inputs);
+        container.appendChild(group);
+    });
+}
+
 // Update text positions in database
 async function updateTextPositions() {
     console.log('updateTextPositions called');
@@ -2249,24 +3214,51 @@ async function updateTextPositions() {
         
         console.log('Updating bounding boxes:', { badgeNameX1, badgeNameY1, badgeNameX2, badgeNameY2, uidX1, uidY1, uidX2, uidY2 });
         
-        const textFields = [
-            {
-                name: 'badgeName',
-                x1: badgeNameX1,
-                y1: badgeNameY1,
-                x2: badgeNameX2,
-                y2: badgeNameY2,
-                fontFamily: 'Hiragino Kaku Gothic Pro'
-            },
-            {
-                name: 'uid',
-                x1: uidX1,
-                y1: uidY1,
-                x2: uidX2,
-                y2: uidY2,
-                fontFamily: 'Hiragino Kaku Gothic Pro'
-            }
-        ];
+        // Custom fields placed on the badge, each with its box
+        const customFieldBoxes = (appState.positionedCustomFields || [])
+            .filter(field => {
+                const inputs = getCustomFieldPositionInputs(field.name);
+                return inputs.placed && inputs.placed.checked;
+            })
+            .map(field => {
+                const inputs = getCustomFieldPositionInputs(field.name);
+                return {
+                    ...getTextFieldBox(appState.textFieldLayout, field.name),
+                    name: field.name,
+                    x1: parseInt(inputs.x1.value),
+                    y1: parseInt(inputs.y1.value),
+                    x2: parseInt(inputs.x2.value),
+                    y2: parseInt(inputs.y2.value)
+                };
+            });
+        
+        // Keep the fonts, back side and other settings of the loaded layout,
+        // moving only the boxes
+        const textFields = {
+            ...appState.textFieldLayout,
+            version: CONFIG.TEXT_FIELD_LAYOUT_VERSION,
+            fields: [
+                {
+                    fontFamily: 'Hiragino Kaku Gothic Pro',
+                    ...getTextFieldBox(appState.textFieldLayout, 'badgeName'),
+                    name: 'badgeName',
+                    x1: badgeNameX1,
+                    y1: badgeNameY1,
+                    x2: badgeNameX2,
+                    y2: badgeNameY2
+                },
+                {
+                    fontFamily: 'Hiragino Kaku Gothic Pro',
+                    ...getTextFieldBox(appState.textFieldLayout, 'uid'),
+                    name: 'uid',
+                    x1: uidX1,
+                    y1: uidY1,
+                    x2: uidX2,
+                    y2: uidY2
+                },
+                ...customFieldBoxes
+            ]
+        };
         
         console.log('Sending textFields:', textFields);
         
@@ -2283,6 +3275,7 @@ async function updateTextPositions() {
         if (response.ok) {
             const result = await response.json();
             console.log('Update result:', result);
+            appState.textFieldLayout = result.template.textFields;
             showToastNotification('Text positions updated successfully', 'completed');
             // Force refresh template previews by adding timestamp to bypass cache
             const timestamp = Date.now();
@@ -2318,17 +3311,9 @@ async function loadCurrentTextPositions() {
             const data = await response.json();
             const template = data.template;
             
-            let textFields = [];
-            try {
-                textFields = typeof template.textFields === 'string' 
-                    ? JSON.parse(template.textFields) 
-                    : template.textFields || [];
-            } catch (e) {
-                textFields = [];
-            }
-            
-            const badgeNameField = textFields.find(field => field.name === 'badgeName');
-            const uidField = textFields.find(field => field.name === 'uid');
+            appState.textFieldLayout = template.textFields;
+            const badgeNameField = getTextFieldBox(template.textFields, 'badgeName');
+            const uidField = getTextFieldBox(template.textFields, 'uid');
             
             if (badgeNameField) {
                 document.getElementById('badge-name-x1').value = badgeNameField.x1 || 100;
@@ -2344,6 +3329,8 @@ async function loadCurrentTextPositions() {
                 document.getElementById('uid-y2').value = uidField.y2 || 720;
             }
             
+            renderCustomFieldPositions(template);
+            
             // Update visual editor
             if (visualEditor.canvas) {
                 loadEditorPositions();
@@ -2409,67 +3396,16 @@ async function loadEditorPositions() {
             const data = await response.json();
             const template = data.template;
             
-            let textFields = [];
-            try {
-                textFields = typeof template.textFields === 'string' 
-                    ? JSON.parse(template.textFields) 
-                    : template.textFields || [];
-            } catch (e) {
-                textFields = [];
-            }
-            
-            const badgeNameField = textFields.find(field => field.name === 'badgeName');
-            const uidField = textFields.find(field => field.name === 'uid');
+            appState.textFieldLayout = template.textFields;
+            const badgeNameField = getTextFieldBox(template.textFields, 'badgeName') ||
+                { x1: 100, y1: 250, x2: 500, y2: 350 };
+            const uidField = getTextFieldBox(template.textFields, 'uid') ||
+                { x1: 100, y1: 650, x2: 300, y2: 720 };
             
             const scale = 613 / 1226;
             
-            // Handle both old format (x,y,fontSize) and new format (x1,y1,x2,y2)
-            let badgeNameX1, badgeNameY1, badgeNameX2, badgeNameY2;
-            let uidX1, uidY1, uidX2, uidY2;
-            
-            if (badgeNameField) {
-                if (badgeNameField.x1 !== undefined) {
-                    // New bounding box format
-                    badgeNameX1 = badgeNameField.x1;
-                    badgeNameY1 = badgeNameField.y1;
-                    badgeNameX2 = badgeNameField.x2;
-                    badgeNameY2 = badgeNameField.y2;
-                } else {
-                    // Old format - convert to bounding box
-                    badgeNameX1 = badgeNameField.x || 100;
-                    badgeNameY1 = badgeNameField.y || 250;
-                    badgeNameX2 = badgeNameX1 + 400;
-                    badgeNameY2 = badgeNameY1 + 100;
-                }
-            } else {
-                // Defaults
-                badgeNameX1 = 100;
-                badgeNameY1 = 250;
-                badgeNameX2 = 500;
-                badgeNameY2 = 350;
-            }
-            
-            if (uidField) {
-                if (uidField.x1 !== undefined) {
-                    // New bounding box format
-                    uidX1 = uidField.x1;
-                    uidY1 = uidField.y1;
-                    uidX2 = uidField.x2;
-                    uidY2 = uidField.y2;
-                } else {
-                    // Old format - convert to bounding box
-                    uidX1 = uidField.x || 100;
-                    uidY1 = uidField.y || 650;
-                    uidX2 = uidX1 + 200;
-                    uidY2 = uidY1 + 70;
-                }
-            } else {
-                // Defaults
-                uidX1 = 100;
-                uidY1 = 650;
-                uidX2 = 300;
-                uidY2 = 720;
-            }
+            const { x1: badgeNameX1, y1: badgeNameY1, x2: badgeNameX2, y2: badgeNameY2 } = badgeNameField;
+            const { x1: uidX1, y1: uidY1, x2: uidX2, y2: uidY2 } = uidField;
             
             visualEditor.elements.badgeName = {
                 x1: badgeNameX1 * scale,
@@ -2487,6 +3423,23 @@ async function loadEditorPositions() {
                 visible: true
             };
             
+            // A box for every custom field; unplaced ones stay hidden until placed
+            Object.keys(visualEditor.elements)
+                .filter(key => visualEditor.elements[key].label)
+                .forEach(key => delete visualEditor.elements[key]);
+            (template.customFields || []).forEach(field => {
+                const box = getTextFieldBox(template.textFields, field.name);
+                const { x1, y1, x2, y2 } = box || DEFAULT_CUSTOM_FIELD_BOX;
+                visualEditor.elements[field.name] = {
+                    x1: x1 * scale,
+                    y1: y1 * scale,
+                    x2: x2 * scale,
+                    y2: y2 * scale,
+                    visible: Boolean(box),
+                    label: field.label
+                };
+            });
+            
             console.log('Loaded positions from database:', { badgeNameX1, badgeNameY1, badgeNameX2, badgeNameY2, uidX1, uidY1, uidX2, uidY2 });
             drawEditor();
         }
@@ -2553,6 +3506,26 @@ function drawEditor() {
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
     ctx.fillText(uidText, uid.x1 + uidWidth/2, uid.y1 + uidHeight/2);
+    
+    // Draw the custom fields placed on the badge, with their label as sample text
+    Object.values(visualEditor.elements)
+        .filter(element => element.label && element.visible)
+        .forEach(element => {
+            const width = element.x2 - element.x1;
+            const height = element.y2 - element.y1;
+            
+            ctx.fillStyle = 'rgba(39, 174, 96, 0.2)';
+            ctx.fillRect(element.x1, element.y1, width, height);
+            ctx.strokeStyle = '#27ae60';
+            ctx.strokeRect(element.x1, element.y1, width, height);
+            
+            const fontSize = Math.min(height * 0.6, width / element.label.length * 1.2);
+            ctx.fillStyle = '#2c3e50';
+            ctx.font = `${fontSize}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(element.label, element.x1 + width/2, element.y1 + height/2);
+        });
 }
 
 // Handle mouse events
@@ -2684,6 +3657,15 @@ function updateInputsFromEditor() {
     if (uidX2Input) uidX2Input.value = Math.round(uid.x2 * scale);
     if (uidY2Input) uidY2Input.value = Math.round(uid.y2 * scale);
     
+    (appState.positionedCustomFields || []).forEach(field => {
+        const element = visualEditor.elements[field.name];
+        const inputs = getCustomFieldPositionInputs(field.name);
+        if (!element) return;
+        ['x1', 'y1', 'x2', 'y2'].forEach(prop => {
+            if (inputs[prop]) inputs[prop].value = Math.round(element[prop] * scale);
+        });
+    });
+    
     console.log('Updated inputs:', {
         badgeNameX1: Math.round(badgeName.x1 * scale),
         badgeNameY1: Math.round(badgeName.y1 * scale),
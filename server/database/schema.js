@@ -1,4 +1,65 @@
 const DatabaseConnection = require('./connection');
+const Template = require('../models/Template');
+
+// Columns added after the initial schema. Applied to existing databases on
+// startup so older installs pick them up without a manual migration.
+const COLUMN_MIGRATIONS = {
+  badge_jobs: [
+    { name: 'badge_image', definition: 'TEXT' },
+    { name: 'printer_id', definition: 'TEXT' },
+    { name: 'category', definition: 'TEXT' },
+    { name: 'priority', definition: "TEXT NOT NULL DEFAULT 'normal'" },
+    { name: 'print_started_at', definition: 'DATETIME' },
+    { name: 'print_cancelled_at', definition: 'DATETIME' },
+    { name: 'print_cancel_confirmed', definition: 'INTEGER' },
+    { name: 'cups_job_id', definition: 'TEXT' },
+    { name: 'requested_preset', definition: 'TEXT' },
+    { name: 'printer_preset', definition: 'TEXT' },
+    { name: 'field_values', definition: 'TEXT' }
+  ],
+  printer_configurations: [
+    { name: 'calibration', definition: 'TEXT' }
+  ],
+  templates: [
+    { name: 'back_side', definition: 'TEXT' },
+    { name: 'custom_fields', definition: 'TEXT' }
+  ]
+};
+
+// Tables added after the initial schema, created on startup when missing
+const TABLE_MIGRATIONS = [
+  `
+    CREATE TABLE IF NOT EXISTS printer_routing_rules (
+      id TEXT PRIMARY KEY,
+      match_type TEXT NOT NULL,
+      match_value TEXT NOT NULL,
+      printer_name TEXT NOT NULL,
+      fallback_printer_name TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (match_type, match_value)
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  `
+    CREATE TABLE IF NOT EXISTS printer_consumables (
+      printer_id TEXT NOT NULL,
+      consumable TEXT NOT NULL,
+      capacity INTEGER NOT NULL,
+      remaining INTEGER NOT NULL,
+      low_threshold INTEGER NOT NULL,
+      replaced_at DATETIME,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (printer_id, consumable)
+    )
+  `
+];
 
 class DatabaseSchema {
   constructor() {
@@ -77,6 +138,36 @@ class DatabaseSchema {
     for (const indexSql of createIndexes) {
       await this.connection.run(indexSql);
     }
+
+    await DatabaseSchema.applyMigrations(this.connection);
+  }
+
+  /**
+   * Create tables from TABLE_MIGRATIONS, add any columns from
+   * COLUMN_MIGRATIONS that are missing on existing tables and bring stored
+   * text field layouts up to the current version
+   * @param {DatabaseConnection} connection - Open database connection
+   */
+  static async applyMigrations(connection) {
+    for (const tableSql of TABLE_MIGRATIONS) {
+      await connection.run(tableSql);
+    }
+
+    for (const [table, columns] of Object.entries(COLUMN_MIGRATIONS)) {
+      const existingColumns = await connection.all(`PRAGMA table_info(${table})`);
+      const existingNames = new Set(existingColumns.map(column => column.name));
+
+      for (const column of columns) {
+        if (!existingNames.has(column.name)) {
+          await connection.run(`ALTER TABLE ${table} ADD COLUMN ${column.name} ${column.definition}`);
+        }
+      }
+    }
+
+    const migratedLayouts = await new Template(connection).migrateTextFields();
+    if (migratedLayouts > 0) {
+      console.log(`Migrated text field layouts of ${migratedLayouts} templates`);
+    }
   }
 
   async close() {
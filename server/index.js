@@ -10,10 +10,19 @@ const diagnostics = require('./utils/diagnostics');
 
 // Import services and models
 const DatabaseConnection = require('./database/connection');
+const DatabaseSchema = require('./database/schema');
 const BadgeJob = require('./models/BadgeJob');
+const PrinterRoutingRule = require('./models/PrinterRoutingRule');
+const PrinterConfiguration = require('./models/PrinterConfiguration');
+const PrinterConsumable = require('./models/PrinterConsumable');
+const Setting = require('./models/Setting');
+const Template = require('./models/Template');
 const PrinterInterface = require('./services/PrinterInterface');
 const TemplateProcessor = require('./services/TemplateProcessor');
 const PrintQueueManager = require('./services/PrintQueueManager');
+const PrinterRouter = require('./services/PrinterRouter');
+const PrinterRecovery = require('./services/PrinterRecovery');
+const FontManager = require('./services/FontManager');
 
 const app = express();
 const server = http.createServer(app);
@@ -29,6 +38,7 @@ const PORT = process.env.PORT || 3000;
 // Initialize services
 let dbConnection;
 let queueManager;
+let printerRecovery;
 
 // Database table creation function
 async function createDatabaseTables(connection) {
@@ -92,6 +102,9 @@ async function createDatabaseTables(connection) {
   for (const indexSql of createIndexes) {
     await connection.run(indexSql);
   }
+
+  // Bring older databases up to date with columns added since
+  await DatabaseSchema.applyMigrations(connection);
   
   console.log('Database tables created successfully');
 }
@@ -127,6 +140,7 @@ app.use('/api/templates', require('./routes/templates'));
 app.use('/api/printers', require('./routes/printers'));
 app.use('/api/badge-images', require('./routes/badge-images'));
 app.use('/api/monitoring', require('./routes/monitoring'));
+app.use('/api/fonts', require('./routes/fonts'));
 
 // Main route
 app.get('/', (req, res) => {
@@ -273,6 +287,11 @@ const gracefulShutdown = async (signal) => {
   await logger.info('Graceful shutdown initiated', { signal });
   
   try {
+    // Stop reconnecting printers
+    if (printerRecovery) {
+      printerRecovery.stop();
+    }
+    
     // Stop queue manager
     if (queueManager) {
       await logger.info('Stopping queue manager');
@@ -354,15 +373,51 @@ const initializeServices = async () => {
     const badgeJobModel = new BadgeJob(dbConnection);
     await logger.info('Badge job model initialized');
     
+    // Settle jobs left in processing by a crash before any worker starts
+    const reconciliation = await badgeJobModel.reconcileOrphanedJobs();
+    if (reconciliation.requeued.length > 0 || reconciliation.needsReview.length > 0) {
+      await logger.warn('Recovered jobs interrupted by a previous shutdown', {
+        requeued: reconciliation.requeued.map(job => job.id),
+        needsReview: reconciliation.needsReview.map(job => job.id)
+      });
+    }
+    const printerRoutingRuleModel = new PrinterRoutingRule(dbConnection);
+    const settingsModel = new Setting(dbConnection);
+    
     // Initialize services
     await logger.info('Initializing printer interface');
-    const printerInterface = new PrinterInterface();
+    const printerInterface = new PrinterInterface({
+      presetStore: new PrinterConfiguration(dbConnection)
+    });
+    
+    // Fonts must be registered before the first badge is drawn
+    await logger.info('Loading fonts');
+    const fontManager = new FontManager();
+    const fonts = await fontManager.loadFonts();
+    await logger.info('Fonts loaded', {
+      fonts: fonts.map(font => font.fullName),
+      systemFontsListed: fontManager.systemFonts !== null
+    });
+    
+    // Preflight every template's fonts so missing ones are fixed before badges print wrongly
+    const templates = await new Template(dbConnection).findAll();
+    for (const template of templates) {
+      const fontWarnings = fontManager.checkTemplateFonts(template);
+      if (fontWarnings.length > 0) {
+        await logger.warn('Template uses fonts that are not available', {
+          templateId: template.id,
+          templateName: template.name,
+          fonts: fontWarnings.map(warning => warning.message)
+        });
+      }
+    }
     
     await logger.info('Initializing template processor');
     const templateProcessor = new TemplateProcessor();
     
-    // Initialize queue manager
+    // Initialize queue manager, restoring a pause left over from before a restart
     await logger.info('Initializing queue manager');
+    const savedQueueState = await settingsModel.get(PrintQueueManager.QUEUE_STATE_SETTING);
     queueManager = new PrintQueueManager(
       badgeJobModel,
       printerInterface,
@@ -372,7 +427,11 @@ const initializeServices = async () => {
         maxQueueSize: 50,
         maxRetries: 3,
         retryBaseDelay: 1000,
-        processingTimeout: 30000
+        processingTimeout: 30000,
+        printerRouter: new PrinterRouter(printerRoutingRuleModel),
+        settingsModel,
+        consumableModel: new PrinterConsumable(dbConnection),
+        initialState: savedQueueState
       }
     );
     
@@ -389,6 +448,14 @@ const initializeServices = async () => {
       });
     });
     
+    queueManager.on('jobPrinting', async (job) => {
+      await logger.printer('Badge accepted by the print spooler', { 
+        jobId: job.id,
+        printerId: job.printerId,
+        cupsJobId: job.cupsJobId
+      });
+    });
+    
     queueManager.on('jobCompleted', async (job) => {
       await logger.queue('Job completed successfully', { 
         jobId: job.id,
@@ -416,6 +483,54 @@ const initializeServices = async () => {
       });
     });
     
+    queueManager.on('jobReviewResolved', async (job, action) => {
+      await logger.queue('Interrupted job reviewed', { 
+        jobId: job.id,
+        uid: job.uid,
+        action
+      });
+    });
+    
+    queueManager.on('queueStateChange', async (queueState) => {
+      await logger.queue('Queue state changed', queueState);
+      
+      if (queueState.reason === PrintQueueManager.PRINTER_OFFLINE_REASON) {
+        await logger.printer('Queue paused automatically: no printer is available', queueState);
+      }
+    });
+    
+    queueManager.on('printerStatusChange', async (change) => {
+      await logger.printer(
+        change.isAvailable ? 'Printer available' : 'Printer unavailable',
+        change
+      );
+    });
+    
+    queueManager.on('consumablesLow', async (printerId, consumables) => {
+      await logger.printer('Printer supplies running low', {
+        printerId,
+        consumables: consumables.map(consumable => `${consumable.label}: ${consumable.remaining} left`)
+      });
+    });
+    
+    queueManager.on('jobRequeuedPrinterOffline', async (job, error) => {
+      await logger.printer('Job returned to queue because its printer went offline', {
+        error,
+        jobId: job.id,
+        printerId: job.printerId
+      });
+    });
+    
+    queueManager.on('jobNeedsReview', async (job, error) => {
+      await logger.printer('Print timed out and its cancellation was not confirmed; job held for review', {
+        error,
+        jobId: job.id,
+        uid: job.uid,
+        printerId: job.printerId,
+        cupsJobId: error.cancellation.cupsJobId
+      });
+    });
+
     queueManager.on('jobRetry', async (job, attempt) => {
       await logger.warn('Job retry attempted', { 
         jobId: job.id,
@@ -426,10 +541,36 @@ const initializeServices = async () => {
       });
     });
     
+    // Reconnect printers that go offline or come back under a new queue name
+    printerRecovery = new PrinterRecovery(printerInterface, { io });
+    
+    printerRecovery.on('error', async (error) => {
+      await logger.error('Printer recovery error', { error });
+    });
+    
+    printerRecovery.on('recoveryAttempt', async (recovery) => {
+      if (!recovery.successful) {
+        await logger.printer('Printer reconnection attempt failed', recovery);
+      }
+    });
+    
+    printerRecovery.on('printerRecovered', async (recovery) => {
+      await logger.printer(recovery.message, recovery);
+    });
+    
+    printerRecovery.on('recoveryGaveUp', async (printerId, attempts) => {
+      await logger.warn('Gave up reconnecting printer', { printerId, attempts });
+    });
+    
+    printerRecovery.start();
+    
     // Make services available to routes
     app.set('queueManager', queueManager);
     app.set('dbConnection', dbConnection);
     app.set('printerInterface', printerInterface);
+    app.set('templateProcessor', templateProcessor);
+    app.set('fontManager', fontManager);
+    app.set('io', io);
     
     await logger.info('All services initialized successfully');
     
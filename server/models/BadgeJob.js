@@ -1,23 +1,57 @@
 const { v4: uuidv4 } = require('uuid');
 
+// Job lifecycle statuses. processing covers rendering and submitting the
+// badge; printing means CUPS accepted it and we are waiting for the printer
+// to finish. needs_review marks a job that was interrupted after it reached
+// the printer, so the card may or may not have been produced.
+const STATUSES = ['queued', 'processing', 'printing', 'completed', 'failed', 'needs_review'];
+
+// Statuses of jobs that are still in the queue or on a printer
+const ACTIVE_STATUSES = ['queued', 'processing', 'printing'];
+
+// Ways an operator can settle a needs_review job
+const REVIEW_ACTIONS = ['confirm', 'reprint'];
+
+// Queue lanes, highest priority first
+const PRIORITIES = ['urgent', 'normal', 'bulk'];
+const DEFAULT_PRIORITY = 'normal';
+
+// Bulk jobs waiting longer than this print in the normal lane so a steady
+// stream of normal jobs cannot starve a pre-print run
+const DEFAULT_BULK_PROMOTION_MS = 10 * 60 * 1000;
+
 class BadgeJob {
-  constructor(connection) {
+  constructor(connection, options = {}) {
     this.connection = connection;
+    this.bulkPromotionMs = options.bulkPromotionMs !== undefined
+      ? options.bulkPromotionMs
+      : DEFAULT_BULK_PROMOTION_MS;
   }
 
   // Create a new badge job
   async create(jobData) {
-    const { templateId, uid, badgeName, badgeImage } = jobData;
+    const {
+      templateId,
+      uid,
+      badgeName,
+      badgeImage,
+      category = null,
+      priority = DEFAULT_PRIORITY,
+      requestedPreset = null,
+      fieldValues = null
+    } = jobData;
     
     // Validate required fields
     if (!templateId || !uid || !badgeName) {
       throw new Error('Missing required fields: templateId, uid, and badgeName are required');
     }
 
-    // Validate UID uniqueness within current session (queued or processing jobs)
+    this.validatePriority(priority);
+
+    // Validate UID uniqueness within current session (active jobs)
     const existingJob = await this.connection.get(
-      'SELECT id FROM badge_jobs WHERE uid = ? AND status IN (?, ?)',
-      [uid, 'queued', 'processing']
+      'SELECT id FROM badge_jobs WHERE uid = ? AND status IN (?, ?, ?)',
+      [uid, ...ACTIVE_STATUSES]
     );
 
     if (existingJob) {
@@ -27,12 +61,21 @@ class BadgeJob {
     const id = uuidv4();
     const createdAt = new Date().toISOString();
 
+    const columns = ['id', 'template_id', 'uid', 'badge_name', 'badge_image', 'category', 'priority', 'requested_preset', 'created_at'];
+    const values = [id, templateId, uid, badgeName, badgeImage, category, priority, requestedPreset, createdAt];
+
+    // Values of the template's custom fields, when it has any
+    if (fieldValues && Object.keys(fieldValues).length > 0) {
+      columns.push('field_values');
+      values.push(JSON.stringify(fieldValues));
+    }
+
     const sql = `
-      INSERT INTO badge_jobs (id, template_id, uid, badge_name, badge_image, status, created_at, retry_count)
-      VALUES (?, ?, ?, ?, ?, 'queued', ?, 0)
+      INSERT INTO badge_jobs (${columns.join(', ')}, status, retry_count)
+      VALUES (${columns.map(() => '?').join(', ')}, 'queued', 0)
     `;
 
-    await this.connection.run(sql, [id, templateId, uid, badgeName, badgeImage, createdAt]);
+    await this.connection.run(sql, values);
     
     return await this.findById(id);
   }
@@ -59,7 +102,14 @@ class BadgeJob {
       params.push(status);
     }
 
-    sql += ' ORDER BY created_at ASC';
+    // Queued jobs are listed in the order they will print
+    if (status === 'queued') {
+      const order = this.getQueueOrder();
+      sql += ` ORDER BY ${order.sql}`;
+      params.push(...order.params);
+    } else {
+      sql += ' ORDER BY created_at ASC';
+    }
 
     const rows = await this.connection.all(sql, params);
     return rows.map(row => this.mapRowToJob(row));
@@ -67,10 +117,8 @@ class BadgeJob {
 
   // Update badge job status
   async updateStatus(id, status, errorMessage = null) {
-    const validStatuses = ['queued', 'processing', 'completed', 'failed'];
-    
-    if (!validStatuses.includes(status)) {
-      throw new Error(`Invalid status: ${status}. Must be one of: ${validStatuses.join(', ')}`);
+    if (!STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status}. Must be one of: ${STATUSES.join(', ')}`);
     }
 
     let sql = 'UPDATE badge_jobs SET status = ?';
@@ -128,7 +176,7 @@ class BadgeJob {
         status,
         COUNT(*) as count
       FROM badge_jobs 
-      WHERE status IN ('queued', 'processing')
+      WHERE status IN ('queued', 'processing', 'printing')
       GROUP BY status
     `;
 
@@ -137,6 +185,7 @@ class BadgeJob {
     const stats = {
       queued: 0,
       processing: 0,
+      printing: 0,
       total: 0
     };
 
@@ -150,21 +199,225 @@ class BadgeJob {
 
   // Get next job in queue
   async getNextInQueue() {
+    const order = this.getQueueOrder();
     const sql = `
       SELECT * FROM badge_jobs 
       WHERE status = 'queued' 
-      ORDER BY created_at ASC 
+      ORDER BY ${order.sql} 
       LIMIT 1
     `;
 
-    const row = await this.connection.get(sql);
+    const row = await this.connection.get(sql, order.params);
     return row ? this.mapRowToJob(row) : null;
   }
 
+  // ORDER BY clause for the queue: urgent, then normal (including bulk jobs
+  // that have waited past the promotion age), then bulk, oldest first
+  getQueueOrder() {
+    const promotionCutoff = new Date(Date.now() - this.bulkPromotionMs).toISOString();
+
+    return {
+      sql: `
+        CASE
+          WHEN priority = 'urgent' THEN 0
+          WHEN priority = 'bulk' AND created_at > ? THEN 2
+          ELSE 1
+        END ASC,
+        created_at ASC
+      `,
+      params: [promotionCutoff]
+    };
+  }
+
+  // Move a queued job to another lane
+  async updatePriority(id, priority) {
+    this.validatePriority(priority);
+
+    const job = await this.findById(id);
+    if (!job) {
+      throw new Error(`Job with ID ${id} not found`);
+    }
+
+    if (job.status !== 'queued') {
+      throw new Error('Only queued jobs can be reprioritized');
+    }
+
+    const result = await this.connection.run(
+      'UPDATE badge_jobs SET priority = ? WHERE id = ? AND status = ?',
+      [priority, id, 'queued']
+    );
+
+    if (result.changes === 0) {
+      throw new Error('Only queued jobs can be reprioritized');
+    }
+
+    return await this.findById(id);
+  }
+
+  // Validate a queue lane name
+  validatePriority(priority) {
+    if (!PRIORITIES.includes(priority)) {
+      throw new Error(`Invalid priority: ${priority}. Must be one of: ${PRIORITIES.join(', ')}`);
+    }
+  }
+
+  // Atomically claim the next queued job for a printer.
+  // The conditional update only succeeds for one caller, so concurrent
+  // printer workers can never pick up the same job. An optional filter
+  // skips queued jobs this printer is not allowed to print.
+  async claimNextJob(printerId = null, filter = null, maxAttempts = 5) {
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const nextJob = filter
+        ? (await this.findAll('queued')).find(filter)
+        : await this.getNextInQueue();
+      if (!nextJob) {
+        return null;
+      }
+
+      const result = await this.connection.run(
+        'UPDATE badge_jobs SET status = ?, printer_id = ?, print_started_at = NULL, cups_job_id = NULL WHERE id = ? AND status = ?',
+        ['processing', printerId, nextJob.id, 'queued']
+      );
+
+      if (result.changes === 1) {
+        return await this.findById(nextJob.id);
+      }
+    }
+
+    return null;
+  }
+
+  // Record that a job has been handed to the printer, and the preset it was
+  // printed with. After this point a crash may leave a printed card behind,
+  // so recovery asks the operator.
+  async markSentToPrinter(id, printerPreset = null) {
+    await this.connection.run(
+      'UPDATE badge_jobs SET print_started_at = ?, printer_preset = ? WHERE id = ?',
+      [new Date().toISOString(), printerPreset, id]
+    );
+  }
+
+  // Move a submitted job to printing, recording the CUPS job that tracks it
+  async markPrinting(id, cupsJobId) {
+    const result = await this.connection.run(
+      'UPDATE badge_jobs SET status = ?, cups_job_id = ? WHERE id = ?',
+      ['printing', cupsJobId, id]
+    );
+
+    if (result.changes === 0) {
+      throw new Error(`Badge job with ID ${id} not found`);
+    }
+
+    return await this.findById(id);
+  }
+
+  // Complete a job the worker still holds. Returns null when the job has
+  // left `fromStatus`, e.g. an operator reset or failed it mid-print.
+  async markCompleted(id, fromStatus) {
+    const result = await this.connection.run(
+      'UPDATE badge_jobs SET status = ?, processed_at = ? WHERE id = ? AND status = ?',
+      ['completed', new Date().toISOString(), id, fromStatus]
+    );
+
+    if (result.changes === 0) {
+      return null;
+    }
+
+    return await this.findById(id);
+  }
+
+  // Record that a print was aborted and whether the printer confirmed the
+  // cancellation; an unconfirmed cancellation may still produce a card
+  async recordCancellation(id, confirmed) {
+    await this.connection.run(
+      'UPDATE badge_jobs SET print_cancelled_at = ?, print_cancel_confirmed = ? WHERE id = ?',
+      [new Date().toISOString(), confirmed ? 1 : 0, id]
+    );
+  }
+
+  // Hold a job for an operator to decide whether its card was printed
+  async flagForReview(id, reason) {
+    const result = await this.connection.run(
+      'UPDATE badge_jobs SET status = ?, error_message = ? WHERE id = ?',
+      ['needs_review', reason, id]
+    );
+
+    if (result.changes === 0) {
+      throw new Error(`Badge job with ID ${id} not found`);
+    }
+
+    return await this.findById(id);
+  }
+
+  // Settle jobs left in processing or printing by a crash or power loss. Jobs
+  // that never reached the printer are requeued; the rest are flagged needs_review.
+  async reconcileOrphanedJobs() {
+    const orphanedJobs = [
+      ...await this.findAll('processing'),
+      ...await this.findAll('printing')
+    ];
+    const result = { requeued: [], needsReview: [] };
+
+    for (const job of orphanedJobs) {
+      if (job.printStartedAt) {
+        result.needsReview.push(await this.flagForReview(
+          job.id,
+          'Interrupted while printing; check whether the card was produced'
+        ));
+      } else {
+        await this.connection.run(
+          'UPDATE badge_jobs SET status = ?, printer_id = NULL WHERE id = ?',
+          ['queued', job.id]
+        );
+        result.requeued.push(await this.findById(job.id));
+      }
+    }
+
+    return result;
+  }
+
+  // Settle a needs_review job: confirm the card was printed, or reprint it
+  async resolveReview(id, action) {
+    if (!REVIEW_ACTIONS.includes(action)) {
+      throw new Error(`Invalid review action: ${action}. Must be one of: ${REVIEW_ACTIONS.join(', ')}`);
+    }
+
+    const job = await this.findById(id);
+    if (!job) {
+      throw new Error(`Badge job with ID ${id} not found`);
+    }
+
+    if (job.status !== 'needs_review') {
+      throw new Error('Only jobs awaiting review can be resolved');
+    }
+
+    if (action === 'confirm') {
+      await this.connection.run(
+        'UPDATE badge_jobs SET status = ?, processed_at = ?, error_message = NULL WHERE id = ?',
+        ['completed', new Date().toISOString(), id]
+      );
+      return await this.findById(id);
+    }
+
+    // The UID may have been reused by a fresh submission in the meantime
+    if (!await this.isUidUnique(job.uid, id)) {
+      throw new Error(`UID '${job.uid}' is already in use by an active job`);
+    }
+
+    await this.connection.run(
+      `UPDATE badge_jobs
+       SET status = ?, printer_id = NULL, print_started_at = NULL, cups_job_id = NULL, error_message = NULL
+       WHERE id = ?`,
+      ['queued', id]
+    );
+
+    return await this.findById(id);
+  }
+
   // Check if UID is unique in active jobs
   async isUidUnique(uid, excludeJobId = null) {
-    let sql = 'SELECT id FROM badge_jobs WHERE uid = ? AND status IN (?, ?)';
-    let params = [uid, 'queued', 'processing'];
+    let sql = 'SELECT id FROM badge_jobs WHERE uid = ? AND status IN (?, ?, ?)';
+    let params = [uid, ...ACTIVE_STATUSES];
 
     if (excludeJobId) {
       sql += ' AND id != ?';
@@ -183,6 +436,18 @@ class BadgeJob {
       uid: row.uid,
       badgeName: row.badge_name,
       badgeImage: row.badge_image,
+      printerId: row.printer_id || null,
+      category: row.category || null,
+      priority: row.priority || DEFAULT_PRIORITY,
+      printStartedAt: row.print_started_at ? new Date(row.print_started_at) : null,
+      cupsJobId: row.cups_job_id || null,
+      requestedPreset: row.requested_preset || null,
+      fieldValues: row.field_values ? JSON.parse(row.field_values) : {},
+      printerPreset: row.printer_preset || null,
+      printCancelledAt: row.print_cancelled_at ? new Date(row.print_cancelled_at) : null,
+      printCancelConfirmed: row.print_cancel_confirmed === null || row.print_cancel_confirmed === undefined
+        ? null
+        : Boolean(row.print_cancel_confirmed),
       status: row.status,
       createdAt: new Date(row.created_at),
       processedAt: row.processed_at ? new Date(row.processed_at) : null,
@@ -192,4 +457,9 @@ class BadgeJob {
   }
 }
 
+BadgeJob.STATUSES = STATUSES;
+BadgeJob.ACTIVE_STATUSES = ACTIVE_STATUSES;
+BadgeJob.REVIEW_ACTIONS = REVIEW_ACTIONS;
+BadgeJob.PRIORITIES = PRIORITIES;
+
 module.exports = BadgeJob;
\ No newline at end of file
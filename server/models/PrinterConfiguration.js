@@ -1,5 +1,20 @@
 const { v4: uuidv4 } = require('uuid');
 
+// Most copies a single preset may print of each badge
+const MAX_PRESET_COPIES = 10;
+
+// Calibration of an uncalibrated printer: badges are printed as rendered
+const DEFAULT_CALIBRATION = { offsetX: 0, offsetY: 0, scale: 1, rotation: 0 };
+
+// Accepted calibration range for each setting. Offsets are in millimetres
+// on the card, rotation in degrees clockwise, scale a factor of the size.
+const CALIBRATION_LIMITS = {
+  offsetX: { min: -10, max: 10 },
+  offsetY: { min: -10, max: 10 },
+  scale: { min: 0.9, max: 1.1 },
+  rotation: { min: -5, max: 5 }
+};
+
 class PrinterConfiguration {
   constructor(connection) {
     this.connection = connection;
@@ -7,7 +22,7 @@ class PrinterConfiguration {
 
   // Create a new printer configuration
   async create(configData) {
-    const { name, isConnected = false, presets } = configData;
+    const { name, isConnected = false, presets, calibration = null } = configData;
     
     // Validate required fields
     if (!name || !presets) {
@@ -16,6 +31,9 @@ class PrinterConfiguration {
 
     // Validate presets structure
     this.validatePresets(presets);
+    if (calibration) {
+      this.validateCalibration(calibration);
+    }
 
     // Check if printer name already exists
     const existingConfig = await this.connection.get(
@@ -31,8 +49,8 @@ class PrinterConfiguration {
     const createdAt = new Date().toISOString();
 
     const sql = `
-      INSERT INTO printer_configurations (id, name, is_connected, presets, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO printer_configurations (id, name, is_connected, presets, calibration, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `;
 
     await this.connection.run(sql, [
@@ -40,6 +58,7 @@ class PrinterConfiguration {
       name, 
       isConnected,
       JSON.stringify(presets),
+      calibration ? JSON.stringify(calibration) : null,
       createdAt,
       createdAt
     ]);
@@ -92,7 +111,7 @@ class PrinterConfiguration {
       throw new Error(`Printer configuration with ID ${id} not found`);
     }
 
-    const allowedFields = ['name', 'isConnected', 'presets'];
+    const allowedFields = ['name', 'isConnected', 'presets', 'calibration'];
     const updates = [];
     const params = [];
 
@@ -102,6 +121,10 @@ class PrinterConfiguration {
           this.validatePresets(updateData[key]);
           updates.push('presets = ?');
           params.push(JSON.stringify(updateData[key]));
+        } else if (key === 'calibration') {
+          this.validateCalibration(updateData[key]);
+          updates.push('calibration = ?');
+          params.push(JSON.stringify(updateData[key]));
         } else if (key === 'isConnected') {
           updates.push('is_connected = ?');
           params.push(updateData[key]);
@@ -247,6 +270,40 @@ class PrinterConfiguration {
       throw new Error(`${presetName} orientation must be one of: ${validOrientations.join(', ')}`);
     }
 
+    // Validate optional display fields
+    ['label', 'description'].forEach(prop => {
+      if (presetConfig[prop] !== undefined && typeof presetConfig[prop] !== 'string') {
+        throw new Error(`${presetName} ${prop} must be a string`);
+      }
+    });
+
+    // Validate card printer options if provided
+    if (presetConfig.holokote !== undefined && typeof presetConfig.holokote !== 'boolean') {
+      throw new Error(`${presetName} holokote must be true or false`);
+    }
+
+    if (presetConfig.duplex !== undefined && typeof presetConfig.duplex !== 'boolean') {
+      throw new Error(`${presetName} duplex must be true or false`);
+    }
+
+    if (presetConfig.copies !== undefined &&
+        (!Number.isInteger(presetConfig.copies) || presetConfig.copies < 1 || presetConfig.copies > MAX_PRESET_COPIES)) {
+      throw new Error(`${presetName} copies must be a whole number from 1 to ${MAX_PRESET_COPIES}`);
+    }
+
+    // Validate printer (PPD) options if provided: option name to chosen value
+    if (presetConfig.printerOptions !== undefined) {
+      if (!presetConfig.printerOptions || typeof presetConfig.printerOptions !== 'object' || Array.isArray(presetConfig.printerOptions)) {
+        throw new Error(`${presetName} printerOptions must be an object`);
+      }
+
+      Object.entries(presetConfig.printerOptions).forEach(([name, value]) => {
+        if (!value || typeof value !== 'string') {
+          throw new Error(`${presetName} printerOptions.${name} must be a non-empty string`);
+        }
+      });
+    }
+
     // Validate margins if provided
     if (presetConfig.margins) {
       if (typeof presetConfig.margins !== 'object') {
@@ -262,6 +319,20 @@ class PrinterConfiguration {
     }
   }
 
+  // Validate printer calibration: every setting is a number within its limits
+  validateCalibration(calibration) {
+    if (!calibration || typeof calibration !== 'object' || Array.isArray(calibration)) {
+      throw new Error('calibration must be an object');
+    }
+
+    Object.entries(CALIBRATION_LIMITS).forEach(([prop, { min, max }]) => {
+      const value = calibration[prop];
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`calibration ${prop} must be a number from ${min} to ${max}`);
+      }
+    });
+  }
+
   // Convert camelCase to snake_case
   camelToSnake(str) {
     return str.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
@@ -274,10 +345,14 @@ class PrinterConfiguration {
       name: row.name,
       isConnected: Boolean(row.is_connected),
       presets: JSON.parse(row.presets),
+      calibration: row.calibration ? { ...DEFAULT_CALIBRATION, ...JSON.parse(row.calibration) } : { ...DEFAULT_CALIBRATION },
       createdAt: new Date(row.created_at),
       updatedAt: new Date(row.updated_at)
     };
   }
 }
 
+PrinterConfiguration.DEFAULT_CALIBRATION = DEFAULT_CALIBRATION;
+PrinterConfiguration.CALIBRATION_LIMITS = CALIBRATION_LIMITS;
+
 module.exports = PrinterConfiguration;
\ No newline at end of file
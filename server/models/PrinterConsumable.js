@@ -0,0 +1,187 @@
+// Supplies tracked for each printer, with the capacity and low-stock
+// threshold a printer starts with until they are changed. A YMCKO ribbon
+// prints about 300 card sides; the input hopper holds 100. `perSide`
+// supplies are used once for each side printed.
+const CONSUMABLE_TYPES = {
+  ribbon: { label: 'YMCKO ribbon', capacity: 300, lowThreshold: 30, perSide: true },
+  cards: { label: 'Cards', capacity: 100, lowThreshold: 10, perSide: false }
+};
+
+class PrinterConsumable {
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  // Find one consumable for a printer. One that has never been set up is
+  // reported full, with the default capacity and threshold.
+  async find(printerId, consumable) {
+    this.validateConsumable(consumable);
+
+    const row = await this.connection.get(
+      'SELECT * FROM printer_consumables WHERE printer_id = ? AND consumable = ?',
+      [printerId, consumable]
+    );
+
+    return row ? this.mapRowToConsumable(row) : this.getDefaultConsumable(printerId, consumable);
+  }
+
+  // Find every consumable for a printer
+  async findByPrinter(printerId) {
+    const rows = await this.connection.all(
+      'SELECT * FROM printer_consumables WHERE printer_id = ?',
+      [printerId]
+    );
+
+    return Object.keys(CONSUMABLE_TYPES).map(consumable => {
+      const row = rows.find(candidate => candidate.consumable === consumable);
+      return row ? this.mapRowToConsumable(row) : this.getDefaultConsumable(printerId, consumable);
+    });
+  }
+
+  // Find the consumables of every printer that has printed or been set up
+  async findAll() {
+    const rows = await this.connection.all(
+      'SELECT DISTINCT printer_id FROM printer_consumables ORDER BY printer_id ASC'
+    );
+
+    const consumables = [];
+    for (const row of rows) {
+      consumables.push(...await this.findByPrinter(row.printer_id));
+    }
+    return consumables;
+  }
+
+  // Find consumables at or below their low-stock threshold
+  async findLow() {
+    const consumables = await this.findAll();
+    return consumables.filter(consumable => consumable.isLow);
+  }
+
+  // Set the capacity and low-stock threshold of a consumable
+  async updateSettings(printerId, consumable, settings) {
+    const current = await this.find(printerId, consumable);
+    const capacity = settings.capacity !== undefined ? settings.capacity : current.capacity;
+    const lowThreshold = settings.lowThreshold !== undefined ? settings.lowThreshold : current.lowThreshold;
+
+    this.validateSettings({ capacity, lowThreshold });
+
+    // A smaller capacity cannot leave more in the printer than fits
+    return await this.save({
+      ...current,
+      capacity,
+      lowThreshold,
+      remaining: Math.min(current.remaining, capacity)
+    });
+  }
+
+  // Record that a consumable was replaced, refilling it to capacity
+  async replace(printerId, consumable) {
+    const current = await this.find(printerId, consumable);
+
+    return await this.save({
+      ...current,
+      remaining: current.capacity,
+      replacedAt: new Date()
+    });
+  }
+
+  // Use up one of each consumable per card printed, and one of each
+  // per-side consumable per side; never goes below zero. Each returned
+  // consumable says how many were `used`.
+  async recordUsage(printerId, cards = 1, sides = 1) {
+    if (!Number.isInteger(cards) || cards < 1) {
+      throw new Error('Invalid cards: must be a whole number of at least 1');
+    }
+
+    if (sides !== 1 && sides !== 2) {
+      throw new Error('Invalid sides: must be 1 or 2');
+    }
+
+    const consumables = await this.findByPrinter(printerId);
+    const updated = [];
+    for (const consumable of consumables) {
+      const used = CONSUMABLE_TYPES[consumable.consumable].perSide ? cards * sides : cards;
+      const saved = await this.save({
+        ...consumable,
+        remaining: Math.max(consumable.remaining - used, 0)
+      });
+      updated.push({ ...saved, used });
+    }
+    return updated;
+  }
+
+  // Insert or update a consumable row
+  async save(consumable) {
+    const sql = `
+      INSERT OR REPLACE INTO printer_consumables
+        (printer_id, consumable, capacity, remaining, low_threshold, replaced_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    await this.connection.run(sql, [
+      consumable.printerId,
+      consumable.consumable,
+      consumable.capacity,
+      consumable.remaining,
+      consumable.lowThreshold,
+      consumable.replacedAt ? consumable.replacedAt.toISOString() : null,
+      new Date().toISOString()
+    ]);
+
+    return await this.find(consumable.printerId, consumable.consumable);
+  }
+
+  // Validate a consumable name
+  validateConsumable(consumable) {
+    if (!Object.prototype.hasOwnProperty.call(CONSUMABLE_TYPES, consumable)) {
+      throw new Error(`Invalid consumable: ${consumable}. Must be one of: ${Object.keys(CONSUMABLE_TYPES).join(', ')}`);
+    }
+  }
+
+  // Validate capacity and low-stock threshold
+  validateSettings({ capacity, lowThreshold }) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error('Invalid capacity: must be a whole number of at least 1');
+    }
+
+    if (!Number.isInteger(lowThreshold) || lowThreshold < 0 || lowThreshold >= capacity) {
+      throw new Error('Invalid lowThreshold: must be a whole number from 0 to less than the capacity');
+    }
+  }
+
+  // A consumable with no stored row: full, with the default settings
+  getDefaultConsumable(printerId, consumable) {
+    const { label, capacity, lowThreshold } = CONSUMABLE_TYPES[consumable];
+
+    return {
+      printerId,
+      consumable,
+      label,
+      capacity,
+      remaining: capacity,
+      lowThreshold,
+      isLow: capacity <= lowThreshold,
+      replacedAt: null,
+      updatedAt: null
+    };
+  }
+
+  // Map database row to consumable object
+  mapRowToConsumable(row) {
+    return {
+      printerId: row.printer_id,
+      consumable: row.consumable,
+      label: CONSUMABLE_TYPES[row.consumable].label,
+      capacity: row.capacity,
+      remaining: row.remaining,
+      lowThreshold: row.low_threshold,
+      isLow: row.remaining <= row.low_threshold,
+      replacedAt: row.replaced_at ? new Date(row.replaced_at) : null,
+      updatedAt: row.updated_at ? new Date(row.updated_at) : null
+    };
+  }
+}
+
+PrinterConsumable.CONSUMABLE_TYPES = CONSUMABLE_TYPES;
+
+module.exports = PrinterConsumable;
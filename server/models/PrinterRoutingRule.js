@@ -0,0 +1,167 @@
+const { v4: uuidv4 } = require('uuid');
+
+// What a rule can match on, most specific first. When several rules match a
+// job, the one for the earliest type in this list wins.
+const MATCH_TYPES = ['category', 'badgeImage', 'template'];
+
+class PrinterRoutingRule {
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  // Create a new routing rule
+  async create(ruleData) {
+    const { matchType, matchValue, printerName, fallbackPrinterName = null } = ruleData;
+
+    this.validateRule({ matchType, matchValue, printerName, fallbackPrinterName });
+
+    // Only one rule per match type and value
+    const existingRule = await this.connection.get(
+      'SELECT id FROM printer_routing_rules WHERE match_type = ? AND match_value = ?',
+      [matchType, matchValue]
+    );
+
+    if (existingRule) {
+      throw new Error(`A routing rule for ${matchType} '${matchValue}' already exists`);
+    }
+
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+
+    const sql = `
+      INSERT INTO printer_routing_rules (id, match_type, match_value, printer_name, fallback_printer_name, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    await this.connection.run(sql, [
+      id,
+      matchType,
+      matchValue,
+      printerName,
+      fallbackPrinterName || null,
+      createdAt,
+      createdAt
+    ]);
+
+    return await this.findById(id);
+  }
+
+  // Find routing rule by ID
+  async findById(id) {
+    const sql = 'SELECT * FROM printer_routing_rules WHERE id = ?';
+    const row = await this.connection.get(sql, [id]);
+
+    if (!row) {
+      return null;
+    }
+
+    return this.mapRowToRule(row);
+  }
+
+  // Find all routing rules
+  async findAll() {
+    const sql = 'SELECT * FROM printer_routing_rules ORDER BY match_type ASC, match_value ASC';
+    const rows = await this.connection.all(sql);
+    return rows.map(row => this.mapRowToRule(row));
+  }
+
+  // Update routing rule
+  async update(id, updateData) {
+    const rule = await this.findById(id);
+    if (!rule) {
+      throw new Error(`Routing rule with ID ${id} not found`);
+    }
+
+    const updatedRule = { ...rule };
+    ['matchType', 'matchValue', 'printerName', 'fallbackPrinterName'].forEach(key => {
+      if (updateData[key] !== undefined) {
+        updatedRule[key] = updateData[key];
+      }
+    });
+
+    this.validateRule(updatedRule);
+
+    // Check match uniqueness if the match is being changed
+    const existingRule = await this.connection.get(
+      'SELECT id FROM printer_routing_rules WHERE match_type = ? AND match_value = ? AND id != ?',
+      [updatedRule.matchType, updatedRule.matchValue, id]
+    );
+
+    if (existingRule) {
+      throw new Error(`A routing rule for ${updatedRule.matchType} '${updatedRule.matchValue}' already exists`);
+    }
+
+    const sql = `
+      UPDATE printer_routing_rules
+      SET match_type = ?, match_value = ?, printer_name = ?, fallback_printer_name = ?, updated_at = ?
+      WHERE id = ?
+    `;
+
+    const result = await this.connection.run(sql, [
+      updatedRule.matchType,
+      updatedRule.matchValue,
+      updatedRule.printerName,
+      updatedRule.fallbackPrinterName || null,
+      new Date().toISOString(),
+      id
+    ]);
+
+    if (result.changes === 0) {
+      throw new Error(`Routing rule with ID ${id} not found`);
+    }
+
+    return await this.findById(id);
+  }
+
+  // Delete routing rule
+  async delete(id) {
+    const sql = 'DELETE FROM printer_routing_rules WHERE id = ?';
+    const result = await this.connection.run(sql, [id]);
+
+    if (result.changes === 0) {
+      throw new Error(`Routing rule with ID ${id} not found`);
+    }
+
+    return true;
+  }
+
+  // Validate routing rule structure
+  validateRule(rule) {
+    if (!MATCH_TYPES.includes(rule.matchType)) {
+      throw new Error(`Invalid matchType: ${rule.matchType}. Must be one of: ${MATCH_TYPES.join(', ')}`);
+    }
+
+    ['matchValue', 'printerName'].forEach(prop => {
+      if (!rule[prop] || typeof rule[prop] !== 'string' || rule[prop].trim() === '') {
+        throw new Error(`Invalid ${prop}: must be a non-empty string`);
+      }
+    });
+
+    if (rule.fallbackPrinterName !== null && rule.fallbackPrinterName !== undefined) {
+      if (typeof rule.fallbackPrinterName !== 'string') {
+        throw new Error('Invalid fallbackPrinterName: must be a string');
+      }
+
+      if (rule.fallbackPrinterName === rule.printerName) {
+        throw new Error('Invalid fallbackPrinterName: must differ from printerName');
+      }
+    }
+  }
+
+  // Map database row to rule object
+  mapRowToRule(row) {
+    return {
+      id: row.id,
+      matchType: row.match_type,
+      matchValue: row.match_value,
+      printerName: row.printer_name,
+      fallbackPrinterName: row.fallback_printer_name || null,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+}
+
+PrinterRoutingRule.MATCH_TYPES = MATCH_TYPES;
+
+module.exports = PrinterRoutingRule;
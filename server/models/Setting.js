@@ -0,0 +1,40 @@
+// Key/value store for server state that must survive restarts
+class Setting {
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  // Get a setting value, or the default when it has never been set
+  async get(key, defaultValue = null) {
+    const row = await this.connection.get('SELECT value FROM settings WHERE key = ?', [key]);
+
+    if (!row) {
+      return defaultValue;
+    }
+
+    try {
+      return JSON.parse(row.value);
+    } catch (error) {
+      return defaultValue;
+    }
+  }
+
+  // Store a setting value; values are saved as JSON
+  async set(key, value) {
+    const sql = `
+      INSERT OR REPLACE INTO settings (key, value, updated_at)
+      VALUES (?, ?, ?)
+    `;
+
+    await this.connection.run(sql, [key, JSON.stringify(value), new Date().toISOString()]);
+    return value;
+  }
+
+  // Remove a setting
+  async delete(key) {
+    const result = await this.connection.run('DELETE FROM settings WHERE key = ?', [key]);
+    return result.changes > 0;
+  }
+}
+
+module.exports = Setting;
@@ -2,6 +2,44 @@ const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
 const path = require('path');
 
+// Version of the text field layout stored in templates.text_fields; layouts
+// saved in an older shape are migrated to it on startup. Version 2 holds
+// every box of a template: custom fields are placed on the front next to
+// uid and badgeName, and back-side boxes sit in `back`
+const TEXT_FIELD_LAYOUT_VERSION = 2;
+
+// Fields every text field layout positions
+const TEXT_FIELD_NAMES = ['uid', 'badgeName'];
+
+// Box size and font given to fields of older layouts that only stored where
+// the text starts, matching how those layouts were rendered
+const LEGACY_FIELD_DEFAULTS = {
+  uid: { width: 200, height: 70, fontFamily: 'Arial' },
+  badgeName: { width: 400, height: 100, fontFamily: 'Arial Bold' }
+};
+
+// How text can sit in its box; every text field (front, back and custom)
+// can also set a font size range, wrapping, colours and letter spacing
+const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+const VERTICAL_ALIGNMENTS = ['top', 'middle', 'bottom'];
+const HEX_COLOR_PATTERN = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+// Kinds of field a template's back side can have
+const BACK_FIELD_TYPES = ['text', 'qr'];
+
+// Kinds of custom field a template can ask for on each badge; dates are
+// entered and stored as YYYY-MM-DD
+const CUSTOM_FIELD_TYPES = ['text', 'date'];
+
+// Custom field names: used as keys of a job's field values and as back-side
+// placeholders, so uid and badgeName are taken
+const CUSTOM_FIELD_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+const RESERVED_FIELD_NAMES = ['uid', 'badgeName'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// What a custom field is; where it is drawn lives in the text field layout
+const CUSTOM_FIELD_PROPERTIES = ['name', 'type', 'label', 'required', 'maxLength'];
+
 class Template {
   constructor(connection) {
     this.connection = connection;
@@ -9,15 +47,27 @@ class Template {
 
   // Create a new template
   async create(templateData) {
-    const { name, filePath, previewPath, textFields, printerPresets } = templateData;
+    const { name, filePath, previewPath, textFields, printerPresets, backSide, customFields } = templateData;
     
     // Validate required fields
     if (!name || !filePath || !textFields) {
       throw new Error('Missing required fields: name, filePath, and textFields are required');
     }
 
-    // Validate text fields structure
-    this.validateTextFields(textFields);
+    // Validate text fields, bringing older layouts up to the current version
+    const layout = this.validateTextFields(textFields);
+
+    // Validate back side if provided
+    if (backSide) {
+      this.validateBackSide(backSide);
+    }
+
+    // Validate custom fields if provided
+    if (customFields) {
+      this.validateCustomFields(customFields);
+    }
+
+    this.validateFieldBoxes(layout, customFields || []);
 
     // Validate file exists (skip for internal templates)
     if (!filePath.startsWith('internal://') && !fs.existsSync(filePath)) {
@@ -37,21 +87,35 @@ class Template {
     const id = uuidv4();
     const createdAt = new Date().toISOString();
 
-    const sql = `
-      INSERT INTO templates (id, name, file_path, preview_path, text_fields, printer_presets, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `;
-
-    await this.connection.run(sql, [
+    const columns = ['id', 'name', 'file_path', 'preview_path', 'text_fields', 'printer_presets', 'created_at', 'updated_at'];
+    const values = [
       id, 
       name, 
       filePath, 
       previewPath || null,
-      JSON.stringify(textFields),
+      JSON.stringify(layout),
       printerPresets || null,
       createdAt,
       createdAt
-    ]);
+    ];
+
+    // Single-sided templates are stored exactly as before back sides existed
+    if (backSide) {
+      columns.push('back_side');
+      values.push(JSON.stringify(backSide));
+    }
+
+    if (customFields && customFields.length > 0) {
+      columns.push('custom_fields');
+      values.push(JSON.stringify(customFields));
+    }
+
+    const sql = `
+      INSERT INTO templates (${columns.join(', ')})
+      VALUES (${columns.map(() => '?').join(', ')})
+    `;
+
+    await this.connection.run(sql, values);
     
     return await this.findById(id);
   }
@@ -94,16 +158,49 @@ class Template {
       throw new Error(`Template with ID ${id} not found`);
     }
 
-    const allowedFields = ['name', 'filePath', 'previewPath', 'textFields', 'printerPresets'];
+    const allowedFields = ['name', 'filePath', 'previewPath', 'printerPresets', 'backSide'];
     const updates = [];
     const params = [];
 
+    // The layout places custom fields, so a change to either is checked
+    // against the other
+    if (updateData.textFields !== undefined || updateData.customFields !== undefined) {
+      const customFields = updateData.customFields !== undefined ? updateData.customFields : template.customFields;
+      if (updateData.customFields !== undefined) {
+        this.validateCustomFields(customFields);
+      }
+
+      let layout;
+      if (updateData.textFields !== undefined) {
+        layout = this.validateTextFields(updateData.textFields);
+        this.validateFieldBoxes(layout, customFields);
+      } else {
+        // Boxes of removed custom fields go with them
+        layout = Template.normalizeTextFields(template.textFields);
+        layout = {
+          ...layout,
+          fields: layout.fields.filter(field =>
+            TEXT_FIELD_NAMES.includes(field.name) || customFields.some(customField => customField.name === field.name))
+        };
+      }
+      updates.push('text_fields = ?');
+      params.push(JSON.stringify(layout));
+
+      if (updateData.customFields !== undefined) {
+        updates.push('custom_fields = ?');
+        params.push(customFields.length > 0 ? JSON.stringify(customFields) : null);
+      }
+    }
+
     Object.keys(updateData).forEach(key => {
       if (allowedFields.includes(key) && updateData[key] !== undefined) {
-        if (key === 'textFields') {
-          this.validateTextFields(updateData[key]);
+        if (key === 'backSide') {
+          // null makes the template single-sided again
+          if (updateData[key] !== null) {
+            this.validateBackSide(updateData[key]);
+          }
           updates.push(`${this.camelToSnake(key)} = ?`);
-          params.push(JSON.stringify(updateData[key]));
+          params.push(updateData[key] === null ? null : JSON.stringify(updateData[key]));
         } else if (key === 'filePath' && updateData[key]) {
           // Validate file exists (skip for internal templates)
           if (!updateData[key].startsWith('internal://') && !fs.existsSync(updateData[key])) {
@@ -150,10 +247,11 @@ class Template {
 
   // Delete template
   async delete(id) {
-    // Check if template is being used by any active jobs
+    // Check if template is being used by any active jobs, including
+    // interrupted jobs an operator may still send back to the printer
     const activeJobs = await this.connection.get(
-      'SELECT id FROM badge_jobs WHERE template_id = ? AND status IN (?, ?)',
-      [id, 'queued', 'processing']
+      'SELECT id FROM badge_jobs WHERE template_id = ? AND status IN (?, ?, ?, ?)',
+      [id, 'queued', 'processing', 'printing', 'needs_review']
     );
 
     if (activeJobs) {
@@ -220,37 +318,416 @@ class Template {
     }));
   }
 
-  // Validate text fields structure
+  // Validate a text field layout and return it in the current version:
+  // { version, fields: [{ name, x1, y1, x2, y2, fontFamily?, fontSize? }],
+  // back?: [{ type, value, x1, y1, x2, y2, fontFamily?, fontSize? }] }
+  // with a box for uid and one for badgeName (both with a fontFamily), a
+  // box for each custom field placed on the front, and the fields of the
+  // back side. Every box can be styled (see Template.validateBox). Older
+  // shapes are converted first (see Template.normalizeTextFields)
   validateTextFields(textFields) {
+    return Template.normalizeTextFields(textFields);
+  }
+
+  // Convert any text field layout this app has stored to the current
+  // version and validate it. Besides the current layout this accepts a
+  // version 1 layout (uid and badgeName boxes only), an object of
+  // { x, y, fontSize, fontFamily } points keyed by field name, and arrays of
+  // named points or named { x1, y1, x2, y2 } boxes
+  static normalizeTextFields(textFields) {
     if (!textFields || typeof textFields !== 'object') {
       throw new Error('textFields must be an object');
     }
 
-    const requiredFields = ['uid', 'badgeName'];
-    const requiredProperties = ['x', 'y', 'fontSize', 'fontFamily'];
+    let layout;
+    if (Array.isArray(textFields)) {
+      layout = {
+        version: TEXT_FIELD_LAYOUT_VERSION,
+        fields: textFields.map((field, index) => {
+          if (!field || typeof field !== 'object' || !TEXT_FIELD_NAMES.includes(field.name)) {
+            throw new Error(`textFields[${index}] name must be one of: ${TEXT_FIELD_NAMES.join(', ')}`);
+          }
+          return Template.legacyFieldToBox(field.name, field);
+        })
+      };
+    } else if (textFields.version === 1) {
+      layout = { version: TEXT_FIELD_LAYOUT_VERSION, fields: textFields.fields };
+    } else if (textFields.version !== undefined || textFields.fields !== undefined) {
+      if (textFields.version !== TEXT_FIELD_LAYOUT_VERSION) {
+        throw new Error(`textFields version ${textFields.version} is not supported`);
+      }
+      layout = textFields;
+    } else {
+      layout = {
+        version: TEXT_FIELD_LAYOUT_VERSION,
+        fields: TEXT_FIELD_NAMES
+          .filter(name => textFields[name])
+          .map(name => Template.legacyFieldToBox(name, textFields[name]))
+      };
+    }
 
-    requiredFields.forEach(field => {
-      if (!textFields[field]) {
-        throw new Error(`textFields must contain '${field}' configuration`);
+    Template.validateTextFieldLayout(layout);
+    return layout;
+  }
+
+  // Convert one field of an older layout to a box. Point fields are checked
+  // the way their layout always was, since the box is built from them
+  static legacyFieldToBox(name, field) {
+    const defaults = LEGACY_FIELD_DEFAULTS[name];
+
+    if (field.x1 !== undefined) {
+      const box = {
+        name,
+        x1: field.x1,
+        y1: field.y1,
+        x2: field.x2,
+        y2: field.y2,
+        fontFamily: field.fontFamily || defaults.fontFamily
+      };
+      if (field.fontSize !== undefined) {
+        box.fontSize = field.fontSize;
+      }
+      return box;
+    }
+
+    ['x', 'y', 'fontSize', 'fontFamily'].forEach(prop => {
+      if (field[prop] === undefined || field[prop] === null) {
+        throw new Error(`textFields.${name} must contain '${prop}' property`);
       }
+    });
+
+    if (typeof field.x !== 'number' || typeof field.y !== 'number' || typeof field.fontSize !== 'number') {
+      throw new Error(`textFields.${name} x, y, and fontSize must be numbers`);
+    }
+
+    return {
+      name,
+      x1: field.x,
+      y1: field.y,
+      x2: field.x + defaults.width,
+      y2: field.y + defaults.height,
+      fontFamily: field.fontFamily,
+      fontSize: field.fontSize
+    };
+  }
+
+  // Validate a layout in the current version. Which custom fields a
+  // template has isn't known here; see validateFieldBoxes
+  static validateTextFieldLayout(layout) {
+    if (!Array.isArray(layout.fields)) {
+      throw new Error('textFields fields must be an array');
+    }
+
+    const names = new Set();
+    layout.fields.forEach((field, index) => {
+      if (!field || typeof field !== 'object' || typeof field.name !== 'string' ||
+          !(TEXT_FIELD_NAMES.includes(field.name) || CUSTOM_FIELD_NAME_PATTERN.test(field.name))) {
+        throw new Error(`textFields.fields[${index}] name must be ${TEXT_FIELD_NAMES.join(', ')} or a custom field name`);
+      }
+
+      if (names.has(field.name)) {
+        throw new Error(`textFields.${field.name} is listed more than once`);
+      }
+      names.add(field.name);
+
+      if (TEXT_FIELD_NAMES.includes(field.name) && field.fontFamily === undefined) {
+        throw new Error(`textFields.${field.name} fontFamily must be a non-empty string`);
+      }
+
+      Template.validateBox(field, `textFields.${field.name}`);
+    });
+
+    TEXT_FIELD_NAMES.forEach(name => {
+      if (!names.has(name)) {
+        throw new Error(`textFields must contain '${name}' configuration`);
+      }
+    });
+
+    if (layout.back === undefined) {
+      return;
+    }
+
+    if (!Array.isArray(layout.back)) {
+      throw new Error('textFields back must be an array');
+    }
+
+    layout.back.forEach((field, index) => {
+      if (!field || !BACK_FIELD_TYPES.includes(field.type)) {
+        throw new Error(`textFields.back[${index}] type must be one of: ${BACK_FIELD_TYPES.join(', ')}`);
+      }
+
+      if (typeof field.value !== 'string' || (field.type === 'qr' && field.value.trim() === '')) {
+        throw new Error(`textFields.back[${index}] value must be a ${field.type === 'qr' ? 'non-empty ' : ''}string`);
+      }
+
+      Template.validateBox(field, `textFields.back[${index}]`);
+    });
+  }
+
+  // Validate a box of the layout: x1, y1, x2 and y2, an optional fontFamily
+  // and fontSize, and the styling of its text (see
+  // Template.validateTextStyle). `label` names the box in error messages
+  static validateBox(box, label) {
+    ['x1', 'y1', 'x2', 'y2'].forEach(prop => {
+      if (typeof box[prop] !== 'number') {
+        throw new Error(`${label} x1, y1, x2 and y2 must be numbers`);
+      }
+    });
+
+    if (box.x2 <= box.x1 || box.y2 <= box.y1) {
+      throw new Error(`${label} x2 and y2 must be greater than x1 and y1`);
+    }
+
+    if (box.fontFamily !== undefined && (typeof box.fontFamily !== 'string' || box.fontFamily.trim() === '')) {
+      throw new Error(`${label} fontFamily must be a non-empty string`);
+    }
+
+    if (box.fontSize !== undefined && (typeof box.fontSize !== 'number' || box.fontSize <= 0)) {
+      throw new Error(`${label} fontSize must be a positive number`);
+    }
+
+    Template.validateTextStyle(box, label);
+  }
 
-      const fieldConfig = textFields[field];
-      requiredProperties.forEach(prop => {
-        if (fieldConfig[prop] === undefined || fieldConfig[prop] === null) {
-          throw new Error(`textFields.${field} must contain '${prop}' property`);
+  // Validate the optional styling of a text field: fontFallbacks (fonts to
+  // try, in order, when fontFamily isn't available), minFontSize and
+  // maxFontSize (fontSize caps the size when maxFontSize isn't set), wrap,
+  // align, verticalAlign, color, strokeColor, strokeWidth and letterSpacing.
+  // `label` names the field in error messages
+  static validateTextStyle(field, label) {
+    if (field.fontFallbacks !== undefined && (!Array.isArray(field.fontFallbacks) ||
+        !field.fontFallbacks.every(name => typeof name === 'string' && name.trim() !== ''))) {
+      throw new Error(`${label} fontFallbacks must be a list of font names`);
+    }
+
+    ['minFontSize', 'maxFontSize'].forEach(prop => {
+      if (field[prop] !== undefined && (typeof field[prop] !== 'number' || field[prop] <= 0)) {
+        throw new Error(`${label} ${prop} must be a positive number`);
+      }
+    });
+
+    if (field.minFontSize !== undefined && field.maxFontSize !== undefined && field.minFontSize > field.maxFontSize) {
+      throw new Error(`${label} minFontSize must not be greater than maxFontSize`);
+    }
+
+    if (field.wrap !== undefined && typeof field.wrap !== 'boolean') {
+      throw new Error(`${label} wrap must be true or false`);
+    }
+
+    if (field.align !== undefined && !TEXT_ALIGNMENTS.includes(field.align)) {
+      throw new Error(`${label} align must be one of: ${TEXT_ALIGNMENTS.join(', ')}`);
+    }
+
+    if (field.verticalAlign !== undefined && !VERTICAL_ALIGNMENTS.includes(field.verticalAlign)) {
+      throw new Error(`${label} verticalAlign must be one of: ${VERTICAL_ALIGNMENTS.join(', ')}`);
+    }
+
+    ['color', 'strokeColor'].forEach(prop => {
+      if (field[prop] !== undefined && (typeof field[prop] !== 'string' || !HEX_COLOR_PATTERN.test(field[prop]))) {
+        throw new Error(`${label} ${prop} must be a hex colour such as #1a1a1a`);
+      }
+    });
+
+    if (field.strokeWidth !== undefined && (typeof field.strokeWidth !== 'number' || field.strokeWidth < 0)) {
+      throw new Error(`${label} strokeWidth must be a number of 0 or more`);
+    }
+
+    if (field.letterSpacing !== undefined && typeof field.letterSpacing !== 'number') {
+      throw new Error(`${label} letterSpacing must be a number`);
+    }
+  }
+
+  // Rewrite text field layouts stored in an older shape in the current
+  // version, moving the boxes custom fields and back sides used to carry
+  // into the layout. Layouts that can't be converted are left as they are
+  // and reported. Returns the number of templates migrated
+  async migrateTextFields() {
+    const rows = await this.connection.all('SELECT id, name, text_fields, back_side, custom_fields FROM templates');
+    let migrated = 0;
+
+    for (const row of rows) {
+      let layout;
+      let backSide;
+      let customFields;
+      try {
+        const textFields = JSON.parse(row.text_fields);
+        if (textFields && textFields.version === TEXT_FIELD_LAYOUT_VERSION) {
+          continue;
+        }
+        layout = Template.normalizeTextFields(textFields);
+        backSide = row.back_side ? JSON.parse(row.back_side) : null;
+        customFields = row.custom_fields ? JSON.parse(row.custom_fields) : null;
+
+        (customFields || []).forEach((field, index) => {
+          const schema = {};
+          const box = { name: field.name };
+          Object.keys(field).forEach(prop => {
+            if (CUSTOM_FIELD_PROPERTIES.includes(prop)) {
+              schema[prop] = field[prop];
+            } else {
+              box[prop] = field[prop];
+            }
+          });
+          customFields[index] = schema;
+          if (box.x1 !== undefined) {
+            layout.fields.push(box);
+          }
+        });
+
+        if (backSide && backSide.fields) {
+          const { fields, ...rest } = backSide;
+          layout.back = fields;
+          backSide = rest;
         }
-      });
 
-      // Validate numeric properties
-      if (typeof fieldConfig.x !== 'number' || typeof fieldConfig.y !== 'number' || typeof fieldConfig.fontSize !== 'number') {
-        throw new Error(`textFields.${field} x, y, and fontSize must be numbers`);
+        Template.validateTextFieldLayout(layout);
+      } catch (error) {
+        console.warn(`Could not migrate text fields of template '${row.name}': ${error.message}`);
+        continue;
+      }
+
+      await this.connection.run(
+        'UPDATE templates SET text_fields = ?, back_side = ?, custom_fields = ? WHERE id = ?',
+        [
+          JSON.stringify(layout),
+          backSide ? JSON.stringify(backSide) : null,
+          customFields ? JSON.stringify(customFields) : null,
+          row.id
+        ]
+      );
+      migrated++;
+    }
+
+    return migrated;
+  }
+
+  // Validate back side structure: an optional background image. A template
+  // with a back side prints it; its boxes are in the text field layout
+  validateBackSide(backSide) {
+    if (!backSide || typeof backSide !== 'object' || Array.isArray(backSide)) {
+      throw new Error('backSide must be an object');
+    }
+
+    if (backSide.background !== undefined &&
+        (typeof backSide.background !== 'string' || backSide.background !== path.basename(backSide.background))) {
+      throw new Error('backSide background must be an image file name');
+    }
+
+    if (backSide.fields !== undefined) {
+      throw new Error('backSide fields belong in the text field layout, as textFields.back');
+    }
+  }
+
+  // Validate custom fields: a list of named fields, each with a type, a
+  // label, and an optional required flag and maximum length. Where a field
+  // is drawn is up to the text field layout
+  validateCustomFields(customFields) {
+    if (!Array.isArray(customFields)) {
+      throw new Error('customFields must be an array');
+    }
+
+    const names = new Set();
+    customFields.forEach((field, index) => {
+      if (!field || typeof field !== 'object') {
+        throw new Error(`customFields[${index}] must be an object`);
+      }
+
+      if (typeof field.name !== 'string' || !CUSTOM_FIELD_NAME_PATTERN.test(field.name)) {
+        throw new Error(`customFields[${index}] name must start with a letter and contain only letters, numbers and underscores`);
+      }
+
+      if (RESERVED_FIELD_NAMES.includes(field.name) || names.has(field.name)) {
+        throw new Error(`customFields[${index}] name '${field.name}' is already used`);
+      }
+      names.add(field.name);
+
+      if (!CUSTOM_FIELD_TYPES.includes(field.type)) {
+        throw new Error(`customFields[${index}] type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`);
+      }
+
+      if (typeof field.label !== 'string' || field.label.trim() === '') {
+        throw new Error(`customFields[${index}] label must be a non-empty string`);
+      }
+
+      if (field.required !== undefined && typeof field.required !== 'boolean') {
+        throw new Error(`customFields[${index}] required must be true or false`);
+      }
+
+      if (field.maxLength !== undefined && (!Number.isInteger(field.maxLength) || field.maxLength < 1)) {
+        throw new Error(`customFields[${index}] maxLength must be a positive whole number`);
+      }
+
+      const extra = Object.keys(field).find(prop => !CUSTOM_FIELD_PROPERTIES.includes(prop));
+      if (extra) {
+        throw new Error(`customFields[${index}] ${extra} is not part of a custom field; its box and styling go in the text field layout`);
+      }
+    });
+  }
+
+  // Check that every box of a layout places uid, badgeName or one of the
+  // template's custom fields
+  validateFieldBoxes(layout, customFields) {
+    layout.fields.forEach(field => {
+      if (!TEXT_FIELD_NAMES.includes(field.name) && !customFields.some(customField => customField.name === field.name)) {
+        throw new Error(`textFields.${field.name} is not a field of this template`);
       }
+    });
+  }
+
+  // Check the values submitted for a template's custom fields. Returns the
+  // trimmed values of the fields that were filled in, and a message for each
+  // problem found.
+  validateFieldValues(customFields, fieldValues) {
+    const errors = [];
+    const values = {};
+
+    if (fieldValues === undefined || fieldValues === null) {
+      fieldValues = {};
+    } else if (typeof fieldValues !== 'object' || Array.isArray(fieldValues)) {
+      return { values, errors: ['fieldValues must be an object'] };
+    }
 
-      // Validate string properties
-      if (typeof fieldConfig.fontFamily !== 'string' || fieldConfig.fontFamily.trim() === '') {
-        throw new Error(`textFields.${field} fontFamily must be a non-empty string`);
+    Object.keys(fieldValues).forEach(name => {
+      if (!customFields.some(field => field.name === name)) {
+        errors.push(`${name} is not a field of this template`);
       }
     });
+
+    customFields.forEach(field => {
+      const raw = fieldValues[field.name];
+
+      if (raw !== undefined && raw !== null && typeof raw !== 'string') {
+        errors.push(`${field.name} must be a string`);
+        return;
+      }
+
+      const value = raw ? raw.trim() : '';
+      if (value === '') {
+        if (field.required) {
+          errors.push(`${field.name} is required`);
+        }
+        return;
+      }
+
+      if (field.maxLength && value.length > field.maxLength) {
+        errors.push(`${field.name} must be ${field.maxLength} characters or less`);
+      } else if (field.type === 'date' && !this.isValidDate(value)) {
+        errors.push(`${field.name} must be a date (YYYY-MM-DD)`);
+      } else {
+        values[field.name] = value;
+      }
+    });
+
+    return { values, errors };
+  }
+
+  // Whether a YYYY-MM-DD string is a real calendar date
+  isValidDate(value) {
+    if (!DATE_PATTERN.test(value)) {
+      return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
   }
 
   // Convert camelCase to snake_case
@@ -267,10 +744,19 @@ class Template {
       previewPath: row.preview_path,
       textFields: JSON.parse(row.text_fields),
       printerPresets: row.printer_presets,
+      backSide: row.back_side ? JSON.parse(row.back_side) : null,
+      customFields: row.custom_fields ? JSON.parse(row.custom_fields) : [],
       createdAt: new Date(row.created_at),
       updatedAt: new Date(row.updated_at)
     };
   }
 }
 
+Template.TEXT_FIELD_LAYOUT_VERSION = TEXT_FIELD_LAYOUT_VERSION;
+Template.TEXT_FIELD_NAMES = TEXT_FIELD_NAMES;
+Template.TEXT_ALIGNMENTS = TEXT_ALIGNMENTS;
+Template.VERTICAL_ALIGNMENTS = VERTICAL_ALIGNMENTS;
+Template.BACK_FIELD_TYPES = BACK_FIELD_TYPES;
+Template.CUSTOM_FIELD_TYPES = CUSTOM_FIELD_TYPES;
+
 module.exports = Template;
\ No newline at end of file
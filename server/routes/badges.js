@@ -1,10 +1,25 @@
 const express = require('express');
 const TemplateProcessor = require('../services/TemplateProcessor');
 const Template = require('../models/Template');
+const BadgeJob = require('../models/BadgeJob');
+const { PRESET_ID_PATTERN } = require('../services/PrinterInterface');
 const { asyncHandler, createError } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 const router = express.Router();
 
+// Errors for a preset no printer has (none when presets aren't managed)
+const checkPresetExists = (req, presetId, description) => {
+  const printerInterface = req.app.get('printerInterface');
+  if (!printerInterface) {
+    return [];
+  }
+
+  const presetIds = printerInterface.getPresetIds();
+  return presetIds.includes(presetId)
+    ? []
+    : [`${description} does not exist; valid presets are: ${presetIds.join(', ')}`];
+};
+
 // Input validation middleware
 const validateBadgeInput = asyncHandler(async (req, res, next) => {
   let { templateId, uid, badgeName } = req.body;
@@ -57,6 +72,56 @@ const validateBadgeInput = asyncHandler(async (req, res, next) => {
     errors.push('uid can only contain letters, numbers, hyphens, and underscores');
   }
 
+  // Optional badge category, used for printer routing
+  let { category } = req.body;
+  if (category !== undefined && category !== null) {
+    if (typeof category !== 'string') {
+      errors.push('category must be a string');
+    } else {
+      category = category.trim();
+      if (category.length > 50) {
+        errors.push('category must be 50 characters or less');
+      }
+    }
+  }
+
+  // Optional queue lane
+  const { priority } = req.body;
+  if (priority !== undefined && priority !== null && !BadgeJob.PRIORITIES.includes(priority)) {
+    errors.push(`priority must be one of: ${BadgeJob.PRIORITIES.join(', ')}`);
+  }
+
+  // Optional printer preset, overriding the template's default for this job
+  const { printerPreset } = req.body;
+  if (printerPreset !== undefined && printerPreset !== null &&
+      (typeof printerPreset !== 'string' || !PRESET_ID_PATTERN.test(printerPreset))) {
+    errors.push('printerPreset must be a preset ID (letters, numbers, hyphens and underscores)');
+  }
+
+  // Values for the template's custom fields, checked against its field schema;
+  // a missing template is reported by the route
+  let fieldValues = {};
+  const dbConnection = req.app.get('dbConnection');
+  if (typeof templateId === 'string' && templateId !== '' && dbConnection) {
+    const templateModel = new Template(dbConnection);
+    const template = await templateModel.findById(templateId);
+    if (template) {
+      const result = templateModel.validateFieldValues(template.customFields, req.body.fieldValues);
+      errors.push(...result.errors);
+      fieldValues = result.values;
+
+      // A job the template's preset can't be printed with would otherwise
+      // print with the default preset
+      if (!printerPreset && template.printerPresets) {
+        errors.push(...checkPresetExists(req, template.printerPresets, `template preset '${template.printerPresets}'`));
+      }
+    }
+  }
+
+  if (typeof printerPreset === 'string' && PRESET_ID_PATTERN.test(printerPreset)) {
+    errors.push(...checkPresetExists(req, printerPreset, `printerPreset '${printerPreset}'`));
+  }
+
   if (errors.length > 0) {
     await logger.warn('Badge input validation failed', { 
       errors,
@@ -74,6 +139,10 @@ const validateBadgeInput = asyncHandler(async (req, res, next) => {
   req.body.templateId = templateId;
   req.body.uid = uid;
   req.body.badgeName = badgeName;
+  req.body.category = category || null;
+  req.body.priority = priority || 'normal';
+  req.body.printerPreset = printerPreset || null;
+  req.body.fieldValues = fieldValues;
 
   await logger.debug('Badge input validation passed', { 
     validatedInput: { templateId, uid, badgeName }
@@ -107,9 +176,10 @@ router.post('/', validateBadgeInput, asyncHandler(async (req, res) => {
   // Validate template exists and is accessible
   const templateModel = new Template(dbConnection);
   const templateProcessor = new TemplateProcessor();
+  let template;
   
   try {
-    const template = await templateModel.findById(templateId);
+    template = await templateModel.findById(templateId);
     if (!template) {
       throw createError('TEMPLATE_NOT_FOUND', `Template with ID '${templateId}' does not exist`, {
         templateId,
@@ -159,8 +229,12 @@ router.post('/', validateBadgeInput, asyncHandler(async (req, res) => {
   
   // Add job to queue (this will handle UID uniqueness validation)
   try {
-    const { badgeImage } = req.body;
-    const job = await queueManager.addJob({ templateId, uid, badgeName, badgeImage });
+    const { badgeImage, category, priority, printerPreset, fieldValues } = req.body;
+    
+    // A per-job preset wins over the template's default; with neither the
+    // printer's default preset is used
+    const requestedPreset = printerPreset || template.printerPresets || null;
+    const job = await queueManager.addJob({ templateId, uid, badgeName, badgeImage, category, priority, requestedPreset, fieldValues });
     
     await logger.info('Badge job added to queue successfully', { 
       jobId: job.id,
@@ -176,6 +250,10 @@ router.post('/', validateBadgeInput, asyncHandler(async (req, res) => {
         templateId: job.templateId,
         uid: job.uid,
         badgeName: job.badgeName,
+        category: job.category,
+        priority: job.priority,
+        requestedPreset: job.requestedPreset,
+        fieldValues: job.fieldValues,
         status: job.status,
         createdAt: job.createdAt,
         retryCount: job.retryCount
@@ -262,8 +340,8 @@ router.post('/preview', validateBadgeInput, asyncHandler(async (req, res) => {
   
   // Generate badge preview
   try {
-    const { badgeImage } = req.body;
-    const badgeBuffer = await templateProcessor.generateBadge(templateId, uid, badgeName, templateModel, badgeImage);
+    const { badgeImage, fieldValues } = req.body;
+    const badgeBuffer = await templateProcessor.generateBadge(templateId, uid, badgeName, templateModel, badgeImage, null, fieldValues);
     
     await logger.template('Badge preview generated successfully', { 
       templateId,
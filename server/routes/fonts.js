@@ -0,0 +1,100 @@
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const FontManager = require('../services/FontManager');
+const router = express.Router();
+
+// Font files are small; anything bigger is not a font worth printing with
+const MAX_FONT_SIZE = 20 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FONT_SIZE, files: 1 },
+  fileFilter: (req, file, callback) => {
+    callback(null, FontManager.FONT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase()));
+  }
+}).single('font');
+
+// Parse a multipart font upload, answering upload errors with a 400
+const parseFontUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        error: 'Invalid upload',
+        message: error.message
+      });
+    }
+    next(error);
+  });
+};
+
+// GET /api/fonts - List the bundled and uploaded fonts badges can use
+router.get('/', (req, res) => {
+  const fontManager = req.app.get('fontManager');
+
+  if (!fontManager) {
+    return res.status(503).json({
+      error: 'Service unavailable',
+      message: 'Font manager is not available'
+    });
+  }
+
+  const fonts = fontManager.getFonts();
+  res.json({
+    message: 'Fonts retrieved successfully',
+    fonts,
+    count: fonts.length
+  });
+});
+
+// POST /api/fonts - Upload a TrueType or OpenType font (multipart field: font)
+router.post('/', parseFontUpload, async (req, res, next) => {
+  try {
+    const fontManager = req.app.get('fontManager');
+
+    if (!fontManager) {
+      return res.status(503).json({
+        error: 'Service unavailable',
+        message: 'Font manager is not available'
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Invalid font',
+        message: `A font file is required (${FontManager.FONT_EXTENSIONS.join(', ')})`
+      });
+    }
+
+    try {
+      FontManager.readFontNames(req.file.buffer);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Invalid font',
+        message: validationError.message
+      });
+    }
+
+    let font;
+    try {
+      font = await fontManager.saveUpload(req.file.originalname, req.file.buffer);
+    } catch (uploadError) {
+      if (uploadError.message.includes('already exists')) {
+        return res.status(409).json({
+          error: 'Font already exists',
+          message: uploadError.message
+        });
+      }
+      throw uploadError;
+    }
+
+    res.status(201).json({
+      message: 'Font uploaded successfully',
+      font
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const BadgeJob = require('../models/BadgeJob');
 
 // GET /api/jobs/history - Get job history with filtering
 router.get('/history', async (req, res, next) => {
@@ -66,7 +67,9 @@ router.get('/history', async (req, res, next) => {
       createdAt: new Date(row.created_at),
       processedAt: row.processed_at ? new Date(row.processed_at) : null,
       retryCount: row.retry_count,
-      errorMessage: row.error_message
+      errorMessage: row.error_message,
+      printerId: row.printer_id || null,
+      printerPreset: row.printer_preset || null
     }));
     
     res.json({
@@ -84,6 +87,94 @@ router.get('/history', async (req, res, next) => {
   }
 });
 
+// GET /api/jobs/review - Jobs interrupted mid-print that need an operator decision
+router.get('/review', async (req, res, next) => {
+  try {
+    const dbConnection = req.app.get('dbConnection');
+    
+    if (!dbConnection) {
+      return res.status(503).json({ 
+        error: 'Service unavailable',
+        message: 'Database connection is not available'
+      });
+    }
+    
+    const badgeJobModel = new BadgeJob(dbConnection);
+    const jobs = await badgeJobModel.findAll('needs_review');
+    
+    res.json({
+      jobs,
+      count: jobs.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/jobs/:id/review - Confirm an interrupted job was printed, or reprint it
+router.post('/:id/review', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { action } = req.body;
+    
+    if (!id || typeof id !== 'string' || id.trim() === '') {
+      return res.status(400).json({
+        error: 'Invalid job ID',
+        message: 'Job ID must be a non-empty string'
+      });
+    }
+    
+    if (!BadgeJob.REVIEW_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        error: 'Invalid action',
+        message: `Action must be one of: ${BadgeJob.REVIEW_ACTIONS.join(', ')}`
+      });
+    }
+    
+    const queueManager = req.app.get('queueManager');
+    
+    if (!queueManager) {
+      return res.status(503).json({ 
+        error: 'Service unavailable',
+        message: 'The print queue service is not initialized'
+      });
+    }
+    
+    const resolvedJob = await queueManager.resolveReviewJob(id.trim(), action);
+    
+    res.json({ 
+      message: action === 'confirm' ? 'Job marked as printed' : 'Job queued for reprint',
+      job: {
+        id: resolvedJob.id,
+        templateId: resolvedJob.templateId,
+        uid: resolvedJob.uid,
+        badgeName: resolvedJob.badgeName,
+        status: resolvedJob.status,
+        createdAt: resolvedJob.createdAt
+      }
+    });
+  } catch (error) {
+    // Handle specific error cases
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: error.message,
+        jobId: req.params.id
+      });
+    }
+    
+    if (error.message.includes('Only jobs awaiting review') || error.message.includes('already in use')) {
+      return res.status(409).json({
+        error: 'Job cannot be resolved',
+        message: error.message,
+        jobId: req.params.id
+      });
+    }
+    
+    next(error);
+  }
+});
+
 // POST /api/jobs/:id/manual-intervention - Manual intervention for stuck jobs
 router.post('/:id/manual-intervention', async (req, res, next) => {
   try {
@@ -127,22 +218,46 @@ router.post('/:id/manual-intervention', async (req, res, next) => {
       });
     }
     
-    // Only allow manual intervention on processing or failed jobs
-    if (!['processing', 'failed'].includes(job.status)) {
+    // Only allow manual intervention on processing, printing or failed jobs
+    if (!['processing', 'printing', 'failed'].includes(job.status)) {
       return res.status(409).json({
         error: 'Manual intervention not allowed',
-        message: `Manual intervention is only allowed for processing or failed jobs. Current status: ${job.status}`,
+        message: `Manual intervention is only allowed for processing, printing or failed jobs. Current status: ${job.status}`,
         jobId: id.trim()
       });
     }
     
+    // Stop a job still on a printer first, or its print would carry on and
+    // overwrite the operator's decision when it finishes. Wait for the
+    // printer to say whether the card was cancelled before deciding
+    let cancellation = null;
+    if (job.status === 'processing' || job.status === 'printing') {
+      const execution = queueManager.stopJobExecution(job.id);
+      if (execution) {
+        cancellation = await queueManager.waitForCancellation(execution);
+      }
+      if (cancellation) {
+        await badgeJobModel.recordCancellation(job.id, cancellation.confirmed);
+      }
+    }
+
     let updatedJob;
     const interventionReason = reason || `Manual intervention: ${action}`;
-    
+
     switch (action) {
       case 'reset':
+        // A card whose cancellation wasn't confirmed may still come out, and
+        // printing the job again could make a second one
+        if (cancellation && !cancellation.confirmed) {
+          updatedJob = await badgeJobModel.flagForReview(
+            id.trim(),
+            `${interventionReason}; cancellation not confirmed, check whether the card was produced`
+          );
+          break;
+        }
         // Reset job to queued status
         updatedJob = await badgeJobModel.updateStatus(id.trim(), 'queued');
+        queueManager.wake();
         break;
       case 'fail':
         // Mark job as failed with intervention reason
@@ -159,7 +274,9 @@ router.post('/:id/manual-intervention', async (req, res, next) => {
     queueManager.broadcastJobStatusChange(updatedJob);
     
     res.json({
-      message: `Manual intervention completed: ${action}`,
+      message: updatedJob.status === 'needs_review'
+        ? `Manual intervention held for review: ${action}`
+        : `Manual intervention completed: ${action}`,
       job: {
         id: updatedJob.id,
         templateId: updatedJob.templateId,
@@ -289,4 +406,69 @@ router.post('/:id/retry', async (req, res, next) => {
   }
 });
 
+// POST /api/jobs/:id/priority - Move a queued job to another priority lane
+router.post('/:id/priority', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { priority } = req.body;
+    
+    if (!id || typeof id !== 'string' || id.trim() === '') {
+      return res.status(400).json({
+        error: 'Invalid job ID',
+        message: 'Job ID must be a non-empty string'
+      });
+    }
+    
+    if (!BadgeJob.PRIORITIES.includes(priority)) {
+      return res.status(400).json({
+        error: 'Invalid priority',
+        message: `Priority must be one of: ${BadgeJob.PRIORITIES.join(', ')}`
+      });
+    }
+    
+    const queueManager = req.app.get('queueManager');
+    
+    if (!queueManager) {
+      return res.status(503).json({ 
+        error: 'Service unavailable',
+        message: 'The print queue service is not initialized'
+      });
+    }
+    
+    const updatedJob = await queueManager.setJobPriority(id.trim(), priority);
+    
+    res.json({ 
+      message: 'Job priority updated successfully',
+      job: {
+        id: updatedJob.id,
+        templateId: updatedJob.templateId,
+        uid: updatedJob.uid,
+        badgeName: updatedJob.badgeName,
+        status: updatedJob.status,
+        priority: updatedJob.priority,
+        createdAt: updatedJob.createdAt
+      }
+    });
+  } catch (error) {
+    // Handle specific error cases
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: error.message,
+        jobId: req.params.id
+      });
+    }
+    
+    if (error.message.includes('Only queued jobs')) {
+      return res.status(409).json({
+        error: 'Job cannot be reprioritized',
+        message: error.message,
+        jobId: req.params.id
+      });
+    }
+    
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
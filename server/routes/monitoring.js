@@ -2,6 +2,7 @@ const express = require('express');
 const { asyncHandler } = require('../utils/errorHandler');
 const logger = require('../utils/logger');
 const diagnostics = require('../utils/diagnostics');
+const PrinterConsumable = require('../models/PrinterConsumable');
 const router = express.Router();
 
 /**
@@ -369,6 +370,37 @@ router.get('/alerts', asyncHandler(async (req, res) => {
     }
   }
 
+  // Ribbon and card stock at or below its low-stock threshold
+  const dbConnection = req.app.get('dbConnection');
+  if (dbConnection) {
+    try {
+      const lowConsumables = await new PrinterConsumable(dbConnection).findLow();
+      
+      lowConsumables.forEach(consumable => {
+        alerts.push({
+          type: consumable.remaining === 0 ? 'error' : 'warning',
+          category: 'consumables',
+          message: consumable.remaining === 0
+            ? `${consumable.label} used up on ${consumable.printerId}`
+            : `${consumable.label} running low on ${consumable.printerId}`,
+          value: `${consumable.remaining} of ${consumable.capacity} left`,
+          threshold: `${consumable.lowThreshold} left`,
+          printerId: consumable.printerId,
+          consumable: consumable.consumable,
+          timestamp: new Date().toISOString()
+        });
+      });
+    } catch (error) {
+      alerts.push({
+        type: 'error',
+        category: 'consumables',
+        message: 'Consumable stock check failed',
+        value: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   const response = {
     timestamp: new Date().toISOString(),
     alertCount: alerts.length,
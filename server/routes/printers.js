@@ -1,5 +1,117 @@
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
 const router = express.Router();
+const PrinterRoutingRule = require('../models/PrinterRoutingRule');
+const PrinterConsumable = require('../models/PrinterConsumable');
+const { PRESET_ID_PATTERN, DEFAULT_PRESET } = require('../services/PrinterInterface');
+
+// Calibration cards are rendered here before they are sent to the printer
+const CALIBRATION_CARD_DIR = path.join(__dirname, '../../data/temp');
+
+// Build a database model, or answer 503 when the database is not ready
+function getDatabaseModel(req, res, Model) {
+  const dbConnection = req.app.get('dbConnection');
+  
+  if (!dbConnection) {
+    res.status(503).json({
+      success: false,
+      message: 'Database connection is not available'
+    });
+    return null;
+  }
+  
+  return new Model(dbConnection);
+}
+
+// Build the routing rule model, or answer 503 when the database is not ready
+function getRoutingRuleModel(req, res) {
+  return getDatabaseModel(req, res, PrinterRoutingRule);
+}
+
+// Build the consumable model, or answer 503 when the database is not ready
+function getConsumableModel(req, res) {
+  return getDatabaseModel(req, res, PrinterConsumable);
+}
+
+// Status code for a routing rule or consumable model error
+function getRoutingErrorStatus(error) {
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (error.message.includes('already exists')) {
+    return 409;
+  }
+  if (error.message.startsWith('Invalid')) {
+    return 400;
+  }
+  return 500;
+}
+
+// Routing changes can make queued jobs claimable, so let idle printers look again
+function wakeQueue(req) {
+  const queueManager = req.app.get('queueManager');
+  if (queueManager) {
+    queueManager.wake();
+  }
+}
+
+// Fields a preset may store; anything else in the request body is ignored
+const PRESET_FIELDS = ['label', 'description', 'paperSize', 'quality', 'orientation', 'holokote', 'duplex', 'copies', 'scale', 'margins', 'printerOptions'];
+
+// Pick the stored preset fields from a request body
+function getPresetConfig(body) {
+  const presetConfig = {};
+  PRESET_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      presetConfig[field] = body[field];
+    }
+  });
+  return presetConfig;
+}
+
+// Drop the printer options a printer does not support from a preset before
+// it is saved, returning the ones left out
+async function removeUnsupportedPrinterOptions(printerInterface, printerId, presetConfig) {
+  const { printerOptions } = presetConfig;
+  if (!printerOptions || typeof printerOptions !== 'object' || Array.isArray(printerOptions)) {
+    return [];
+  }
+  
+  const { accepted, rejected } = await printerInterface.checkPrinterOptions(printerId, printerOptions);
+  presetConfig.printerOptions = accepted;
+  return rejected;
+}
+
+// Answer 404 for printers that were never discovered, so a mistyped ID
+// can't leave settings behind for a printer that doesn't exist
+function requireKnownPrinter(req, res, next) {
+  const printerInterface = req.app.get('printerInterface');
+  if (!printerInterface.isKnownPrinter(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      message: `Printer ${req.params.id} not found`
+    });
+  }
+  next();
+}
+
+// Status code for a preset error
+function getPresetErrorStatus(error) {
+  if (error.message.includes('not available')) {
+    return 503;
+  }
+  if (error.message.includes('not found')) {
+    return 404;
+  }
+  if (error.message.includes('already exists') || error.message.includes('cannot be removed')) {
+    return 409;
+  }
+  if (error.message.includes(' must ')) {
+    return 400;
+  }
+  return 500;
+}
 
 // GET /api/printers - Discover available printers
 router.get('/', async (req, res, next) => {
@@ -42,6 +154,35 @@ router.get('/status', async (req, res, next) => {
   }
 });
 
+// GET /api/printers/pool - Per-printer current job and throughput
+router.get('/pool', async (req, res, next) => {
+  try {
+    const queueManager = req.app.get('queueManager');
+    
+    if (!queueManager) {
+      return res.status(503).json({
+        success: false,
+        message: 'The print queue service is not initialized'
+      });
+    }
+    
+    const printers = queueManager.getPrinterPoolStatus();
+    
+    res.json({
+      success: true,
+      printers: printers,
+      count: printers.length
+    });
+  } catch (error) {
+    console.error('Printer pool status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get printer pool status',
+      error: error.message
+    });
+  }
+});
+
 // POST /api/printers/:id/connect - Connect to a specific printer
 router.post('/:id/connect', async (req, res, next) => {
   try {
@@ -92,6 +233,29 @@ router.post('/disconnect', async (req, res, next) => {
   }
 });
 
+// POST /api/printers/:id/disconnect - Remove a single printer from the pool
+router.post('/:id/disconnect', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const printerInterface = req.app.get('printerInterface');
+    
+    printerInterface.disconnect(id);
+    
+    res.json({
+      success: true,
+      message: `Disconnected from printer: ${id}`,
+      printerId: id
+    });
+  } catch (error) {
+    console.error('Printer disconnection error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disconnect from printer',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/printers/presets - Get available printer presets
 router.get('/presets', async (req, res, next) => {
   try {
@@ -112,6 +276,484 @@ router.get('/presets', async (req, res, next) => {
   }
 });
 
+// GET /api/printers/:id/options - Get the PPD options a pool printer offers
+router.get('/:id/options', async (req, res, next) => {
+  try {
+    const printerInterface = req.app.get('printerInterface');
+    const isInPool = printerInterface.getActivePrinters().some(printer => printer.id === req.params.id);
+    
+    if (!isInPool) {
+      return res.status(404).json({
+        success: false,
+        message: 'Failed to get printer options',
+        error: `Printer ${req.params.id} is not connected`
+      });
+    }
+    
+    const capabilities = await printerInterface.getPrinterOptions(req.params.id);
+    
+    res.json({
+      success: true,
+      printerId: req.params.id,
+      options: capabilities.options || [],
+      capabilities
+    });
+  } catch (error) {
+    console.error('Printer options error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get printer options',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/printers/:id/presets - Get a printer's presets
+router.get('/:id/presets', requireKnownPrinter, async (req, res, next) => {
+  try {
+    const printerInterface = req.app.get('printerInterface');
+    await printerInterface.loadPrinterPresets(req.params.id);
+    
+    res.json({
+      success: true,
+      printerId: req.params.id,
+      defaultPreset: printerInterface.constructor.DEFAULT_PRESET,
+      presets: printerInterface.getAvailablePresets(req.params.id)
+    });
+  } catch (error) {
+    console.error('Printer presets error:', error);
+    res.status(getPresetErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to get printer presets',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/printers/:id/presets - Add a preset to a printer
+router.post('/:id/presets', requireKnownPrinter, async (req, res, next) => {
+  try {
+    const printerInterface = req.app.get('printerInterface');
+    const presetId = req.body.id;
+    
+    if (typeof presetId !== 'string' || !PRESET_ID_PATTERN.test(presetId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Failed to create preset',
+        error: 'Preset id must start with a letter or digit and contain only letters, digits, hyphens and underscores'
+      });
+    }
+    
+    await printerInterface.loadPrinterPresets(req.params.id);
+    if (printerInterface.getPresets(req.params.id).has(presetId)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Failed to create preset',
+        error: `Preset '${presetId}' already exists`
+      });
+    }
+    
+    const presetConfig = getPresetConfig(req.body);
+    const ignoredOptions = await removeUnsupportedPrinterOptions(printerInterface, req.params.id, presetConfig);
+    const preset = await printerInterface.savePreset(req.params.id, presetId, presetConfig);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Preset created successfully',
+      preset,
+      ignoredOptions
+    });
+  } catch (error) {
+    console.error('Preset creation error:', error);
+    res.status(getPresetErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to create preset',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/printers/:id/presets/:presetId - Replace one of a printer's presets
+router.put('/:id/presets/:presetId', requireKnownPrinter, async (req, res, next) => {
+  try {
+    const printerInterface = req.app.get('printerInterface');
+    const { id: printerId, presetId } = req.params;
+    
+    await printerInterface.loadPrinterPresets(printerId);
+    if (!printerInterface.getPresets(printerId).has(presetId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Failed to update preset',
+        error: `Preset '${presetId}' not found`
+      });
+    }
+    
+    const presetConfig = getPresetConfig(req.body);
+    const ignoredOptions = await removeUnsupportedPrinterOptions(printerInterface, printerId, presetConfig);
+    const preset = await printerInterface.savePreset(printerId, presetId, presetConfig);
+    
+    res.json({
+      success: true,
+      message: 'Preset updated successfully',
+      preset,
+      ignoredOptions
+    });
+  } catch (error) {
+    console.error('Preset update error:', error);
+    res.status(getPresetErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to update preset',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/printers/:id/presets/:presetId - Remove one of a printer's presets
+router.delete('/:id/presets/:presetId', requireKnownPrinter, async (req, res, next) => {
+  try {
+    const printerInterface = req.app.get('printerInterface');
+    await printerInterface.removePreset(req.params.id, req.params.presetId);
+    
+    res.json({
+      success: true,
+      message: 'Preset deleted successfully'
+    });
+  } catch (error) {
+    console.error('Preset deletion error:', error);
+    res.status(getPresetErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to delete preset',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/printers/:id/calibration - A printer's offset, scale and rotation
+router.get('/:id/calibration', requireKnownPrinter, async (req, res, next) => {
+  try {
+    const printerInterface = req.app.get('printerInterface');
+    await printerInterface.loadPrinterPresets(req.params.id);
+    
+    res.json({
+      success: true,
+      printerId: req.params.id,
+      calibration: printerInterface.getCalibration(req.params.id)
+    });
+  } catch (error) {
+    console.error('Printer calibration error:', error);
+    res.status(getPresetErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to get printer calibration',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/printers/:id/calibration - Save the offsets measured from a calibration card
+router.put('/:id/calibration', requireKnownPrinter, async (req, res, next) => {
+  try {
+    const printerInterface = req.app.get('printerInterface');
+    const { offsetX, offsetY, scale, rotation } = req.body;
+    const calibration = await printerInterface.saveCalibration(req.params.id, { offsetX, offsetY, scale, rotation });
+    
+    res.json({
+      success: true,
+      message: 'Calibration saved',
+      printerId: req.params.id,
+      calibration: calibration
+    });
+  } catch (error) {
+    console.error('Printer calibration save error:', error);
+    res.status(getPresetErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to save printer calibration',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/printers/:id/calibration/print - Print a calibration card on a
+// connected printer. The card is printed uncalibrated for measuring, or with
+// the saved calibration when `applyCalibration` is true, to check it.
+router.post('/:id/calibration/print', async (req, res, next) => {
+  let cardPath = null;
+  
+  try {
+    const printerInterface = req.app.get('printerInterface');
+    const templateProcessor = req.app.get('templateProcessor');
+    
+    if (!templateProcessor) {
+      return res.status(503).json({
+        success: false,
+        message: 'The badge renderer is not initialized'
+      });
+    }
+    
+    const printer = printerInterface.getActivePrinters().find(candidate => candidate.id === req.params.id);
+    if (!printer) {
+      return res.status(404).json({
+        success: false,
+        message: `Printer ${req.params.id} is not connected`
+      });
+    }
+    
+    const calibration = req.body && req.body.applyCalibration === true
+      ? printerInterface.getCalibration(printer.id)
+      : null;
+    const cardBuffer = templateProcessor.generateCalibrationCard({ printerName: printer.name, calibration });
+    
+    cardPath = path.join(CALIBRATION_CARD_DIR, `calibration_${Date.now()}.png`);
+    await templateProcessor.saveBadgeToFile(cardBuffer, cardPath);
+    const result = await printerInterface.printDocument(cardPath, DEFAULT_PRESET, printer.id);
+    
+    res.json({
+      success: true,
+      message: `Calibration card sent to ${printer.name}`,
+      printerId: printer.id,
+      calibration: calibration,
+      cupsJobId: (result && result.cupsJobId) || null
+    });
+  } catch (error) {
+    console.error('Calibration card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to print calibration card',
+      error: error.message
+    });
+  } finally {
+    if (cardPath) {
+      fs.promises.unlink(cardPath).catch(() => {});
+    }
+  }
+});
+
+// GET /api/printers/consumables - Ribbon and card stock of every pool printer
+// and every printer that has printed since its supplies were tracked
+router.get('/consumables', async (req, res, next) => {
+  try {
+    const consumableModel = getConsumableModel(req, res);
+    if (!consumableModel) {
+      return;
+    }
+    
+    const printerInterface = req.app.get('printerInterface');
+    const printerIds = new Set(printerInterface.getActivePrinters().map(printer => printer.id));
+    if (printerInterface.selectedPrinter) {
+      printerIds.add(printerInterface.selectedPrinter.id);
+    }
+    (await consumableModel.findAll()).forEach(consumable => printerIds.add(consumable.printerId));
+    
+    const printers = [];
+    for (const printerId of printerIds) {
+      const consumables = await consumableModel.findByPrinter(printerId);
+      printers.push({ printerId, consumables, isLow: consumables.some(consumable => consumable.isLow) });
+    }
+    
+    res.json({
+      success: true,
+      printers: printers,
+      count: printers.length
+    });
+  } catch (error) {
+    console.error('Consumables list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get printer consumables',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/printers/:id/consumables - Ribbon and card stock of one printer
+router.get('/:id/consumables', requireKnownPrinter, async (req, res, next) => {
+  try {
+    const consumableModel = getConsumableModel(req, res);
+    if (!consumableModel) {
+      return;
+    }
+    
+    const consumables = await consumableModel.findByPrinter(req.params.id);
+    
+    res.json({
+      success: true,
+      printerId: req.params.id,
+      consumables: consumables
+    });
+  } catch (error) {
+    console.error('Consumables error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get printer consumables',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/printers/:id/consumables/:consumable - Set capacity and low-stock threshold
+router.put('/:id/consumables/:consumable', requireKnownPrinter, async (req, res, next) => {
+  try {
+    const consumableModel = getConsumableModel(req, res);
+    if (!consumableModel) {
+      return;
+    }
+    
+    const { capacity, lowThreshold } = req.body;
+    const consumable = await consumableModel.updateSettings(req.params.id, req.params.consumable, {
+      capacity,
+      lowThreshold
+    });
+    
+    res.json({
+      success: true,
+      message: 'Consumable settings updated',
+      consumable: consumable
+    });
+  } catch (error) {
+    console.error('Consumable settings error:', error);
+    res.status(getRoutingErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to update consumable settings',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/printers/:id/consumables/:consumable/replace - Record a new ribbon
+// or a refilled card hopper, resetting its count to capacity
+router.post('/:id/consumables/:consumable/replace', requireKnownPrinter, async (req, res, next) => {
+  try {
+    const consumableModel = getConsumableModel(req, res);
+    if (!consumableModel) {
+      return;
+    }
+    
+    const consumable = await consumableModel.replace(req.params.id, req.params.consumable);
+    
+    res.json({
+      success: true,
+      message: `${consumable.label} replaced`,
+      consumable: consumable
+    });
+  } catch (error) {
+    console.error('Consumable replace error:', error);
+    res.status(getRoutingErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to record consumable replacement',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/printers/routing - List template, house and category routing rules
+router.get('/routing', async (req, res, next) => {
+  try {
+    const routingRuleModel = getRoutingRuleModel(req, res);
+    if (!routingRuleModel) {
+      return;
+    }
+    
+    const rules = await routingRuleModel.findAll();
+    
+    res.json({
+      success: true,
+      rules: rules,
+      matchTypes: PrinterRoutingRule.MATCH_TYPES,
+      count: rules.length
+    });
+  } catch (error) {
+    console.error('Printer routing list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get printer routing rules',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/printers/routing - Create a routing rule
+router.post('/routing', async (req, res, next) => {
+  try {
+    const routingRuleModel = getRoutingRuleModel(req, res);
+    if (!routingRuleModel) {
+      return;
+    }
+    
+    const { matchType, matchValue, printerName, fallbackPrinterName } = req.body;
+    const rule = await routingRuleModel.create({ matchType, matchValue, printerName, fallbackPrinterName });
+    wakeQueue(req);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Routing rule created',
+      rule: rule
+    });
+  } catch (error) {
+    console.error('Printer routing create error:', error);
+    res.status(getRoutingErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to create routing rule',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/printers/routing/:ruleId - Update a routing rule
+router.put('/routing/:ruleId', async (req, res, next) => {
+  try {
+    const routingRuleModel = getRoutingRuleModel(req, res);
+    if (!routingRuleModel) {
+      return;
+    }
+    
+    const { matchType, matchValue, printerName, fallbackPrinterName } = req.body;
+    const rule = await routingRuleModel.update(req.params.ruleId, {
+      matchType,
+      matchValue,
+      printerName,
+      fallbackPrinterName
+    });
+    wakeQueue(req);
+    
+    res.json({
+      success: true,
+      message: 'Routing rule updated',
+      rule: rule
+    });
+  } catch (error) {
+    console.error('Printer routing update error:', error);
+    res.status(getRoutingErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to update routing rule',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/printers/routing/:ruleId - Delete a routing rule
+router.delete('/routing/:ruleId', async (req, res, next) => {
+  try {
+    const routingRuleModel = getRoutingRuleModel(req, res);
+    if (!routingRuleModel) {
+      return;
+    }
+    
+    await routingRuleModel.delete(req.params.ruleId);
+    wakeQueue(req);
+    
+    res.json({
+      success: true,
+      message: 'Routing rule deleted'
+    });
+  } catch (error) {
+    console.error('Printer routing delete error:', error);
+    res.status(getRoutingErrorStatus(error)).json({
+      success: false,
+      message: 'Failed to delete routing rule',
+      error: error.message
+    });
+  }
+});
+
 // POST /api/printers/test - Test printer connectivity
 router.post('/test', async (req, res, next) => {
   try {
@@ -45,4 +45,35 @@ router.get('/', asyncHandler(async (req, res) => {
   }
 }));
 
+// Run a queue state change and respond with the new state
+const changeQueueState = (action, message) => asyncHandler(async (req, res) => {
+  const queueManager = req.app.get('queueManager');
+  
+  if (!queueManager) {
+    throw createError('SERVICE_UNAVAILABLE', 'The print queue service is not initialized');
+  }
+  
+  const queueState = await queueManager[action]();
+  
+  await logger.queue(`Queue ${action} requested`, { 
+    state: queueState.state,
+    activeJobs: queueState.activeJobs,
+    ip: req.ip
+  });
+  
+  res.json({
+    message,
+    queueState
+  });
+});
+
+// POST /api/queue/pause - Stop claiming new jobs immediately
+router.post('/pause', changeQueueState('pause', 'Queue paused'));
+
+// POST /api/queue/resume - Start claiming jobs again
+router.post('/resume', changeQueueState('resume', 'Queue resumed'));
+
+// POST /api/queue/drain - Finish in-flight jobs, then pause
+router.post('/drain', changeQueueState('drain', 'Queue draining; it will pause when in-flight jobs finish'));
+
 module.exports = router;
\ No newline at end of file
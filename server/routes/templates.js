@@ -1,8 +1,60 @@
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
 const Template = require('../models/Template');
 const TemplateProcessor = require('../services/TemplateProcessor');
+const { PRESET_ID_PATTERN } = require('../services/PrinterInterface');
 const router = express.Router();
 
+// Uploaded templates are stored here, one directory each; served at /templates
+const TEMPLATES_DIR = path.join(__dirname, '../../templates');
+
+// Background images a template can be uploaded with
+const BACKGROUND_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+// File signatures of the background formats, checked so a renamed file
+// isn't stored as a template
+const IMAGE_SIGNATURES = {
+  '.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  '.jpg': Buffer.from([0xff, 0xd8, 0xff]),
+  '.jpeg': Buffer.from([0xff, 0xd8, 0xff])
+};
+
+// Same limit TemplateProcessor.validateTemplate() applies
+const MAX_BACKGROUND_SIZE = 50 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BACKGROUND_SIZE, files: 1 },
+  fileFilter: (req, file, callback) => {
+    callback(null, BACKGROUND_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase()));
+  }
+}).single('background');
+
+// Parse a multipart template upload, answering upload errors with a 400
+const parseTemplateUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        error: 'Invalid upload',
+        message: error.message
+      });
+    }
+    next(error);
+  });
+};
+
+// Directory uploaded templates are stored in; tests point it elsewhere
+const getTemplatesDir = (req) => req.app.get('templatesDir') || TEMPLATES_DIR;
+
+// Fonts a template uses that aren't available (empty when fonts aren't managed)
+const getFontWarnings = (req, template) => {
+  const fontManager = req.app.get('fontManager');
+  return fontManager ? fontManager.checkTemplateFonts(template) : [];
+};
+
 // GET /api/templates - Get available badge templates
 router.get('/', async (req, res, next) => {
   try {
@@ -25,6 +77,8 @@ router.get('/', async (req, res, next) => {
       previewPath: template.previewPath,
       textFields: template.textFields,
       printerPresets: template.printerPresets,
+      backSide: template.backSide,
+      customFields: template.customFields,
       createdAt: template.createdAt,
       updatedAt: template.updatedAt
     }));
@@ -39,6 +93,194 @@ router.get('/', async (req, res, next) => {
   }
 });
 
+// POST /api/templates - Upload a new template (multipart: background, name,
+// textFields as JSON, optional customFields as JSON and defaultPreset)
+router.post('/', parseTemplateUpload, async (req, res, next) => {
+  let templateDir = null;
+  
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const { defaultPreset } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({
+        error: 'Invalid template',
+        message: 'name is required'
+      });
+    }
+    
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Invalid template',
+        message: `background must be an image file (${BACKGROUND_EXTENSIONS.join(', ')})`
+      });
+    }
+    
+    const extension = path.extname(req.file.originalname).toLowerCase();
+    const signature = IMAGE_SIGNATURES[extension];
+    if (!req.file.buffer.subarray(0, signature.length).equals(signature)) {
+      return res.status(400).json({
+        error: 'Invalid template file',
+        message: `background is not a ${extension.slice(1).toUpperCase()} image`
+      });
+    }
+    
+    if (defaultPreset && !PRESET_ID_PATTERN.test(defaultPreset)) {
+      return res.status(400).json({
+        error: 'Invalid template',
+        message: 'defaultPreset must be a preset ID (letters, numbers, hyphens and underscores)'
+      });
+    }
+    
+    // Jobs from this template print with its preset, so it has to exist
+    const printerInterface = req.app.get('printerInterface');
+    if (defaultPreset && printerInterface) {
+      const presetIds = printerInterface.getPresetIds();
+      if (!presetIds.includes(defaultPreset)) {
+        return res.status(400).json({
+          error: 'Invalid template',
+          message: `defaultPreset '${defaultPreset}' does not exist; valid presets are: ${presetIds.join(', ')}`
+        });
+      }
+    }
+    
+    let textFields;
+    try {
+      textFields = JSON.parse(req.body.textFields);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: 'Invalid text fields',
+        message: 'textFields must be a JSON object'
+      });
+    }
+    
+    let customFields = [];
+    if (req.body.customFields) {
+      try {
+        customFields = JSON.parse(req.body.customFields);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: 'Invalid custom fields',
+          message: 'customFields must be a JSON array'
+        });
+      }
+    }
+    
+    const dbConnection = req.app.get('dbConnection');
+    
+    if (!dbConnection) {
+      return res.status(503).json({ 
+        error: 'Service unavailable',
+        message: 'Database connection is not available'
+      });
+    }
+    
+    const templateModel = new Template(dbConnection);
+    
+    let layout;
+    try {
+      layout = templateModel.validateTextFields(textFields);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Invalid text fields',
+        message: validationError.message
+      });
+    }
+    
+    try {
+      templateModel.validateCustomFields(customFields);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Invalid custom fields',
+        message: validationError.message
+      });
+    }
+    
+    try {
+      templateModel.validateFieldBoxes(layout, customFields);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Invalid text fields',
+        message: validationError.message
+      });
+    }
+    
+    if (await templateModel.findByName(name)) {
+      return res.status(409).json({
+        error: 'Template already exists',
+        message: `Template with name '${name}' already exists`
+      });
+    }
+    
+    // Each template gets its own directory; the renderer looks for the background there
+    const directoryName = uuidv4();
+    templateDir = path.join(path.resolve(getTemplatesDir(req)), directoryName);
+    const fileName = `background${extension}`;
+    const filePath = path.join(templateDir, fileName);
+    
+    await fs.promises.mkdir(templateDir, { recursive: true });
+    await fs.promises.writeFile(filePath, req.file.buffer);
+    
+    const validation = await new TemplateProcessor().validateTemplate(filePath);
+    if (!validation.isValid) {
+      await fs.promises.rm(templateDir, { recursive: true, force: true });
+      return res.status(400).json({
+        error: 'Invalid template file',
+        message: validation.error
+      });
+    }
+    
+    let template;
+    try {
+      template = await templateModel.create({
+        name,
+        filePath,
+        previewPath: `/templates/${directoryName}/${fileName}`,
+        textFields,
+        customFields,
+        printerPresets: defaultPreset || null
+      });
+    } catch (createError) {
+      // Another upload may have taken the name since we checked
+      if (createError.message.includes('already exists')) {
+        await fs.promises.rm(templateDir, { recursive: true, force: true });
+        return res.status(409).json({
+          error: 'Template already exists',
+          message: createError.message
+        });
+      }
+      throw createError;
+    }
+    
+    // The template owns its directory from here on
+    templateDir = null;
+    
+    res.status(201).json({
+      message: 'Template created successfully',
+      template: {
+        id: template.id,
+        name: template.name,
+        filePath: template.filePath,
+        previewPath: template.previewPath,
+        textFields: template.textFields,
+        printerPresets: template.printerPresets,
+        backSide: template.backSide,
+        customFields: template.customFields,
+        createdAt: template.createdAt,
+        updatedAt: template.updatedAt
+      },
+      validation,
+      fontWarnings: getFontWarnings(req, template)
+    });
+  } catch (error) {
+    // Don't leave the files of a template that was never created behind
+    if (templateDir) {
+      await fs.promises.rm(templateDir, { recursive: true, force: true }).catch(() => {});
+    }
+    next(error);
+  }
+});
+
 // GET /api/templates/:id - Get specific template details
 router.get('/:id', async (req, res, next) => {
   try {
@@ -97,6 +339,8 @@ router.get('/:id', async (req, res, next) => {
         previewPath: template.previewPath,
         textFields: template.textFields,
         printerPresets: template.printerPresets,
+        backSide: template.backSide,
+        customFields: template.customFields,
         createdAt: template.createdAt,
         updatedAt: template.updatedAt
       }
@@ -217,7 +461,8 @@ router.post('/:id/validate', async (req, res, next) => {
         name: template.name,
         filePath: template.filePath
       },
-      validation: validationResult
+      validation: validationResult,
+      fontWarnings: getFontWarnings(req, template)
     });
     
   } catch (error) {
@@ -225,7 +470,10 @@ router.post('/:id/validate', async (req, res, next) => {
   }
 });
 
-// PUT /api/templates/:id/text-fields - Update template text field positions
+// PUT /api/templates/:id/text-fields - Update template text field positions.
+// Takes the text field layout with every box of the template: uid,
+// badgeName, placed custom fields and the back side (older layouts are
+// converted)
 router.put('/:id/text-fields', async (req, res, next) => {
   try {
     let { id } = req.params;
@@ -240,10 +488,10 @@ router.put('/:id/text-fields', async (req, res, next) => {
       });
     }
     
-    if (!Array.isArray(textFields)) {
+    if (!textFields || typeof textFields !== 'object') {
       return res.status(400).json({
         error: 'Invalid text fields',
-        message: 'Text fields must be an array'
+        message: 'textFields must be a text field layout object'
       });
     }
     
@@ -268,25 +516,192 @@ router.put('/:id/text-fields', async (req, res, next) => {
     }
     
     // Update text fields
-    const textFieldsJson = JSON.stringify(textFields);
-    console.log('Updating template:', id, 'with textFields:', textFieldsJson);
+    let updated;
+    try {
+      updated = await templateModel.update(id, { textFields });
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Invalid text fields',
+        message: validationError.message
+      });
+    }
+    
+    res.json({
+      message: 'Text fields updated successfully',
+      template: {
+        id: updated.id,
+        name: updated.name,
+        textFields: updated.textFields
+      }
+    });
+    
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/templates/:id/back-side - Set or clear a template's back side
+// (its background); the back's boxes are set with the text fields
+router.put('/:id/back-side', async (req, res, next) => {
+  try {
+    const id = decodeURIComponent(req.params.id).trim();
+    const { backSide } = req.body;
+    
+    if (backSide === undefined) {
+      return res.status(400).json({
+        error: 'Invalid back side',
+        message: 'backSide is required; send null to make the template single-sided'
+      });
+    }
+    
+    const dbConnection = req.app.get('dbConnection');
     
-    const result = await dbConnection.run(
-      'UPDATE templates SET text_fields = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [textFieldsJson, id]
-    );
+    if (!dbConnection) {
+      return res.status(503).json({ 
+        error: 'Service unavailable',
+        message: 'Database connection is not available'
+      });
+    }
+    
+    const templateModel = new Template(dbConnection);
+    
+    const template = await templateModel.findById(id);
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: `Template with ID '${id}' does not exist`
+      });
+    }
     
-    console.log('Database update result:', result);
+    let updated;
+    try {
+      updated = await templateModel.update(id, { backSide });
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Invalid back side',
+        message: validationError.message
+      });
+    }
     
     res.json({
-      message: 'Text fields updated successfully',
+      message: backSide ? 'Back side updated successfully' : 'Back side removed successfully',
       template: {
-        id: template.id,
-        name: template.name,
-        textFields: textFields
+        id: updated.id,
+        name: updated.name,
+        backSide: updated.backSide
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/templates/:id/custom-fields - Replace a template's custom fields.
+// Boxes of fields that are removed are taken out of the layout
+router.put('/:id/custom-fields', async (req, res, next) => {
+  try {
+    const id = decodeURIComponent(req.params.id).trim();
+    const { customFields } = req.body;
+    
+    if (!Array.isArray(customFields)) {
+      return res.status(400).json({
+        error: 'Invalid custom fields',
+        message: 'customFields must be an array; send [] to remove them'
+      });
+    }
+    
+    const dbConnection = req.app.get('dbConnection');
+    
+    if (!dbConnection) {
+      return res.status(503).json({ 
+        error: 'Service unavailable',
+        message: 'Database connection is not available'
+      });
+    }
+    
+    const templateModel = new Template(dbConnection);
+    
+    const template = await templateModel.findById(id);
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: `Template with ID '${id}' does not exist`
+      });
+    }
+    
+    let updated;
+    try {
+      updated = await templateModel.update(id, { customFields });
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Invalid custom fields',
+        message: validationError.message
+      });
+    }
+    
+    res.json({
+      message: 'Custom fields updated successfully',
+      template: {
+        id: updated.id,
+        name: updated.name,
+        textFields: updated.textFields,
+        customFields: updated.customFields
       }
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/templates/:id - Delete a template and its uploaded files
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = decodeURIComponent(req.params.id).trim();
+    
+    const dbConnection = req.app.get('dbConnection');
     
+    if (!dbConnection) {
+      return res.status(503).json({ 
+        error: 'Service unavailable',
+        message: 'Database connection is not available'
+      });
+    }
+    
+    const templateModel = new Template(dbConnection);
+    
+    const template = await templateModel.findById(id);
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        message: `Template with ID '${id}' does not exist`
+      });
+    }
+    
+    try {
+      await templateModel.delete(id);
+    } catch (deleteError) {
+      if (deleteError.message.includes('active jobs')) {
+        return res.status(409).json({
+          error: 'Template in use',
+          message: deleteError.message
+        });
+      }
+      throw deleteError;
+    }
+    
+    // Only remove files this API uploaded, never a template stored elsewhere
+    const templateDir = path.dirname(template.filePath);
+    if (path.dirname(templateDir) === path.resolve(getTemplatesDir(req))) {
+      await fs.promises.rm(templateDir, { recursive: true, force: true });
+    }
+    
+    res.json({
+      message: 'Template deleted successfully',
+      template: {
+        id: template.id,
+        name: template.name
+      }
+    });
   } catch (error) {
     next(error);
   }
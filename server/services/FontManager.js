@@ -0,0 +1,321 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { registerFont } = require('canvas');
+
+// Fonts shipped with the app, and fonts uploaded through /api/fonts
+const BUNDLED_FONTS_DIR = path.join(__dirname, '../../fonts');
+const UPLOADED_FONTS_DIR = path.join(__dirname, '../../data/fonts');
+
+// Font files that can be registered with node-canvas
+const FONT_EXTENSIONS = ['.ttf', '.otf'];
+
+// sfnt versions of TrueType and OpenType (CFF) fonts
+const FONT_SIGNATURES = [0x00010000, 0x4f54544f, 0x74727565];
+
+// CSS generic families; always available, and the last resort of every
+// font chain
+const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy'];
+const DEFAULT_FALLBACK = 'sans-serif';
+
+// name table IDs: family, subfamily, full name, typographic family and
+// subfamily
+const NAME_FAMILY = 1;
+const NAME_SUBFAMILY = 2;
+const NAME_FULL = 4;
+const NAME_TYPOGRAPHIC_FAMILY = 16;
+const NAME_TYPOGRAPHIC_SUBFAMILY = 17;
+
+/**
+ * FontManager registers the TrueType and OpenType fonts badges are drawn
+ * with. Fonts in the bundled fonts directory and the upload directory are
+ * registered with node-canvas at startup, under their full name ("Noto Sans
+ * JP Bold") and, for regular styles, their family name ("Noto Sans JP").
+ * Templates name fonts with a field's fontFamily and optional fontFallbacks;
+ * checkTemplateFonts() reports names that neither a registered font nor an
+ * installed system font provides.
+ */
+class FontManager {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.bundledDir] - Directory of fonts shipped with the app
+   * @param {string} [options.uploadDir] - Directory uploaded fonts are saved to
+   * @param {Function} [options.listSystemFonts] - Resolves to the installed font
+   *   family names, or null when they can't be listed; fc-list by default
+   */
+  constructor(options = {}) {
+    this.bundledDir = options.bundledDir || BUNDLED_FONTS_DIR;
+    this.uploadDir = options.uploadDir || UPLOADED_FONTS_DIR;
+    this.listSystemFonts = options.listSystemFonts || FontManager.listFontconfigFamilies;
+    this.fonts = [];
+    this.systemFonts = null;
+  }
+
+  /**
+   * Register every font in the bundled and upload directories and read the
+   * installed system fonts. Files that aren't fonts are skipped.
+   * @returns {Promise<Array<Object>>} Registered fonts
+   */
+  async loadFonts() {
+    for (const [directory, source] of [[this.bundledDir, 'bundled'], [this.uploadDir, 'uploaded']]) {
+      if (!fs.existsSync(directory)) {
+        continue;
+      }
+
+      const files = fs.readdirSync(directory)
+        .filter(file => FONT_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort();
+
+      for (const file of files) {
+        try {
+          this.registerFile(path.join(directory, file), source);
+        } catch (error) {
+          console.warn(`Skipping font ${file}: ${error.message}`);
+        }
+      }
+    }
+
+    const systemFonts = await this.listSystemFonts();
+    this.systemFonts = systemFonts ? new Set(systemFonts.map(name => name.toLowerCase())) : null;
+
+    return this.getFonts();
+  }
+
+  /**
+   * Register one font file with node-canvas under each of its names
+   * @param {string} filePath - Font file
+   * @param {string} source - 'bundled' or 'uploaded'
+   * @returns {Object} The registered font
+   */
+  registerFile(filePath, source) {
+    const { family, subfamily, fullName } = FontManager.readFontNames(fs.readFileSync(filePath));
+
+    const names = [fullName];
+    if (/^(regular|normal|book|roman)$/i.test(subfamily) && family !== fullName) {
+      names.push(family);
+    }
+    names.forEach(name => registerFont(filePath, { family: name }));
+
+    const font = { file: path.basename(filePath), source, family, subfamily, fullName, names };
+    this.fonts = this.fonts.filter(existing => existing.file !== font.file || existing.source !== source);
+    this.fonts.push(font);
+    return font;
+  }
+
+  /**
+   * Save an uploaded font to the upload directory and register it
+   * @param {string} originalName - File name it was uploaded with
+   * @param {Buffer} buffer - Font file contents
+   * @returns {Promise<Object>} The registered font
+   */
+  async saveUpload(originalName, buffer) {
+    const fileName = path.basename(originalName).replace(/[^a-zA-Z0-9._-]/g, '_');
+    if (!FONT_EXTENSIONS.includes(path.extname(fileName).toLowerCase())) {
+      throw new Error(`Font files must be one of: ${FONT_EXTENSIONS.join(', ')}`);
+    }
+
+    // Check it is a font before anything is written
+    FontManager.readFontNames(buffer);
+
+    const filePath = path.join(this.uploadDir, fileName);
+    if (fs.existsSync(filePath)) {
+      throw new Error(`Font file ${fileName} already exists`);
+    }
+
+    await fs.promises.mkdir(this.uploadDir, { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return this.registerFile(filePath, 'uploaded');
+  }
+
+  /**
+   * Registered fonts
+   * @returns {Array<Object>} { file, source, family, subfamily, fullName, names }
+   */
+  getFonts() {
+    return this.fonts.map(font => ({ ...font, names: [...font.names] }));
+  }
+
+  /**
+   * Whether text can be drawn in a font: a generic family, a registered font
+   * or an installed system font. When system fonts can't be listed, any
+   * name is assumed to be installed.
+   * @param {string} name - Font family name
+   * @returns {boolean}
+   */
+  isAvailable(name) {
+    const lowerName = name.trim().toLowerCase();
+    if (GENERIC_FAMILIES.includes(lowerName)) {
+      return true;
+    }
+
+    if (this.fonts.some(font => font.names.some(fontName => fontName.toLowerCase() === lowerName))) {
+      return true;
+    }
+
+    return this.systemFonts === null || this.systemFonts.has(lowerName);
+  }
+
+  /**
+   * Preflight a template's fonts: find every text field whose font isn't
+   * available, and the font its text will be drawn in instead
+   * @param {Object} template - Template record
+   * @returns {Array<Object>} { field, font, fallback, message } for each missing font
+   */
+  checkTemplateFonts(template) {
+    const fields = [];
+    const layout = template.textFields;
+    if (layout && Array.isArray(layout.fields)) {
+      layout.fields.forEach(field => fields.push({ label: field.name, field }));
+    }
+    if (template.backSide && layout && Array.isArray(layout.back)) {
+      layout.back.forEach((field, index) => {
+        if (field.type === 'text') {
+          fields.push({ label: `back side field ${index + 1}`, field });
+        }
+      });
+    }
+
+    const warnings = [];
+    fields.forEach(({ label, field }) => {
+      const chain = FontManager.getFontChain(field);
+      const fallback = chain.find(name => this.isAvailable(name)) || DEFAULT_FALLBACK;
+
+      chain.filter(name => !this.isAvailable(name)).forEach(name => {
+        warnings.push({
+          field: label,
+          font: name,
+          fallback,
+          message: `${label} uses font '${name}', which is not available; ${fallback} is used instead`
+        });
+      });
+    });
+
+    return warnings;
+  }
+
+  /**
+   * The fonts a text field asks for, in order: its fontFamily, then its
+   * fontFallbacks
+   * @param {Object} field - Text field configuration
+   * @returns {Array<string>} Font names
+   */
+  static getFontChain(field) {
+    return [field.fontFamily || 'Arial', ...(field.fontFallbacks || [])];
+  }
+
+  /**
+   * CSS font-family list for a text field, so node-canvas falls back along
+   * the field's chain and finally to a generic family
+   * @param {Object} field - Text field configuration
+   * @returns {string} e.g. '"Noto Sans JP", "DejaVu Sans", sans-serif'
+   */
+  static toCssFontFamily(field) {
+    const chain = FontManager.getFontChain(field);
+    if (!GENERIC_FAMILIES.includes(chain[chain.length - 1].toLowerCase())) {
+      chain.push(DEFAULT_FALLBACK);
+    }
+    return chain
+      .map(name => (GENERIC_FAMILIES.includes(name.toLowerCase()) ? name : `"${name.replace(/"/g, '')}"`))
+      .join(', ');
+  }
+
+  /**
+   * Read the family, subfamily and full name from a TrueType or OpenType
+   * font's name table
+   * @param {Buffer} buffer - Font file contents
+   * @returns {Object} { family, subfamily, fullName }
+   */
+  static readFontNames(buffer) {
+    const invalid = () => new Error('File is not a TrueType or OpenType font');
+    if (buffer.length < 12 || !FONT_SIGNATURES.includes(buffer.readUInt32BE(0))) {
+      throw invalid();
+    }
+
+    const tableCount = buffer.readUInt16BE(4);
+    let nameTable = null;
+    for (let i = 0; i < tableCount; i++) {
+      const record = 12 + i * 16;
+      if (record + 16 > buffer.length) {
+        throw invalid();
+      }
+      if (buffer.toString('latin1', record, record + 4) === 'name') {
+        nameTable = buffer.readUInt32BE(record + 8);
+      }
+    }
+    if (nameTable === null || nameTable + 6 > buffer.length) {
+      throw invalid();
+    }
+
+    const count = buffer.readUInt16BE(nameTable + 2);
+    const stringsStart = nameTable + buffer.readUInt16BE(nameTable + 4);
+    const names = {};
+    for (let i = 0; i < count; i++) {
+      const record = nameTable + 6 + i * 12;
+      if (record + 12 > buffer.length) {
+        throw invalid();
+      }
+
+      const platformId = buffer.readUInt16BE(record);
+      const languageId = buffer.readUInt16BE(record + 4);
+      const nameId = buffer.readUInt16BE(record + 6);
+      const start = stringsStart + buffer.readUInt16BE(record + 10);
+      const end = start + buffer.readUInt16BE(record + 8);
+      if (end > buffer.length) {
+        continue;
+      }
+
+      // Prefer US English Windows names, then Unicode, then Macintosh
+      const rank = platformId === 3 ? (languageId === 0x409 ? 3 : 2) : platformId === 0 ? 1 : 0;
+      if (names[nameId] && names[nameId].rank >= rank) {
+        continue;
+      }
+
+      const value = platformId === 1
+        ? buffer.toString('latin1', start, end)
+        : Buffer.from(buffer.subarray(start, end)).swap16().toString('utf16le');
+      names[nameId] = { rank, value: value.trim() };
+    }
+
+    const name = (id) => (names[id] && names[id].value) || null;
+    const family = name(NAME_TYPOGRAPHIC_FAMILY) || name(NAME_FAMILY);
+    if (!family) {
+      throw new Error('Font has no family name');
+    }
+
+    // Weights beyond regular and bold keep the legacy subfamily "Regular"
+    // under their own legacy family ("Noto Sans JP Black"), so the
+    // typographic family goes with the typographic subfamily
+    const subfamily = (name(NAME_TYPOGRAPHIC_FAMILY) && name(NAME_TYPOGRAPHIC_SUBFAMILY)) ||
+      name(NAME_SUBFAMILY) || 'Regular';
+    return {
+      family,
+      subfamily,
+      fullName: name(NAME_FULL) || `${family} ${subfamily}`
+    };
+  }
+
+  /**
+   * Installed font family names from fontconfig, or null when fc-list isn't
+   * available
+   * @returns {Promise<Array<string>|null>}
+   */
+  static listFontconfigFamilies() {
+    return new Promise(resolve => {
+      execFile('fc-list', [':', 'family'], { timeout: 10000 }, (error, stdout) => {
+        if (error) {
+          resolve(null);
+          return;
+        }
+        // One line per font; a font with several family names lists them comma-separated
+        resolve(stdout.split('\n').flatMap(line => line.split(',')).map(name => name.trim()).filter(Boolean));
+      });
+    });
+  }
+}
+
+FontManager.BUNDLED_FONTS_DIR = BUNDLED_FONTS_DIR;
+FontManager.UPLOADED_FONTS_DIR = UPLOADED_FONTS_DIR;
+FontManager.FONT_EXTENSIONS = FONT_EXTENSIONS;
+FontManager.DEFAULT_FALLBACK = DEFAULT_FALLBACK;
+
+module.exports = FontManager;
@@ -1,5 +1,37 @@
 const EventEmitter = require('events');
+const { DEFAULT_PRESET } = require('./PrinterInterface');
 
+// Worker key used when no printers are in the pool; jobs go to whichever
+// printer PrinterInterface has selected.
+const DEFAULT_WORKER_ID = null;
+
+// Window used for the per-printer jobs-per-hour throughput figure
+const THROUGHPUT_WINDOW_MS = 60 * 60 * 1000;
+
+// Settings key holding the paused/running state across restarts
+const QUEUE_STATE_SETTING = 'queue.state';
+
+// running: workers claim jobs. draining: in-flight jobs finish, nothing new
+// is claimed, then the queue becomes paused. paused: nothing is claimed.
+const QUEUE_STATES = ['running', 'draining', 'paused'];
+
+// Pause reason used when every printer is offline. Only pauses with this
+// reason are lifted automatically when a printer comes back.
+const PRINTER_OFFLINE_REASON = 'printer-offline';
+
+// Delay before a worker tries again after claiming from the database failed
+const CLAIM_RETRY_DELAY_MS = 1000;
+
+/**
+ * PrintQueueManager drives the badge queue against the printer pool.
+ * Each connected printer gets its own worker that claims jobs from
+ * `badge_jobs` atomically, so two printers never print the same badge.
+ *
+ * Workers do not poll. A worker runs while there is work it can claim and
+ * then goes idle until something wakes it: a new job, a retry coming due,
+ * a resume, or a printer coming online. Each worker has at most one claim
+ * in flight.
+ */
 class PrintQueueManager extends EventEmitter {
   constructor(badgeJobModel, printerInterface, templateProcessor, io, options = {}) {
     super();
@@ -8,6 +40,9 @@ class PrintQueueManager extends EventEmitter {
     this.printerInterface = printerInterface;
     this.templateProcessor = templateProcessor;
     this.io = io;
+    this.printerRouter = options.printerRouter || null;
+    this.settingsModel = options.settingsModel || null;
+    this.consumableModel = options.consumableModel || null;
     
     // Configuration options
     this.options = {
@@ -15,16 +50,150 @@ class PrintQueueManager extends EventEmitter {
       maxRetries: options.maxRetries || 3,
       retryBaseDelay: options.retryBaseDelay || 1000, // 1 second
       processingTimeout: options.processingTimeout || 30000, // 30 seconds
+      cancelTimeout: options.cancelTimeout || 10000, // 10 seconds
+      printCompletionTimeout: options.printCompletionTimeout || 120000, // 2 minutes
       ...options
     };
     
     // Queue state
     this.isProcessing = false;
-    this.currentJob = null;
-    this.processingTimer = null;
+    this.workers = new Map();
+    this.retryTimers = new Map();
+    this.queueState = {
+      state: 'running',
+      reason: null,
+      changedAt: new Date()
+    };
     
-    // Start processing queue
-    this.startProcessing();
+    // A queue left paused or draining before a restart comes back paused
+    const initialState = options.initialState;
+    if (initialState && QUEUE_STATES.includes(initialState.state) && initialState.state !== 'running') {
+      this.queueState = {
+        state: 'paused',
+        reason: initialState.reason || null,
+        changedAt: initialState.changedAt ? new Date(initialState.changedAt) : new Date()
+      };
+    }
+    
+    // Keep one worker per pool printer, and stop using printers that go offline
+    this.handlePoolChange = () => this.syncWorkers();
+    this.handlePrinterStatusChange = (change) => {
+      this.onPrinterStatusChange(change).catch(error => this.emit('error', error));
+    };
+    if (typeof this.printerInterface.on === 'function') {
+      this.printerInterface.on('printerConnected', this.handlePoolChange);
+      this.printerInterface.on('printerDisconnected', this.handlePoolChange);
+      this.printerInterface.on('printerStatusChange', this.handlePrinterStatusChange);
+    }
+    this.syncWorkers();
+    
+    // Start processing queue unless it was left paused
+    if (this.queueState.state === 'running') {
+      this.startProcessing();
+    }
+  }
+
+  /**
+   * Job currently being printed by the first busy worker.
+   * Kept for single-printer callers; see getPrinterPoolStatus() for all printers.
+   */
+  get currentJob() {
+    for (const worker of this.workers.values()) {
+      if (worker.currentJob) {
+        return worker.currentJob;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Create or retire workers so there is exactly one per pool printer
+   */
+  syncWorkers() {
+    const printers = typeof this.printerInterface.getActivePrinters === 'function'
+      ? this.printerInterface.getActivePrinters()
+      : [];
+    
+    const wanted = printers.length > 0
+      ? printers.map(printer => ({ id: printer.id, name: printer.name }))
+      : [{ id: DEFAULT_WORKER_ID, name: null }];
+    const wantedIds = new Set(wanted.map(printer => printer.id));
+    
+    // Retire workers for printers that left the pool. A busy worker finishes
+    // its current job first and is removed when it goes idle.
+    for (const [printerId, worker] of this.workers) {
+      if (!wantedIds.has(printerId)) {
+        worker.retired = true;
+        this.clearClaimRetryTimer(worker);
+        if (!worker.currentJob) {
+          this.workers.delete(printerId);
+        }
+      }
+    }
+    
+    for (const printer of wanted) {
+      if (!this.workers.has(printer.id)) {
+        const worker = this.createWorker(printer.id, printer.name);
+        this.workers.set(printer.id, worker);
+      }
+    }
+    
+    // New printers start claiming, and jobs routed to a printer that left
+    // can move to its fallback
+    this.wake();
+  }
+
+  /**
+   * Create the state for one printer worker
+   * @private
+   */
+  createWorker(printerId, printerName) {
+    return {
+      printerId,
+      printerName,
+      currentJob: null,
+      processingTimer: null,
+      execution: null,
+      claimRetryTimer: null,
+      running: null,
+      wakePending: false,
+      retired: false,
+      offline: false,
+      printerStatus: null,
+      startedAt: new Date(),
+      completedJobs: 0,
+      failedJobs: 0,
+      recentCompletions: [],
+      lastCompletedAt: null
+    };
+  }
+
+  /**
+   * Per-printer view of the pool: current job and throughput
+   * @returns {Array} One entry per worker
+   */
+  getPrinterPoolStatus() {
+    const cutoff = Date.now() - THROUGHPUT_WINDOW_MS;
+    
+    return Array.from(this.workers.values()).map(worker => {
+      worker.recentCompletions = worker.recentCompletions.filter(time => time > cutoff);
+      
+      return {
+        printerId: worker.printerId,
+        printerName: worker.printerName,
+        currentJob: worker.currentJob,
+        isBusy: Boolean(worker.currentJob),
+        isOffline: worker.offline,
+        printerStatus: worker.printerStatus,
+        throughput: {
+          completedJobs: worker.completedJobs,
+          failedJobs: worker.failedJobs,
+          jobsLastHour: worker.recentCompletions.length,
+          lastCompletedAt: worker.lastCompletedAt
+        },
+        startedAt: worker.startedAt
+      };
+    });
   }
 
   /**
@@ -38,8 +207,9 @@ class PrintQueueManager extends EventEmitter {
         throw new Error(`Queue is at maximum capacity (${this.options.maxQueueSize} jobs)`);
       }
 
-      // Create the job
+      // Create the job and let an idle printer pick it up
       const job = await this.badgeJobModel.create(jobData);
+      this.wake();
       
       // Broadcast queue update
       this.broadcastQueueUpdate();
@@ -61,14 +231,21 @@ class PrintQueueManager extends EventEmitter {
     try {
       const stats = await this.badgeJobModel.getQueueStats();
       const queuedJobs = await this.badgeJobModel.findAll('queued');
-      const processingJobs = await this.badgeJobModel.findAll('processing');
+      const processingJobs = [
+        ...await this.badgeJobModel.findAll('processing'),
+        ...await this.badgeJobModel.findAll('printing')
+      ];
+      const reviewJobs = await this.badgeJobModel.findAll('needs_review');
       
       return {
         stats,
         queuedJobs,
         processingJobs,
+        reviewJobs,
         currentJob: this.currentJob,
-        isProcessing: this.isProcessing
+        isProcessing: this.isProcessing,
+        queueState: this.getQueueState(),
+        printers: this.getPrinterPoolStatus()
       };
     } catch (error) {
       this.emit('error', error);
@@ -91,12 +268,8 @@ class PrintQueueManager extends EventEmitter {
         throw new Error('Cannot cancel a completed job');
       }
       
-      if (job.status === 'processing') {
-        // If it's the current job being processed, we need to handle it specially
-        if (this.currentJob && this.currentJob.id === jobId) {
-          this.clearProcessingTimer();
-          this.currentJob = null;
-        }
+      if (job.status === 'processing' || job.status === 'printing') {
+        this.stopJobExecution(jobId);
       }
       
       // Delete the job
@@ -115,6 +288,31 @@ class PrintQueueManager extends EventEmitter {
     }
   }
 
+  /**
+   * Stop an in-flight job before an operator takes it over. The print is
+   * aborted, which cancels its CUPS job, and the worker is freed; the
+   * execution then leaves the job's row to the operator.
+   * @param {string} jobId - Job in processing or printing
+   * @returns {Object|null} The aborted execution, for waitForCancellation(),
+   *   or null when the job wasn't running
+   */
+  stopJobExecution(jobId) {
+    let stopped = null;
+    const worker = this.findWorkerForJob(jobId);
+    if (worker) {
+      if (worker.execution && worker.execution.jobId === jobId) {
+        stopped = worker.execution;
+        stopped.cancelledByOperator = true;
+        stopped.controller.abort();
+      }
+      this.releaseWorker(worker);
+    }
+    
+    // A job waiting out its retry backoff must not come back
+    this.clearRetryTimer(jobId);
+    return stopped;
+  }
+
   /**
    * Retry a failed job
    */
@@ -136,6 +334,7 @@ class PrintQueueManager extends EventEmitter {
       
       // Reset job to queued status
       const updatedJob = await this.badgeJobModel.updateStatus(jobId, 'queued');
+      this.wake();
       
       // Broadcast queue update and job status change
       this.broadcastQueueUpdate();
@@ -152,7 +351,192 @@ class PrintQueueManager extends EventEmitter {
   }
 
   /**
-   * Start the queue processing loop
+   * Settle a job flagged needs_review after a crash
+   * @param {string} jobId - Job to resolve
+   * @param {string} action - 'confirm' (the card was printed) or 'reprint'
+   */
+  async resolveReviewJob(jobId, action) {
+    try {
+      const resolvedJob = await this.badgeJobModel.resolveReview(jobId, action);
+      if (resolvedJob.status === 'queued') {
+        this.wake();
+      }
+      
+      // Broadcast queue update and job status change
+      this.broadcastQueueUpdate();
+      this.broadcastJobStatusChange(resolvedJob);
+      
+      // Emit job review resolved event
+      this.emit('jobReviewResolved', resolvedJob, action);
+      
+      return resolvedJob;
+    } catch (error) {
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a queued job to another priority lane
+   * @param {string} jobId - Job to reprioritize
+   * @param {string} priority - urgent, normal or bulk
+   */
+  async setJobPriority(jobId, priority) {
+    try {
+      const updatedJob = await this.badgeJobModel.updatePriority(jobId, priority);
+      
+      // Broadcast queue update and job status change
+      this.broadcastQueueUpdate();
+      this.broadcastJobStatusChange(updatedJob);
+      
+      // Emit job reprioritized event
+      this.emit('jobReprioritized', updatedJob);
+      
+      return updatedJob;
+    } catch (error) {
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Current paused/running state of the queue
+   * @returns {Object} { state, reason, changedAt, activeJobs }
+   */
+  getQueueState() {
+    const activeJobs = Array.from(this.workers.values()).filter(worker => worker.currentJob).length;
+    
+    return {
+      ...this.queueState,
+      activeJobs
+    };
+  }
+
+  /**
+   * Stop claiming new jobs straight away. Jobs already sent to a printer
+   * cannot be recalled and finish normally.
+   * @param {string} reason - Why the queue was paused
+   */
+  async pause(reason = 'manual') {
+    this.haltClaiming();
+    await this.setQueueState('paused', reason);
+    return this.getQueueState();
+  }
+
+  /**
+   * Stop claiming new jobs and pause once every in-flight job has finished
+   * @param {string} reason - Why the queue is draining
+   */
+  async drain(reason = 'manual') {
+    this.haltClaiming();
+    
+    const state = this.getQueueState().activeJobs > 0 ? 'draining' : 'paused';
+    await this.setQueueState(state, reason);
+    return this.getQueueState();
+  }
+
+  /**
+   * Resume claiming jobs after a pause or drain
+   */
+  async resume() {
+    await this.setQueueState('running', null);
+    this.startProcessing();
+    return this.getQueueState();
+  }
+
+  /**
+   * Update, persist and broadcast the queue state
+   * @private
+   */
+  async setQueueState(state, reason) {
+    this.queueState = {
+      state,
+      reason,
+      changedAt: new Date()
+    };
+    
+    if (this.settingsModel) {
+      await this.settingsModel.set(QUEUE_STATE_SETTING, this.queueState);
+    }
+    
+    const queueState = this.getQueueState();
+    this.emit('queueStateChange', queueState);
+    this.io.emit('queueStateChange', queueState);
+    this.broadcastQueueUpdate();
+  }
+
+  /**
+   * React to a printer going offline or coming back. An offline printer's
+   * worker stops claiming jobs; when no pool printer is left the whole queue
+   * pauses, and it resumes once a printer is available again.
+   * @param {Object} change - 'printerStatusChange' payload from PrinterInterface
+   */
+  async onPrinterStatusChange(change) {
+    const worker = this.workers.get(change.printerId);
+    if (worker) {
+      worker.offline = !change.isAvailable;
+      worker.printerStatus = change.status;
+    }
+    
+    this.io.emit('printerStatusChange', change);
+    this.emit('printerStatusChange', change);
+    
+    if (!change.isAvailable) {
+      const poolWorkers = Array.from(this.workers.values()).filter(candidate => !candidate.retired);
+      const allOffline = poolWorkers.length > 0 && poolWorkers.every(candidate => candidate.offline);
+      
+      if (allOffline && this.queueState.state === 'running') {
+        await this.pause(PRINTER_OFFLINE_REASON);
+      } else {
+        // Jobs routed to this printer may now go to its fallback
+        this.wake();
+        this.broadcastQueueUpdate();
+      }
+      return;
+    }
+    
+    if (this.queueState.state === 'paused' && this.queueState.reason === PRINTER_OFFLINE_REASON) {
+      await this.resume();
+    } else {
+      this.wake();
+      this.broadcastQueueUpdate();
+    }
+  }
+
+  /**
+   * Re-check pool printer statuses and report whether a worker's printer is
+   * now offline. Status changes found here go through the normal
+   * 'printerStatusChange' handling.
+   * @private
+   */
+  async isWorkerPrinterOffline(worker) {
+    if (!worker || worker.printerId === DEFAULT_WORKER_ID ||
+        typeof this.printerInterface.checkPrinterStatuses !== 'function') {
+      return false;
+    }
+    
+    try {
+      await this.printerInterface.checkPrinterStatuses();
+    } catch (error) {
+      return false;
+    }
+    
+    return worker.offline;
+  }
+
+  /**
+   * Stop workers claiming new jobs without touching jobs in flight
+   * @private
+   */
+  haltClaiming() {
+    this.isProcessing = false;
+    for (const worker of this.workers.values()) {
+      this.clearClaimRetryTimer(worker);
+    }
+  }
+
+  /**
+   * Start the queue processing loop on every printer worker
    */
   startProcessing() {
     if (this.isProcessing) {
@@ -160,7 +544,7 @@ class PrintQueueManager extends EventEmitter {
     }
     
     this.isProcessing = true;
-    this.processNextJob();
+    this.wake();
   }
 
   /**
@@ -168,124 +552,467 @@ class PrintQueueManager extends EventEmitter {
    */
   stopProcessing() {
     this.isProcessing = false;
-    this.clearProcessingTimer();
+    for (const worker of this.workers.values()) {
+      this.clearClaimRetryTimer(worker);
+      this.clearProcessingTimer(worker);
+    }
   }
 
   /**
-   * Process the next job in the queue
+   * Wake every idle worker so it looks for a job it can claim.
+   * Safe to call at any time; busy workers check again when they finish.
    */
-  async processNextJob() {
-    if (!this.isProcessing || this.currentJob) {
+  wake() {
+    if (!this.isProcessing) {
       return;
     }
     
-    try {
-      // Get next job in queue
-      const nextJob = await this.badgeJobModel.getNextInQueue();
-      
-      if (!nextJob) {
-        // No jobs to process, check again in 2 seconds
-        setTimeout(() => this.processNextJob(), 2000);
-        return;
+    for (const worker of this.workers.values()) {
+      if (!worker.retired) {
+        this.kickWorker(worker);
       }
+    }
+  }
+
+  /**
+   * Claim and process jobs on one printer worker until it runs out of work
+   * @param {string|null} printerId - Worker to run; null is the default worker
+   */
+  async processNextJob(printerId = DEFAULT_WORKER_ID) {
+    const worker = this.workers.get(printerId);
+    if (!worker || !this.canClaim(worker)) {
+      return;
+    }
+    
+    await this.kickWorker(worker);
+  }
+
+  /**
+   * Start a worker's run loop, or ask the running loop to look again once
+   * it finishes its current pass. A worker never has two loops running.
+   * @private
+   */
+  kickWorker(worker) {
+    if (worker.running) {
+      worker.wakePending = true;
+      return worker.running;
+    }
+    
+    worker.running = this.runWorker(worker)
+      .catch(error => this.emit('error', error))
+      .finally(() => {
+        worker.running = null;
+      });
+    return worker.running;
+  }
+
+  /**
+   * Run loop for one worker: claim, print, repeat until nothing is left
+   * @private
+   */
+  async runWorker(worker) {
+    do {
+      worker.wakePending = false;
       
-      this.currentJob = nextJob;
-      
-      // Update job status to processing - handle case where job was deleted
-      let processingJob;
-      try {
-        processingJob = await this.badgeJobModel.updateStatus(nextJob.id, 'processing');
-      } catch (error) {
-        if (error.message.includes('not found')) {
-          // Job was deleted while we were trying to process it, skip it
-          this.currentJob = null;
-          setTimeout(() => this.processNextJob(), 100);
-          return;
+      while (this.canClaim(worker)) {
+        const processingJob = await this.claimJob(worker);
+        if (!processingJob) {
+          break;
         }
-        throw error;
+        
+        worker.currentJob = processingJob;
+        
+        // Broadcast queue update and job status change
+        this.broadcastQueueUpdate();
+        this.broadcastJobStatusChange(processingJob);
+        
+        // Emit job processing event
+        this.emit('jobProcessing', processingJob);
+        
+        // Process the job; this settles exactly once, on completion or failure
+        await this.executeJob(processingJob);
       }
-      
-      // Set processing timeout
-      this.setProcessingTimer(processingJob);
-      
-      // Broadcast queue update and job status change
-      this.broadcastQueueUpdate();
-      this.broadcastJobStatusChange(processingJob);
-      
-      // Emit job processing event
-      this.emit('jobProcessing', processingJob);
-      
-      // Process the job
-      await this.executeJob(nextJob);
-      
+    } while (worker.wakePending && this.canClaim(worker));
+  }
+
+  /**
+   * Whether a worker may claim another job right now
+   * @private
+   */
+  canClaim(worker) {
+    return this.isProcessing &&
+      this.workers.get(worker.printerId) === worker &&
+      !worker.retired &&
+      !worker.offline &&
+      !worker.currentJob;
+  }
+
+  /**
+   * Claim the next job this worker's printer may print. Only one worker
+   * can win a job. A database error is reported and the worker tries
+   * again after a short delay.
+   * @private
+   */
+  async claimJob(worker) {
+    try {
+      const routingFilter = await this.createRoutingFilter(worker);
+      return await this.badgeJobModel.claimNextJob(worker.printerId, routingFilter);
     } catch (error) {
       this.emit('error', error);
-      
-      // Continue processing other jobs
-      setTimeout(() => this.processNextJob(), 1000);
+      this.scheduleClaimRetry(worker);
+      return null;
+    }
+  }
+
+  /**
+   * Wake a worker again after a failed claim
+   * @private
+   */
+  scheduleClaimRetry(worker) {
+    this.clearClaimRetryTimer(worker);
+    worker.claimRetryTimer = setTimeout(() => {
+      worker.claimRetryTimer = null;
+      if (this.canClaim(worker)) {
+        this.kickWorker(worker);
+      }
+    }, CLAIM_RETRY_DELAY_MS);
+  }
+
+  /**
+   * Build the routing filter for a worker's next claim
+   * @param {Object} worker - Printer worker
+   * @returns {Promise<Function|null>} Job predicate, or null when routing is not configured
+   */
+  async createRoutingFilter(worker) {
+    if (!this.printerRouter) {
+      return null;
+    }
+    
+    const toPrinter = (candidate) => ({ id: candidate.printerId, name: candidate.printerName });
+    const onlinePrinters = Array.from(this.workers.values())
+      .filter(candidate => candidate.printerId !== DEFAULT_WORKER_ID && !candidate.retired && !candidate.offline)
+      .map(toPrinter);
+    
+    const args = [worker.printerId === DEFAULT_WORKER_ID ? null : toPrinter(worker), onlinePrinters];
+    
+    // Lets routed jobs fail over to a printer like their own when failover is on
+    if (typeof this.printerInterface.isCompatiblePrinter === 'function') {
+      args.push((printerName, candidate) => this.printerInterface.isCompatiblePrinter(printerName, candidate.id));
     }
+    
+    return await this.printerRouter.createClaimFilter(...args);
   }
 
   /**
-   * Execute a specific job
+   * Execute a specific job on the printer recorded on the job.
+   * The job is rendered and submitted under the processing timeout, then
+   * moves to printing until CUPS reports the card finished, under the print
+   * completion timeout. Each timeout and its step race for a single outcome,
+   * so a job is either completed or handed to handleJobFailure, never both.
    */
   async executeJob(job) {
+    const printerId = job.printerId || DEFAULT_WORKER_ID;
+    const worker = this.workers.get(printerId);
+    const execution = {
+      jobId: job.id,
+      controller: new AbortController(),
+      sentToPrinter: false,
+      cancelledByOperator: false,
+      work: null
+    };
+    
+    if (worker) {
+      worker.execution = execution;
+    }
+    
     try {
-      // Get template model from the badge job model's connection
-      const Template = require('../models/Template');
-      const templateModel = new Template(this.badgeJobModel.connection);
-      
-      // Generate badge using template processor
-      const badgeBuffer = await this.templateProcessor.generateBadge(
-        job.templateId,
-        job.uid,
-        job.badgeName,
-        templateModel,
-        job.badgeImage
+      execution.work = this.printJob(job, execution);
+      const cupsJobId = await this.withProcessingTimeout(
+        worker,
+        execution,
+        execution.work,
+        this.options.processingTimeout
       );
       
-      // Save badge to temporary file for printing
-      const path = require('path');
-      const fs = require('fs');
-      const tempDir = path.join(__dirname, '../../data/temp');
+      // Without a CUPS job ID (Windows) the spooler's acceptance is all we get
+      if (cupsJobId) {
+        const printingJob = await this.badgeJobModel.markPrinting(job.id, cupsJobId);
+        
+        this.broadcastQueueUpdate();
+        this.broadcastJobStatusChange(printingJob);
+        this.emit('jobPrinting', printingJob);
+        
+        execution.work = this.printerInterface.waitForPrintCompletion(cupsJobId, { signal: execution.controller.signal, printerId });
+        await this.withProcessingTimeout(
+          worker,
+          execution,
+          execution.work,
+          this.options.printCompletionTimeout
+        );
+      }
       
-      // Ensure temp directory exists
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
+      // Mark job as completed, unless an operator took it over meanwhile
+      const completedJob = await this.badgeJobModel.markCompleted(job.id, cupsJobId ? 'printing' : 'processing');
+      if (!completedJob) {
+        return;
       }
+      await this.recordConsumableUsage(completedJob, execution.sides);
       
-      const tempFilePath = path.join(tempDir, `badge_${job.id}_${Date.now()}.png`);
-      await this.templateProcessor.saveBadgeToFile(badgeBuffer, tempFilePath);
+      // Record throughput and free the worker
+      if (worker) {
+        worker.completedJobs++;
+        worker.lastCompletedAt = new Date();
+        worker.recentCompletions.push(Date.now());
+        this.releaseWorker(worker);
+      }
       
-      // Send to printer
-      await this.printerInterface.printDocument(tempFilePath);
+      // Broadcast queue update and job status change
+      this.broadcastQueueUpdate();
+      this.broadcastJobStatusChange(completedJob);
+      
+      // Emit job completed event
+      this.emit('jobCompleted', completedJob);
       
+    } catch (error) {
+      // A job cancelled by the operator has already been removed
+      if (!execution.cancelledByOperator) {
+        await this.handleJobFailure(job, error);
+      }
+    } finally {
+      if (worker && worker.execution === execution) {
+        worker.execution = null;
+      }
+    }
+  }
+
+  /**
+   * Render a job's badge and send it to the job's printer
+   * @param {Object} job - Claimed job
+   * @param {Object} execution - Execution state; its abort signal stops the print
+   * @returns {Promise<string|null>} CUPS job ID of the submitted print
+   * @private
+   */
+  async printJob(job, execution) {
+    const printerId = job.printerId || DEFAULT_WORKER_ID;
+    const { signal } = execution.controller;
+    
+    // Get template model from the badge job model's connection
+    const Template = require('../models/Template');
+    const templateModel = new Template(this.badgeJobModel.connection);
+    
+    // Generate badge using template processor, lined up for this printer.
+    // Two-sided templates give a front-and-back document unless the job's
+    // preset prints fronts only.
+    const calibration = typeof this.printerInterface.getCalibration === 'function'
+      ? this.printerInterface.getCalibration(printerId)
+      : null;
+    const presetName = this.resolveJobPreset(job, printerId);
+    const badgeDocument = await this.generateJobDocument(job, templateModel, calibration, presetName, printerId);
+    execution.sides = badgeDocument.sides;
+    
+    // Save badge to temporary file for printing
+    const path = require('path');
+    const fs = require('fs');
+    const tempDir = path.join(__dirname, '../../data/temp');
+    
+    // Ensure temp directory exists
+    if (!fs.existsSync(tempDir)) {
+      fs.mkdirSync(tempDir, { recursive: true });
+    }
+    
+    const tempFilePath = path.join(tempDir, `badge_${job.id}_${Date.now()}${badgeDocument.extension}`);
+    await this.templateProcessor.saveBadgeToFile(badgeDocument.buffer, tempFilePath);
+    
+    // Never send a badge to the printer after the job was aborted
+    if (signal.aborted) {
+      throw new Error('Job was aborted before it was sent to the printer');
+    }
+    
+    // Send to this worker's printer (the default worker uses the selected
+    // printer), recording the preset the card is printed with
+    await this.badgeJobModel.markSentToPrinter(job.id, presetName);
+    execution.sentToPrinter = true;
+    
+    try {
+      const printOptions = badgeDocument.sides === 2 ? { signal, sides: 2 } : { signal };
+      const result = await this.printerInterface.printDocument(tempFilePath, presetName, printerId, printOptions);
+      return (result && result.cupsJobId) || null;
+    } finally {
       // Clean up temporary file
       try {
         fs.unlinkSync(tempFilePath);
       } catch (cleanupError) {
         console.warn('Failed to clean up temporary file:', cleanupError.message);
       }
+    }
+  }
+
+  /**
+   * Render the document a job prints from
+   * @returns {Promise<Object>} { buffer, sides, extension }
+   * @private
+   */
+  async generateJobDocument(job, templateModel, calibration, presetName, printerId) {
+    // Values for the template's custom fields, when the job has any
+    const fieldValues = job.fieldValues && Object.keys(job.fieldValues).length > 0
+      ? job.fieldValues
+      : null;
+    
+    if (typeof this.templateProcessor.generateBadgeDocument !== 'function') {
+      const args = [job.templateId, job.uid, job.badgeName, templateModel, job.badgeImage, calibration];
+      if (fieldValues) {
+        args.push(fieldValues);
+      }
+      const buffer = await this.templateProcessor.generateBadge(...args);
+      return { buffer, sides: 1, extension: '.png' };
+    }
+    
+    const preset = typeof this.printerInterface.getPreset === 'function'
+      ? this.printerInterface.getPreset(presetName, printerId)
+      : null;
+    
+    const options = { calibration, printBack: !preset || preset.options.duplex !== false };
+    if (fieldValues) {
+      options.fieldValues = fieldValues;
+    }
+    
+    return this.templateProcessor.generateBadgeDocument(
+      job.templateId,
+      job.uid,
+      job.badgeName,
+      templateModel,
+      job.badgeImage,
+      options
+    );
+  }
+  
+  /**
+   * Pick the preset a job prints with: the one requested for it (per-job
+   * override or template default), or the default preset when there is none.
+   * A requested preset the printer doesn't have fails the job rather than
+   * printing a card with settings nobody asked for.
+   * @private
+   */
+  resolveJobPreset(job, printerId) {
+    const requested = job.requestedPreset;
+    if (!requested) {
+      return DEFAULT_PRESET;
+    }
+    
+    if (!this.printerInterface.hasPreset(requested, printerId)) {
+      const error = new Error(`Printer ${printerId || 'default'} has no preset '${requested}'`);
+      error.retryable = false;
+      throw error;
+    }
+    
+    return requested;
+  }
+
+  /**
+   * Count a completed job's cards against its printer's ribbon and card
+   * stock; each printed side of a two-sided card uses its own ribbon panels.
+   * Tracking problems are reported but never fail the job.
+   * @private
+   */
+  async recordConsumableUsage(job, sides = 1) {
+    if (!this.consumableModel) {
+      return;
+    }
+    
+    try {
+      const printer = this.printerInterface.resolvePrinter(job.printerId || DEFAULT_WORKER_ID);
+      if (!printer) {
+        return;
+      }
       
-      // Mark job as completed
-      const completedJob = await this.badgeJobModel.updateStatus(job.id, 'completed');
+      const preset = this.printerInterface.getPresets(printer.id).get(job.printerPreset);
+      const cards = (preset && preset.options.copies) || 1;
+      const consumables = await this.consumableModel.recordUsage(printer.id, cards, sides || 1);
       
-      // Clear current job
-      this.clearProcessingTimer();
-      this.currentJob = null;
+      this.io.emit('consumablesUpdate', { printerId: printer.id, printerName: printer.name, consumables });
       
-      // Broadcast queue update and job status change
-      this.broadcastQueueUpdate();
-      this.broadcastJobStatusChange(completedJob);
+      // Only announce a consumable once, when this job takes it below its threshold
+      const newlyLow = consumables.filter(consumable =>
+        consumable.isLow && consumable.remaining + consumable.used > consumable.lowThreshold
+      );
+      if (newlyLow.length > 0) {
+        this.emit('consumablesLow', printer.id, newlyLow);
+      }
+    } catch (error) {
+      this.emit('error', error);
+    }
+  }
+
+  /**
+   * Settle with the outcome of `work`, or abort it once `timeout` passes.
+   * A timed-out job rejects with a timeout error; when the badge had
+   * already been sent, the error's `cancellation` says whether the printer
+   * confirmed the print was cancelled.
+   * @private
+   */
+  withProcessingTimeout(worker, execution, work, timeout) {
+    return new Promise((resolve, reject) => {
+      let timedOut = false;
       
-      // Emit job completed event
-      this.emit('jobCompleted', completedJob);
+      const timer = setTimeout(async () => {
+        timedOut = true;
+        execution.controller.abort();
+        
+        const error = new Error(`Job processing timeout after ${timeout}ms`);
+        const cancellation = await this.waitForCancellation(execution, work);
+        if (cancellation) {
+          error.cancellation = cancellation;
+        }
+        reject(error);
+      }, timeout);
       
-      // Process next job
-      setTimeout(() => this.processNextJob(), 100);
+      if (worker) {
+        this.clearProcessingTimer(worker);
+        worker.processingTimer = timer;
+      }
       
-    } catch (error) {
-      await this.handleJobFailure(job, error);
+      const settle = (callback) => (value) => {
+        clearTimeout(timer);
+        if (worker && worker.processingTimer === timer) {
+          worker.processingTimer = null;
+        }
+        if (!timedOut) {
+          callback(value);
+        }
+      };
+      
+      work.then(settle(resolve), settle(reject));
+    });
+  }
+
+  /**
+   * Wait for an aborted print to report how its cancellation went
+   * @param {Object} execution - Aborted execution
+   * @param {Promise} [work] - Step that was running; the execution's current step by default
+   * @returns {Promise<Object|null>} { confirmed, cupsJobId }, or null when
+   *   nothing had been sent to the printer
+   */
+  async waitForCancellation(execution, work = execution.work) {
+    let graceTimer = null;
+    
+    const unconfirmed = { confirmed: false, cupsJobId: null };
+    const outcome = work.then(
+      // The print finished despite the abort, so the card was produced
+      () => unconfirmed,
+      (error) => ({
+        confirmed: Boolean(error.cancelled && error.cancelConfirmed),
+        cupsJobId: error.cupsJobId || null
+      })
+    );
+    const gracePeriod = new Promise(resolve => {
+      graceTimer = setTimeout(() => resolve(unconfirmed), this.options.cancelTimeout);
+    });
+    
+    try {
+      const cancellation = await Promise.race([outcome, gracePeriod]);
+      return execution.sentToPrinter ? cancellation : null;
+    } finally {
+      clearTimeout(graceTimer);
     }
   }
 
@@ -293,7 +1020,60 @@ class PrintQueueManager extends EventEmitter {
    * Handle job failure with retry logic
    */
   async handleJobFailure(job, error) {
+    const printerId = job.printerId || DEFAULT_WORKER_ID;
+    const worker = this.workers.get(printerId);
+    
     try {
+      // A print aborted after it reached the printer may still produce a
+      // card. Record whether the cancellation was confirmed; if it was not,
+      // a retry could print a duplicate, so an operator decides instead.
+      if (error.cancellation) {
+        await this.badgeJobModel.recordCancellation(job.id, error.cancellation.confirmed);
+        
+        if (!error.cancellation.confirmed) {
+          const reviewJob = await this.badgeJobModel.flagForReview(
+            job.id,
+            `${error.message}; cancellation not confirmed, check whether the card was produced`
+          );
+          if (worker) {
+            worker.failedJobs++;
+            this.releaseWorker(worker);
+          }
+          
+          this.broadcastQueueUpdate();
+          this.broadcastJobStatusChange(reviewJob);
+          this.emit('jobNeedsReview', reviewJob, error);
+          return;
+        }
+      }
+      
+      // Retrying can't fix a job that asks for something the printer lacks
+      if (error.retryable === false) {
+        const failedJob = await this.badgeJobModel.updateStatus(job.id, 'failed', error.message);
+        if (worker) {
+          worker.failedJobs++;
+          this.releaseWorker(worker);
+        }
+        
+        this.broadcastQueueUpdate();
+        this.broadcastJobStatusChange(failedJob);
+        this.emit('jobFailed', failedJob, error);
+        return;
+      }
+      
+      // A failure caused by the printer going offline is not the job's fault:
+      // put it back in the queue without using up a retry and wait for the
+      // printer to come back
+      if (await this.isWorkerPrinterOffline(worker)) {
+        const requeuedJob = await this.badgeJobModel.updateStatus(job.id, 'queued');
+        this.releaseWorker(worker);
+        
+        this.broadcastQueueUpdate();
+        this.broadcastJobStatusChange(requeuedJob);
+        this.emit('jobRequeuedPrinterOffline', requeuedJob, error);
+        return;
+      }
+      
       // Increment retry count
       const updatedJob = await this.badgeJobModel.incrementRetryCount(job.id);
       
@@ -303,15 +1083,7 @@ class PrintQueueManager extends EventEmitter {
         const delay = this.calculateRetryDelay(updatedJob.retryCount);
         
         // Schedule retry
-        setTimeout(async () => {
-          try {
-            await this.badgeJobModel.updateStatus(job.id, 'queued');
-            this.broadcastQueueUpdate();
-            this.emit('jobRetryScheduled', updatedJob, delay);
-          } catch (retryError) {
-            this.emit('error', retryError);
-          }
-        }, delay);
+        this.scheduleRetry(updatedJob, delay);
         
         this.emit('jobFailedWillRetry', updatedJob, error, delay);
         
@@ -322,23 +1094,87 @@ class PrintQueueManager extends EventEmitter {
         this.emit('jobFailed', failedJob, error);
       }
       
-      // Clear current job
-      this.clearProcessingTimer();
-      this.currentJob = null;
+      // Free the worker
+      if (worker) {
+        worker.failedJobs++;
+        this.releaseWorker(worker);
+      }
       
       // Broadcast queue update
       this.broadcastQueueUpdate();
       
-      // Continue processing other jobs
-      setTimeout(() => this.processNextJob(), 1000);
-      
     } catch (handleError) {
       this.emit('error', handleError);
       
-      // Clear current job and continue
-      this.clearProcessingTimer();
-      this.currentJob = null;
-      setTimeout(() => this.processNextJob(), 1000);
+      // Free the worker and continue
+      if (worker) {
+        this.releaseWorker(worker);
+      }
+    }
+  }
+
+  /**
+   * Put a failed job back in the queue once its backoff delay has passed
+   * @private
+   */
+  scheduleRetry(job, delay) {
+    this.clearRetryTimer(job.id);
+    
+    const timer = setTimeout(async () => {
+      this.retryTimers.delete(job.id);
+      
+      try {
+        await this.badgeJobModel.updateStatus(job.id, 'queued');
+        this.wake();
+        this.broadcastQueueUpdate();
+        this.emit('jobRetryScheduled', job, delay);
+      } catch (retryError) {
+        this.emit('error', retryError);
+      }
+    }, delay);
+    
+    this.retryTimers.set(job.id, timer);
+  }
+
+  /**
+   * Cancel a pending retry for a job
+   * @private
+   */
+  clearRetryTimer(jobId) {
+    const timer = this.retryTimers.get(jobId);
+    if (timer) {
+      clearTimeout(timer);
+      this.retryTimers.delete(jobId);
+    }
+  }
+
+  /**
+   * Find the worker currently printing a job
+   * @private
+   */
+  findWorkerForJob(jobId) {
+    for (const worker of this.workers.values()) {
+      if (worker.currentJob && worker.currentJob.id === jobId) {
+        return worker;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Clear a worker's current job, removing the worker if its printer left the pool
+   * @private
+   */
+  releaseWorker(worker) {
+    worker.currentJob = null;
+    
+    if (worker.retired && this.workers.get(worker.printerId) === worker) {
+      this.workers.delete(worker.printerId);
+    }
+    
+    // A drain completes when the last in-flight job is done
+    if (this.queueState.state === 'draining' && this.getQueueState().activeJobs === 0) {
+      this.setQueueState('paused', this.queueState.reason).catch(error => this.emit('error', error));
     }
   }
 
@@ -350,28 +1186,23 @@ class PrintQueueManager extends EventEmitter {
   }
 
   /**
-   * Set processing timeout for current job
+   * Clear a worker's processing timeout
    */
-  setProcessingTimer(job) {
-    this.clearProcessingTimer();
-    
-    this.processingTimer = setTimeout(async () => {
-      try {
-        const error = new Error(`Job processing timeout after ${this.options.processingTimeout}ms`);
-        await this.handleJobFailure(job, error);
-      } catch (timeoutError) {
-        this.emit('error', timeoutError);
-      }
-    }, this.options.processingTimeout);
+  clearProcessingTimer(worker) {
+    if (worker && worker.processingTimer) {
+      clearTimeout(worker.processingTimer);
+      worker.processingTimer = null;
+    }
   }
 
   /**
-   * Clear processing timeout
+   * Clear a worker's pending claim retry
+   * @private
    */
-  clearProcessingTimer() {
-    if (this.processingTimer) {
-      clearTimeout(this.processingTimer);
-      this.processingTimer = null;
+  clearClaimRetryTimer(worker) {
+    if (worker.claimRetryTimer) {
+      clearTimeout(worker.claimRetryTimer);
+      worker.claimRetryTimer = null;
     }
   }
 
@@ -398,6 +1229,9 @@ class PrintQueueManager extends EventEmitter {
         uid: job.uid,
         badgeName: job.badgeName,
         status: job.status,
+        priority: job.priority,
+        printerId: job.printerId,
+        cupsJobId: job.cupsJobId,
         retryCount: job.retryCount,
         errorMessage: job.errorMessage,
         createdAt: job.createdAt,
@@ -426,8 +1260,22 @@ class PrintQueueManager extends EventEmitter {
    */
   async cleanup() {
     this.stopProcessing();
+    
+    for (const jobId of Array.from(this.retryTimers.keys())) {
+      this.clearRetryTimer(jobId);
+    }
+    
+    if (typeof this.printerInterface.removeListener === 'function') {
+      this.printerInterface.removeListener('printerConnected', this.handlePoolChange);
+      this.printerInterface.removeListener('printerDisconnected', this.handlePoolChange);
+      this.printerInterface.removeListener('printerStatusChange', this.handlePrinterStatusChange);
+    }
+    
     this.removeAllListeners();
   }
 }
 
+PrintQueueManager.QUEUE_STATE_SETTING = QUEUE_STATE_SETTING;
+PrintQueueManager.PRINTER_OFFLINE_REASON = PRINTER_OFFLINE_REASON;
+
 module.exports = PrintQueueManager;
\ No newline at end of file
@@ -1,46 +1,154 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const EventEmitter = require('events');
 const fs = require('fs').promises;
-const path = require('path');
-const pdfToPrinter = require('pdf-to-printer');
+const { PrinterDriver, createDriver, getDefaultDriverName } = require('./drivers');
+const { filterPrinterOptions } = require('./drivers/ppdOptions');
+const { DEFAULT_CALIBRATION } = require('../models/PrinterConfiguration');
 
-const execAsync = promisify(exec);
+const { createPrintCancelledError } = PrinterDriver;
+
+// Printer statuses that mean jobs cannot be printed
+const UNAVAILABLE_STATUSES = ['Offline', 'Error'];
+
+// How often the status monitor polls pool printers
+const STATUS_CHECK_INTERVAL_MS = 10000;
+
+// How often a submitted job is checked while waiting for the card
+const PRINT_JOB_POLL_INTERVAL_MS = 2000;
+
+// Preset used when a job does not name one; it cannot be removed
+const DEFAULT_PRESET = 'standard-no-holokote';
+
+// Preset keys are used in URLs and stored as JSON keys
+const PRESET_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Make and model part of a USB device URI (usb://Magicard/Enduro from
+ * usb://Magicard/Enduro?serial=123); null for other devices, whose URI
+ * names a place rather than a model
+ * @private
+ */
+function getDeviceModel(deviceUri) {
+  if (!deviceUri || !deviceUri.startsWith('usb://')) {
+    return null;
+  }
+  return deviceUri.split('?')[0];
+}
 
 /**
- * PrinterInterface class handles USB printer communication and management
+ * PrinterInterface class handles printer communication and management
  * Provides methods for printer discovery, connection, status monitoring, and printing
+ *
+ * How printers are reached is up to the configured drivers (see ./drivers):
+ * `options.drivers` or PRINTER_DRIVERS, a comma-separated list such as
+ * "cups,spool". Without either, Windows uses the windows driver and every
+ * other OS uses cups. Each discovered printer records its driver, and all
+ * printer calls go through it.
+ *
+ * Several printers can be connected at once; they form the pool that the print
+ * queue runs one worker per printer against. `selectedPrinter` is the most
+ * recently connected printer and is used when no printer ID is given.
+ *
+ * Presets are stored per printer in printer_configurations when a
+ * `presetStore` (PrinterConfiguration model) is given. A printer's presets
+ * are seeded from the defaults the first time it connects and can then be
+ * edited at runtime; without a store every printer uses the defaults.
+ * Presets may set any option a printer's PPD offers through
+ * `printerOptions`; options the printer does not support are dropped before
+ * printing.
+ *
+ * Each printer's calibration (offset, scale and rotation, see
+ * getCalibration()) is kept in the same store, so badges can be rendered to
+ * line up on the printer they are sent to.
+ *
+ * A printer that drops out can be brought back with recoverPrinter(), which
+ * also finds it when CUPS re-adds it under a new queue name.
+ *
+ * Events: 'printerConnected' (printer), 'printerDisconnected' (printer),
+ * 'printerStatusChange' ({ printerId, printerName, status, previousStatus, isAvailable, wasAvailable }),
+ * 'printerRecovered' ({ printerId, previousPrinterId, queueChanged })
  */
-class PrinterInterface {
-  constructor() {
+class PrinterInterface extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string|Array<string>} [options.drivers] - Driver names; the first
+   *   one serves printers that do not record a driver
+   * @param {Object} [options.driverOptions] - Options for each driver, by name
+   * @param {Object} [options.presetStore] - PrinterConfiguration model holding
+   *   each printer's presets
+   */
+  constructor(options = {}) {
+    super();
     this.connectedPrinters = new Map();
+    this.activePrinters = new Map();
     this.selectedPrinter = null;
     this.presets = new Map();
+    this.presetStore = options.presetStore || null;
+    this.printerPresets = new Map();
+    this.printerCalibrations = new Map();
+    this.printerCapabilities = new Map();
     this.statusCheckInterval = null;
+    this.lastKnownStatuses = new Map();
+    this.deviceUris = new Map();
+    this.drivers = this.createDrivers(options);
+    this.defaultDriver = this.drivers.values().next().value;
     
     // Load default presets
     this.loadDefaultPresets();
   }
 
   /**
-   * Discover available USB printers on the system
+   * Create the configured drivers
+   * @private
+   */
+  createDrivers(options) {
+    const configured = options.drivers || process.env.PRINTER_DRIVERS || getDefaultDriverName();
+    const names = (Array.isArray(configured) ? configured : configured.split(','))
+      .map(name => name.trim())
+      .filter(Boolean);
+    const driverOptions = options.driverOptions || {};
+
+    const drivers = new Map();
+    names.forEach(name => {
+      drivers.set(name, createDriver(name, driverOptions[name]));
+    });
+
+    if (drivers.size === 0) {
+      throw new Error('No printer driver configured');
+    }
+
+    return drivers;
+  }
+
+  /**
+   * Get the driver that serves a printer
+   * @param {Object|null} printer - Printer object; null uses the default driver
+   * @returns {PrinterDriver}
+   */
+  getDriver(printer) {
+    if (!printer || !printer.driver) {
+      return this.defaultDriver;
+    }
+
+    const driver = this.drivers.get(printer.driver);
+    if (!driver) {
+      throw new Error(`Printer driver not configured: ${printer.driver}`);
+    }
+    return driver;
+  }
+
+  /**
+   * Discover available printers through every configured driver
    * @returns {Promise<Array>} Array of discovered printer objects
    */
   async discoverPrinters() {
     try {
-      let printers = [];
+      const printers = [];
       
-      // Try different methods based on the operating system
-      if (process.platform === 'darwin') {
-        // macOS - use lpstat command
-        printers = await this.discoverPrintersMacOS();
-      } else if (process.platform === 'linux') {
-        // Linux - use lpstat or cups commands
-        printers = await this.discoverPrintersLinux();
-      } else if (process.platform === 'win32') {
-        // Windows - use wmic command
-        printers = await this.discoverPrintersWindows();
-      } else {
-        throw new Error(`Unsupported platform: ${process.platform}`);
+      for (const driver of this.drivers.values()) {
+        const discovered = await driver.discover();
+        discovered.forEach(printer => {
+          printers.push({ ...printer, driver: driver.name });
+        });
       }
 
       // Update connected printers map
@@ -56,291 +164,405 @@ class PrinterInterface {
     }
   }
 
+
   /**
-   * Discover printers on macOS using lpstat
-   * @private
+   * Connect to a specific printer
+   * @param {string} printerId - The printer ID to connect to
+   * @returns {Promise<boolean>} Success status
    */
-  async discoverPrintersMacOS() {
+  async connectToPrinter(printerId) {
     try {
-      const { stdout } = await execAsync('lpstat -p');
-      const printers = [];
-      
-      const lines = stdout.split('\n').filter(line => line.startsWith('printer'));
+      const printer = this.connectedPrinters.get(printerId);
+      if (!printer) {
+        throw new Error(`Printer ${printerId} not found`);
+      }
+
+      if (!printer.isConnected) {
+        throw new Error(`Printer ${printerId} is not available`);
+      }
+
+      this.selectedPrinter = printer;
       
-      for (const line of lines) {
-        const match = line.match(/printer (\S+)/);
-        if (match) {
-          const printerId = match[1];
-          const status = await this.getPrinterStatusMacOS(printerId);
-          
-          printers.push({
-            id: printerId,
-            name: printerId,
-            isConnected: status.isConnected,
-            status: status.status,
-            type: 'USB', // Assume USB for now
-            platform: 'darwin'
-          });
+      // Stored presets are optional; the defaults still work without them
+      try {
+        if (this.presetStore) {
+          await this.seedPrinterPresets(printer.id);
         }
+      } catch (error) {
+        console.warn(`Could not load presets for printer ${printer.id}:`, error.message);
       }
       
-      return printers;
+      // Add to the printer pool, notifying listeners only for new printers
+      const isNewToPool = !this.activePrinters.has(printer.id);
+      this.activePrinters.set(printer.id, printer);
+      
+      // Start status monitoring
+      this.startStatusMonitoring();
+      
+      if (isNewToPool) {
+        this.emit('printerConnected', printer);
+      }
+      
+      return true;
     } catch (error) {
-      console.warn('lpstat command failed, returning empty printer list');
-      return [];
+      console.error('Error connecting to printer:', error);
+      throw error;
     }
   }
 
   /**
-   * Discover printers on Linux using lpstat
-   * @private
+   * Whether a printer was discovered or is in the pool
+   * @param {string} printerId - Printer ID
+   * @returns {boolean}
    */
-  async discoverPrintersLinux() {
-    try {
-      const { stdout } = await execAsync('lpstat -p');
-      const printers = [];
-      
-      const lines = stdout.split('\n').filter(line => line.startsWith('printer'));
-      
-      for (const line of lines) {
-        const match = line.match(/printer (\S+)/);
-        if (match) {
-          const printerId = match[1];
-          const status = await this.getPrinterStatusLinux(printerId);
-          
-          printers.push({
-            id: printerId,
-            name: printerId,
-            isConnected: status.isConnected,
-            status: status.status,
-            type: 'USB',
-            platform: 'linux'
-          });
-        }
+  isKnownPrinter(printerId) {
+    return this.activePrinters.has(printerId) || this.connectedPrinters.has(printerId);
+  }
+
+  /**
+   * Get the printers currently in the pool
+   * @returns {Array} Array of connected printer objects
+   */
+  getActivePrinters() {
+    return Array.from(this.activePrinters.values());
+  }
+
+  /**
+   * Bring back a pool printer that went offline or disappeared, or the
+   * selected printer when no ID is given. Printers are rediscovered and the
+   * printer is reconnected under its own queue when that is available
+   * again, or under a new queue for the same device: one with the same
+   * device URI, or, when that was never read, one CUPS named after the old
+   * queue (Enduro_1 for Enduro). A printer found under a new queue takes
+   * over the old queue's presets, calibration and place in the pool.
+   * @param {string} [printerId] - Printer to recover
+   * @returns {Promise<Object>} { recovered, printerId, previousPrinterId,
+   *   queueChanged, message } - printerId is the queue the printer is now on
+   */
+  async recoverPrinter(printerId = null) {
+    const lostId = printerId || (this.selectedPrinter && this.selectedPrinter.id);
+    if (!lostId) {
+      throw new Error('No printer selected to recover');
+    }
+
+    const lost = this.activePrinters.get(lostId) || this.connectedPrinters.get(lostId) || { id: lostId, name: lostId };
+    const wasSelected = Boolean(this.selectedPrinter && this.selectedPrinter.id === lostId);
+    const deviceUri = await this.rememberDeviceUri(lost);
+
+    const printers = await this.discoverPrinters();
+    const available = printers.filter(printer => printer.isConnected);
+
+    let found = available.find(printer => printer.id === lostId) || null;
+    if (!found) {
+      found = await this.findReplacementQueue(lost, deviceUri, available);
+    }
+
+    if (!found) {
+      return {
+        recovered: false,
+        printerId: lostId,
+        previousPrinterId: lostId,
+        queueChanged: false,
+        message: `Printer ${lostId} is still unavailable`
+      };
+    }
+
+    const queueChanged = found.id !== lostId;
+    const previousSelection = this.selectedPrinter;
+    if (queueChanged) {
+      await this.adoptPrinterSettings(lostId, found.id);
+      if (deviceUri) {
+        this.deviceUris.set(found.id, deviceUri);
       }
-      
-      return printers;
-    } catch (error) {
-      console.warn('lpstat command failed, returning empty printer list');
-      return [];
+      this.disconnect(lostId);
+    }
+
+    await this.connectToPrinter(found.id);
+
+    // Reconnecting selects the printer; keep the operator's selection unless it was this printer
+    if (!wasSelected && previousSelection && this.activePrinters.has(previousSelection.id)) {
+      this.selectedPrinter = this.activePrinters.get(previousSelection.id);
     }
+
+    // Report the printer available again so its worker and the queue pick up
+    await this.checkPrinterStatuses();
+
+    const result = {
+      recovered: true,
+      printerId: found.id,
+      previousPrinterId: lostId,
+      queueChanged,
+      message: queueChanged
+        ? `Printer ${lostId} reconnected as ${found.id}`
+        : `Printer ${lostId} reconnected`
+    };
+    this.emit('printerRecovered', result);
+    return result;
   }
 
   /**
-   * Discover printers on Windows using wmic
+   * Find the queue a lost printer came back under
    * @private
    */
-  async discoverPrintersWindows() {
-    try {
-      const { stdout } = await execAsync('wmic printer get name,status /format:csv');
-      const printers = [];
-      
-      const lines = stdout.split('\n').slice(1); // Skip header
-      
-      for (const line of lines) {
-        const parts = line.split(',');
-        if (parts.length >= 3 && parts[1]) {
-          const name = parts[1].trim();
-          const status = parts[2] ? parts[2].trim() : 'Unknown';
-          
-          printers.push({
-            id: name,
-            name: name,
-            isConnected: status.toLowerCase().includes('ok') || status.toLowerCase().includes('ready'),
-            status: status,
-            type: 'USB',
-            platform: 'win32'
-          });
+  async findReplacementQueue(lost, deviceUri, available) {
+    const candidates = available.filter(printer =>
+      printer.id !== lost.id &&
+      !this.activePrinters.has(printer.id) &&
+      (!lost.driver || printer.driver === lost.driver)
+    );
+
+    if (deviceUri) {
+      for (const candidate of candidates) {
+        if (await this.getDriver(candidate).getDeviceUri(candidate) === deviceUri) {
+          return candidate;
         }
       }
-      
-      return printers;
-    } catch (error) {
-      console.warn('wmic command failed, returning empty printer list');
-      return [];
+      return null;
     }
+
+    const escaped = lost.id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const renamed = new RegExp(`^${escaped}[_-]\\d+$`);
+    return candidates.find(candidate => renamed.test(candidate.id)) || null;
   }
 
   /**
-   * Get printer status on macOS
-   * @private
+   * Read and keep a printer's device URI, so the printer can be recognised
+   * under a new queue name after its queue has gone
+   * @param {Object} printer - Printer to read the device URI of
+   * @returns {Promise<string|null>} Device URI, or null if none is known
    */
-  async getPrinterStatusMacOS(printerId) {
-    try {
-      const { stdout } = await execAsync(`lpstat -p ${printerId}`);
-      const isConnected = !stdout.includes('disabled') && !stdout.includes('not accepting');
-      const status = stdout.includes('idle') ? 'Ready' : 
-                   stdout.includes('printing') ? 'Printing' : 
-                   stdout.includes('disabled') ? 'Offline' : 'Unknown';
-      
-      return { isConnected, status };
-    } catch (error) {
-      return { isConnected: false, status: 'Error' };
+  async rememberDeviceUri(printer) {
+    if (!this.deviceUris.has(printer.id)) {
+      const deviceUri = await this.getDriver(printer).getDeviceUri(printer);
+      if (deviceUri) {
+        this.deviceUris.set(printer.id, deviceUri);
+      }
     }
+    return this.deviceUris.get(printer.id) || null;
   }
 
   /**
-   * Get printer status on Linux
+   * Copy a printer's stored presets and calibration to the queue it came
+   * back under, unless that queue already has its own
    * @private
    */
-  async getPrinterStatusLinux(printerId) {
-    try {
-      const { stdout } = await execAsync(`lpstat -p ${printerId}`);
-      const isConnected = !stdout.includes('disabled') && !stdout.includes('not accepting');
-      const status = stdout.includes('idle') ? 'Ready' : 
-                   stdout.includes('printing') ? 'Printing' : 
-                   stdout.includes('disabled') ? 'Offline' : 'Unknown';
-      
-      return { isConnected, status };
-    } catch (error) {
-      return { isConnected: false, status: 'Error' };
+  async adoptPrinterSettings(fromId, toId) {
+    if (this.presetStore) {
+      const [from, to] = await Promise.all([
+        this.presetStore.findByName(fromId),
+        this.presetStore.findByName(toId)
+      ]);
+      if (from && !to) {
+        await this.presetStore.create({ name: toId, presets: from.presets, calibration: from.calibration });
+      }
+    }
+
+    if (this.printerPresets.has(fromId) && !this.printerPresets.has(toId)) {
+      this.printerPresets.set(toId, this.printerPresets.get(fromId));
+    }
+    if (this.printerCalibrations.has(fromId) && !this.printerCalibrations.has(toId)) {
+      this.printerCalibrations.set(toId, this.printerCalibrations.get(fromId));
     }
   }
 
   /**
-   * Connect to a specific printer
-   * @param {string} printerId - The printer ID to connect to
-   * @returns {Promise<boolean>} Success status
+   * Whether a pool printer can stand in for another printer: it uses the
+   * same driver and, when both device URIs have been read, the same make
+   * and model of USB device
+   * @param {string} printerName - ID or name of the printer to stand in for
+   * @param {string} candidateId - Pool printer that would stand in
+   * @returns {boolean}
    */
-  async connectToPrinter(printerId) {
-    try {
-      const printer = this.connectedPrinters.get(printerId);
-      if (!printer) {
-        throw new Error(`Printer ${printerId} not found`);
-      }
+  isCompatiblePrinter(printerName, candidateId) {
+    const candidate = this.activePrinters.get(candidateId);
+    const original = this.findKnownPrinter(printerName);
+    if (!candidate || !original || candidate.id === original.id || candidate.driver !== original.driver) {
+      return false;
+    }
 
-      if (!printer.isConnected) {
-        throw new Error(`Printer ${printerId} is not available`);
-      }
+    const originalModel = getDeviceModel(this.deviceUris.get(original.id));
+    const candidateModel = getDeviceModel(this.deviceUris.get(candidate.id));
+    return !originalModel || !candidateModel || originalModel === candidateModel;
+  }
 
-      this.selectedPrinter = printer;
-      
-      // Start status monitoring
-      this.startStatusMonitoring();
-      
-      return true;
-    } catch (error) {
-      console.error('Error connecting to printer:', error);
-      throw error;
+  /**
+   * Find a pool or discovered printer by ID or name
+   * @private
+   */
+  findKnownPrinter(printerName) {
+    const printers = [...this.activePrinters.values(), ...this.connectedPrinters.values()];
+    return printers.find(printer => printer.id === printerName || printer.name === printerName) || null;
+  }
+
+  /**
+   * Resolve a pool printer by ID, falling back to the selected printer
+   * @private
+   */
+  resolvePrinter(printerId = null) {
+    if (printerId) {
+      return this.activePrinters.get(printerId) || null;
     }
+    return this.selectedPrinter;
   }
 
   /**
-   * Get the status of the currently selected printer
+   * Get the status of a pool printer, or the currently selected printer
+   * @param {string} [printerId] - Printer ID; defaults to the selected printer
    * @returns {Promise<Object>} Printer status object
    */
-  async getPrinterStatus() {
-    if (!this.selectedPrinter) {
+  async getPrinterStatus(printerId = null) {
+    const printer = this.resolvePrinter(printerId);
+
+    if (!printer) {
       return {
         isConnected: false,
         status: 'No printer connected',
-        printerId: null,
+        printerId: printerId,
         printerName: null
       };
     }
 
     try {
-      let status;
-      
-      if (this.selectedPrinter.platform === 'darwin') {
-        status = await this.getPrinterStatusMacOS(this.selectedPrinter.id);
-      } else if (this.selectedPrinter.platform === 'linux') {
-        status = await this.getPrinterStatusLinux(this.selectedPrinter.id);
-      } else {
-        // For Windows or fallback
-        status = { isConnected: true, status: 'Ready' };
-      }
+      const status = await this.getDriver(printer).getStatus(printer);
 
       return {
         ...status,
-        printerId: this.selectedPrinter.id,
-        printerName: this.selectedPrinter.name
+        printerId: printer.id,
+        printerName: printer.name
       };
     } catch (error) {
       console.error('Error getting printer status:', error);
       return {
         isConnected: false,
         status: 'Error',
-        printerId: this.selectedPrinter.id,
+        printerId: printer.id,
         error: error.message
       };
     }
   }
 
   /**
-   * Print a document using the selected printer and preset
+   * Print a document using a pool printer (or the selected printer) and preset
    * @param {string} documentPath - Path to the document to print
    * @param {string} presetName - Name of the preset to use
-   * @returns {Promise<boolean>} Success status
+   * @param {string} [printerId] - Pool printer to print on; defaults to the selected printer
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborting stops the print command and
+   *   cancels the job it submitted. The promise then rejects with an error
+   *   carrying `cancelled`, `cancelConfirmed` and `cupsJobId`.
+   * @param {number} [options.sides=1] - Sides the document prints on; 2 for
+   *   a two-page front-and-back document, which turns on the duplexer
+   * @returns {Promise<Object>} { success, cupsJobId }. The document has been
+   *   handed to the spooler, not printed; pass `cupsJobId` to
+   *   waitForPrintCompletion() to find out whether the card came out. It is
+   *   null when the driver does not report job IDs (windows).
    */
-  async printDocument(documentPath, presetName = 'standard-no-holokote') {
-    if (!this.selectedPrinter) {
-      throw new Error('No printer selected');
+  async printDocument(documentPath, presetName = DEFAULT_PRESET, printerId = null, options = {}) {
+    const { signal = null, sides = 1 } = options;
+    const printer = this.resolvePrinter(printerId);
+    if (!printer) {
+      throw new Error(printerId ? `Printer ${printerId} is not connected` : 'No printer selected');
     }
 
     if (!await this.fileExists(documentPath)) {
       throw new Error(`Document not found: ${documentPath}`);
     }
 
-    const preset = this.presets.get(presetName);
-    if (!preset) {
+    const storedPreset = this.getPresets(printer.id).get(presetName);
+    if (!storedPreset) {
       throw new Error(`Preset not found: ${presetName}`);
     }
+    const resolvedPreset = await this.resolvePrinterOptions(printer, storedPreset);
+    const preset = sides === 2
+      ? { ...resolvedPreset, options: { ...resolvedPreset.options, sides } }
+      : resolvedPreset;
+
+    // Nothing has been sent yet, so an early abort is always confirmed
+    if (signal && signal.aborted) {
+      throw createPrintCancelledError(true);
+    }
 
     try {
-      if (process.platform === 'darwin') {
-        // macOS - use lp command with printer-specific options
-        let command = `lp -d "${this.selectedPrinter.name}"`;
-        
-        // Add HoloKote and HoloPatch options if specified
-        if (preset.options.holokote !== undefined) {
-          const holokoteValue = preset.options.holokote ? '1PrintHoloKote' : '0PrintNoHoloKote';
-          command += ` -o "CFHoloKote=${holokoteValue}"`;
-          command += ` -o "CBHoloKote=${holokoteValue}"`;
-          
-          // Also disable HoloPatch when HoloKote is disabled
-          if (!preset.options.holokote) {
-            command += ` -o "CFHoloPatch=0PrintNoHoloPatch"`;
-          }
-        }
-        
-        // Add paper size - fixed to CR80 Card
-        command += ` -o "PageSize=CR80Card"`;
-        command += ` -o "media=CR80Card"`;
-        
-        // Add scaling to fit width with bleed
-        command += ` -o "fit-to-page"`;
-        command += ` -o "scaling=100"`;
-        command += ` -o "print-scaling=fill"`;
-        
-        // Add quality settings
-        if (preset.options.quality) {
-          command += ` -o "print-quality=${preset.options.quality}"`;
-        }
-        
-        command += ` "${documentPath}"`;
-        console.log('Executing print command:', command);
-        await execAsync(command);
-      } else if (process.platform === 'win32') {
-        // Windows - use pdf-to-printer
-        const options = {
-          printer: this.selectedPrinter.name,
-          ...preset.options
-        };
-        await pdfToPrinter.print(documentPath, options);
-      } else {
-        // Linux - use lp command
-        const command = `lp -d "${this.selectedPrinter.name}" "${documentPath}"`;
-        await execAsync(command);
-      }
+      const { jobId } = await this.getDriver(printer).print(printer, documentPath, preset, { signal });
       
-      return true;
+      return { success: true, cupsJobId: jobId || null };
     } catch (error) {
+      if (error.cancelled) {
+        throw error;
+      }
       console.error('Error printing document:', error);
       throw new Error(`Failed to print document: ${error.message}`);
     }
   }
 
+  /**
+   * Cancel a job submitted by printDocument()
+   * @param {string|null} cupsJobId - Job ID returned by printDocument()
+   * @param {string} [printerId] - Printer the job was sent to; defaults to the selected printer
+   * @returns {Promise<boolean>} True when the printer confirmed the cancellation
+   */
+  async cancelPrintJob(cupsJobId, printerId = null) {
+    const printer = this.resolvePrinter(printerId);
+    return this.getDriver(printer).cancel(printer, cupsJobId);
+  }
+
+  /**
+   * Poll the printer's driver until a submitted job finishes
+   * @param {string} cupsJobId - Job ID returned by printDocument()
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborting cancels the job and
+   *   rejects with a cancellation error, as for printDocument()
+   * @param {number} [options.pollInterval] - Milliseconds between checks
+   * @param {string} [options.printerId] - Printer the job was sent to; defaults to the selected printer
+   * @returns {Promise<Object>} Final job state once the driver reports it completed
+   */
+  async waitForPrintCompletion(cupsJobId, options = {}) {
+    const { signal = null, pollInterval = PRINT_JOB_POLL_INTERVAL_MS, printerId = null } = options;
+    const printer = this.resolvePrinter(printerId);
+    const driver = this.getDriver(printer);
+
+    for (;;) {
+      if (signal && signal.aborted) {
+        const confirmed = await driver.cancel(printer, cupsJobId);
+        throw createPrintCancelledError(confirmed, cupsJobId);
+      }
+
+      const jobState = await driver.getJobState(printer, cupsJobId);
+
+      if (jobState.state === 'completed') {
+        return jobState;
+      }
+
+      if (jobState.state === 'failed') {
+        throw new Error(`Printer reported job ${cupsJobId} as failed: ${jobState.reasons.join(', ')}`);
+      }
+
+      await this.waitForNextPoll(pollInterval, signal);
+    }
+  }
+
+  /**
+   * Sleep between job polls, waking early when the signal aborts
+   * @private
+   */
+  waitForNextPoll(delay, signal) {
+    return new Promise(resolve => {
+      const timer = setTimeout(done, delay);
+
+      function done() {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', done);
+        }
+        resolve();
+      }
+
+      if (signal) {
+        signal.addEventListener('abort', done, { once: true });
+      }
+    });
+  }
+
   /**
    * Load and apply a preset configuration
    * @param {string} presetName - Name of the preset to apply
@@ -357,15 +579,240 @@ class PrinterInterface {
 
   /**
    * Get all available presets
+   * @param {string} [printerId] - Printer whose presets to list; defaults
+   *   to the built-in presets
    * @returns {Array} Array of preset names and configurations
    */
-  getAvailablePresets() {
-    return Array.from(this.presets.entries()).map(([name, config]) => ({
+  getAvailablePresets(printerId = null) {
+    return Array.from(this.getPresets(printerId).entries()).map(([name, config]) => ({
       name,
+      id: name,
       ...config
     }));
   }
 
+  /**
+   * Get a printer's presets, falling back to the defaults until its stored
+   * presets have been loaded
+   * @param {string} [printerId] - Printer ID
+   * @returns {Map} Presets by name
+   */
+  getPresets(printerId = null) {
+    return (printerId && this.printerPresets.get(printerId)) || this.presets;
+  }
+
+  /**
+   * Get one of a pool printer's presets, or the selected printer's
+   * @param {string} presetName - Preset key
+   * @param {string} [printerId] - Printer ID; defaults to the selected printer
+   * @returns {Object|null} { name, description, options }, or null when the
+   *   printer has no such preset
+   */
+  getPreset(presetName, printerId = null) {
+    const printer = this.resolvePrinter(printerId);
+    return this.getPresets(printer ? printer.id : null).get(presetName) || null;
+  }
+
+  /**
+   * Whether a pool printer, or the selected printer, has a preset
+   * @param {string} presetName - Preset key
+   * @param {string} [printerId] - Printer ID; defaults to the selected printer
+   * @returns {boolean}
+   */
+  hasPreset(presetName, printerId = null) {
+    const printer = this.resolvePrinter(printerId);
+    return this.getPresets(printer ? printer.id : null).has(presetName);
+  }
+
+  /**
+   * IDs of the presets a job can ask for: the defaults and every preset
+   * stored for a printer
+   * @returns {Array<string>} Preset IDs, sorted
+   */
+  getPresetIds() {
+    const ids = new Set(this.presets.keys());
+    this.printerPresets.forEach(presets => presets.forEach((preset, name) => ids.add(name)));
+    return Array.from(ids).sort();
+  }
+
+  /**
+   * Load a printer's presets from the preset store. A printer without
+   * stored presets uses the defaults; nothing is written.
+   * @param {string} printerId - Printer ID
+   * @returns {Promise<Map>} Presets by name
+   */
+  async loadPrinterPresets(printerId) {
+    if (!this.presetStore) {
+      return this.presets;
+    }
+
+    const config = await this.presetStore.findByName(printerId);
+    return config ? this.cachePrinterPresets(config) : this.getPresets(printerId);
+  }
+
+  /**
+   * Load a printer's presets, storing them from the defaults the first time
+   * the printer is connected
+   * @private
+   */
+  async seedPrinterPresets(printerId) {
+    let config = await this.presetStore.findByName(printerId);
+    if (!config) {
+      const presets = {};
+      this.presets.forEach((preset, name) => {
+        presets[name] = PrinterInterface.toStoredPreset(preset);
+      });
+      config = await this.presetStore.create({ name: printerId, presets });
+    }
+
+    this.cachePrinterPresets(config);
+    return config;
+  }
+
+  /**
+   * Add or replace one of a printer's presets
+   * @param {string} printerId - Printer ID
+   * @param {string} presetName - Preset key
+   * @param {Object} presetConfig - Stored preset fields (label, description,
+   *   paperSize, quality, orientation, holokote, duplex, copies, scale,
+   *   margins, printerOptions)
+   * @returns {Promise<Object>} The saved preset
+   */
+  async savePreset(printerId, presetName, presetConfig) {
+    const config = await this.getPresetConfig(printerId);
+    const updated = await this.presetStore.updatePreset(config.id, presetName, presetConfig);
+    this.cachePrinterPresets(updated);
+
+    return { name: presetName, id: presetName, ...this.printerPresets.get(printerId).get(presetName) };
+  }
+
+  /**
+   * Remove one of a printer's presets. The default preset and a printer's
+   * last preset are kept.
+   * @param {string} printerId - Printer ID
+   * @param {string} presetName - Preset key
+   * @returns {Promise<boolean>} True when removed
+   */
+  async removePreset(printerId, presetName) {
+    if (presetName === DEFAULT_PRESET) {
+      throw new Error(`Preset '${presetName}' is the default preset and cannot be removed`);
+    }
+
+    const config = await this.getPresetConfig(printerId);
+    if (config.presets[presetName] && Object.keys(config.presets).length === 1) {
+      throw new Error(`Preset '${presetName}' is the last preset for printer '${printerId}' and cannot be removed`);
+    }
+
+    const updated = await this.presetStore.removePreset(config.id, presetName);
+    this.cachePrinterPresets(updated);
+    return true;
+  }
+
+  /**
+   * Get a printer's calibration, or the selected printer's when no ID is
+   * given. Printers that were never calibrated print badges as rendered.
+   * @param {string} [printerId] - Printer ID
+   * @returns {Object} { offsetX, offsetY, scale, rotation }; offsets in
+   *   millimetres, rotation in degrees clockwise
+   */
+  getCalibration(printerId = null) {
+    const id = printerId || (this.selectedPrinter && this.selectedPrinter.id);
+    return { ...((id && this.printerCalibrations.get(id)) || DEFAULT_CALIBRATION) };
+  }
+
+  /**
+   * Store a printer's calibration
+   * @param {string} printerId - Printer ID
+   * @param {Object} calibration - { offsetX, offsetY, scale, rotation }
+   * @returns {Promise<Object>} The saved calibration
+   */
+  async saveCalibration(printerId, calibration) {
+    const config = await this.getPresetConfig(printerId);
+    const { offsetX, offsetY, scale, rotation } = calibration;
+    const updated = await this.presetStore.update(config.id, {
+      calibration: { offsetX, offsetY, scale, rotation }
+    });
+    this.cachePrinterPresets(updated);
+
+    return this.getCalibration(printerId);
+  }
+
+  /**
+   * Find or create a printer's stored configuration
+   * @private
+   */
+  async getPresetConfig(printerId) {
+    if (!this.presetStore) {
+      throw new Error('Preset storage is not available');
+    }
+
+    return this.seedPrinterPresets(printerId);
+  }
+
+  /**
+   * Cache a stored configuration's presets in the shape printDocument() uses,
+   * along with its calibration
+   * @private
+   */
+  cachePrinterPresets(config) {
+    const presets = new Map(Object.entries(config.presets)
+      .map(([name, stored]) => [name, PrinterInterface.fromStoredPreset(stored, name)]));
+    this.printerPresets.set(config.name, presets);
+    if (config.calibration) {
+      this.printerCalibrations.set(config.name, config.calibration);
+    }
+    return presets;
+  }
+
+  /**
+   * Flatten a preset for the printer_configurations table
+   * @param {Object} preset - Preset as used by the drivers
+   * @returns {Object} Stored preset fields
+   */
+  static toStoredPreset(preset) {
+    const { paperSize, orientation, scale, copies, holokote, duplex, quality, margins, printerOptions } = preset.options;
+    const stored = { label: preset.name, description: preset.description || '', paperSize, quality, orientation, holokote, copies, scale };
+    if (duplex !== undefined) {
+      stored.duplex = duplex;
+    }
+    if (margins) {
+      stored.margins = margins;
+    }
+    if (printerOptions) {
+      stored.printerOptions = { ...printerOptions };
+    }
+    return stored;
+  }
+
+  /**
+   * Turn stored preset fields back into the preset shape the drivers use
+   * @param {Object} stored - Stored preset fields
+   * @param {string} presetName - Preset key, used when there is no label
+   * @returns {Object} { name, description, options }
+   */
+  static fromStoredPreset(stored, presetName) {
+    const { label, description, paperSize, orientation, scale, copies, holokote, duplex, quality, margins, printerOptions } = stored;
+    const options = {
+      paperSize,
+      orientation,
+      scale: scale || 'fill',
+      copies: copies || 1,
+      holokote: Boolean(holokote),
+      quality
+    };
+    // Presets print the back of two-sided templates unless they say not to
+    if (duplex !== undefined) {
+      options.duplex = duplex;
+    }
+    if (margins) {
+      options.margins = margins;
+    }
+    if (printerOptions && Object.keys(printerOptions).length > 0) {
+      options.printerOptions = { ...printerOptions };
+    }
+    return { name: label || presetName, description: description || '', options };
+  }
+
   /**
    * Load default printer presets
    * @private
@@ -425,11 +872,60 @@ class PrinterInterface {
 
     this.statusCheckInterval = setInterval(async () => {
       try {
-        await this.getPrinterStatus();
+        await this.checkPrinterStatuses();
       } catch (error) {
         console.error('Status monitoring error:', error);
       }
-    }, 10000); // Check every 10 seconds
+    }, STATUS_CHECK_INTERVAL_MS);
+  }
+
+  /**
+   * Poll every pool printer and emit 'printerStatusChange' for each printer
+   * whose status differs from the last check (including the first check)
+   * @returns {Promise<Array>} Status changes emitted by this check
+   */
+  async checkPrinterStatuses() {
+    const changes = [];
+
+    for (const printer of this.getActivePrinters()) {
+      const current = await this.getPrinterStatus(printer.id);
+
+      // The printer may have left the pool while we were waiting
+      if (!this.activePrinters.has(printer.id)) {
+        continue;
+      }
+
+      const previousStatus = this.lastKnownStatuses.get(printer.id) || null;
+      if (previousStatus === current.status) {
+        continue;
+      }
+
+      this.lastKnownStatuses.set(printer.id, current.status);
+
+      const change = {
+        printerId: printer.id,
+        printerName: printer.name,
+        status: current.status,
+        previousStatus,
+        isAvailable: this.isStatusAvailable(current.status),
+        wasAvailable: previousStatus === null ? null : this.isStatusAvailable(previousStatus),
+        timestamp: new Date()
+      };
+
+      changes.push(change);
+      this.emit('printerStatusChange', change);
+    }
+
+    return changes;
+  }
+
+  /**
+   * Whether a printer in this status can take print jobs
+   * @param {string} status - Status reported by getPrinterStatus
+   * @returns {boolean}
+   */
+  isStatusAvailable(status) {
+    return !UNAVAILABLE_STATUSES.includes(status);
   }
 
   /**
@@ -443,38 +939,60 @@ class PrinterInterface {
   }
 
   /**
-   * Get available printer options for current printer
-   * @returns {Promise<Object>} Available printer options
+   * Get available printer options for a pool printer, or the selected printer
+   * @param {string} [printerId] - Printer ID; defaults to the selected printer
+   * @returns {Promise<Object>} Available printer options, as reported by the
+   *   printer's driver. `options` lists the PPD options presets can set (see
+   *   ./drivers/ppdOptions). Read once per connection.
    */
-  async getPrinterOptions() {
-    if (!this.selectedPrinter || process.platform !== 'darwin') {
+  async getPrinterOptions(printerId = null) {
+    const printer = this.resolvePrinter(printerId);
+    if (!printer) {
       return {};
     }
     
-    try {
-      const { stdout } = await execAsync(`lpoptions -p "${this.selectedPrinter.name}" -l`);
-      console.log('Available printer options:', stdout);
-      
-      const options = {};
-      
-      // Parse printer options
-      const lines = stdout.split('\n');
-      for (const line of lines) {
-        if (line.toLowerCase().includes('holokote') || line.toLowerCase().includes('holo-kote')) {
-          options.holocoteAvailable = true;
-          options.holocoteOptionName = line.split('/')[0].split(':')[0].trim();
-          options.holocoteOptions = line.match(/\*?([^\s]+)/g) || [];
-          console.log('Found HoloKote option:', line);
-        }
+    if (!this.printerCapabilities.has(printer.id)) {
+      const capabilities = await this.getDriver(printer).getCapabilities(printer);
+      if (!Array.isArray(capabilities.options)) {
+        return capabilities;
       }
-      
-      return options;
-    } catch (error) {
-      console.warn('Could not get printer options:', error.message);
-      return {};
+      this.printerCapabilities.set(printer.id, capabilities);
     }
+    
+    return this.printerCapabilities.get(printer.id);
+  }
+
+  /**
+   * Check preset printer options against what a pool printer supports
+   * @param {string} printerId - Printer ID
+   * @param {Object} [printerOptions] - Requested options ({ name: choice })
+   * @returns {Promise<Object>} { accepted, rejected } - everything is accepted
+   *   when the printer is not in the pool or its options cannot be read
+   */
+  async checkPrinterOptions(printerId, printerOptions = {}) {
+    const capabilities = this.activePrinters.has(printerId)
+      ? await this.getPrinterOptions(printerId)
+      : {};
+    return filterPrinterOptions(printerOptions, capabilities.options);
   }
 
+  /**
+   * Drop the printer options a preset sets that the printer does not support
+   * @private
+   */
+  async resolvePrinterOptions(printer, preset) {
+    const { printerOptions } = preset.options;
+    if (!printerOptions || Object.keys(printerOptions).length === 0) {
+      return preset;
+    }
+
+    const { accepted, rejected } = await this.checkPrinterOptions(printer.id, printerOptions);
+    rejected.forEach(({ name, value, reason }) => {
+      console.warn(`Ignoring printer option ${name}=${value} for ${printer.id}: ${reason}`);
+    });
+
+    return { ...preset, options: { ...preset.options, printerOptions: accepted } };
+  }
   /**
    * Check if a file exists
    * @private
@@ -489,13 +1007,47 @@ class PrinterInterface {
   }
 
   /**
-   * Disconnect from current printer and cleanup
+   * Remove one printer from the pool, or disconnect from all printers and cleanup
+   * @param {string} [printerId] - Printer to remove; omit to disconnect everything
    */
-  disconnect() {
+  disconnect(printerId = null) {
+    if (printerId) {
+      const printer = this.activePrinters.get(printerId);
+      if (!printer) {
+        return;
+      }
+
+      this.activePrinters.delete(printerId);
+      this.lastKnownStatuses.delete(printerId);
+      this.printerCapabilities.delete(printerId);
+
+      if (this.selectedPrinter && this.selectedPrinter.id === printerId) {
+        const remaining = this.getActivePrinters();
+        this.selectedPrinter = remaining.length > 0 ? remaining[remaining.length - 1] : null;
+      }
+
+      if (this.activePrinters.size === 0) {
+        this.stopStatusMonitoring();
+      }
+
+      this.emit('printerDisconnected', printer);
+      return;
+    }
+
+    const removedPrinters = this.getActivePrinters();
+
     this.stopStatusMonitoring();
     this.selectedPrinter = null;
+    this.activePrinters.clear();
     this.connectedPrinters.clear();
+    this.lastKnownStatuses.clear();
+    this.printerCapabilities.clear();
+
+    removedPrinters.forEach(printer => this.emit('printerDisconnected', printer));
   }
 }
 
+PrinterInterface.DEFAULT_PRESET = DEFAULT_PRESET;
+PrinterInterface.PRESET_ID_PATTERN = PRESET_ID_PATTERN;
+
 module.exports = PrinterInterface;
\ No newline at end of file
@@ -0,0 +1,157 @@
+const EventEmitter = require('events');
+const { AppError, ErrorRecovery } = require('../utils/errorHandler');
+
+// How long to wait between reconnect attempts for an unavailable printer
+const RETRY_INTERVAL_MS = 15000;
+
+// Attempts made before giving up on a printer until its status changes again
+const MAX_ATTEMPTS = 40;
+
+/**
+ * PrinterRecovery reconnects pool printers that go offline or disappear.
+ * When a printer's status turns unavailable it is rediscovered and
+ * reconnected through ErrorRecovery every `retryInterval` until it is back
+ * or `maxAttempts` runs out; a printer that comes back by itself stops the
+ * attempts. Each attempt is reported by ErrorRecovery over Socket.io and in
+ * the diagnostics history.
+ *
+ * Events: 'recoveryAttempt' (recovery), 'printerRecovered' (recovery),
+ * 'recoveryGaveUp' (printerId, attempts)
+ */
+class PrinterRecovery extends EventEmitter {
+  /**
+   * @param {PrinterInterface} printerInterface - Printer interface to watch
+   * @param {Object} [options]
+   * @param {Object} [options.io] - Socket.io server attempts are reported to
+   * @param {number} [options.retryInterval] - Time between attempts, in milliseconds
+   * @param {number} [options.maxAttempts] - Attempts before giving up
+   */
+  constructor(printerInterface, options = {}) {
+    super();
+    this.printerInterface = printerInterface;
+    this.io = options.io || null;
+    this.retryInterval = options.retryInterval || RETRY_INTERVAL_MS;
+    this.maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    this.recoveries = new Map();
+
+    this.handleStatusChange = (change) => this.onPrinterStatusChange(change);
+  }
+
+  /**
+   * Start watching printer statuses
+   */
+  start() {
+    this.printerInterface.on('printerStatusChange', this.handleStatusChange);
+  }
+
+  /**
+   * Stop watching and cancel pending attempts
+   */
+  stop() {
+    this.printerInterface.removeListener('printerStatusChange', this.handleStatusChange);
+    for (const printerId of Array.from(this.recoveries.keys())) {
+      this.cancel(printerId);
+    }
+  }
+
+  /**
+   * Schedule recovery for a printer that became unavailable, and cancel it
+   * for one that is available again. The device URI of an available printer
+   * is read while its queue still exists, so it can be found again if it
+   * comes back under another queue name.
+   * @param {Object} change - 'printerStatusChange' payload from PrinterInterface
+   */
+  onPrinterStatusChange(change) {
+    if (change.isAvailable) {
+      this.cancel(change.printerId);
+
+      const printer = this.printerInterface.getActivePrinters().find(active => active.id === change.printerId);
+      if (printer) {
+        this.printerInterface.rememberDeviceUri(printer).catch(error => this.emit('error', error));
+      }
+      return;
+    }
+
+    if (!this.recoveries.has(change.printerId)) {
+      this.recoveries.set(change.printerId, { attempts: 0, timer: null, status: change.status });
+      this.schedule(change.printerId);
+    }
+  }
+
+  /**
+   * Make one reconnect attempt for a printer now
+   * @param {string} printerId - Printer to reconnect
+   * @returns {Promise<Object>} The recovery reported by ErrorRecovery
+   */
+  async attempt(printerId) {
+    const state = this.recoveries.get(printerId);
+    const status = state ? state.status : 'unavailable';
+    if (state) {
+      state.attempts++;
+    }
+
+    const error = new AppError('PRINTER_OFFLINE', `Printer ${printerId} is ${status}`, null, { printerId });
+    const recovery = await ErrorRecovery.attemptRecovery(error, {
+      printerInterface: this.printerInterface,
+      printerId,
+      io: this.io
+    });
+    this.emit('recoveryAttempt', recovery);
+
+    if (recovery.successful) {
+      this.cancel(printerId);
+      this.emit('printerRecovered', recovery);
+    } else if (state && this.recoveries.get(printerId) === state) {
+      if (state.attempts >= this.maxAttempts) {
+        this.cancel(printerId);
+        this.emit('recoveryGaveUp', printerId, state.attempts);
+      } else {
+        this.schedule(printerId);
+      }
+    }
+
+    return recovery;
+  }
+
+  /**
+   * Printers being recovered, with the attempts made so far
+   * @returns {Array<Object>} { printerId, attempts }
+   */
+  getPendingRecoveries() {
+    return Array.from(this.recoveries.entries())
+      .map(([printerId, state]) => ({ printerId, attempts: state.attempts }));
+  }
+
+  /**
+   * Queue the next attempt for a printer
+   * @private
+   */
+  schedule(printerId) {
+    const state = this.recoveries.get(printerId);
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      this.attempt(printerId).catch(error => this.emit('error', error));
+    }, this.retryInterval);
+  }
+
+  /**
+   * Stop recovering a printer
+   * @private
+   */
+  cancel(printerId) {
+    const state = this.recoveries.get(printerId);
+    if (!state) {
+      return;
+    }
+
+    if (state.timer) {
+      clearTimeout(state.timer);
+    }
+    this.recoveries.delete(printerId);
+  }
+}
+
+PrinterRecovery.RETRY_INTERVAL_MS = RETRY_INTERVAL_MS;
+PrinterRecovery.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = PrinterRecovery;
@@ -0,0 +1,125 @@
+const PrinterRoutingRule = require('../models/PrinterRoutingRule');
+
+// Job property each rule match type is compared against
+const JOB_FIELDS = {
+  category: 'category',
+  badgeImage: 'badgeImage',
+  template: 'templateId'
+};
+
+/**
+ * PrinterRouter decides which pool printer may print a job.
+ * Jobs matched by a routing rule only go to the rule's printer, or to its
+ * fallback while the main printer is offline. When neither is online the job
+ * stays queued instead of printing on the wrong card stock, unless failover
+ * is on: then it may go to another online printer compatible with the
+ * rule's printer (see PrinterInterface.isCompatiblePrinter()).
+ */
+class PrinterRouter {
+  /**
+   * @param {Object} routingRuleModel - PrinterRoutingRule model
+   * @param {Object} [options]
+   * @param {boolean} [options.failover] - Fail routed jobs over to compatible
+   *   printers (PRINTER_FAILOVER=true)
+   */
+  constructor(routingRuleModel, options = {}) {
+    this.routingRuleModel = routingRuleModel;
+    this.failover = options.failover !== undefined
+      ? Boolean(options.failover)
+      : process.env.PRINTER_FAILOVER === 'true';
+  }
+
+  /**
+   * Find the rule that applies to a job
+   * @param {Object} job - Badge job
+   * @param {Array} rules - Routing rules
+   * @returns {Object|null} Most specific matching rule
+   */
+  findRuleForJob(job, rules) {
+    for (const matchType of PrinterRoutingRule.MATCH_TYPES) {
+      const value = job[JOB_FIELDS[matchType]];
+      if (!value) {
+        continue;
+      }
+
+      const rule = rules.find(candidate => candidate.matchType === matchType && candidate.matchValue === value);
+      if (rule) {
+        return rule;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a rule printer name refers to a pool printer
+   * @param {string} name - Printer name from a routing rule
+   * @param {Object} printer - Pool printer { id, name }
+   * @returns {boolean}
+   */
+  matchesPrinter(name, printer) {
+    return !!printer && (printer.id === name || printer.name === name);
+  }
+
+  /**
+   * Resolve the printer a job should print on right now
+   * @param {Object} job - Badge job
+   * @param {Array} rules - Routing rules
+   * @param {Array<Object>} onlinePrinters - Online pool printers { id, name }
+   * @param {Function} [isCompatible] - (printerName, printer) => boolean;
+   *   used for failover
+   * @returns {Object} { rule, printer, failover } - printer is null when the
+   *   job must wait; failover is true when it stands in for the rule's printers
+   */
+  resolvePrinter(job, rules, onlinePrinters, isCompatible = null) {
+    const rule = this.findRuleForJob(job, rules);
+    if (!rule) {
+      return { rule: null, printer: null };
+    }
+
+    const findOnline = (name) => onlinePrinters.find(printer => this.matchesPrinter(name, printer)) || null;
+
+    const target = findOnline(rule.printerName);
+    if (target) {
+      return { rule, printer: target };
+    }
+
+    if (rule.fallbackPrinterName) {
+      const fallback = findOnline(rule.fallbackPrinterName);
+      if (fallback) {
+        return { rule, printer: fallback };
+      }
+    }
+
+    if (this.failover && isCompatible) {
+      const standIn = onlinePrinters.find(printer => isCompatible(rule.printerName, printer)) || null;
+      return { rule, printer: standIn, failover: Boolean(standIn) };
+    }
+
+    return { rule, printer: null };
+  }
+
+  /**
+   * Build a predicate telling whether a printer worker may claim a job
+   * @param {Object|null} printer - Worker printer { id, name }; null is the default worker
+   * @param {Array<Object>} onlinePrinters - Online pool printers { id, name }
+   * @param {Function} [isCompatible] - See resolvePrinter()
+   * @returns {Promise<Function>} (job) => boolean
+   */
+  async createClaimFilter(printer, onlinePrinters, isCompatible = null) {
+    const rules = await this.routingRuleModel.findAll();
+
+    return (job) => {
+      const { rule, printer: target } = this.resolvePrinter(job, rules, onlinePrinters, isCompatible);
+
+      // Unrouted jobs can go to any printer
+      if (!rule) {
+        return true;
+      }
+
+      return !!printer && !!target && target.id === printer.id;
+    };
+  }
+}
+
+module.exports = PrinterRouter;
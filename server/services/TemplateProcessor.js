@@ -2,6 +2,43 @@ const { createCanvas, loadImage, registerFont } = require('canvas');
 const fs = require('fs');
 const path = require('path');
 const sharp = require('sharp');
+const QRCode = require('qrcode');
+const Template = require('../models/Template');
+const FontManager = require('./FontManager');
+
+// Badges are rendered at this size in pixels and printed on a CR80 card of
+// this size in millimetres
+const BADGE_WIDTH = 1226;
+const BADGE_HEIGHT = 799;
+const CARD_WIDTH_MM = 85.6;
+const CARD_HEIGHT_MM = 54;
+
+// Crop marks on the calibration card sit this far in from each card edge
+const CROP_MARK_INSET_MM = 5;
+
+// Two-sided badges are printed from a PDF with one card-sized page per side
+const POINTS_PER_MM = 72 / 25.4;
+
+// Where uid and badgeName are drawn when a template's layout doesn't say
+const DEFAULT_TEXT_FIELD_BOXES = {
+  uid: { name: 'uid', x1: 100, y1: 650, x2: 300, y2: 720, fontFamily: 'Hiragino Kaku Gothic Pro' },
+  badgeName: { name: 'badgeName', x1: 100, y1: 250, x2: 500, y2: 350, fontFamily: 'Hiragino Kaku Gothic Pro' }
+};
+
+// Back-side field values can name the badge's own details: {uid},
+// {badgeName} or any custom field
+const FIELD_PLACEHOLDERS = /\{([a-zA-Z][a-zA-Z0-9_]*)\}/g;
+
+// Text in a box is never fitted smaller than this unless its field says so,
+// and each wrapped line takes up this many times the font size
+const MIN_FONT_SIZE = 8;
+const LINE_HEIGHT = 1.2;
+
+// Modules of white left around a QR code so scanners can find it
+const QR_QUIET_ZONE = 2;
+
+// Template files that are themselves the badge background
+const TEMPLATE_IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
 
 class TemplateProcessor {
   constructor() {
@@ -38,9 +75,13 @@ class TemplateProcessor {
    * @param {string} uid - User identifier
    * @param {string} badgeName - Badge name
    * @param {Object} templateModel - Template model instance
+   * @param {string} [badgeImage] - Background image to use instead of the template's
+   * @param {Object} [calibration] - Calibration of the printer the badge is
+   *   for; see applyCalibration()
+   * @param {Object} [fieldValues] - Values of the template's custom fields, by name
    * @returns {Buffer} Generated badge as PNG buffer
    */
-  async generateBadge(templateId, uid, badgeName, templateModel, badgeImage = null) {
+  async generateBadge(templateId, uid, badgeName, templateModel, badgeImage = null, calibration = null, fieldValues = {}) {
     try {
       const template = await this.loadTemplate(templateId, templateModel);
       
@@ -63,8 +104,7 @@ class TemplateProcessor {
         backgroundPath = path.join(__dirname, '../../public/images/badges', badgeImage);
         console.log('Looking for badge image at:', backgroundPath);
       } else {
-        const templateDir = path.dirname(template.filePath || template.file_path || '');
-        backgroundPath = path.join(templateDir, 'background.png');
+        backgroundPath = this.getTemplateBackgroundPath(template);
       }
       
       try {
@@ -90,70 +130,10 @@ class TemplateProcessor {
         ctx.fillRect(0, 0, canvas.width, canvas.height);
       }
 
-      // Parse text fields configuration
-      let textFields;
-      try {
-        textFields = typeof template.textFields === 'string' 
-          ? JSON.parse(template.textFields) 
-          : template.textFields;
-      } catch (e) {
-        textFields = [];
-      }
-
-      // Find configurations for uid and badgeName
-      const uidField = textFields.find(field => field.name === 'uid');
-      const badgeNameField = textFields.find(field => field.name === 'badgeName');
-      
-      console.log('Using text fields from database:', textFields);
-      
-      // Handle both old format (x,y,fontSize) and new format (x1,y1,x2,y2)
-      let uidConfig, badgeNameConfig;
-      
-      if (uidField && uidField.x1 !== undefined) {
-        // New bounding box format
-        uidConfig = {
-          x1: uidField.x1,
-          y1: uidField.y1,
-          x2: uidField.x2,
-          y2: uidField.y2,
-          fontFamily: uidField.fontFamily || 'Arial'
-        };
-      } else if (uidField) {
-        // Old format - convert to bounding box
-        uidConfig = {
-          x1: uidField.x,
-          y1: uidField.y,
-          x2: uidField.x + 200,
-          y2: uidField.y + 70,
-          fontFamily: uidField.fontFamily || 'Arial'
-        };
-      } else {
-        // Default
-        uidConfig = { x1: 100, y1: 650, x2: 300, y2: 720, fontFamily: 'Hiragino Kaku Gothic Pro' };
-      }
-      
-      if (badgeNameField && badgeNameField.x1 !== undefined) {
-        // New bounding box format
-        badgeNameConfig = {
-          x1: badgeNameField.x1,
-          y1: badgeNameField.y1,
-          x2: badgeNameField.x2,
-          y2: badgeNameField.y2,
-          fontFamily: badgeNameField.fontFamily || 'Arial Bold'
-        };
-      } else if (badgeNameField) {
-        // Old format - convert to bounding box
-        badgeNameConfig = {
-          x1: badgeNameField.x,
-          y1: badgeNameField.y,
-          x2: badgeNameField.x + 400,
-          y2: badgeNameField.y + 100,
-          fontFamily: badgeNameField.fontFamily || 'Arial Bold'
-        };
-      } else {
-        // Default
-        badgeNameConfig = { x1: 100, y1: 250, x2: 500, y2: 350, fontFamily: 'Hiragino Kaku Gothic Pro' };
-      }
+      // Boxes for uid, badgeName and custom fields from the template's text field layout
+      const textFields = this.getTextFieldBoxes(template);
+      const uidConfig = textFields.uid;
+      const badgeNameConfig = textFields.badgeName;
       
       console.log('Final text configs:', { uidConfig, badgeNameConfig });
 
@@ -163,13 +143,214 @@ class TemplateProcessor {
       // Render badge name text
       this.renderText(ctx, badgeName.trim(), badgeNameConfig);
 
-      // Convert canvas to buffer
-      return canvas.toBuffer('image/png');
+      // Render the custom fields that were filled in and have a box on the front
+      (template.customFields || []).forEach(field => {
+        const box = textFields[field.name];
+        const value = fieldValues && fieldValues[field.name];
+        if (box && typeof value === 'string' && value.trim() !== '') {
+          this.renderText(ctx, value.trim(), { ...box, fontFamily: box.fontFamily || 'Arial' });
+        }
+      });
+
+      // Convert canvas to buffer, lined up for the printer it is sent to
+      const output = calibration ? this.applyCalibration(canvas, calibration) : canvas;
+      return output.toBuffer('image/png');
     } catch (error) {
       throw new Error(`Failed to generate badge: ${error.message}`);
     }
   }
 
+  /**
+   * Read a template's text field layout, converting layouts stored in an
+   * older shape
+   * @param {Object} template - Template record
+   * @returns {Object|null} Layout, or null when it can't be read
+   * @private
+   */
+  getTextFieldLayout(template) {
+    try {
+      const textFields = typeof template.textFields === 'string'
+        ? JSON.parse(template.textFields)
+        : template.textFields;
+      return Template.normalizeTextFields(textFields);
+    } catch (error) {
+      console.log('Could not read text fields, using defaults:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Read the front boxes from a template's text field layout. uid and
+   * badgeName get a default box when the layout doesn't position them or
+   * can't be read; custom fields without a box aren't drawn.
+   * @param {Object} template - Template record
+   * @returns {Object} Box config for each text field, keyed by field name
+   * @private
+   */
+  getTextFieldBoxes(template) {
+    const layout = this.getTextFieldLayout(template);
+
+    const boxes = { ...DEFAULT_TEXT_FIELD_BOXES };
+    (layout ? layout.fields : []).forEach(field => {
+      boxes[field.name] = field;
+    });
+    return boxes;
+  }
+
+  /**
+   * Find the background image of a template: the template file itself when
+   * it is an image (uploaded templates), otherwise background.png next to it
+   * @param {Object} template - Template record
+   * @returns {string} Background image path
+   * @private
+   */
+  getTemplateBackgroundPath(template) {
+    const filePath = template.filePath || template.file_path || '';
+    if (TEMPLATE_IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+      return filePath;
+    }
+    return path.join(path.dirname(filePath), 'background.png');
+  }
+
+  /**
+   * Generate the document a badge is printed from. A template with a back
+   * side gives a two-page PDF, front then back; any other template, or a
+   * back side left out with `printBack: false`, gives the same PNG as
+   * generateBadge().
+   * @param {string} templateId - Template identifier
+   * @param {string} uid - User identifier
+   * @param {string} badgeName - Badge name
+   * @param {Object} templateModel - Template model instance
+   * @param {string} [badgeImage] - Front background image to use instead of the template's
+   * @param {Object} [options]
+   * @param {Object} [options.calibration] - Calibration of the printer, applied to both sides
+   * @param {boolean} [options.printBack=true] - Whether to include the back side
+   * @param {Object} [options.fieldValues] - Values of the template's custom fields, by name
+   * @returns {Promise<Object>} { buffer, sides, extension }
+   */
+  async generateBadgeDocument(templateId, uid, badgeName, templateModel, badgeImage = null, options = {}) {
+    const { calibration = null, printBack = true, fieldValues = {} } = options;
+
+    const front = await this.generateBadge(templateId, uid, badgeName, templateModel, badgeImage, calibration, fieldValues);
+    const template = await templateModel.findById(templateId);
+    if (!printBack || !template || !template.backSide) {
+      return { buffer: front, sides: 1, extension: '.png' };
+    }
+
+    try {
+      const values = { uid: uid.trim(), badgeName: badgeName.trim() };
+      (template.customFields || []).forEach(field => {
+        values[field.name] = (fieldValues && fieldValues[field.name]) || '';
+      });
+
+      const layout = this.getTextFieldLayout(template);
+      const back = await this.renderBack(template.backSide, (layout && layout.back) || [], values);
+      const output = calibration ? this.applyCalibration(back, calibration) : back;
+
+      const buffer = await this.createCardDocument([front, output.toBuffer('image/png')]);
+      return { buffer, sides: 2, extension: '.pdf' };
+    } catch (error) {
+      throw new Error(`Failed to generate badge back: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render the back of a badge: its own background, then each field in
+   * order. Text fields are fitted into their box like the front's; QR
+   * fields draw a code for their value.
+   * @param {Object} backSide - Template back side: { background }
+   * @param {Array<Object>} fields - Back boxes of the template's text field layout
+   * @param {Object} values - uid, badgeName and custom field values for field placeholders
+   * @returns {Promise<Canvas>} Rendered back
+   * @private
+   */
+  async renderBack(backSide, fields, values) {
+    const canvas = createCanvas(BADGE_WIDTH, BADGE_HEIGHT);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = this.defaultBackgroundColor;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    if (backSide.background) {
+      const backgroundPath = path.join(__dirname, '../../public/images/badges', path.basename(backSide.background));
+      if (fs.existsSync(backgroundPath)) {
+        const backgroundImage = await loadImage(backgroundPath);
+        ctx.drawImage(backgroundImage, 0, 0, canvas.width, canvas.height);
+      } else {
+        console.log('Back background image not found, using plain white:', backgroundPath);
+      }
+    }
+
+    fields.forEach(field => {
+      const value = field.value.replace(FIELD_PLACEHOLDERS, (match, name) => (name in values ? values[name] : match));
+      if (field.type === 'qr') {
+        this.renderQrCode(ctx, value, field);
+      } else if (value.trim() !== '') {
+        this.renderText(ctx, value, { ...field, fontFamily: field.fontFamily || 'Arial' });
+      }
+    });
+
+    return canvas;
+  }
+
+  /**
+   * Draw a QR code as large as fits, centred in a field's box
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {string} value - Text to encode
+   * @param {Object} config - Box (x1, y1, x2, y2)
+   * @private
+   */
+  renderQrCode(ctx, value, config) {
+    const qr = QRCode.create(value, { errorCorrectionLevel: 'M' });
+    const { size } = qr.modules;
+
+    const boxSize = Math.min(config.x2 - config.x1, config.y2 - config.y1);
+    const moduleSize = boxSize / (size + 2 * QR_QUIET_ZONE);
+    const left = config.x1 + (config.x2 - config.x1 - boxSize) / 2;
+    const top = config.y1 + (config.y2 - config.y1 - boxSize) / 2;
+
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(left, top, boxSize, boxSize);
+
+    // Overlap modules slightly so no hairlines show between them
+    ctx.fillStyle = '#000000';
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        if (qr.modules.get(row, col)) {
+          ctx.fillRect(
+            left + (col + QR_QUIET_ZONE) * moduleSize,
+            top + (row + QR_QUIET_ZONE) * moduleSize,
+            moduleSize + 0.5,
+            moduleSize + 0.5
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Put rendered sides into a PDF with one CR80-sized page per side
+   * @param {Array<Buffer>} sides - PNG buffers, front first
+   * @returns {Promise<Buffer>} PDF buffer
+   * @private
+   */
+  async createCardDocument(sides) {
+    const width = CARD_WIDTH_MM * POINTS_PER_MM;
+    const height = CARD_HEIGHT_MM * POINTS_PER_MM;
+    const canvas = createCanvas(width, height, 'pdf');
+    const ctx = canvas.getContext('2d');
+
+    for (let index = 0; index < sides.length; index++) {
+      if (index > 0) {
+        ctx.addPage(width, height);
+      }
+      const image = await loadImage(sides[index]);
+      ctx.drawImage(image, 0, 0, width, height);
+    }
+
+    return canvas.toBuffer('application/pdf');
+  }
+
   /**
    * Generate template preview
    * @param {string} templateId - Template identifier
@@ -282,47 +463,328 @@ class TemplateProcessor {
   }
 
   /**
-   * Render text on canvas with specified configuration
+   * Render text on canvas with specified configuration. Text in a box is
+   * drawn at the largest size that fits it (see layoutText); text at a point
+   * is drawn at its fontSize from the top left.
    * @param {CanvasRenderingContext2D} ctx - Canvas context
    * @param {string} text - Text to render
-   * @param {Object} config - Text configuration (x1, y1, x2, y2, fontFamily) or old format (x, y, fontSize, fontFamily)
+   * @param {Object} config - Text configuration (x1, y1, x2, y2, fontFamily and
+   *   optional styling, see Template.validateTextStyle) or old format (x, y, fontSize, fontFamily).
+   *   The text is drawn in the first available font of its fontFamily and fontFallbacks
    */
   renderText(ctx, text, config) {
     try {
-      let x, y, fontSize;
-      
+      const style = this.getTextStyle(config);
+      const layout = config.x1 !== undefined
+        ? this.layoutText(ctx, text, config, style)
+        : { fontSize: config.fontSize, baseline: 'top', lines: [{ text, x: config.x, y: config.y }] };
+
+      ctx.save();
       if (config.x1 !== undefined) {
-        // New bounding box format - auto-scale text
-        const width = config.x2 - config.x1;
-        const height = config.y2 - config.y1;
-        fontSize = Math.min(height * 0.6, width / text.length * 1.2);
-        
-        x = config.x1 + width / 2;
-        y = config.y1 + height / 2;
-        
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-      } else {
-        // Old format
-        x = config.x;
-        y = config.y;
-        fontSize = config.fontSize;
-        
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'top';
+        // Text that doesn't fit even at its smallest size is cut off at the box
+        ctx.beginPath();
+        ctx.rect(config.x1, config.y1, config.x2 - config.x1, config.y2 - config.y1);
+        ctx.clip();
       }
-      
-      // Set font
-      ctx.font = `${fontSize}px ${config.fontFamily}`;
-      ctx.fillStyle = '#000000'; // Default to black text
 
-      // Render text
-      ctx.fillText(text, x, y);
+      ctx.font = `${layout.fontSize}px ${style.fontFamily}`;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = layout.baseline;
+      ctx.fillStyle = style.color;
+      ctx.strokeStyle = style.strokeColor;
+      ctx.lineWidth = style.strokeWidth;
+      ctx.lineJoin = 'round';
+
+      layout.lines.forEach(line => this.drawTextLine(ctx, line.text, line.x, line.y, style));
+      ctx.restore();
     } catch (error) {
       throw new Error(`Failed to render text: ${error.message}`);
     }
   }
 
+  /**
+   * Fill in the defaults for a text field's styling
+   * @param {Object} config - Text field configuration
+   * @returns {Object} Styling used by layoutText and drawTextLine
+   * @private
+   */
+  getTextStyle(config) {
+    return {
+      fontFamily: FontManager.toCssFontFamily(config),
+      minFontSize: config.minFontSize || MIN_FONT_SIZE,
+      maxFontSize: config.maxFontSize || config.fontSize || null,
+      wrap: config.wrap === true,
+      align: config.align || 'center',
+      verticalAlign: config.verticalAlign || 'middle',
+      color: config.color || '#000000',
+      strokeColor: config.strokeColor || '#ffffff',
+      strokeWidth: config.strokeWidth || 0,
+      letterSpacing: config.letterSpacing || 0
+    };
+  }
+
+  /**
+   * Lay text out in a box: binary-search the largest font size between the
+   * field's minimum and maximum at which the text, wrapped onto several lines
+   * when the field allows it, fits the box, then place each line according
+   * to the field's alignment. Text that doesn't fit at the minimum size is
+   * laid out at the minimum size.
+   * @param {CanvasRenderingContext2D} ctx - Canvas context, used to measure text
+   * @param {string} text - Text to lay out
+   * @param {Object} config - Box (x1, y1, x2, y2)
+   * @param {Object} style - Styling from getTextStyle
+   * @returns {Object} { fontSize, baseline, lines: [{ text, x, y }] }
+   * @private
+   */
+  layoutText(ctx, text, config, style) {
+    const width = config.x2 - config.x1;
+    const height = config.y2 - config.y1;
+    const maxFontSize = Math.max(1, Math.floor(Math.min(style.maxFontSize || height, height)));
+    const minFontSize = Math.min(Math.ceil(style.minFontSize), maxFontSize);
+
+    const fits = (fontSize) => {
+      const lines = this.getTextLines(ctx, text, fontSize, width, style);
+      return lines.length * fontSize * LINE_HEIGHT <= height &&
+        lines.every(line => this.measureTextLine(ctx, line, style) <= width);
+    };
+
+    let low = minFontSize;
+    let high = maxFontSize;
+    while (low < high) {
+      const size = Math.ceil((low + high) / 2);
+      if (fits(size)) {
+        low = size;
+      } else {
+        high = size - 1;
+      }
+    }
+
+    const fontSize = low;
+    const lines = this.getTextLines(ctx, text, fontSize, width, style);
+    const lineHeight = fontSize * LINE_HEIGHT;
+    const blockHeight = lines.length * lineHeight;
+
+    let top = config.y1 + (height - blockHeight) / 2;
+    if (style.verticalAlign === 'top') {
+      top = config.y1;
+    } else if (style.verticalAlign === 'bottom') {
+      top = config.y2 - blockHeight;
+    }
+
+    return {
+      fontSize,
+      baseline: 'middle',
+      lines: lines.map((line, index) => {
+        const lineWidth = this.measureTextLine(ctx, line, style);
+        let left = config.x1 + (width - lineWidth) / 2;
+        if (style.align === 'left') {
+          left = config.x1;
+        } else if (style.align === 'right') {
+          left = config.x2 - lineWidth;
+        }
+        // The outline reaches half its width outside the first character
+        return { text: line, x: left + style.strokeWidth / 2, y: top + (index + 0.5) * lineHeight };
+      })
+    };
+  }
+
+  /**
+   * Split text into the lines it is drawn on at a font size: one line, or
+   * as many as wrapText needs when the field wraps
+   * @private
+   */
+  getTextLines(ctx, text, fontSize, maxWidth, style) {
+    ctx.font = `${fontSize}px ${style.fontFamily}`;
+    if (!style.wrap) {
+      return [text];
+    }
+    return this.wrapText(ctx, text, 0, 0, maxWidth, 0, () => {});
+  }
+
+  /**
+   * Width a line takes up once drawn, including letter spacing and the
+   * outline on either side. Uses the current ctx.font.
+   * @private
+   */
+  measureTextLine(ctx, line, style) {
+    const characters = Array.from(line).length;
+    return ctx.measureText(line).width +
+      style.letterSpacing * Math.max(0, characters - 1) +
+      style.strokeWidth;
+  }
+
+  /**
+   * Draw one line of text from its left edge: the outline first, so the fill
+   * covers its inner half, one character at a time when letter spacing is set
+   * @private
+   */
+  drawTextLine(ctx, line, x, y, style) {
+    const draw = (part, partX) => {
+      if (style.strokeWidth > 0) {
+        ctx.strokeText(part, partX, y);
+      }
+      ctx.fillText(part, partX, y);
+    };
+
+    if (style.letterSpacing === 0) {
+      draw(line, x);
+      return;
+    }
+
+    let characterX = x;
+    Array.from(line).forEach(character => {
+      draw(character, characterX);
+      characterX += ctx.measureText(character).width + style.letterSpacing;
+    });
+  }
+
+  /**
+   * Shift, scale and rotate a rendered badge to make up for a printer that
+   * prints off-centre. Scale and rotation are about the card centre, and
+   * any edge uncovered by the move is left white.
+   * @param {Canvas} canvas - Rendered badge
+   * @param {Object} calibration - { offsetX, offsetY, scale, rotation }; offsets
+   *   in millimetres on the card, rotation in degrees clockwise
+   * @returns {Canvas} The calibrated badge, or the same canvas when there is
+   *   nothing to correct
+   */
+  applyCalibration(canvas, calibration) {
+    const { offsetX = 0, offsetY = 0, scale = 1, rotation = 0 } = calibration;
+    if (offsetX === 0 && offsetY === 0 && scale === 1 && rotation === 0) {
+      return canvas;
+    }
+
+    const calibrated = createCanvas(canvas.width, canvas.height);
+    const ctx = calibrated.getContext('2d');
+
+    ctx.fillStyle = this.defaultBackgroundColor;
+    ctx.fillRect(0, 0, calibrated.width, calibrated.height);
+
+    ctx.translate(
+      canvas.width / 2 + offsetX * (canvas.width / CARD_WIDTH_MM),
+      canvas.height / 2 + offsetY * (canvas.height / CARD_HEIGHT_MM)
+    );
+    ctx.rotate(rotation * Math.PI / 180);
+    ctx.scale(scale, scale);
+    ctx.drawImage(canvas, -canvas.width / 2, -canvas.height / 2);
+
+    return calibrated;
+  }
+
+  /**
+   * Generate a calibration card: millimetre rulers along the edges and
+   * through the centre, crop marks a fixed distance in from each corner and
+   * a centre cross. Printed uncalibrated, the position of the cross gives
+   * the offsets and the distance between crop marks gives the scale.
+   * @param {Object} [options]
+   * @param {string} [options.printerName] - Printer named on the card
+   * @param {Object} [options.calibration] - Calibration to print the card
+   *   with, to check a saved calibration
+   * @returns {Buffer} Calibration card as PNG buffer
+   */
+  generateCalibrationCard(options = {}) {
+    const { printerName = null, calibration = null } = options;
+
+    try {
+      const canvas = createCanvas(BADGE_WIDTH, BADGE_HEIGHT);
+      const ctx = canvas.getContext('2d');
+      const mmX = canvas.width / CARD_WIDTH_MM;
+      const mmY = canvas.height / CARD_HEIGHT_MM;
+      const centreX = canvas.width / 2;
+      const centreY = canvas.height / 2;
+
+      ctx.fillStyle = this.defaultBackgroundColor;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.strokeStyle = '#000000';
+      ctx.fillStyle = '#000000';
+      ctx.lineWidth = 2;
+      ctx.font = '16px Arial';
+
+      // Rulers: a tick every millimetre, longer every 5 mm, labelled every 10 mm
+      const tickLength = (mm) => (mm % 10 === 0 ? 3 : mm % 5 === 0 ? 2 : 1);
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      for (let mm = 0; mm <= CARD_WIDTH_MM; mm++) {
+        const x = mm * mmX;
+        this.drawLine(ctx, x, 0, x, tickLength(mm) * mmY);
+        this.drawLine(ctx, x, canvas.height, x, canvas.height - tickLength(mm) * mmY);
+        if (mm % 10 === 0 && mm > 0) {
+          ctx.fillText(String(mm), x, 3 * mmY + 4);
+        }
+      }
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      for (let mm = 0; mm <= CARD_HEIGHT_MM; mm++) {
+        const y = mm * mmY;
+        this.drawLine(ctx, 0, y, tickLength(mm) * mmX, y);
+        this.drawLine(ctx, canvas.width, y, canvas.width - tickLength(mm) * mmX, y);
+        if (mm % 10 === 0 && mm > 0) {
+          ctx.fillText(String(mm), 3 * mmX + 4, y);
+        }
+      }
+
+      // Centre scales, measured from the middle of the card
+      for (let mm = -30; mm <= 30; mm++) {
+        const x = centreX + mm * mmX;
+        this.drawLine(ctx, x, centreY - tickLength(mm) * mmY / 2, x, centreY + tickLength(mm) * mmY / 2);
+      }
+      for (let mm = -20; mm <= 20; mm++) {
+        const y = centreY + mm * mmY;
+        this.drawLine(ctx, centreX - tickLength(mm) * mmX / 2, y, centreX + tickLength(mm) * mmX / 2, y);
+      }
+
+      // Centre cross
+      ctx.lineWidth = 3;
+      this.drawLine(ctx, centreX - 35 * mmX, centreY, centreX + 35 * mmX, centreY);
+      this.drawLine(ctx, centreX, centreY - 22 * mmY, centreX, centreY + 22 * mmY);
+
+      // Crop marks: an L at each corner, CROP_MARK_INSET_MM in from both edges
+      const markLength = 4;
+      [[1, 1], [-1, 1], [1, -1], [-1, -1]].forEach(([dirX, dirY]) => {
+        const x = dirX > 0 ? CROP_MARK_INSET_MM * mmX : canvas.width - CROP_MARK_INSET_MM * mmX;
+        const y = dirY > 0 ? CROP_MARK_INSET_MM * mmY : canvas.height - CROP_MARK_INSET_MM * mmY;
+        this.drawLine(ctx, x, y, x - dirX * markLength * mmX, y);
+        this.drawLine(ctx, x, y, x, y - dirY * markLength * mmY);
+      });
+
+      // How to read the card
+      const markSpanX = CARD_WIDTH_MM - 2 * CROP_MARK_INSET_MM;
+      const markSpanY = CARD_HEIGHT_MM - 2 * CROP_MARK_INSET_MM;
+      const legend = [
+        printerName ? `Calibration card: ${printerName}` : 'Calibration card',
+        'Offset X = (right edge to cross - left edge to cross) / 2',
+        'Offset Y = (bottom edge to cross - top edge to cross) / 2',
+        `Scale = ${markSpanX} mm / crop mark spacing (${markSpanX} x ${markSpanY} mm)`
+      ];
+      if (calibration) {
+        legend.push(`Printed with X ${calibration.offsetX} mm, Y ${calibration.offsetY} mm, ` +
+          `scale ${calibration.scale}, rotation ${calibration.rotation}°`);
+      }
+      ctx.font = '18px Arial';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      legend.forEach((line, index) => {
+        ctx.fillText(line, centreX + 3 * mmX, centreY + 3 * mmY + index * 24);
+      });
+
+      const output = calibration ? this.applyCalibration(canvas, calibration) : canvas;
+      return output.toBuffer('image/png');
+    } catch (error) {
+      throw new Error(`Failed to generate calibration card: ${error.message}`);
+    }
+  }
+
+  /**
+   * Draw a straight line
+   * @private
+   */
+  drawLine(ctx, x1, y1, x2, y2) {
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+  }
+
   /**
    * Wrap text to fit within specified width
    * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -331,26 +793,37 @@ class TemplateProcessor {
    * @param {number} y - Y coordinate
    * @param {number} maxWidth - Maximum width
    * @param {number} lineHeight - Line height
+   * @param {Function} [drawLine] - Draws a line at (x, y); fillText by default
+   * @returns {Array<string>} The lines, without trailing spaces
    */
-  wrapText(ctx, text, x, y, maxWidth, lineHeight) {
+  wrapText(ctx, text, x, y, maxWidth, lineHeight, drawLine = (line, lineX, lineY) => ctx.fillText(line, lineX, lineY)) {
     const words = text.split(' ');
+    const lines = [];
     let line = '';
     let currentY = y;
 
+    const finishLine = () => {
+      const finished = line.trimEnd();
+      drawLine(finished, x, currentY);
+      lines.push(finished);
+    };
+
     for (let i = 0; i < words.length; i++) {
       const testLine = line + words[i] + ' ';
       const metrics = ctx.measureText(testLine);
       const testWidth = metrics.width;
 
       if (testWidth > maxWidth && i > 0) {
-        ctx.fillText(line, x, currentY);
+        finishLine();
         line = words[i] + ' ';
         currentY += lineHeight;
       } else {
         line = testLine;
       }
     }
-    ctx.fillText(line, x, currentY);
+    finishLine();
+
+    return lines;
   }
 
   /**
@@ -0,0 +1,358 @@
+const { execFile } = require('child_process');
+const path = require('path');
+const { promisify } = require('util');
+const PrinterDriver = require('./PrinterDriver');
+const { CARD_MEDIA, getPresetPrinterOptions } = require('./cardOptions');
+const { parseLpoptions } = require('./ppdOptions');
+
+const { createPrintCancelledError } = PrinterDriver;
+
+const execFileAsync = promisify(execFile);
+
+// lp reports the CUPS job it created as "request id is <printer>-<n> (1 file(s))"
+const LP_REQUEST_ID_PATTERN = /request id is (\S+)/;
+
+// How long `cancel` may take to remove a CUPS job before we give up on it
+const CANCEL_COMMAND_TIMEOUT_MS = 5000;
+
+// job-state-reasons (the "Alerts:" line of `lpstat -l`) that mean a finished
+// job did not produce its card
+const FAILED_JOB_REASON_PATTERN = /job-canceled|job-aborted|job-completed-with-errors/;
+
+// CUPS queue names and job IDs: printable, no spaces, slashes or #. A leading
+// "-" is refused too, so a name can never be read as a command-line option.
+const CUPS_NAME_PATTERN = /^[^\s/#\\'"`$;&|<>()-][^\s/#\\'"`$;&|<>()]*$/;
+
+// lp -o values: a PPD keyword, optionally with =value. lp splits -o values
+// on spaces, so anything else could smuggle in extra options.
+const PRINT_OPTION_PATTERN = /^[A-Za-z0-9_.:-]+(=[A-Za-z0-9_.:,+-]+)?$/;
+
+/**
+ * Check a printer name or job ID before passing it to a CUPS tool
+ * @param {string} value - Printer name or job ID
+ * @param {string} [kind] - What the value is, for the error message
+ * @returns {string} The value
+ * @throws {Error} When the value is not a valid CUPS name
+ */
+function validateCupsName(value, kind = 'printer name') {
+  if (typeof value !== 'string' || !CUPS_NAME_PATTERN.test(value)) {
+    throw new Error(`Invalid ${kind}: ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+/**
+ * CUPS driver, using the lp/lpstat/cancel/lpoptions client tools
+ *
+ * Works the same on macOS and Linux, so both get the HoloKote and CR80 card
+ * options. With a `server` option the tools talk to that CUPS server instead
+ * of the local one.
+ *
+ * The tools are run with execFile and argument arrays, never through a
+ * shell, and printer names, job IDs and print options are validated first.
+ */
+class CupsDriver extends PrinterDriver {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.server] - CUPS server (host[:port]) to use instead of the local one
+   * @param {string} [name] - Driver name, for drivers built on this one
+   */
+  constructor(options = {}, name = 'cups') {
+    super(name, options);
+    this.server = options.server || null;
+  }
+
+  /**
+   * Build the arguments for a CUPS client tool, pointed at the configured server
+   * @private
+   */
+  args(args) {
+    return this.server ? ['-h', this.server, ...args] : args;
+  }
+
+  /**
+   * Run a CUPS client tool without a shell
+   * @param {string} program - lp, lpstat, lpoptions or cancel
+   * @param {Array<string>} args - Arguments, one per element
+   * @param {Object} [options] - execFile options
+   * @returns {Promise<Object>} { stdout, stderr }
+   * @private
+   */
+  run(program, args, options = {}) {
+    return execFileAsync(program, this.args(args), options);
+  }
+
+  /**
+   * Discover printers known to CUPS using lpstat
+   * @returns {Promise<Array>} Discovered printers; empty when lpstat fails
+   */
+  async discover() {
+    try {
+      const { stdout } = await this.run('lpstat', ['-p']);
+      const printers = [];
+
+      const lines = stdout.split('\n').filter(line => line.startsWith('printer'));
+
+      for (const line of lines) {
+        const match = line.match(/printer (\S+)/);
+        if (match) {
+          const printerId = match[1];
+          if (!CUPS_NAME_PATTERN.test(printerId)) {
+            console.warn(`Skipping CUPS printer with an unsafe name: ${JSON.stringify(printerId)}`);
+            continue;
+          }
+          const status = await this.getStatus({ id: printerId });
+
+          printers.push({
+            id: printerId,
+            name: printerId,
+            isConnected: status.isConnected,
+            status: status.status,
+            type: this.server ? 'Network' : 'USB', // Assume USB for local printers
+            platform: process.platform
+          });
+        }
+      }
+
+      return printers;
+    } catch (error) {
+      console.warn('lpstat command failed, returning empty printer list');
+      return [];
+    }
+  }
+
+  /**
+   * Read every option the printer's PPD offers using lpoptions
+   * @param {Object} printer - Printer to query
+   * @returns {Promise<Object>} { options } - see ./ppdOptions; empty when
+   *   lpoptions fails
+   */
+  async getCapabilities(printer) {
+    try {
+      const { stdout } = await this.run('lpoptions', ['-p', validateCupsName(printer.name), '-l']);
+      return { options: parseLpoptions(stdout) };
+    } catch (error) {
+      console.warn('Could not get printer options:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Read the device URI CUPS prints a queue to, e.g.
+   * usb://Magicard/Enduro?serial=123, from lpstat -v
+   * @param {Object} printer - Printer to query
+   * @returns {Promise<string|null>} Device URI; null when lpstat fails
+   */
+  async getDeviceUri(printer) {
+    try {
+      const { stdout } = await this.run('lpstat', ['-v', validateCupsName(printer.id)]);
+      const match = stdout.match(/^device for \S+: (\S+)/m);
+      return match ? match[1] : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read a printer's status from lpstat
+   * @param {Object} printer - Printer to query
+   * @returns {Promise<Object>} { isConnected, status }
+   */
+  async getStatus(printer) {
+    try {
+      const { stdout } = await this.run('lpstat', ['-p', validateCupsName(printer.id)]);
+      const isConnected = !stdout.includes('disabled') && !stdout.includes('not accepting');
+      const status = stdout.includes('idle') ? 'Ready' :
+                   stdout.includes('printing') ? 'Printing' :
+                   stdout.includes('disabled') ? 'Offline' : 'Unknown';
+
+      return { isConnected, status };
+    } catch (error) {
+      return { isConnected: false, status: 'Error' };
+    }
+  }
+
+  /**
+   * Translate a preset into lp -o options for the card printer
+   * @param {Object} preset - Print preset
+   * @returns {Array<string>} Option values, one per -o flag
+   * @throws {Error} When an option is not a plain keyword[=value]
+   */
+  buildPrintOptions(preset) {
+    const { quality } = preset.options;
+
+    // Add HoloKote and any other PPD options the preset sets
+    const options = getPresetPrinterOptions(preset).map(([name, value]) => `${name}=${value}`);
+
+    // Add paper size - fixed to CR80 Card
+    options.push(`PageSize=${CARD_MEDIA}`, `media=${CARD_MEDIA}`);
+
+    // Add scaling to fit width with bleed
+    options.push('fit-to-page', 'scaling=100', 'print-scaling=fill');
+
+    // Add quality settings
+    if (quality) {
+      options.push(`print-quality=${quality}`);
+    }
+
+    const invalid = options.find(option => !PRINT_OPTION_PATTERN.test(option));
+    if (invalid) {
+      throw new Error(`Invalid print option: ${JSON.stringify(invalid)}`);
+    }
+
+    return options;
+  }
+
+  /**
+   * Submit a document with lp
+   * @param {Object} printer - Printer to print on
+   * @param {string} documentPath - Path to the document to print
+   * @param {Object} preset - Print preset
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborting kills lp and cancels the CUPS job it submitted
+   * @returns {Promise<Object>} { jobId } - the CUPS job ID reported by lp
+   */
+  async print(printer, documentPath, preset, options = {}) {
+    const { signal = null } = options;
+    const printOptions = this.buildPrintOptions(preset).flatMap(option => ['-o', option]);
+    // An absolute path cannot be mistaken for an option
+    const args = this.args(['-d', validateCupsName(printer.name), ...printOptions, path.resolve(documentPath)]);
+
+    console.log('Executing print command: lp', args);
+    const { cupsJobId } = await this.runPrintCommand(args, signal);
+
+    return { jobId: cupsJobId };
+  }
+
+  /**
+   * Run lp so that it can be aborted. On abort the child process is
+   * killed and the CUPS job it reported, if any, is cancelled.
+   * @param {Array<string>} args - lp arguments
+   * @param {AbortSignal|null} signal - Abort signal for the print
+   * @returns {Promise<Object>} { stdout, cupsJobId }
+   * @private
+   */
+  runPrintCommand(args, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(createPrintCancelledError(true));
+        return;
+      }
+
+      let aborted = false;
+
+      const onAbort = () => {
+        aborted = true;
+        child.kill();
+      };
+
+      const child = execFile('lp', args, {}, (error, stdout = '') => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+
+        const match = LP_REQUEST_ID_PATTERN.exec(stdout);
+        const cupsJobId = match ? match[1] : null;
+
+        if (aborted) {
+          // lp may have submitted the job before it was killed
+          this.cancel(null, cupsJobId)
+            .then(confirmed => reject(createPrintCancelledError(confirmed, cupsJobId)));
+          return;
+        }
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ stdout, cupsJobId });
+        }
+      });
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Cancel a CUPS job
+   * @param {Object|null} printer - Printer the job was sent to
+   * @param {string|null} cupsJobId - Job ID reported by lp
+   * @returns {Promise<boolean>} True when CUPS accepted the cancellation. Without
+   *   a job ID nothing can be confirmed, since lp may have been killed after
+   *   submitting the job but before reporting it.
+   */
+  async cancel(printer, cupsJobId) {
+    if (!cupsJobId) {
+      return false;
+    }
+
+    try {
+      await this.run('cancel', [validateCupsName(cupsJobId, 'CUPS job ID')], { timeout: CANCEL_COMMAND_TIMEOUT_MS });
+      return true;
+    } catch (error) {
+      console.error(`Failed to cancel print job ${cupsJobId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Look up where CUPS is with a job
+   * @param {Object|null} printer - Printer the job was sent to
+   * @param {string} cupsJobId - Job ID reported by lp
+   * @returns {Promise<Object>} { state, reasons } where state is 'active'
+   *   (pending, held or printing), 'completed' or 'failed'. A job CUPS no
+   *   longer knows about is taken as completed, since it is no longer queued
+   *   and job history may be switched off. When lpstat itself fails the job
+   *   is reported active so the caller keeps waiting rather than retrying a
+   *   card that may be printing.
+   */
+  async getJobState(printer, cupsJobId) {
+    try {
+      const { stdout: activeJobs } = await this.run('lpstat', ['-o']);
+      if (this.findLpstatJob(activeJobs, cupsJobId)) {
+        return { state: 'active', reasons: [] };
+      }
+
+      const { stdout: completedJobs } = await this.run('lpstat', ['-l', '-W', 'completed', '-o']);
+      const details = this.findLpstatJob(completedJobs, cupsJobId);
+      const alerts = details && details.find(line => line.startsWith('Alerts:'));
+      const reasons = alerts ? alerts.slice('Alerts:'.length).trim().split(/\s+/) : [];
+
+      return {
+        state: reasons.some(reason => FAILED_JOB_REASON_PATTERN.test(reason)) ? 'failed' : 'completed',
+        reasons
+      };
+    } catch (error) {
+      console.error(`Error checking print job ${cupsJobId}:`, error.message);
+      return { state: 'active', reasons: [] };
+    }
+  }
+
+  /**
+   * Find a job in lpstat output
+   * @returns {Array|null} The job's indented detail lines (empty without -l),
+   *   or null when the job is not listed
+   * @private
+   */
+  findLpstatJob(output, cupsJobId) {
+    const lines = output.split('\n');
+    const index = lines.findIndex(line => line.split(/\s+/)[0] === cupsJobId);
+    if (index === -1) {
+      return null;
+    }
+
+    const details = [];
+    for (const line of lines.slice(index + 1)) {
+      if (!/^\s/.test(line)) {
+        break;
+      }
+      details.push(line.trim());
+    }
+    return details;
+  }
+}
+
+CupsDriver.validateCupsName = validateCupsName;
+
+module.exports = CupsDriver;
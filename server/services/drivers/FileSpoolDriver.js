@@ -0,0 +1,225 @@
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const path = require('path');
+const PrinterDriver = require('./PrinterDriver');
+
+const { createPrintCancelledError } = PrinterDriver;
+
+// Where spooled documents go unless PRINTER_SPOOL_DIR says otherwise
+const DEFAULT_SPOOL_DIR = path.join(__dirname, '../../../data/spool');
+
+// job-state-reasons reported for a simulated failure, as CUPS would
+const SIMULATED_FAILURE_REASONS = ['job-aborted-by-system'];
+
+// PPD options the virtual printer offers, modelled on a HoloKote card
+// printer's PPD so preset editing can be rehearsed without one
+const VIRTUAL_PRINTER_OPTIONS = [
+  { name: 'PageSize', label: 'Card Size', choices: ['CR80Card'], default: 'CR80Card' },
+  { name: 'CFHoloKote', label: 'Front HoloKote', choices: ['0PrintNoHoloKote', '1PrintHoloKote'], default: '1PrintHoloKote' },
+  { name: 'CBHoloKote', label: 'Back HoloKote', choices: ['0PrintNoHoloKote', '1PrintHoloKote'], default: '1PrintHoloKote' },
+  { name: 'CFHoloPatch', label: 'Front HoloPatch', choices: ['0PrintNoHoloPatch', '1PrintHoloPatch'], default: '0PrintNoHoloPatch' },
+  { name: 'CFColourFormat', label: 'Colour Panels', choices: ['0YMCKO', '1KO', '2YMCKOK'], default: '0YMCKO' },
+  { name: 'CFCardRotation', label: 'Rotate Card 180', choices: ['0NoRotation', '1Rotate180'], default: '0NoRotation' },
+  { name: 'CFOvercoat', label: 'Overcoat', choices: ['0NoOvercoat', '1Overcoat'], default: '1Overcoat' },
+  { name: 'Duplex', label: 'Two-Sided Printing', choices: ['None', 'DuplexNoTumble', 'DuplexTumble'], default: 'None' },
+  { name: 'CBColourFormat', label: 'Back Colour Panels', choices: ['0YMCKO', '1KO', '2YMCKOK'], default: '1KO' },
+  { name: 'CBOvercoat', label: 'Back Overcoat', choices: ['0NoOvercoat', '1Overcoat'], default: '1Overcoat' },
+  { name: 'CBCardRotation', label: 'Rotate Back 180', choices: ['0NoRotation', '1Rotate180'], default: '0NoRotation' }
+];
+
+/**
+ * Read a numeric option, falling back to an environment variable
+ * @private
+ */
+function numberOption(value, envName, fallback = 0) {
+  const raw = value !== undefined ? value : process.env[envName];
+  const parsed = Number(raw);
+  return raw === undefined || raw === '' || Number.isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * File spool driver: a virtual printer that "prints" by writing each document
+ * and a JSON sidecar (job ID, preset, options) into a spool directory
+ *
+ * Lets desk workflows be rehearsed without burning cards, and the queue,
+ * retry and socket pipeline be exercised on a machine with no printer. It can
+ * simulate the things a real printer does to the queue:
+ * - latency: jobs stay active for `latencyMs` before completing
+ * - offline periods: the last `offlineForMs` of every `offlineEveryMs` cycle
+ * - random failures: a `failureRate` share of jobs end as failed
+ */
+class FileSpoolDriver extends PrinterDriver {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Spool directory (PRINTER_SPOOL_DIR)
+   * @param {string} [options.printerId] - ID of the virtual printer
+   * @param {number} [options.latencyMs] - Simulated print time (PRINTER_SPOOL_LATENCY_MS)
+   * @param {number} [options.failureRate] - Share of jobs that fail, 0 to 1 (PRINTER_SPOOL_FAILURE_RATE)
+   * @param {number} [options.offlineEveryMs] - Length of the offline cycle (PRINTER_SPOOL_OFFLINE_EVERY_MS)
+   * @param {number} [options.offlineForMs] - Offline time at the end of each cycle (PRINTER_SPOOL_OFFLINE_FOR_MS)
+   */
+  constructor(options = {}) {
+    super('spool', options);
+    this.directory = options.directory || process.env.PRINTER_SPOOL_DIR || DEFAULT_SPOOL_DIR;
+    this.printerId = options.printerId || 'file-spool';
+    this.latencyMs = numberOption(options.latencyMs, 'PRINTER_SPOOL_LATENCY_MS');
+    this.failureRate = numberOption(options.failureRate, 'PRINTER_SPOOL_FAILURE_RATE');
+    this.offlineEveryMs = numberOption(options.offlineEveryMs, 'PRINTER_SPOOL_OFFLINE_EVERY_MS');
+    this.offlineForMs = numberOption(options.offlineForMs, 'PRINTER_SPOOL_OFFLINE_FOR_MS');
+    this.startedAt = Date.now();
+    this.jobCounter = 0;
+    this.jobs = new Map();
+  }
+
+  /**
+   * Offer the virtual printer, creating the spool directory if needed
+   * @returns {Promise<Array>} The virtual printer, marked unavailable when the
+   *   directory cannot be created
+   */
+  async discover() {
+    let status;
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      status = await this.getStatus();
+    } catch (error) {
+      console.warn(`Spool directory ${this.directory} is not usable:`, error.message);
+      status = { isConnected: false, status: 'Error' };
+    }
+
+    return [{
+      id: this.printerId,
+      name: `Virtual printer (${this.directory})`,
+      isConnected: status.isConnected,
+      status: status.status,
+      type: 'File',
+      platform: process.platform
+    }];
+  }
+
+  /**
+   * Options the virtual printer accepts
+   * @returns {Promise<Object>} { options } - see ./ppdOptions
+   */
+  async getCapabilities(printer) {
+    return { options: VIRTUAL_PRINTER_OPTIONS.map(option => ({ ...option, choices: [...option.choices] })) };
+  }
+
+  /**
+   * Whether the simulated offline period is in progress
+   * @param {number} [now] - Time to check, in milliseconds
+   * @returns {boolean}
+   */
+  isOffline(now = Date.now()) {
+    if (this.offlineEveryMs <= 0 || this.offlineForMs <= 0) {
+      return false;
+    }
+    const elapsed = (now - this.startedAt) % this.offlineEveryMs;
+    return elapsed >= this.offlineEveryMs - this.offlineForMs;
+  }
+
+  /**
+   * The virtual printer is ready while its directory is writable and it is
+   * not in a simulated offline period
+   * @returns {Promise<Object>} { isConnected, status }
+   */
+  async getStatus(printer) {
+    if (this.isOffline()) {
+      return { isConnected: false, status: 'Offline' };
+    }
+
+    try {
+      await fs.access(this.directory, constants.W_OK);
+      return { isConnected: true, status: 'Ready' };
+    } catch (error) {
+      return { isConnected: false, status: 'Offline' };
+    }
+  }
+
+  /**
+   * Write a document and its sidecar into the spool directory
+   * @returns {Promise<Object>} { jobId } - the spooled document's file name
+   */
+  async print(printer, documentPath, preset, options = {}) {
+    const { signal = null } = options;
+    if (signal && signal.aborted) {
+      throw createPrintCancelledError(true);
+    }
+
+    if (this.isOffline()) {
+      throw new Error('Virtual printer is offline');
+    }
+
+    this.jobCounter++;
+    const jobId = `${this.printerId}-${Date.now()}-${this.jobCounter}${path.extname(documentPath)}`;
+    const job = {
+      finishesAt: Date.now() + this.latencyMs,
+      failed: Math.random() < this.failureRate
+    };
+
+    await fs.copyFile(documentPath, path.join(this.directory, jobId));
+    await fs.writeFile(this.sidecarPath(jobId), JSON.stringify({
+      jobId,
+      printerId: printer.id,
+      preset: preset.name,
+      options: preset.options,
+      sourceDocument: documentPath,
+      submittedAt: new Date().toISOString(),
+      simulatedOutcome: job.failed ? 'failed' : 'completed'
+    }, null, 2));
+
+    this.jobs.set(jobId, job);
+
+    return { jobId };
+  }
+
+  /**
+   * Report a job active until its simulated latency has passed, then
+   * completed or failed. Jobs from before a restart count as completed.
+   */
+  async getJobState(printer, jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      return { state: 'completed', reasons: [] };
+    }
+
+    if (Date.now() < job.finishesAt) {
+      return { state: 'active', reasons: [] };
+    }
+
+    this.jobs.delete(jobId);
+    return job.failed
+      ? { state: 'failed', reasons: SIMULATED_FAILURE_REASONS }
+      : { state: 'completed', reasons: [] };
+  }
+
+  /**
+   * Remove a job's spooled document and sidecar
+   * @returns {Promise<boolean>} True when the document was removed
+   */
+  async cancel(printer, jobId) {
+    if (!jobId) {
+      return false;
+    }
+
+    const fileName = path.basename(jobId);
+    this.jobs.delete(fileName);
+
+    try {
+      await fs.unlink(path.join(this.directory, fileName));
+      await fs.rm(this.sidecarPath(fileName), { force: true });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Path of the JSON sidecar written next to a spooled document
+   * @private
+   */
+  sidecarPath(jobId) {
+    return path.join(this.directory, `${path.basename(jobId)}.json`);
+  }
+}
+
+module.exports = FileSpoolDriver;
@@ -0,0 +1,418 @@
+const fs = require('fs').promises;
+const path = require('path');
+const PrinterDriver = require('./PrinterDriver');
+const IppClient = require('./ipp/IppClient');
+const { CARD_MEDIA, getPresetPrinterOptions } = require('./cardOptions');
+const {
+  STATUS_CODES,
+  JOB_STATES,
+  PRINTER_STATES,
+  attribute,
+  getGroup,
+  getGroups
+} = require('./ipp/protocol');
+
+const { createPrintCancelledError } = PrinterDriver;
+
+// Printer attributes needed to work out status and consumables
+const PRINTER_STATUS_ATTRIBUTES = [
+  'printer-name',
+  'printer-info',
+  'printer-state',
+  'printer-state-reasons',
+  'printer-is-accepting-jobs',
+  'marker-names',
+  'marker-types',
+  'marker-colors',
+  'marker-levels',
+  'marker-low-levels',
+  'marker-high-levels'
+];
+
+// Printer attributes describing what a job can ask for
+const PRINTER_CAPABILITY_ATTRIBUTES = [
+  'media-supported',
+  'media-default',
+  'print-quality-supported',
+  'print-quality-default',
+  'sides-supported',
+  'sides-default',
+  'document-format-supported'
+];
+
+// Preset quality names and their print-quality enum values
+const PRINT_QUALITIES = {
+  draft: 3,
+  normal: 4,
+  high: 5
+};
+
+// printer-state-reasons (without severity suffix) that mean the printer cannot print
+const OFFLINE_STATE_REASONS = ['offline', 'paused', 'shutdown', 'moving-to-paused'];
+
+// Document formats by file extension; anything else is sent as octet-stream
+const DOCUMENT_FORMATS = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg'
+};
+
+/**
+ * Split a list option given as an array or a comma-separated string
+ * @private
+ */
+function listOption(value) {
+  if (!value) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : value.split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Native IPP driver, talking directly to IPP printers or a CUPS server
+ *
+ * Printers come from two places: `printers` (IPP_PRINTERS), a list of printer
+ * URIs such as ipp://192.168.1.50/ipp/print, and `server` (IPP_SERVER), a
+ * CUPS server whose queues are listed with CUPS-Get-Printers. Job IDs are the
+ * printer's job-id values, so jobs are tracked against the printer they were
+ * sent to.
+ */
+class IppDriver extends PrinterDriver {
+  /**
+   * @param {Object} [options]
+   * @param {string|Array<string>} [options.printers] - Printer URIs (IPP_PRINTERS)
+   * @param {string} [options.server] - CUPS server host[:port] (IPP_SERVER)
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {IppClient} [options.client] - Client to use instead of a new one
+   */
+  constructor(options = {}) {
+    super('ipp', options);
+    this.printerUris = listOption(options.printers || process.env.IPP_PRINTERS);
+    this.server = options.server || process.env.IPP_SERVER || null;
+
+    if (this.printerUris.length === 0 && !this.server) {
+      throw new Error('The ipp printer driver needs printer URIs (IPP_PRINTERS) or a server (IPP_SERVER)');
+    }
+
+    this.client = options.client || new IppClient({ timeout: options.timeout });
+  }
+
+  /**
+   * Discover the configured printers and every queue on the configured server
+   * @returns {Promise<Array>} Discovered printers. Configured printers that do
+   *   not answer are included as unavailable.
+   */
+  async discover() {
+    const printers = [];
+
+    for (const uri of this.printerUris) {
+      printers.push(await this.describePrinter(uri));
+    }
+
+    if (this.server) {
+      printers.push(...await this.discoverServerPrinters());
+    }
+
+    return printers;
+  }
+
+  /**
+   * Build the printer object for a configured printer URI
+   * @private
+   */
+  async describePrinter(uri) {
+    const printer = { id: uri, name: uri, uri, type: 'Network', platform: process.platform };
+
+    try {
+      const attributes = await this.getPrinterAttributes(printer, PRINTER_STATUS_ATTRIBUTES);
+      const info = attributes['printer-info'] && attributes['printer-info'][0];
+      const name = attributes['printer-name'] && attributes['printer-name'][0];
+      return {
+        ...printer,
+        name: info || name || uri,
+        ...this.parsePrinterStatus(attributes)
+      };
+    } catch (error) {
+      console.warn(`IPP printer ${uri} did not answer:`, error.message);
+      return { ...printer, isConnected: false, status: 'Error' };
+    }
+  }
+
+  /**
+   * List the queues on the configured CUPS server
+   * @private
+   */
+  async discoverServerPrinters() {
+    try {
+      const response = await this.client.request(`ipp://${this.server}/`, 'CUPS-Get-Printers', {
+        operation: [attribute('requested-attributes', 'keyword', PRINTER_STATUS_ATTRIBUTES)]
+      });
+
+      return getGroups(response, 'printer')
+        .filter(attributes => attributes['printer-name'])
+        .map(attributes => {
+          const name = attributes['printer-name'][0];
+          return {
+            id: name,
+            name,
+            uri: `ipp://${this.server}/printers/${encodeURIComponent(name)}`,
+            type: 'Network',
+            platform: process.platform,
+            ...this.parsePrinterStatus(attributes)
+          };
+        });
+    } catch (error) {
+      console.warn(`CUPS-Get-Printers on ${this.server} failed, returning empty printer list:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Fetch printer attributes
+   * @private
+   */
+  async getPrinterAttributes(printer, requestedAttributes) {
+    const response = await this.client.request(printer.uri, 'Get-Printer-Attributes', {
+      operation: [attribute('requested-attributes', 'keyword', requestedAttributes)]
+    });
+    return getGroup(response, 'printer');
+  }
+
+  /**
+   * Work out a printer's status from printer-state, printer-state-reasons and
+   * printer-is-accepting-jobs, and collect its marker (consumable) levels
+   * @param {Object} attributes - Decoded printer attributes
+   * @returns {Object} { isConnected, status, stateReasons, markers }
+   */
+  parsePrinterStatus(attributes) {
+    const state = attributes['printer-state'] ? attributes['printer-state'][0] : null;
+    const stateReasons = (attributes['printer-state-reasons'] || []).filter(reason => reason && reason !== 'none');
+    const acceptingJobs = attributes['printer-is-accepting-jobs']
+      ? attributes['printer-is-accepting-jobs'][0] !== false
+      : true;
+    const baseReasons = stateReasons.map(reason => reason.replace(/-(report|warning|error)$/, ''));
+
+    let status;
+    if (state === PRINTER_STATES.stopped || !acceptingJobs ||
+        baseReasons.some(reason => OFFLINE_STATE_REASONS.includes(reason))) {
+      status = 'Offline';
+    } else if (stateReasons.some(reason => reason.endsWith('-error'))) {
+      status = 'Error';
+    } else if (state === PRINTER_STATES.processing) {
+      status = 'Printing';
+    } else if (state === PRINTER_STATES.idle) {
+      status = 'Ready';
+    } else {
+      status = 'Unknown';
+    }
+
+    return {
+      isConnected: status !== 'Offline' && status !== 'Error',
+      status,
+      stateReasons,
+      markers: this.parseMarkers(attributes)
+    };
+  }
+
+  /**
+   * Combine the parallel marker-* attributes into one entry per marker.
+   * Levels are percentages; -1 means unavailable, -2 unknown and -3 that
+   * some remains.
+   * @private
+   */
+  parseMarkers(attributes) {
+    const names = attributes['marker-names'] || [];
+    const valueAt = (name, index) => (attributes[name] ? attributes[name][index] : undefined);
+
+    return names.map((name, index) => ({
+      name,
+      type: valueAt('marker-types', index) || null,
+      color: valueAt('marker-colors', index) || null,
+      level: valueAt('marker-levels', index) !== undefined ? valueAt('marker-levels', index) : -2,
+      lowLevel: valueAt('marker-low-levels', index) !== undefined ? valueAt('marker-low-levels', index) : null,
+      highLevel: valueAt('marker-high-levels', index) !== undefined ? valueAt('marker-high-levels', index) : null
+    }));
+  }
+
+  /**
+   * Read a printer's status, state reasons and marker levels
+   * @returns {Promise<Object>} { isConnected, status, stateReasons, markers }
+   */
+  async getStatus(printer) {
+    try {
+      return this.parsePrinterStatus(await this.getPrinterAttributes(printer, PRINTER_STATUS_ATTRIBUTES));
+    } catch (error) {
+      return { isConnected: false, status: 'Error', error: error.message };
+    }
+  }
+
+  /**
+   * Read the media, quality and sides a printer supports
+   * @returns {Promise<Object>} { media, printQuality, sides, documentFormats,
+   *   options } where options lists media and sides as preset-settable
+   *   options (see ../ppdOptions)
+   */
+  async getCapabilities(printer) {
+    try {
+      const attributes = await this.getPrinterAttributes(printer, PRINTER_CAPABILITY_ATTRIBUTES);
+      const first = name => (attributes[name] ? attributes[name][0] : null);
+      const qualityName = value => Object.keys(PRINT_QUALITIES).find(name => PRINT_QUALITIES[name] === value) || value;
+
+      const media = { supported: attributes['media-supported'] || [], default: first('media-default') };
+      const sides = { supported: attributes['sides-supported'] || [], default: first('sides-default') };
+
+      return {
+        media,
+        printQuality: {
+          supported: (attributes['print-quality-supported'] || []).map(qualityName),
+          default: first('print-quality-default') !== null ? qualityName(first('print-quality-default')) : null
+        },
+        sides,
+        documentFormats: attributes['document-format-supported'] || [],
+        options: [
+          { name: 'media', label: 'Media', choices: media.supported, default: media.default },
+          { name: 'sides', label: 'Sides', choices: sides.supported, default: sides.default }
+        ].filter(option => option.choices.length > 0)
+      };
+    } catch (error) {
+      console.warn('Could not get printer capabilities:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Build the job template attributes for a preset
+   * @param {Object} preset - Print preset
+   * @returns {Array} Attributes for the job group
+   */
+  buildJobAttributes(preset) {
+    const { paperSize, quality, copies } = preset.options;
+    const printerOptions = new Map(getPresetPrinterOptions(preset));
+    const attributes = [attribute('media', 'keyword', printerOptions.get('media') || paperSize || CARD_MEDIA)];
+    printerOptions.delete('media');
+
+    if (quality && PRINT_QUALITIES[quality]) {
+      attributes.push(attribute('print-quality', 'enum', PRINT_QUALITIES[quality]));
+    }
+
+    if (copies) {
+      attributes.push(attribute('copies', 'integer', copies));
+    }
+
+    // Two-sided documents need the printer's duplexer, whatever sides the preset picks
+    if (preset.options.sides === 2) {
+      attributes.push(attribute('sides', 'keyword', 'two-sided-long-edge'));
+    }
+
+    // Card printer PPD options; CUPS applies them, other printers ignore them
+    printerOptions.forEach((value, name) => {
+      attributes.push(attribute(name, 'keyword', value));
+    });
+
+    return attributes;
+  }
+
+  /**
+   * Submit a document with Print-Job
+   * @returns {Promise<Object>} { jobId } - the printer's job-id
+   */
+  async print(printer, documentPath, preset, options = {}) {
+    const { signal = null } = options;
+    if (signal && signal.aborted) {
+      throw createPrintCancelledError(true);
+    }
+
+    const data = await fs.readFile(documentPath);
+    const extension = path.extname(documentPath).toLowerCase();
+
+    let response;
+    try {
+      response = await this.client.request(printer.uri, 'Print-Job', {
+        operation: [
+          attribute('job-name', 'name', path.basename(documentPath)),
+          attribute('document-format', 'mimeMediaType', DOCUMENT_FORMATS[extension] || 'application/octet-stream')
+        ],
+        job: this.buildJobAttributes(preset)
+      }, { data, signal });
+    } catch (error) {
+      if (signal && signal.aborted) {
+        // The printer may have accepted the job before the request was dropped
+        throw createPrintCancelledError(false);
+      }
+      throw error;
+    }
+
+    const jobAttributes = getGroup(response, 'job');
+    const jobId = jobAttributes['job-id'] ? String(jobAttributes['job-id'][0]) : null;
+
+    if (signal && signal.aborted) {
+      throw createPrintCancelledError(await this.cancel(printer, jobId), jobId);
+    }
+
+    return { jobId };
+  }
+
+  /**
+   * Cancel a job with Cancel-Job
+   * @returns {Promise<boolean>} True when the printer accepted the cancellation
+   */
+  async cancel(printer, jobId) {
+    if (!printer || !jobId) {
+      return false;
+    }
+
+    try {
+      await this.client.request(printer.uri, 'Cancel-Job', {
+        operation: [attribute('job-id', 'integer', Number(jobId))]
+      });
+      return true;
+    } catch (error) {
+      console.error(`Failed to cancel print job ${jobId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Read job-state and job-state-reasons with Get-Job-Attributes
+   * @returns {Promise<Object>} { state, reasons }. A job the printer no longer
+   *   knows about is taken as completed; when the printer cannot be asked the
+   *   job is reported active so the caller keeps waiting.
+   */
+  async getJobState(printer, jobId) {
+    if (!printer) {
+      return { state: 'active', reasons: [] };
+    }
+
+    try {
+      const response = await this.client.request(printer.uri, 'Get-Job-Attributes', {
+        operation: [
+          attribute('job-id', 'integer', Number(jobId)),
+          attribute('requested-attributes', 'keyword', ['job-state', 'job-state-reasons'])
+        ]
+      });
+      const attributes = getGroup(response, 'job');
+      const jobState = attributes['job-state'] ? attributes['job-state'][0] : null;
+      const reasons = (attributes['job-state-reasons'] || []).filter(reason => reason && reason !== 'none');
+
+      if (jobState === JOB_STATES.canceled || jobState === JOB_STATES.aborted ||
+          reasons.includes('job-completed-with-errors')) {
+        return { state: 'failed', reasons };
+      }
+      if (jobState === JOB_STATES.completed) {
+        return { state: 'completed', reasons };
+      }
+      return { state: 'active', reasons };
+    } catch (error) {
+      if (error.ippStatus === STATUS_CODES['client-error-not-found']) {
+        return { state: 'completed', reasons: [] };
+      }
+      console.error(`Error checking print job ${jobId}:`, error.message);
+      return { state: 'active', reasons: [] };
+    }
+  }
+}
+
+module.exports = IppDriver;
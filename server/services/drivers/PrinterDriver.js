@@ -0,0 +1,112 @@
+/**
+ * Error for a print that was aborted through its signal
+ * @param {boolean} confirmed - Whether the printer is known not to print it
+ * @param {string|null} jobId - Spooler job that was cancelled, if one was created
+ */
+function createPrintCancelledError(confirmed, jobId = null) {
+  const error = new Error(confirmed
+    ? 'Print cancelled'
+    : 'Print aborted but the printer did not confirm the cancellation');
+  error.cancelled = true;
+  error.cancelConfirmed = confirmed;
+  error.cupsJobId = jobId;
+  return error;
+}
+
+/**
+ * Base class for printer drivers
+ *
+ * A driver owns everything that depends on how a printer is reached:
+ * discovery, capabilities, status, printing and cancelling. PrinterInterface
+ * keeps the pool, presets and status monitoring and hands each call to the
+ * driver recorded on the printer. Printers passed in are objects returned by
+ * the driver's own discover().
+ */
+class PrinterDriver {
+  /**
+   * @param {string} name - Driver name, recorded on every printer it discovers
+   * @param {Object} [options] - Driver-specific options
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  /**
+   * List the printers this driver can reach
+   * @returns {Promise<Array>} Printer objects ({ id, name, isConnected, status, type, platform })
+   */
+  async discover() {
+    return [];
+  }
+
+  /**
+   * Read the options a printer supports
+   * @param {Object} printer - Printer to query
+   * @returns {Promise<Object>} Driver-specific capability description
+   */
+  async getCapabilities(printer) {
+    return {};
+  }
+
+  /**
+   * Read a printer's current status
+   * @param {Object} printer - Printer to query
+   * @returns {Promise<Object>} { isConnected, status }
+   */
+  async getStatus(printer) {
+    return { isConnected: true, status: 'Ready' };
+  }
+
+  /**
+   * Read the URI of the device behind a printer, which stays the same when
+   * the printer comes back under a new queue name
+   * @param {Object} printer - Printer to query
+   * @returns {Promise<string|null>} Device URI, or null when the driver
+   *   cannot tell
+   */
+  async getDeviceUri(printer) {
+    return null;
+  }
+
+  /**
+   * Send a document to a printer
+   * @param {Object} printer - Printer to print on
+   * @param {string} documentPath - Path to the document to print
+   * @param {Object} preset - Print preset ({ name, description, options })
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborting stops the submission and
+   *   rejects with an error from createPrintCancelledError()
+   * @returns {Promise<Object>} { jobId } where jobId identifies the job for
+   *   getJobState() and cancel(), or null when the spooler reports none
+   */
+  async print(printer, documentPath, preset, options = {}) {
+    throw new Error(`The ${this.name} driver cannot print`);
+  }
+
+  /**
+   * Cancel a submitted job
+   * @param {Object|null} printer - Printer the job was sent to
+   * @param {string|null} jobId - Job ID returned by print()
+   * @returns {Promise<boolean>} True when the printer confirmed the cancellation
+   */
+  async cancel(printer, jobId) {
+    return false;
+  }
+
+  /**
+   * Look up where the printer is with a submitted job
+   * @param {Object|null} printer - Printer the job was sent to
+   * @param {string} jobId - Job ID returned by print()
+   * @returns {Promise<Object>} { state, reasons } where state is 'active',
+   *   'completed' or 'failed'. Drivers that cannot track jobs report them
+   *   completed once submitted.
+   */
+  async getJobState(printer, jobId) {
+    return { state: 'completed', reasons: [] };
+  }
+}
+
+PrinterDriver.createPrintCancelledError = createPrintCancelledError;
+
+module.exports = PrinterDriver;
@@ -0,0 +1,76 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const pdfToPrinter = require('pdf-to-printer');
+const PrinterDriver = require('./PrinterDriver');
+
+const { createPrintCancelledError } = PrinterDriver;
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Windows driver, discovering printers with wmic and printing with pdf-to-printer
+ *
+ * The Windows spooler is not asked for job IDs, so jobs count as completed
+ * once pdf-to-printer returns and cannot be cancelled after that.
+ */
+class WindowsDriver extends PrinterDriver {
+  constructor(options = {}) {
+    super('windows', options);
+  }
+
+  /**
+   * Discover printers using wmic
+   * @returns {Promise<Array>} Discovered printers; empty when wmic fails
+   */
+  async discover() {
+    try {
+      const { stdout } = await execFileAsync('wmic', ['printer', 'get', 'name,status', '/format:csv'], {});
+      const printers = [];
+
+      const lines = stdout.split('\n').slice(1); // Skip header
+
+      for (const line of lines) {
+        const parts = line.split(',');
+        if (parts.length >= 3 && parts[1]) {
+          const name = parts[1].trim();
+          const status = parts[2] ? parts[2].trim() : 'Unknown';
+
+          printers.push({
+            id: name,
+            name: name,
+            isConnected: status.toLowerCase().includes('ok') || status.toLowerCase().includes('ready'),
+            status: status,
+            type: 'USB',
+            platform: 'win32'
+          });
+        }
+      }
+
+      return printers;
+    } catch (error) {
+      console.warn('wmic command failed, returning empty printer list');
+      return [];
+    }
+  }
+
+  /**
+   * Print with pdf-to-printer. It cannot be cancelled once started.
+   * @returns {Promise<Object>} { jobId: null }
+   */
+  async print(printer, documentPath, preset, options = {}) {
+    const { signal = null } = options;
+    if (signal && signal.aborted) {
+      throw createPrintCancelledError(true);
+    }
+
+    const printOptions = {
+      printer: printer.name,
+      ...preset.options
+    };
+    await pdfToPrinter.print(documentPath, printOptions);
+
+    return { jobId: null };
+  }
+}
+
+module.exports = WindowsDriver;
@@ -0,0 +1,71 @@
+// Card size every badge is printed on, as named in the card printers' PPDs
+const CARD_MEDIA = 'CR80Card';
+
+/**
+ * PPD options that switch the HoloKote overlay on or off for a preset
+ * @param {Object} preset - Print preset
+ * @returns {Array<Array<string>>} [option, value] pairs; empty when the preset
+ *   leaves HoloKote to the printer default
+ */
+function getHoloKoteOptions(preset) {
+  const { holokote } = preset.options;
+  if (holokote === undefined) {
+    return [];
+  }
+
+  const holokoteValue = holokote ? '1PrintHoloKote' : '0PrintNoHoloKote';
+  const options = [['CFHoloKote', holokoteValue], ['CBHoloKote', holokoteValue]];
+
+  // Also disable HoloPatch when HoloKote is disabled
+  if (!holokote) {
+    options.push(['CFHoloPatch', '0PrintNoHoloPatch']);
+  }
+
+  return options;
+}
+
+/**
+ * PPD options that print both sides of the card, for a two-sided document.
+ * The preset's `sides` is set by printDocument() from the document, not
+ * stored with the preset.
+ * @param {Object} preset - Print preset
+ * @returns {Array<Array<string>>} [option, value] pairs; empty for a
+ *   single-sided document
+ */
+function getDuplexOptions(preset) {
+  if (preset.options.sides !== 2) {
+    return [];
+  }
+
+  // Turn the card over on its long edge, so the back reads the same way up
+  return [['Duplex', 'DuplexNoTumble']];
+}
+
+/**
+ * PPD options to send for a preset: its HoloKote switches, then any
+ * `printerOptions` it sets, which win over the switches. The duplex switch
+ * of a two-sided document comes last and replaces any `sides` option, so a
+ * preset can't print the back upside down or on a card of its own.
+ * @param {Object} preset - Print preset
+ * @returns {Array<Array<string>>} [option, value] pairs
+ */
+function getPresetPrinterOptions(preset) {
+  const options = new Map(getHoloKoteOptions(preset));
+  Object.entries(preset.options.printerOptions || {}).forEach(([name, value]) => {
+    options.set(name, value);
+  });
+
+  const duplexOptions = getDuplexOptions(preset);
+  if (duplexOptions.length > 0) {
+    options.delete('sides');
+    duplexOptions.forEach(([name, value]) => options.set(name, value));
+  }
+  return Array.from(options.entries());
+}
+
+module.exports = {
+  CARD_MEDIA,
+  getHoloKoteOptions,
+  getDuplexOptions,
+  getPresetPrinterOptions
+};
@@ -0,0 +1,42 @@
+const PrinterDriver = require('./PrinterDriver');
+const CupsDriver = require('./CupsDriver');
+const WindowsDriver = require('./WindowsDriver');
+const FileSpoolDriver = require('./FileSpoolDriver');
+const IppDriver = require('./IppDriver');
+
+// Driver classes by the name used in configuration (PRINTER_DRIVERS)
+const DRIVERS = {
+  cups: CupsDriver,
+  windows: WindowsDriver,
+  spool: FileSpoolDriver,
+  ipp: IppDriver
+};
+
+/**
+ * Driver used when none is configured: pdf-to-printer on Windows, CUPS elsewhere
+ * @returns {string} Driver name
+ */
+function getDefaultDriverName() {
+  return process.platform === 'win32' ? 'windows' : 'cups';
+}
+
+/**
+ * Create a printer driver by name
+ * @param {string} name - One of the DRIVERS names
+ * @param {Object} [options] - Driver-specific options
+ * @returns {PrinterDriver}
+ */
+function createDriver(name, options = {}) {
+  const Driver = DRIVERS[name];
+  if (!Driver) {
+    throw new Error(`Unknown printer driver: ${name}. Available drivers: ${Object.keys(DRIVERS).join(', ')}`);
+  }
+  return new Driver(options);
+}
+
+module.exports = {
+  DRIVERS,
+  PrinterDriver,
+  createDriver,
+  getDefaultDriverName
+};
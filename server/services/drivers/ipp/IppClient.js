@@ -0,0 +1,124 @@
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const { OPERATIONS, STATUS_CODES, attribute, codeName, encode, decode } = require('./protocol');
+
+// How long an IPP request may take before it is abandoned
+const DEFAULT_REQUEST_TIMEOUT_MS = 10000;
+
+// IPP's registered port, used for ipp:// and ipps:// URIs without one
+const DEFAULT_IPP_PORT = 631;
+
+/**
+ * Minimal IPP client: sends one operation over HTTP and decodes the response
+ *
+ * Requests fail with an Error carrying `ippStatus` (the numeric status code)
+ * when the printer answers with an error status.
+ */
+class IppClient {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {string} [options.userName] - requesting-user-name sent with every request
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || DEFAULT_REQUEST_TIMEOUT_MS;
+    this.userName = options.userName || 'badge-printer';
+    this.requestId = 0;
+  }
+
+  /**
+   * Send an IPP operation to a printer (or CUPS server) URI
+   * @param {string} uri - ipp://, ipps://, http:// or https:// URI
+   * @param {string} operation - Operation name from OPERATIONS
+   * @param {Object} [attributes]
+   * @param {Array} [attributes.operation] - Operation attributes besides the
+   *   charset, language, printer-uri and requesting-user-name added here
+   * @param {Array} [attributes.job] - Job template attributes
+   * @param {Object} [options]
+   * @param {Buffer} [options.data] - Document data following the attributes
+   * @param {AbortSignal} [options.signal] - Aborts the HTTP request
+   * @param {number} [options.timeout] - Overrides the client timeout
+   * @returns {Promise<Object>} Decoded response message
+   */
+  async request(uri, operation, attributes = {}, options = {}) {
+    const code = OPERATIONS[operation];
+    if (code === undefined) {
+      throw new Error(`Unknown IPP operation: ${operation}`);
+    }
+
+    this.requestId++;
+    const groups = [{
+      tag: 'operation',
+      attributes: [
+        attribute('attributes-charset', 'charset', 'utf-8'),
+        attribute('attributes-natural-language', 'naturalLanguage', 'en'),
+        attribute('printer-uri', 'uri', uri),
+        attribute('requesting-user-name', 'name', this.userName),
+        ...(attributes.operation || [])
+      ]
+    }];
+
+    if (attributes.job && attributes.job.length > 0) {
+      groups.push({ tag: 'job', attributes: attributes.job });
+    }
+
+    const body = encode({ code, requestId: this.requestId, groups, data: options.data || null });
+    const responseBody = await this.post(uri, body, options);
+    const response = decode(responseBody);
+
+    // 0x00xx statuses are successful
+    if (response.code >= 0x0100) {
+      const error = new Error(`IPP ${operation} failed: ${codeName(STATUS_CODES, response.code)}`);
+      error.ippStatus = response.code;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * POST an encoded request and collect the response body
+   * @private
+   */
+  post(uri, body, options = {}) {
+    const { signal = null, timeout = this.timeout } = options;
+    const target = new URL(uri);
+    const secure = target.protocol === 'ipps:' || target.protocol === 'https:';
+    const defaultPort = target.protocol.startsWith('ipp') ? DEFAULT_IPP_PORT : undefined;
+
+    return new Promise((resolve, reject) => {
+      const request = (secure ? https : http).request({
+        method: 'POST',
+        hostname: target.hostname,
+        port: target.port || defaultPort,
+        path: `${target.pathname}${target.search}`,
+        headers: {
+          'Content-Type': 'application/ipp',
+          'Content-Length': body.length
+        },
+        timeout,
+        signal: signal || undefined
+      }, response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+          if (response.statusCode !== 200) {
+            reject(new Error(`IPP request to ${target.host} failed with HTTP ${response.statusCode}`));
+            return;
+          }
+          resolve(Buffer.concat(chunks));
+        });
+        response.on('error', reject);
+      });
+
+      request.on('timeout', () => {
+        request.destroy(new Error(`IPP request to ${target.host} timed out after ${timeout}ms`));
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+}
+
+module.exports = IppClient;
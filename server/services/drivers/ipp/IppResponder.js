@@ -0,0 +1,252 @@
+const http = require('http');
+const {
+  OPERATIONS,
+  STATUS_CODES,
+  JOB_STATES,
+  PRINTER_STATES,
+  attribute,
+  codeName,
+  encode,
+  decode,
+  getGroup
+} = require('./protocol');
+
+/**
+ * Small in-process IPP printer for tests and offline development
+ *
+ * Answers Get-Printer-Attributes, CUPS-Get-Printers, Print-Job,
+ * Get-Job-Attributes and Cancel-Job for a single printer over HTTP on
+ * localhost. Its state is plain properties, so tests can take it offline,
+ * drain a ribbon or hold jobs in processing and complete them later. Every
+ * request is recorded in `requests`.
+ */
+class IppResponder {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.printerName] - printer-name, also used in the URI path
+   * @param {boolean} [options.completeJobs] - Complete jobs as soon as they are
+   *   submitted (default); when false they stay processing until setJobState()
+   */
+  constructor(options = {}) {
+    this.printerName = options.printerName || 'Virtual_IPP';
+    this.printerInfo = options.printerInfo || 'Virtual IPP card printer';
+    this.printerState = 'idle';
+    this.stateReasons = ['none'];
+    this.acceptingJobs = true;
+    this.markers = options.markers || [
+      { name: 'Colour ribbon', type: 'ribbon-wax', color: '#00FFFF', level: 80, lowLevel: 10, highLevel: 100 }
+    ];
+    this.mediaSupported = options.mediaSupported || ['CR80Card'];
+    this.mediaDefault = this.mediaSupported[0];
+    this.completeJobs = options.completeJobs !== false;
+    this.jobs = new Map();
+    this.nextJobId = 1;
+    this.requests = [];
+    this.server = null;
+    this.uri = null;
+  }
+
+  /**
+   * Start listening on localhost
+   * @param {number} [port] - Port to use; 0 picks a free one
+   * @returns {Promise<string>} The printer URI
+   */
+  start(port = 0) {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((request, response) => this.handleHttpRequest(request, response));
+      this.server.on('error', reject);
+      this.server.listen(port, '127.0.0.1', () => {
+        this.port = this.server.address().port;
+        this.host = `127.0.0.1:${this.port}`;
+        this.uri = `ipp://${this.host}/printers/${this.printerName}`;
+        resolve(this.uri);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Move a job to another state, e.g. to finish a held job
+   * @param {number|string} jobId - Job ID returned by Print-Job
+   * @param {string} state - Key of JOB_STATES
+   * @param {Array<string>} [reasons] - job-state-reasons
+   */
+  setJobState(jobId, state, reasons = ['none']) {
+    const job = this.jobs.get(Number(jobId));
+    if (!job) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+    job.state = state;
+    job.reasons = reasons;
+  }
+
+  /**
+   * @private
+   */
+  handleHttpRequest(request, response) {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      let reply;
+      try {
+        reply = this.handleMessage(decode(Buffer.concat(chunks)));
+      } catch (error) {
+        response.writeHead(400);
+        response.end();
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': 'application/ipp' });
+      response.end(encode(reply));
+    });
+  }
+
+  /**
+   * Answer one decoded request
+   * @private
+   */
+  handleMessage(message) {
+    const operation = codeName(OPERATIONS, message.code);
+    const attributes = { ...getGroup(message, 'operation'), ...getGroup(message, 'job') };
+    this.requests.push({ operation, attributes, data: message.data });
+
+    switch (operation) {
+      case 'Get-Printer-Attributes':
+        return this.reply(message, 'successful-ok', [{ tag: 'printer', attributes: this.printerAttributes() }]);
+      case 'CUPS-Get-Printers':
+        return this.reply(message, 'successful-ok', [{ tag: 'printer', attributes: this.printerAttributes() }]);
+      case 'Print-Job':
+        return this.printJob(message, attributes);
+      case 'Get-Job-Attributes':
+        return this.withJob(message, attributes, job => this.reply(message, 'successful-ok', [
+          { tag: 'job', attributes: this.jobAttributes(job) }
+        ]));
+      case 'Cancel-Job':
+        return this.withJob(message, attributes, job => {
+          if (['completed', 'canceled', 'aborted'].includes(job.state)) {
+            return this.reply(message, 'client-error-not-possible');
+          }
+          job.state = 'canceled';
+          job.reasons = ['job-canceled-by-user'];
+          return this.reply(message, 'successful-ok');
+        });
+      default:
+        return this.reply(message, 'server-error-operation-not-supported');
+    }
+  }
+
+  /**
+   * @private
+   */
+  printJob(message, attributes) {
+    if (!this.acceptingJobs) {
+      return this.reply(message, 'server-error-not-accepting-jobs');
+    }
+
+    const job = {
+      id: this.nextJobId++,
+      state: this.completeJobs ? 'completed' : 'processing',
+      reasons: this.completeJobs ? ['job-completed-successfully'] : ['job-printing'],
+      attributes,
+      document: message.data
+    };
+    this.jobs.set(job.id, job);
+
+    return this.reply(message, 'successful-ok', [{ tag: 'job', attributes: this.jobAttributes(job) }]);
+  }
+
+  /**
+   * Run a handler for the job named by job-id, or answer not-found
+   * @private
+   */
+  withJob(message, attributes, handler) {
+    const jobId = attributes['job-id'] ? attributes['job-id'][0] : null;
+    const job = this.jobs.get(jobId);
+    return job ? handler(job) : this.reply(message, 'client-error-not-found');
+  }
+
+  /**
+   * @private
+   */
+  printerAttributes() {
+    const markers = this.markers.map(marker => ({ type: 'other', color: 'none', lowLevel: 0, highLevel: 100, ...marker }));
+    const markerValues = key => markers.map(marker => marker[key]);
+    const attributes = [
+      attribute('printer-uri-supported', 'uri', this.uri),
+      attribute('printer-name', 'name', this.printerName),
+      attribute('printer-info', 'text', this.printerInfo),
+      attribute('printer-state', 'enum', PRINTER_STATES[this.printerState]),
+      attribute('printer-state-reasons', 'keyword', this.stateReasons),
+      attribute('printer-is-accepting-jobs', 'boolean', this.acceptingJobs),
+      attribute('media-supported', 'keyword', this.mediaSupported),
+      attribute('media-default', 'keyword', this.mediaDefault),
+      attribute('print-quality-supported', 'enum', [4, 5]),
+      attribute('print-quality-default', 'enum', 4),
+      attribute('sides-supported', 'keyword', ['one-sided', 'two-sided-long-edge']),
+      attribute('sides-default', 'keyword', 'one-sided'),
+      attribute('document-format-supported', 'mimeMediaType', ['application/pdf', 'image/png', 'image/jpeg'])
+    ];
+
+    if (this.markers.length > 0) {
+      attributes.push(
+        attribute('marker-names', 'name', markerValues('name')),
+        attribute('marker-types', 'keyword', markerValues('type')),
+        attribute('marker-colors', 'name', markerValues('color')),
+        attribute('marker-levels', 'integer', markerValues('level')),
+        attribute('marker-low-levels', 'integer', markerValues('lowLevel')),
+        attribute('marker-high-levels', 'integer', markerValues('highLevel'))
+      );
+    }
+
+    return attributes;
+  }
+
+  /**
+   * @private
+   */
+  jobAttributes(job) {
+    return [
+      attribute('job-id', 'integer', job.id),
+      attribute('job-uri', 'uri', `ipp://${this.host}/jobs/${job.id}`),
+      attribute('job-state', 'enum', JOB_STATES[job.state]),
+      attribute('job-state-reasons', 'keyword', job.reasons)
+    ];
+  }
+
+  /**
+   * Build a response to a request
+   * @private
+   */
+  reply(message, status, groups = []) {
+    return {
+      version: message.version,
+      code: STATUS_CODES[status],
+      requestId: message.requestId,
+      groups: [
+        {
+          tag: 'operation',
+          attributes: [
+            attribute('attributes-charset', 'charset', 'utf-8'),
+            attribute('attributes-natural-language', 'naturalLanguage', 'en')
+          ]
+        },
+        ...groups
+      ]
+    };
+  }
+}
+
+module.exports = IppResponder;
@@ -0,0 +1,395 @@
+/**
+ * IPP/1.1 and 2.0 message encoding (RFC 8010)
+ *
+ * Messages are plain objects:
+ *   { version, code, requestId, groups, data }
+ * where `code` is the operation (requests) or status (responses) and each
+ * group is { tag, attributes }. When encoding, attributes is an array of
+ * { name, tag, value } (value may be an array for multi-valued attributes);
+ * decoding produces an object of attribute name -> array of values.
+ */
+
+const OPERATIONS = {
+  'Print-Job': 0x0002,
+  'Validate-Job': 0x0004,
+  'Cancel-Job': 0x0008,
+  'Get-Job-Attributes': 0x0009,
+  'Get-Jobs': 0x000A,
+  'Get-Printer-Attributes': 0x000B,
+  'CUPS-Get-Printers': 0x4002
+};
+
+const STATUS_CODES = {
+  'successful-ok': 0x0000,
+  'successful-ok-ignored-or-substituted-attributes': 0x0001,
+  'client-error-bad-request': 0x0400,
+  'client-error-not-possible': 0x0404,
+  'client-error-not-found': 0x0406,
+  'client-error-document-format-not-supported': 0x040A,
+  'server-error-internal-error': 0x0500,
+  'server-error-operation-not-supported': 0x0501,
+  'server-error-not-accepting-jobs': 0x0506,
+  'server-error-busy': 0x0507
+};
+
+const GROUP_TAGS = {
+  operation: 0x01,
+  job: 0x02,
+  printer: 0x04,
+  unsupported: 0x05,
+  document: 0x09
+};
+
+const END_OF_ATTRIBUTES_TAG = 0x03;
+
+const VALUE_TAGS = {
+  unsupported: 0x10,
+  unknown: 0x12,
+  noValue: 0x13,
+  integer: 0x21,
+  boolean: 0x22,
+  enum: 0x23,
+  octetString: 0x30,
+  dateTime: 0x31,
+  resolution: 0x32,
+  rangeOfInteger: 0x33,
+  begCollection: 0x34,
+  textWithLanguage: 0x35,
+  nameWithLanguage: 0x36,
+  endCollection: 0x37,
+  text: 0x41,
+  name: 0x42,
+  keyword: 0x44,
+  uri: 0x45,
+  uriScheme: 0x46,
+  charset: 0x47,
+  naturalLanguage: 0x48,
+  mimeMediaType: 0x49,
+  memberAttrName: 0x4A
+};
+
+// job-state values (RFC 8011 5.3.7)
+const JOB_STATES = {
+  pending: 3,
+  'pending-held': 4,
+  processing: 5,
+  'processing-stopped': 6,
+  canceled: 7,
+  aborted: 8,
+  completed: 9
+};
+
+// printer-state values (RFC 8011 5.4.11)
+const PRINTER_STATES = {
+  idle: 3,
+  processing: 4,
+  stopped: 5
+};
+
+const OUT_OF_BAND_TAGS = [VALUE_TAGS.unsupported, VALUE_TAGS.unknown, VALUE_TAGS.noValue];
+
+/**
+ * Look up the name for a numeric code in one of the tables above
+ * @param {Object} table - e.g. STATUS_CODES
+ * @param {number} code
+ * @returns {string} Name, or the code in hex when unknown
+ */
+function codeName(table, code) {
+  const entry = Object.entries(table).find(([, value]) => value === code);
+  return entry ? entry[0] : `0x${code.toString(16).padStart(4, '0')}`;
+}
+
+/**
+ * Shorthand for an attribute to encode
+ */
+function attribute(name, tag, value) {
+  return { name, tag, value };
+}
+
+/**
+ * Encode one attribute value
+ * @private
+ */
+function encodeValue(tag, value) {
+  const tagCode = VALUE_TAGS[tag];
+
+  if (tagCode === undefined) {
+    throw new Error(`Unsupported IPP value tag: ${tag}`);
+  }
+
+  if (OUT_OF_BAND_TAGS.includes(tagCode)) {
+    return Buffer.alloc(0);
+  }
+
+  switch (tag) {
+    case 'integer':
+    case 'enum': {
+      const buffer = Buffer.alloc(4);
+      buffer.writeInt32BE(value);
+      return buffer;
+    }
+    case 'boolean':
+      return Buffer.from([value ? 1 : 0]);
+    case 'rangeOfInteger': {
+      const buffer = Buffer.alloc(8);
+      buffer.writeInt32BE(value.lower, 0);
+      buffer.writeInt32BE(value.upper, 4);
+      return buffer;
+    }
+    case 'resolution': {
+      const buffer = Buffer.alloc(9);
+      buffer.writeInt32BE(value.x, 0);
+      buffer.writeInt32BE(value.y, 4);
+      buffer.writeInt8(value.units === 'dpcm' ? 4 : 3, 8);
+      return buffer;
+    }
+    case 'dateTime': {
+      const date = value instanceof Date ? value : new Date(value);
+      const buffer = Buffer.alloc(11);
+      buffer.writeUInt16BE(date.getUTCFullYear(), 0);
+      buffer.writeUInt8(date.getUTCMonth() + 1, 2);
+      buffer.writeUInt8(date.getUTCDate(), 3);
+      buffer.writeUInt8(date.getUTCHours(), 4);
+      buffer.writeUInt8(date.getUTCMinutes(), 5);
+      buffer.writeUInt8(date.getUTCSeconds(), 6);
+      buffer.writeUInt8(Math.floor(date.getUTCMilliseconds() / 100), 7);
+      buffer.write('+', 8, 'ascii');
+      return buffer;
+    }
+    case 'begCollection':
+    case 'endCollection':
+      throw new Error('Encoding IPP collections is not supported');
+    default:
+      return Buffer.from(String(value), 'utf8');
+  }
+}
+
+/**
+ * Encode an IPP message
+ * @param {Object} message - { version, code, requestId, groups, data }
+ * @returns {Buffer}
+ */
+function encode(message) {
+  const { version = '2.0', code, requestId = 1, groups = [], data = null } = message;
+  const [major, minor] = version.split('.').map(Number);
+  const parts = [];
+
+  const header = Buffer.alloc(8);
+  header.writeInt8(major, 0);
+  header.writeInt8(minor, 1);
+  header.writeUInt16BE(code, 2);
+  header.writeInt32BE(requestId, 4);
+  parts.push(header);
+
+  for (const group of groups) {
+    if (GROUP_TAGS[group.tag] === undefined) {
+      throw new Error(`Unknown IPP attribute group: ${group.tag}`);
+    }
+    parts.push(Buffer.from([GROUP_TAGS[group.tag]]));
+
+    for (const { name, tag, value } of group.attributes) {
+      const values = Array.isArray(value) ? value : [value];
+
+      values.forEach((singleValue, index) => {
+        // Additional values of a multi-valued attribute have an empty name
+        const nameBuffer = Buffer.from(index === 0 ? name : '', 'utf8');
+        const valueBuffer = encodeValue(tag, singleValue);
+        const entry = Buffer.alloc(1 + 2 + nameBuffer.length + 2);
+        entry.writeUInt8(VALUE_TAGS[tag], 0);
+        entry.writeUInt16BE(nameBuffer.length, 1);
+        nameBuffer.copy(entry, 3);
+        entry.writeUInt16BE(valueBuffer.length, 3 + nameBuffer.length);
+        parts.push(entry, valueBuffer);
+      });
+    }
+  }
+
+  parts.push(Buffer.from([END_OF_ATTRIBUTES_TAG]));
+
+  if (data) {
+    parts.push(data);
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Decode one attribute value
+ * @private
+ */
+function decodeValue(tag, buffer) {
+  if (OUT_OF_BAND_TAGS.includes(tag)) {
+    return null;
+  }
+
+  switch (tag) {
+    case VALUE_TAGS.integer:
+    case VALUE_TAGS.enum:
+      return buffer.readInt32BE(0);
+    case VALUE_TAGS.boolean:
+      return buffer.readUInt8(0) !== 0;
+    case VALUE_TAGS.rangeOfInteger:
+      return { lower: buffer.readInt32BE(0), upper: buffer.readInt32BE(4) };
+    case VALUE_TAGS.resolution:
+      return { x: buffer.readInt32BE(0), y: buffer.readInt32BE(4), units: buffer.readInt8(8) === 4 ? 'dpcm' : 'dpi' };
+    case VALUE_TAGS.dateTime:
+      return new Date(Date.UTC(
+        buffer.readUInt16BE(0), buffer.readUInt8(2) - 1, buffer.readUInt8(3),
+        buffer.readUInt8(4), buffer.readUInt8(5), buffer.readUInt8(6), buffer.readUInt8(7) * 100
+      ));
+    case VALUE_TAGS.textWithLanguage:
+    case VALUE_TAGS.nameWithLanguage: {
+      const languageLength = buffer.readUInt16BE(0);
+      const textLength = buffer.readUInt16BE(2 + languageLength);
+      return buffer.toString('utf8', 4 + languageLength, 4 + languageLength + textLength);
+    }
+    case VALUE_TAGS.octetString:
+    case VALUE_TAGS.text:
+    case VALUE_TAGS.name:
+    case VALUE_TAGS.keyword:
+    case VALUE_TAGS.uri:
+    case VALUE_TAGS.uriScheme:
+    case VALUE_TAGS.charset:
+    case VALUE_TAGS.naturalLanguage:
+    case VALUE_TAGS.mimeMediaType:
+    case VALUE_TAGS.memberAttrName:
+      return buffer.toString('utf8');
+    default:
+      // Unknown value types are passed through undecoded
+      return buffer;
+  }
+}
+
+/**
+ * Decode an IPP message
+ * @param {Buffer} buffer - Raw message
+ * @returns {Object} { version, code, requestId, groups, data }
+ */
+function decode(buffer) {
+  if (buffer.length < 9) {
+    throw new Error('IPP message is truncated');
+  }
+
+  let offset = 8;
+
+  // Read the next "tag, name, value" entry
+  function readEntry() {
+    const tag = buffer.readUInt8(offset);
+    const nameLength = buffer.readUInt16BE(offset + 1);
+    const name = buffer.toString('utf8', offset + 3, offset + 3 + nameLength);
+    const valueStart = offset + 3 + nameLength;
+    const valueLength = buffer.readUInt16BE(valueStart);
+    const valueBuffer = buffer.subarray(valueStart + 2, valueStart + 2 + valueLength);
+    if (valueStart + 2 + valueLength > buffer.length) {
+      throw new Error('IPP message is truncated');
+    }
+    offset = valueStart + 2 + valueLength;
+    return { tag, name, valueBuffer };
+  }
+
+  // Read collection members up to the matching endCollection
+  function readCollection() {
+    const collection = {};
+    let memberName = null;
+
+    for (;;) {
+      const entry = readEntry();
+      if (entry.tag === VALUE_TAGS.endCollection) {
+        return collection;
+      }
+      if (entry.tag === VALUE_TAGS.memberAttrName) {
+        memberName = entry.valueBuffer.toString('utf8');
+        collection[memberName] = [];
+        continue;
+      }
+      const value = entry.tag === VALUE_TAGS.begCollection
+        ? readCollection()
+        : decodeValue(entry.tag, entry.valueBuffer);
+      if (memberName !== null) {
+        collection[memberName].push(value);
+      }
+    }
+  }
+
+  const groups = [];
+  let currentGroup = null;
+  let currentName = null;
+
+  while (offset < buffer.length) {
+    const tag = buffer.readUInt8(offset);
+
+    if (tag === END_OF_ATTRIBUTES_TAG) {
+      offset++;
+      break;
+    }
+
+    if (tag < 0x10) {
+      currentGroup = { tag: codeName(GROUP_TAGS, tag), attributes: {} };
+      groups.push(currentGroup);
+      currentName = null;
+      offset++;
+      continue;
+    }
+
+    const entry = readEntry();
+    if (!currentGroup) {
+      throw new Error('IPP attribute outside of an attribute group');
+    }
+
+    const value = entry.tag === VALUE_TAGS.begCollection
+      ? readCollection()
+      : decodeValue(entry.tag, entry.valueBuffer);
+
+    if (entry.name) {
+      currentName = entry.name;
+      currentGroup.attributes[currentName] = [];
+    }
+    if (currentName !== null) {
+      currentGroup.attributes[currentName].push(value);
+    }
+  }
+
+  return {
+    version: `${buffer.readInt8(0)}.${buffer.readInt8(1)}`,
+    code: buffer.readUInt16BE(2),
+    requestId: buffer.readInt32BE(4),
+    groups,
+    data: buffer.subarray(offset)
+  };
+}
+
+/**
+ * Get the attributes of the first group with a tag
+ * @param {Object} message - Decoded message
+ * @param {string} tag - Group tag, e.g. 'printer'
+ * @returns {Object} Attribute name -> values; empty when there is no such group
+ */
+function getGroup(message, tag) {
+  const group = message.groups.find(candidate => candidate.tag === tag);
+  return group ? group.attributes : {};
+}
+
+/**
+ * Get the attributes of every group with a tag
+ * @returns {Array<Object>}
+ */
+function getGroups(message, tag) {
+  return message.groups
+    .filter(candidate => candidate.tag === tag)
+    .map(group => group.attributes);
+}
+
+module.exports = {
+  OPERATIONS,
+  STATUS_CODES,
+  GROUP_TAGS,
+  VALUE_TAGS,
+  JOB_STATES,
+  PRINTER_STATES,
+  attribute,
+  codeName,
+  encode,
+  decode,
+  getGroup,
+  getGroups
+};
@@ -0,0 +1,71 @@
+/**
+ * Structured model of the options a printer's PPD offers
+ *
+ * Each option is { name, label, choices, default }: `name` is the PPD
+ * keyword passed to the printer (e.g. CFHoloPatch), `choices` the values it
+ * accepts and `default` the one marked as current. Drivers report these from
+ * getCapabilities() as `options`, and presets may set any of them through
+ * `printerOptions` ({ name: choice }).
+ */
+
+// lpoptions -l lists one option per line as "Name/Label: choice *default choice"
+const LPOPTIONS_LINE_PATTERN = /^([^/:\s]+)(?:\/([^:]*))?:\s*(.*)$/;
+
+/**
+ * Parse `lpoptions -l` output
+ * @param {string} output - lpoptions output
+ * @returns {Array<Object>} Options as { name, label, choices, default }
+ */
+function parseLpoptions(output) {
+  return output.split('\n')
+    .map(line => LPOPTIONS_LINE_PATTERN.exec(line.trim()))
+    .filter(Boolean)
+    .map(([, name, label, choiceList]) => {
+      const tokens = choiceList.split(/\s+/).filter(Boolean);
+      const marked = tokens.find(token => token.startsWith('*'));
+
+      return {
+        name,
+        label: (label || name).trim(),
+        choices: tokens.map(token => token.replace(/^\*/, '')),
+        default: marked ? marked.slice(1) : null
+      };
+    });
+}
+
+/**
+ * Split preset printer options into those a printer supports and those it
+ * does not
+ * @param {Object} printerOptions - Requested options ({ name: choice })
+ * @param {Array<Object>|undefined} capabilityOptions - The printer's options;
+ *   when unknown every requested option is accepted
+ * @returns {Object} { accepted, rejected } where accepted is { name: choice }
+ *   and rejected lists { name, value, reason }
+ */
+function filterPrinterOptions(printerOptions = {}, capabilityOptions) {
+  const accepted = {};
+  const rejected = [];
+
+  Object.entries(printerOptions).forEach(([name, value]) => {
+    if (!Array.isArray(capabilityOptions)) {
+      accepted[name] = value;
+      return;
+    }
+
+    const option = capabilityOptions.find(candidate => candidate.name === name);
+    if (!option) {
+      rejected.push({ name, value, reason: 'Option not supported by the printer' });
+    } else if (!option.choices.includes(value)) {
+      rejected.push({ name, value, reason: `Choice not supported; expected one of: ${option.choices.join(', ')}` });
+    } else {
+      accepted[name] = value;
+    }
+  });
+
+  return { accepted, rejected };
+}
+
+module.exports = {
+  parseLpoptions,
+  filterPrinterOptions
+};
@@ -6,12 +6,16 @@ const logger = require('./logger');
 
 const execAsync = promisify(exec);
 
+// Recovery attempts kept for the diagnostic history
+const MAX_RECOVERY_ATTEMPTS = 100;
+
 /**
  * Comprehensive diagnostic tools for troubleshooting system issues
  */
 class DiagnosticTools {
   constructor() {
     this.diagnosticResults = new Map();
+    this.recoveryAttempts = [];
   }
 
   /**
@@ -449,14 +453,38 @@ class DiagnosticTools {
   }
 
   /**
-   * Get diagnostic history
+   * Record an error recovery attempt, such as a printer reconnect, for the
+   * diagnostic history. Only the most recent attempts are kept.
+   */
+  recordRecoveryAttempt(attempt) {
+    this.recoveryAttempts.push({ timestamp: new Date().toISOString(), ...attempt });
+    if (this.recoveryAttempts.length > MAX_RECOVERY_ATTEMPTS) {
+      this.recoveryAttempts.shift();
+    }
+  }
+
+  /**
+   * Get diagnostic history, followed by recovery attempts oldest first
    */
   getDiagnosticHistory() {
-    return Array.from(this.diagnosticResults.entries()).map(([component, result]) => ({
+    const diagnosticRuns = Array.from(this.diagnosticResults.entries()).map(([component, result]) => ({
       component,
       timestamp: result.timestamp || new Date().toISOString(),
       summary: this.summarizeComponentDiagnostic(component, result)
     }));
+
+    const recoveries = this.recoveryAttempts.map(attempt => ({
+      component: 'recovery',
+      timestamp: attempt.timestamp,
+      summary: {
+        status: attempt.successful ? 'ok' : 'error',
+        action: attempt.action,
+        printerId: attempt.printerId || null,
+        message: attempt.message
+      }
+    }));
+
+    return [...diagnosticRuns, ...recoveries];
   }
 
   /**
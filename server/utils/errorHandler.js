@@ -1,4 +1,5 @@
 const logger = require('./logger');
+const diagnostics = require('./diagnostics');
 
 /**
  * Error types and their user-friendly messages
@@ -243,6 +244,14 @@ class ErrorClassifier {
 class ErrorRecovery {
   /**
    * Attempt to recover from common errors
+   * @param {Error} error - Classified error
+   * @param {Object} [context]
+   * @param {Object} [context.printerInterface] - Printer interface to
+   *   reconnect printers through
+   * @param {string} [context.printerId] - Printer to reconnect; defaults to
+   *   the selected printer
+   * @param {Object} [context.io] - Socket.io server printer recovery is
+   *   reported to
    */
   static async attemptRecovery(error, context = {}) {
     const recovery = {
@@ -277,14 +286,30 @@ class ErrorRecovery {
         return recovery;
       }
 
-      // Printer recovery
-      if (error.type === 'PRINTER_OFFLINE') {
+      // Printer recovery: rediscover and reconnect the printer
+      if (error.type === 'PRINTER_OFFLINE' || error.type === 'PRINTER_NOT_FOUND') {
         recovery.attempted = true;
         recovery.action = 'printer_reconnect';
-        
-        // Could attempt to reconnect to printer
-        recovery.message = 'Printer reconnection attempted';
-        
+        recovery.printerId = context.printerId || null;
+
+        try {
+          if (!context.printerInterface) {
+            recovery.message = 'Printer reconnection is not available without the printer interface';
+          } else {
+            const result = await context.printerInterface.recoverPrinter(context.printerId || null);
+            Object.assign(recovery, {
+              successful: result.recovered,
+              message: result.message,
+              printerId: result.printerId,
+              previousPrinterId: result.previousPrinterId,
+              queueChanged: result.queueChanged
+            });
+          }
+        } catch (recoveryError) {
+          recovery.message = `Recovery failed: ${recoveryError.message}`;
+        }
+
+        ErrorRecovery.reportRecovery(recovery, error, context);
         return recovery;
       }
 
@@ -295,6 +320,24 @@ class ErrorRecovery {
 
     return recovery;
   }
+
+  /**
+   * Report a recovery attempt over Socket.io and in the diagnostics history
+   * @private
+   */
+  static reportRecovery(recovery, error, context) {
+    const attempt = {
+      ...recovery,
+      errorType: error.type,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    };
+
+    diagnostics.recordRecoveryAttempt(attempt);
+    if (context.io) {
+      context.io.emit('printerRecovery', attempt);
+    }
+  }
 }
 
 /**
@@ -325,7 +368,9 @@ const errorMiddleware = async (error, req, res, next) => {
   // Attempt recovery for certain error types
   const recovery = await ErrorRecovery.attemptRecovery(classifiedError, {
     templateId: req.body?.templateId,
-    jobId: req.params?.id
+    jobId: req.params?.id,
+    printerInterface: req.app.get('printerInterface'),
+    io: req.app.get('io')
   });
 
   if (recovery.attempted) {
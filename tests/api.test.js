@@ -111,7 +111,7 @@ describe('API Endpoints Integration Tests', () => {
             fontFamily: 'Arial Bold'
           }
         },
-        printerPresets: 'standard'
+        printerPresets: 'standard-holokote'
       });
     }
     
@@ -356,8 +356,8 @@ describe('API Endpoints Integration Tests', () => {
       expect(response.body.template).toHaveProperty('id', testTemplateId);
       expect(response.body.template).toHaveProperty('name', 'Test Badge Template');
       expect(response.body.template).toHaveProperty('textFields');
-      expect(response.body.template.textFields).toHaveProperty('uid');
-      expect(response.body.template.textFields).toHaveProperty('badgeName');
+      expect(response.body.template.textFields.version).toBe(2);
+      expect(response.body.template.textFields.fields.map(field => field.name)).toEqual(['uid', 'badgeName']);
     });
 
     it('should return 404 for non-existent template', async () => {
@@ -113,7 +113,7 @@ describe('Badge Generation Integration Tests', () => {
           fontFamily: 'Arial Bold'
         }
       },
-      printerPresets: 'standard'
+      printerPresets: 'standard-holokote'
     });
     
     testTemplateId = testTemplate.id;
@@ -198,8 +198,8 @@ describe('Badge Generation Integration Tests', () => {
       expect(template).toHaveProperty('id', testTemplateId);
       expect(template).toHaveProperty('name', 'Integration Test Template');
       expect(template).toHaveProperty('textFields');
-      expect(template.textFields).toHaveProperty('uid');
-      expect(template.textFields).toHaveProperty('badgeName');
+      expect(template.textFields.version).toBe(2);
+      expect(template.textFields.fields.map(field => field.name)).toEqual(['uid', 'badgeName']);
     });
 
     it('should generate template preview successfully', async () => {
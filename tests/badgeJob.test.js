@@ -36,6 +36,23 @@ describe('BadgeJob Model', () => {
       expect(job.createdAt).toBeInstanceOf(Date);
     });
 
+    test('should record the requested and the printed preset', async () => {
+      const job = await badgeJob.create({
+        templateId: 'template-1',
+        uid: 'USER001',
+        badgeName: 'John Doe',
+        requestedPreset: 'high-quality-holokote'
+      });
+      expect(job.requestedPreset).toBe('high-quality-holokote');
+      expect(job.printerPreset).toBeNull();
+
+      await badgeJob.markSentToPrinter(job.id, 'standard-no-holokote');
+
+      const sentJob = await badgeJob.findById(job.id);
+      expect(sentJob.requestedPreset).toBe('high-quality-holokote');
+      expect(sentJob.printerPreset).toBe('standard-no-holokote');
+    });
+
     test('should throw error for missing required fields', async () => {
       const incompleteData = {
         templateId: 'template-1',
@@ -260,6 +277,274 @@ describe('BadgeJob Model', () => {
     });
   });
 
+  describe('priority lanes', () => {
+    test('should default new jobs to the normal lane', async () => {
+      const job = await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+      expect(job.priority).toBe('normal');
+    });
+
+    test('should reject an unknown priority', async () => {
+      await expect(badgeJob.create({
+        templateId: 'template-1',
+        uid: 'USER001',
+        badgeName: 'John Doe',
+        priority: 'asap'
+      })).rejects.toThrow('Invalid priority');
+    });
+
+    test('should serve urgent, then normal, then bulk jobs', async () => {
+      await badgeJob.create({ templateId: 'template-1', uid: 'BULK001', badgeName: 'Bulk One', priority: 'bulk' });
+      await badgeJob.create({ templateId: 'template-1', uid: 'NORM001', badgeName: 'Normal One' });
+      await badgeJob.create({ templateId: 'template-1', uid: 'URGENT001', badgeName: 'Urgent One', priority: 'urgent' });
+
+      const queued = await badgeJob.findAll('queued');
+      expect(queued.map(job => job.uid)).toEqual(['URGENT001', 'NORM001', 'BULK001']);
+
+      const nextJob = await badgeJob.getNextInQueue();
+      expect(nextJob.uid).toBe('URGENT001');
+    });
+
+    test('should promote bulk jobs that have waited past the promotion age', async () => {
+      const bulkJob = await badgeJob.create({ templateId: 'template-1', uid: 'BULK001', badgeName: 'Bulk One', priority: 'bulk' });
+      await badgeJob.create({ templateId: 'template-1', uid: 'NORM001', badgeName: 'Normal One' });
+
+      const longAgo = new Date(Date.now() - 11 * 60 * 1000).toISOString();
+      await schema.connection.run('UPDATE badge_jobs SET created_at = ? WHERE id = ?', [longAgo, bulkJob.id]);
+
+      const nextJob = await badgeJob.getNextInQueue();
+      expect(nextJob.uid).toBe('BULK001');
+    });
+
+    test('should bump a queued job to the urgent lane', async () => {
+      await badgeJob.create({ templateId: 'template-1', uid: 'NORM001', badgeName: 'Normal One' });
+      const job = await badgeJob.create({ templateId: 'template-1', uid: 'NORM002', badgeName: 'Normal Two' });
+
+      const bumped = await badgeJob.updatePriority(job.id, 'urgent');
+
+      expect(bumped.priority).toBe('urgent');
+      expect((await badgeJob.getNextInQueue()).uid).toBe('NORM002');
+    });
+
+    test('should only reprioritize queued jobs', async () => {
+      const job = await badgeJob.create({ templateId: 'template-1', uid: 'NORM001', badgeName: 'Normal One' });
+      await badgeJob.updateStatus(job.id, 'processing');
+
+      await expect(badgeJob.updatePriority(job.id, 'urgent')).rejects.toThrow('Only queued jobs');
+      await expect(badgeJob.updatePriority('missing-id', 'urgent')).rejects.toThrow('not found');
+    });
+  });
+
+  describe('claimNextJob', () => {
+    test('should claim the oldest queued job for a printer', async () => {
+      await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+      await badgeJob.create({ templateId: 'template-1', uid: 'USER002', badgeName: 'Jane Smith' });
+
+      const claimed = await badgeJob.claimNextJob('enduro-1');
+
+      expect(claimed.uid).toBe('USER001');
+      expect(claimed.status).toBe('processing');
+      expect(claimed.printerId).toBe('enduro-1');
+    });
+
+    test('should give concurrent printers different jobs', async () => {
+      await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+      await badgeJob.create({ templateId: 'template-1', uid: 'USER002', badgeName: 'Jane Smith' });
+
+      const [first, second] = await Promise.all([
+        badgeJob.claimNextJob('enduro-1'),
+        badgeJob.claimNextJob('enduro-2')
+      ]);
+
+      expect(first).not.toBeNull();
+      expect(second).not.toBeNull();
+      expect(first.id).not.toBe(second.id);
+      expect([first.printerId, second.printerId].sort()).toEqual(['enduro-1', 'enduro-2']);
+    });
+
+    test('should return null when no jobs are queued', async () => {
+      const claimed = await badgeJob.claimNextJob('enduro-1');
+      expect(claimed).toBeNull();
+    });
+
+    test('should skip jobs rejected by the filter', async () => {
+      await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe', category: 'staff' });
+      await badgeJob.create({ templateId: 'template-1', uid: 'USER002', badgeName: 'Jane Smith' });
+
+      const claimed = await badgeJob.claimNextJob('enduro-1', job => job.category !== 'staff');
+
+      expect(claimed.uid).toBe('USER002');
+      expect(claimed.printerId).toBe('enduro-1');
+    });
+
+    test('should return null when the filter rejects every queued job', async () => {
+      await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe', category: 'staff' });
+
+      const claimed = await badgeJob.claimNextJob('enduro-1', () => false);
+
+      expect(claimed).toBeNull();
+      expect((await badgeJob.findAll('queued')).length).toBe(1);
+    });
+  });
+
+  describe('printing status', () => {
+    test('should record the CUPS job when a job starts printing', async () => {
+      const job = await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+      await badgeJob.claimNextJob('enduro-1');
+
+      const printing = await badgeJob.markPrinting(job.id, 'enduro-1-42');
+
+      expect(printing.status).toBe('printing');
+      expect(printing.cupsJobId).toBe('enduro-1-42');
+      await expect(badgeJob.markPrinting('missing', 'enduro-1-43')).rejects.toThrow('not found');
+    });
+
+    test('should treat printing jobs as active', async () => {
+      const job = await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+      await badgeJob.claimNextJob('enduro-1');
+      await badgeJob.markPrinting(job.id, 'enduro-1-42');
+
+      const stats = await badgeJob.getQueueStats();
+
+      expect(stats.printing).toBe(1);
+      expect(stats.total).toBe(1);
+      expect(await badgeJob.isUidUnique('USER001')).toBe(false);
+      await expect(badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' }))
+        .rejects.toThrow('already in use');
+    });
+
+    test('should clear the CUPS job when a job is claimed again', async () => {
+      const job = await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+      await badgeJob.claimNextJob('enduro-1');
+      await badgeJob.markPrinting(job.id, 'enduro-1-42');
+      await badgeJob.updateStatus(job.id, 'queued');
+
+      const claimed = await badgeJob.claimNextJob('enduro-2');
+
+      expect(claimed.cupsJobId).toBeNull();
+    });
+  });
+
+  describe('crash recovery', () => {
+    test('should requeue orphaned jobs that never reached the printer', async () => {
+      const job = await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+      await badgeJob.claimNextJob('enduro-1');
+
+      const result = await badgeJob.reconcileOrphanedJobs();
+
+      expect(result.requeued.map(requeued => requeued.id)).toEqual([job.id]);
+      expect(result.needsReview).toEqual([]);
+
+      const recovered = await badgeJob.findById(job.id);
+      expect(recovered.status).toBe('queued');
+      expect(recovered.printerId).toBeNull();
+    });
+
+    test('should flag orphaned jobs that were sent to the printer for review', async () => {
+      const job = await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+      await badgeJob.claimNextJob('enduro-1');
+      await badgeJob.markSentToPrinter(job.id);
+
+      const result = await badgeJob.reconcileOrphanedJobs();
+
+      expect(result.needsReview.map(flagged => flagged.id)).toEqual([job.id]);
+      expect(result.needsReview[0].status).toBe('needs_review');
+      expect(result.needsReview[0].printStartedAt).toBeInstanceOf(Date);
+    });
+
+    test('should not block resubmitting a UID that is awaiting review', async () => {
+      const job = await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+      await badgeJob.claimNextJob('enduro-1');
+      await badgeJob.markSentToPrinter(job.id);
+      await badgeJob.reconcileOrphanedJobs();
+
+      expect(await badgeJob.isUidUnique('USER001')).toBe(true);
+    });
+
+    test('should clear the print marker when a job is claimed again', async () => {
+      const job = await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+      await badgeJob.claimNextJob('enduro-1');
+      await badgeJob.markSentToPrinter(job.id);
+      await badgeJob.updateStatus(job.id, 'queued');
+
+      const claimed = await badgeJob.claimNextJob('enduro-2');
+
+      expect(claimed.printStartedAt).toBeNull();
+    });
+
+    test('should flag jobs left printing for review', async () => {
+      const job = await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+      await badgeJob.claimNextJob('enduro-1');
+      await badgeJob.markSentToPrinter(job.id);
+      await badgeJob.markPrinting(job.id, 'enduro-1-42');
+
+      const result = await badgeJob.reconcileOrphanedJobs();
+
+      expect(result.needsReview.map(flagged => flagged.id)).toEqual([job.id]);
+      expect(result.needsReview[0].cupsJobId).toBe('enduro-1-42');
+    });
+
+    test('should record whether an aborted print was cancelled', async () => {
+      const job = await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+      expect((await badgeJob.findById(job.id)).printCancelConfirmed).toBeNull();
+
+      await badgeJob.recordCancellation(job.id, false);
+
+      const recorded = await badgeJob.findById(job.id);
+      expect(recorded.printCancelConfirmed).toBe(false);
+      expect(recorded.printCancelledAt).toBeInstanceOf(Date);
+    });
+
+    test('should flag a job for review with a reason', async () => {
+      const job = await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+
+      const flagged = await badgeJob.flagForReview(job.id, 'Cancellation not confirmed');
+
+      expect(flagged.status).toBe('needs_review');
+      expect(flagged.errorMessage).toBe('Cancellation not confirmed');
+      await expect(badgeJob.flagForReview('missing', 'reason')).rejects.toThrow('not found');
+    });
+
+    describe('resolveReview', () => {
+      let reviewJob;
+
+      beforeEach(async () => {
+        reviewJob = await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+        await badgeJob.claimNextJob('enduro-1');
+        await badgeJob.markSentToPrinter(reviewJob.id);
+        await badgeJob.reconcileOrphanedJobs();
+      });
+
+      test('should mark a confirmed job as completed', async () => {
+        const resolved = await badgeJob.resolveReview(reviewJob.id, 'confirm');
+
+        expect(resolved.status).toBe('completed');
+        expect(resolved.processedAt).toBeInstanceOf(Date);
+      });
+
+      test('should requeue a job for reprint', async () => {
+        const resolved = await badgeJob.resolveReview(reviewJob.id, 'reprint');
+
+        expect(resolved.status).toBe('queued');
+        expect(resolved.printerId).toBeNull();
+        expect(resolved.printStartedAt).toBeNull();
+        expect(resolved.errorMessage).toBeNull();
+      });
+
+      test('should refuse to reprint when the UID was resubmitted', async () => {
+        await badgeJob.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+
+        await expect(badgeJob.resolveReview(reviewJob.id, 'reprint')).rejects.toThrow('already in use');
+      });
+
+      test('should only resolve jobs awaiting review', async () => {
+        await badgeJob.resolveReview(reviewJob.id, 'confirm');
+
+        await expect(badgeJob.resolveReview(reviewJob.id, 'confirm')).rejects.toThrow('Only jobs awaiting review');
+        await expect(badgeJob.resolveReview(reviewJob.id, 'discard')).rejects.toThrow('Invalid review action');
+      });
+    });
+  });
+
   describe('isUidUnique', () => {
     test('should return true for unique UID', async () => {
       const isUnique = await badgeJob.isUidUnique('UNIQUE001');
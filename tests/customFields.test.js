@@ -0,0 +1,183 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseSchema = require('../server/database/schema');
+const Template = require('../server/models/Template');
+const BadgeJob = require('../server/models/BadgeJob');
+const PrinterInterface = require('../server/services/PrinterInterface');
+const PrintQueueManager = require('../server/services/PrintQueueManager');
+
+const textFields = {
+  uid: { x: 50, y: 100, fontSize: 14, fontFamily: 'Arial' },
+  badgeName: { x: 50, y: 150, fontSize: 18, fontFamily: 'Arial Bold' }
+};
+
+const customFields = [
+  { name: 'pronouns', type: 'text', label: 'Pronouns', maxLength: 20 },
+  { name: 'crewTeam', type: 'text', label: 'Crew team', required: true },
+  { name: 'validOn', type: 'date', label: 'Valid on' }
+];
+
+// The same fields as textFields, with the custom fields placed on the front
+const layout = {
+  version: 2,
+  fields: [
+    { name: 'uid', x1: 50, y1: 100, x2: 250, y2: 170, fontFamily: 'Arial', fontSize: 14 },
+    { name: 'badgeName', x1: 50, y1: 150, x2: 450, y2: 250, fontFamily: 'Arial Bold', fontSize: 18 },
+    { name: 'pronouns', x1: 100, y1: 380, x2: 500, y2: 430 },
+    { name: 'crewTeam', x1: 100, y1: 450, x2: 500, y2: 510 },
+    { name: 'validOn', x1: 700, y1: 650, x2: 1100, y2: 720 }
+  ]
+};
+
+describe('Custom fields', () => {
+  let schema;
+  let templateModel;
+
+  beforeEach(async () => {
+    schema = new DatabaseSchema();
+    schema.connection.dbPath = ':memory:';
+    await schema.initialize();
+    templateModel = new Template(schema.connection);
+  });
+
+  afterEach(async () => {
+    await schema.close();
+  });
+
+  describe('Template field schema', () => {
+    test('should store custom fields and replace them', async () => {
+      const template = await templateModel.create({ name: 'Crew', filePath: 'internal://crew', textFields: layout, customFields });
+      expect(template.customFields).toEqual(customFields);
+      expect(template.textFields).toEqual(layout);
+
+      const updated = await templateModel.update(template.id, { customFields: customFields.slice(0, 1) });
+      expect(updated.customFields).toEqual(customFields.slice(0, 1));
+      expect(updated.textFields.fields.map(field => field.name)).toEqual(['uid', 'badgeName', 'pronouns']);
+
+      const cleared = await templateModel.update(template.id, { customFields: [] });
+      expect(cleared.customFields).toEqual([]);
+      expect(cleared.textFields.fields.map(field => field.name)).toEqual(['uid', 'badgeName']);
+
+      const plain = await templateModel.create({ name: 'Guest', filePath: 'internal://guest', textFields });
+      expect(plain.customFields).toEqual([]);
+    });
+
+    test('should reject malformed custom fields', () => {
+      const field = customFields[0];
+
+      expect(() => templateModel.validateCustomFields({})).toThrow('customFields must be an array');
+      expect(() => templateModel.validateCustomFields([{ ...field, name: 'crew team' }]))
+        .toThrow('customFields[0] name must start with a letter and contain only letters, numbers and underscores');
+      expect(() => templateModel.validateCustomFields([{ ...field, name: 'badgeName' }]))
+        .toThrow("customFields[0] name 'badgeName' is already used");
+      expect(() => templateModel.validateCustomFields([field, field]))
+        .toThrow("customFields[1] name 'pronouns' is already used");
+      expect(() => templateModel.validateCustomFields([{ ...field, type: 'number' }]))
+        .toThrow('customFields[0] type must be one of: text, date');
+      expect(() => templateModel.validateCustomFields([{ ...field, label: '' }]))
+        .toThrow('customFields[0] label must be a non-empty string');
+      expect(() => templateModel.validateCustomFields([{ ...field, required: 'yes' }]))
+        .toThrow('customFields[0] required must be true or false');
+      expect(() => templateModel.validateCustomFields([{ ...field, maxLength: 0 }]))
+        .toThrow('customFields[0] maxLength must be a positive whole number');
+      expect(() => templateModel.validateCustomFields([{ ...field, x1: 100, y1: 380, x2: 500, y2: 430 }]))
+        .toThrow('customFields[0] x1 is not part of a custom field; its box and styling go in the text field layout');
+    });
+
+    test('should only place fields the template has', async () => {
+      await expect(templateModel.create({ name: 'Crew', filePath: 'internal://crew', textFields: layout }))
+        .rejects.toThrow('textFields.pronouns is not a field of this template');
+
+      const template = await templateModel.create({ name: 'Crew', filePath: 'internal://crew', textFields, customFields });
+      expect(template.textFields.fields.map(field => field.name)).toEqual(['uid', 'badgeName']);
+
+      const placed = await templateModel.update(template.id, { textFields: layout });
+      expect(placed.textFields).toEqual(layout);
+
+      await expect(templateModel.update(template.id, {
+        textFields: { ...layout, fields: [...layout.fields, { name: 'shoeSize', x1: 0, y1: 0, x2: 10, y2: 10 }] }
+      })).rejects.toThrow('textFields.shoeSize is not a field of this template');
+    });
+  });
+
+  describe('Field values', () => {
+    test('should keep the trimmed values that were filled in', () => {
+      const result = templateModel.validateFieldValues(customFields, {
+        pronouns: ' they/them ',
+        crewTeam: 'Stage',
+        validOn: ''
+      });
+
+      expect(result).toEqual({ values: { pronouns: 'they/them', crewTeam: 'Stage' }, errors: [] });
+    });
+
+    test('should report each value that breaks the schema', () => {
+      const result = templateModel.validateFieldValues(customFields, {
+        pronouns: 'x'.repeat(21),
+        validOn: '2025-02-30',
+        shoeSize: '44'
+      });
+
+      expect(result.errors).toEqual([
+        'shoeSize is not a field of this template',
+        'pronouns must be 20 characters or less',
+        'crewTeam is required',
+        'validOn must be a date (YYYY-MM-DD)'
+      ]);
+      expect(templateModel.validateFieldValues(customFields, ['Stage']).errors)
+        .toEqual(['fieldValues must be an object']);
+      expect(templateModel.validateFieldValues([], undefined)).toEqual({ values: {}, errors: [] });
+    });
+  });
+
+  describe('Badge jobs', () => {
+    test('should store the values of a job\'s custom fields', async () => {
+      const badgeJobModel = new BadgeJob(schema.connection);
+      const template = await templateModel.create({ name: 'Crew', filePath: 'internal://crew', textFields, customFields });
+
+      const job = await badgeJobModel.create({
+        templateId: template.id, uid: 'CREW001', badgeName: 'Sam', fieldValues: { crewTeam: 'Stage' }
+      });
+      const plain = await badgeJobModel.create({ templateId: template.id, uid: 'CREW002', badgeName: 'Alex' });
+
+      expect((await badgeJobModel.findById(job.id)).fieldValues).toEqual({ crewTeam: 'Stage' });
+      expect(plain.fieldValues).toEqual({});
+    });
+
+    test('should render a job with its field values', async () => {
+      const spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'custom-fields-'));
+      const printerInterface = new PrinterInterface({ drivers: 'spool', driverOptions: { spool: { directory: spoolDir } } });
+      await printerInterface.discoverPrinters();
+      await printerInterface.connectToPrinter('file-spool');
+
+      const templateProcessor = {
+        generateBadgeDocument: jest.fn().mockResolvedValue({ buffer: Buffer.from('png'), sides: 1, extension: '.png' }),
+        saveBadgeToFile: jest.fn(async (buffer, outputPath) => outputPath)
+      };
+      const queueManager = new PrintQueueManager(
+        { connection: schema.connection, claimNextJob: jest.fn().mockResolvedValue(null) },
+        printerInterface,
+        templateProcessor,
+        { emit: jest.fn() }
+      );
+      queueManager.stopProcessing();
+
+      try {
+        await queueManager.generateJobDocument(
+          { templateId: 'template1', uid: 'CREW001', badgeName: 'Sam', fieldValues: { crewTeam: 'Stage' } },
+          templateModel, null, 'standard-holokote', 'file-spool'
+        );
+
+        expect(templateProcessor.generateBadgeDocument).toHaveBeenCalledWith(
+          'template1', 'CREW001', 'Sam', templateModel, undefined,
+          { calibration: null, printBack: true, fieldValues: { crewTeam: 'Stage' } }
+        );
+      } finally {
+        await queueManager.cleanup();
+        printerInterface.disconnect();
+        fs.rmSync(spoolDir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseSchema = require('../server/database/schema');
+const Template = require('../server/models/Template');
+const PrinterConfiguration = require('../server/models/PrinterConfiguration');
+const PrinterConsumable = require('../server/models/PrinterConsumable');
+const PrinterInterface = require('../server/services/PrinterInterface');
+const PrintQueueManager = require('../server/services/PrintQueueManager');
+const CupsDriver = require('../server/services/drivers/CupsDriver');
+const IppDriver = require('../server/services/drivers/IppDriver');
+const { getPresetPrinterOptions } = require('../server/services/drivers/cardOptions');
+
+const textFields = {
+  uid: { x: 50, y: 100, fontSize: 14, fontFamily: 'Arial' },
+  badgeName: { x: 50, y: 150, fontSize: 18, fontFamily: 'Arial Bold' }
+};
+
+const backSide = { background: 'Byakko2025.png' };
+
+// The back's boxes sit in the text field layout
+const layout = {
+  version: 2,
+  fields: [
+    { name: 'uid', x1: 50, y1: 100, x2: 250, y2: 170, fontFamily: 'Arial', fontSize: 14 },
+    { name: 'badgeName', x1: 50, y1: 150, x2: 450, y2: 250, fontFamily: 'Arial Bold', fontSize: 18 }
+  ],
+  back: [
+    { type: 'text', value: 'Badge {uid}', x1: 100, y1: 650, x2: 700, y2: 740 },
+    { type: 'qr', value: 'https://example.org/badges/{uid}', x1: 800, y1: 250, x2: 1100, y2: 550 }
+  ]
+};
+
+const preset = (options = {}) => ({
+  name: 'Use TokoBadge Preset',
+  options: { paperSize: 'CR80Card', holokote: true, quality: 'normal', ...options }
+});
+
+describe('Double-sided printing', () => {
+  let schema;
+  let templateModel;
+
+  beforeEach(async () => {
+    schema = new DatabaseSchema();
+    schema.connection.dbPath = ':memory:';
+    await schema.initialize();
+    templateModel = new Template(schema.connection);
+  });
+
+  afterEach(async () => {
+    await schema.close();
+  });
+
+  describe('Template back side', () => {
+    test('should store a back side and clear it again', async () => {
+      const template = await templateModel.create({ name: 'Staff', filePath: 'internal://staff', textFields: layout, backSide });
+      expect(template.backSide).toEqual(backSide);
+      expect(template.textFields.back).toEqual(layout.back);
+
+      const cleared = await templateModel.update(template.id, { backSide: null });
+      expect(cleared.backSide).toBeNull();
+
+      const singleSided = await templateModel.create({ name: 'Guest', filePath: 'internal://guest', textFields });
+      expect(singleSided.backSide).toBeNull();
+    });
+
+    test('should reject malformed back sides', async () => {
+      expect(() => templateModel.validateBackSide([])).toThrow('backSide must be an object');
+      expect(() => templateModel.validateBackSide({ background: '../../secret.png' }))
+        .toThrow('backSide background must be an image file name');
+      expect(() => templateModel.validateBackSide({ fields: layout.back }))
+        .toThrow('backSide fields belong in the text field layout, as textFields.back');
+      expect(() => Template.normalizeTextFields({ ...layout, back: [{ ...layout.back[0], type: 'barcode' }] }))
+        .toThrow('textFields.back[0] type must be one of: text, qr');
+      expect(() => Template.normalizeTextFields({ ...layout, back: [{ ...layout.back[1], value: ' ' }] }))
+        .toThrow('textFields.back[0] value must be a non-empty string');
+      expect(() => Template.normalizeTextFields({ ...layout, back: [{ ...layout.back[0], x2: 50 }] }))
+        .toThrow('textFields.back[0] x2 and y2 must be greater than x1 and y1');
+    });
+  });
+
+  describe('Printer options', () => {
+    test('should turn on the duplexer only for two-sided documents', () => {
+      expect(getPresetPrinterOptions(preset())).not.toContainEqual(['Duplex', 'DuplexNoTumble']);
+      expect(getPresetPrinterOptions(preset({ sides: 2 }))).toContainEqual(['Duplex', 'DuplexNoTumble']);
+      expect(getPresetPrinterOptions(preset({ printerOptions: { Duplex: 'DuplexTumble' } })))
+        .toContainEqual(['Duplex', 'DuplexTumble']);
+    });
+
+    test('should not let a preset change how a two-sided document is printed', () => {
+      const options = getPresetPrinterOptions(preset({
+        sides: 2, printerOptions: { Duplex: 'DuplexTumble', sides: 'one-sided', CBOvercoat: 'On' }
+      }));
+      expect(options).toContainEqual(['Duplex', 'DuplexNoTumble']);
+      expect(options).toContainEqual(['CBOvercoat', 'On']);
+      expect(options.map(([name]) => name)).not.toContain('sides');
+
+      const ippDriver = new IppDriver({ printers: ['ipp://127.0.0.1/printers/enduro'] });
+      const attributes = ippDriver.buildJobAttributes(preset({ sides: 2, printerOptions: { sides: 'one-sided' } }));
+      expect(attributes.filter(attribute => attribute.name === 'sides')).toEqual([
+        expect.objectContaining({ value: 'two-sided-long-edge' })
+      ]);
+    });
+
+    test('should pass duplex options to lp and sides to IPP printers', () => {
+      const cupsDriver = new CupsDriver();
+      expect(cupsDriver.buildPrintOptions(preset())).not.toContain('Duplex=DuplexNoTumble');
+      expect(cupsDriver.buildPrintOptions(preset({ sides: 2 }))).toContain('Duplex=DuplexNoTumble');
+
+      const ippDriver = new IppDriver({ printers: ['ipp://127.0.0.1/printers/enduro'] });
+      const sidesAttribute = (attributes) => attributes.find(attribute => attribute.name === 'sides');
+      expect(sidesAttribute(ippDriver.buildJobAttributes(preset()))).toBeUndefined();
+      expect(sidesAttribute(ippDriver.buildJobAttributes(preset({ sides: 2 }))))
+        .toMatchObject({ value: 'two-sided-long-edge' });
+    });
+
+    test('should offer the duplex options on the virtual printer', async () => {
+      const printerInterface = new PrinterInterface({ drivers: 'spool', driverOptions: { spool: { directory: os.tmpdir() } } });
+      await printerInterface.discoverPrinters();
+      await printerInterface.connectToPrinter('file-spool');
+
+      const { options } = await printerInterface.getPrinterOptions('file-spool');
+
+      expect(options.map(option => option.name)).toEqual(expect.arrayContaining(['Duplex', 'CBColourFormat', 'CBOvercoat']));
+      printerInterface.disconnect();
+    });
+
+    test('should store whether a preset prints the back', async () => {
+      const printerInterface = new PrinterInterface({
+        drivers: 'spool',
+        driverOptions: { spool: { directory: os.tmpdir() } },
+        presetStore: new PrinterConfiguration(schema.connection)
+      });
+
+      const saved = await printerInterface.savePreset('file-spool', 'fronts-only', {
+        label: 'Fronts only', paperSize: 'CR80Card', quality: 'normal', orientation: 'portrait', duplex: false
+      });
+      expect(saved.options.duplex).toBe(false);
+      expect(printerInterface.getPresets('file-spool').get('fronts-only').options.duplex).toBe(false);
+
+      await expect(printerInterface.savePreset('file-spool', 'broken', {
+        paperSize: 'CR80Card', quality: 'normal', orientation: 'portrait', duplex: 'yes'
+      })).rejects.toThrow('preset duplex must be true or false');
+      printerInterface.disconnect();
+    });
+  });
+
+  describe('PrintQueueManager', () => {
+    let spoolDir;
+    let printerInterface;
+    let templateProcessor;
+    let badgeJobModel;
+    let queueManager;
+
+    const job = { id: 'job1', templateId: 'template1', uid: 'TEST123', badgeName: 'John Doe', printerId: 'file-spool' };
+
+    beforeEach(async () => {
+      spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'duplex-'));
+      printerInterface = new PrinterInterface({ drivers: 'spool', driverOptions: { spool: { directory: spoolDir } } });
+      await printerInterface.discoverPrinters();
+      await printerInterface.connectToPrinter('file-spool');
+
+      templateProcessor = {
+        generateBadgeDocument: jest.fn().mockResolvedValue({ buffer: Buffer.from('%PDF-1.4'), sides: 2, extension: '.pdf' }),
+        saveBadgeToFile: jest.fn(async (buffer, outputPath) => {
+          fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+          fs.writeFileSync(outputPath, buffer);
+          return outputPath;
+        })
+      };
+      badgeJobModel = {
+        connection: schema.connection,
+        claimNextJob: jest.fn().mockResolvedValue(null),
+        markSentToPrinter: jest.fn().mockResolvedValue()
+      };
+      queueManager = new PrintQueueManager(badgeJobModel, printerInterface, templateProcessor, { emit: jest.fn() });
+      queueManager.stopProcessing();
+    });
+
+    afterEach(async () => {
+      await queueManager.cleanup();
+      printerInterface.disconnect();
+      fs.rmSync(spoolDir, { recursive: true, force: true });
+    });
+
+    test('should print a two-sided badge as a PDF with the duplexer on', async () => {
+      const execution = { controller: new AbortController() };
+
+      await queueManager.printJob(job, execution);
+
+      expect(templateProcessor.generateBadgeDocument).toHaveBeenCalledWith(
+        'template1', 'TEST123', 'John Doe', expect.any(Template), undefined,
+        { calibration: expect.any(Object), printBack: true }
+      );
+      expect(execution.sides).toBe(2);
+
+      const [sidecar] = fs.readdirSync(spoolDir).filter(file => file.endsWith('.json'));
+      const spooled = JSON.parse(fs.readFileSync(path.join(spoolDir, sidecar), 'utf8'));
+      expect(spooled.jobId).toMatch(/\.pdf$/);
+      expect(spooled.options.sides).toBe(2);
+    });
+
+    test('should leave the back out for presets that print fronts only', async () => {
+      const { options } = printerInterface.getPreset('standard-no-holokote', 'file-spool');
+      printerInterface.getPresets('file-spool').set('standard-no-holokote', { name: 'Fronts only', options: { ...options, duplex: false } });
+
+      await queueManager.printJob(job, { controller: new AbortController() });
+
+      expect(templateProcessor.generateBadgeDocument).toHaveBeenCalledWith(
+        'template1', 'TEST123', 'John Doe', expect.any(Template), undefined,
+        expect.objectContaining({ printBack: false })
+      );
+    });
+
+    test('should use ribbon for each side of a two-sided card', async () => {
+      const consumableModel = new PrinterConsumable(schema.connection);
+      queueManager.consumableModel = consumableModel;
+
+      await queueManager.recordConsumableUsage({ id: 'job1', printerId: 'file-spool', printerPreset: 'standard-holokote' }, 2);
+
+      expect((await consumableModel.find('file-spool', 'ribbon')).remaining).toBe(298);
+      expect((await consumableModel.find('file-spool', 'cards')).remaining).toBe(99);
+    });
+  });
+});
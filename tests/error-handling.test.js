@@ -23,7 +23,8 @@ jest.mock('../server/utils/diagnostics', () => ({
   runFullDiagnostics: jest.fn().mockResolvedValue({ timestamp: new Date().toISOString() }),
   runSpecificDiagnostic: jest.fn().mockResolvedValue({ status: 'ok' }),
   generateReport: jest.fn().mockResolvedValue({ report: 'test' }),
-  getDiagnosticHistory: jest.fn().mockReturnValue([])
+  getDiagnosticHistory: jest.fn().mockReturnValue([]),
+  recordRecoveryAttempt: jest.fn()
 }));
 
 describe('Error Handling System', () => {
@@ -316,6 +317,55 @@ describe('Error Handling System', () => {
       expect(response.body.message).toContain('not valid');
     });
 
+    test('should reject an invalid printer preset in badge creation', async () => {
+      await request(app)
+        .post('/api/badges')
+        .send({
+          templateId: 'template-1',
+          uid: 'test',
+          badgeName: 'Test Badge',
+          printerPreset: '../high quality'
+        })
+        .expect(400);
+
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Badge input validation failed',
+        expect.objectContaining({
+          errors: expect.arrayContaining([expect.stringContaining('printerPreset')])
+        })
+      );
+    });
+
+    test('should reject a printer preset no printer has in badge creation', async () => {
+      const originalPrinterInterface = app.get('printerInterface');
+      app.set('printerInterface', {
+        getPresetIds: () => ['high-quality-holokote', 'standard-holokote', 'standard-no-holokote']
+      });
+
+      try {
+        await request(app)
+          .post('/api/badges')
+          .send({
+            templateId: 'template-1',
+            uid: 'test',
+            badgeName: 'Test Badge',
+            printerPreset: 'standard-holokot'
+          })
+          .expect(400);
+      } finally {
+        app.set('printerInterface', originalPrinterInterface);
+      }
+
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Badge input validation failed',
+        expect.objectContaining({
+          errors: expect.arrayContaining([
+            "printerPreset 'standard-holokot' does not exist; valid presets are: high-quality-holokote, standard-holokote, standard-no-holokote"
+          ])
+        })
+      );
+    });
+
     test('should handle service unavailable errors', async () => {
       // Mock the app to not have queueManager
       const originalGet = app.get;
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+
+// Registering needs real font files; these tests only check what gets registered
+jest.mock('canvas', () => ({
+  registerFont: jest.fn()
+}));
+
+const { registerFont } = require('canvas');
+const FontManager = require('../server/services/FontManager');
+const fontRoutes = require('../server/routes/fonts');
+
+// A minimal sfnt file: the table directory and a name table of Windows
+// (UTF-16BE) names, which is all FontManager reads
+const buildFont = (names) => {
+  const entries = Object.entries(names).map(([nameId, value]) => ({
+    nameId: Number(nameId),
+    data: Buffer.from(value, 'utf16le').swap16()
+  }));
+
+  const stringsOffset = 6 + entries.length * 12;
+  const nameTable = Buffer.alloc(stringsOffset + entries.reduce((size, entry) => size + entry.data.length, 0));
+  nameTable.writeUInt16BE(0, 0);
+  nameTable.writeUInt16BE(entries.length, 2);
+  nameTable.writeUInt16BE(stringsOffset, 4);
+
+  let stringOffset = 0;
+  entries.forEach((entry, index) => {
+    const record = 6 + index * 12;
+    nameTable.writeUInt16BE(3, record);
+    nameTable.writeUInt16BE(1, record + 2);
+    nameTable.writeUInt16BE(0x409, record + 4);
+    nameTable.writeUInt16BE(entry.nameId, record + 6);
+    nameTable.writeUInt16BE(entry.data.length, record + 8);
+    nameTable.writeUInt16BE(stringOffset, record + 10);
+    entry.data.copy(nameTable, stringsOffset + stringOffset);
+    stringOffset += entry.data.length;
+  });
+
+  const header = Buffer.alloc(12 + 16);
+  header.writeUInt32BE(0x00010000, 0);
+  header.writeUInt16BE(1, 4);
+  header.write('name', 12, 'latin1');
+  header.writeUInt32BE(header.length, 20);
+  header.writeUInt32BE(nameTable.length, 24);
+
+  return Buffer.concat([header, nameTable]);
+};
+
+const regularFont = buildFont({ 1: 'Festival Sans', 2: 'Regular', 4: 'Festival Sans Regular' });
+const boldFont = buildFont({ 1: 'Festival Sans', 2: 'Bold', 4: 'Festival Sans Bold' });
+
+describe('Fonts', () => {
+  let bundledDir;
+  let uploadDir;
+  let fontManager;
+
+  beforeEach(() => {
+    registerFont.mockClear();
+    bundledDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fonts-bundled-'));
+    uploadDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fonts-uploaded-')), 'fonts');
+    fontManager = new FontManager({
+      bundledDir,
+      uploadDir,
+      listSystemFonts: async () => ['DejaVu Sans', 'Noto Sans CJK JP']
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(bundledDir, { recursive: true, force: true });
+    fs.rmSync(path.dirname(uploadDir), { recursive: true, force: true });
+  });
+
+  describe('readFontNames', () => {
+    test('should read the names of a font', () => {
+      expect(FontManager.readFontNames(boldFont)).toEqual({
+        family: 'Festival Sans', subfamily: 'Bold', fullName: 'Festival Sans Bold'
+      });
+      expect(FontManager.readFontNames(buildFont({ 1: 'Festival Sans', 16: 'Festival' })))
+        .toEqual({ family: 'Festival', subfamily: 'Regular', fullName: 'Festival Regular' });
+    });
+
+    test('should reject files that are not fonts', () => {
+      expect(() => FontManager.readFontNames(Buffer.from('\x89PNG\r\n\x1a\n0000', 'latin1')))
+        .toThrow('File is not a TrueType or OpenType font');
+      expect(() => FontManager.readFontNames(regularFont.subarray(0, 20)))
+        .toThrow('File is not a TrueType or OpenType font');
+      expect(() => FontManager.readFontNames(buildFont({ 2: 'Regular' })))
+        .toThrow('Font has no family name');
+    });
+  });
+
+  describe('toCssFontFamily', () => {
+    test('should list the field\'s fonts and end with a generic family', () => {
+      expect(FontManager.toCssFontFamily({ fontFamily: 'Noto Sans JP', fontFallbacks: ['DejaVu Sans'] }))
+        .toBe('"Noto Sans JP", "DejaVu Sans", sans-serif');
+      expect(FontManager.toCssFontFamily({ fontFamily: 'Arial', fontFallbacks: ['serif'] }))
+        .toBe('"Arial", serif');
+      expect(FontManager.toCssFontFamily({})).toBe('"Arial", sans-serif');
+    });
+  });
+
+  describe('FontManager', () => {
+    test('should register bundled and uploaded fonts on startup', async () => {
+      fs.writeFileSync(path.join(bundledDir, 'FestivalSans-Regular.ttf'), regularFont);
+      fs.writeFileSync(path.join(bundledDir, 'FestivalSans-Bold.otf'), boldFont);
+      fs.writeFileSync(path.join(bundledDir, 'README.md'), '# Bundled fonts');
+      fs.writeFileSync(path.join(bundledDir, 'Broken.ttf'), 'not a font');
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      try {
+        const fonts = await fontManager.loadFonts();
+
+        expect(fonts.map(font => [font.file, font.source, font.names])).toEqual([
+          ['FestivalSans-Bold.otf', 'bundled', ['Festival Sans Bold']],
+          ['FestivalSans-Regular.ttf', 'bundled', ['Festival Sans Regular', 'Festival Sans']]
+        ]);
+        expect(registerFont).toHaveBeenCalledWith(path.join(bundledDir, 'FestivalSans-Regular.ttf'), { family: 'Festival Sans' });
+        expect(warn).toHaveBeenCalledWith('Skipping font Broken.ttf: File is not a TrueType or OpenType font');
+      } finally {
+        warn.mockRestore();
+      }
+    });
+
+    test('should only register the family name for the regular weight of a typographic family', async () => {
+      fs.writeFileSync(path.join(bundledDir, 'NotoSansJP-Black.otf'), buildFont({
+        1: 'Noto Sans JP Black', 2: 'Regular', 4: 'Noto Sans JP Black', 16: 'Noto Sans JP', 17: 'Black'
+      }));
+      fs.writeFileSync(path.join(bundledDir, 'NotoSansJP-Regular.otf'), buildFont({
+        1: 'Noto Sans JP', 2: 'Regular', 4: 'Noto Sans JP Regular', 16: 'Noto Sans JP', 17: 'Regular'
+      }));
+
+      const fonts = await fontManager.loadFonts();
+
+      expect(fonts.map(font => [font.subfamily, font.names])).toEqual([
+        ['Black', ['Noto Sans JP Black']],
+        ['Regular', ['Noto Sans JP Regular', 'Noto Sans JP']]
+      ]);
+      expect(registerFont.mock.calls.filter(([, { family }]) => family === 'Noto Sans JP')).toEqual([
+        [path.join(bundledDir, 'NotoSansJP-Regular.otf'), { family: 'Noto Sans JP' }]
+      ]);
+    });
+
+    test('should save and register an uploaded font', async () => {
+      await fontManager.loadFonts();
+
+      const font = await fontManager.saveUpload('Festival Sans Bold.ttf', boldFont);
+
+      expect(font).toMatchObject({ file: 'Festival_Sans_Bold.ttf', source: 'uploaded', fullName: 'Festival Sans Bold' });
+      expect(fs.existsSync(path.join(uploadDir, 'Festival_Sans_Bold.ttf'))).toBe(true);
+      expect(fontManager.isAvailable('festival sans bold')).toBe(true);
+      await expect(fontManager.saveUpload('Festival Sans Bold.ttf', boldFont))
+        .rejects.toThrow('Font file Festival_Sans_Bold.ttf already exists');
+      await expect(fontManager.saveUpload('festival.woff2', boldFont))
+        .rejects.toThrow('Font files must be one of: .ttf, .otf');
+    });
+
+    test('should warn about the fonts a template cannot use', async () => {
+      fs.writeFileSync(path.join(bundledDir, 'FestivalSans-Regular.ttf'), regularFont);
+      await fontManager.loadFonts();
+
+      const warnings = fontManager.checkTemplateFonts({
+        textFields: {
+          version: 2,
+          fields: [
+            { name: 'uid', x1: 100, y1: 650, x2: 300, y2: 720, fontFamily: 'Festival Sans' },
+            { name: 'badgeName', x1: 100, y1: 250, x2: 500, y2: 350, fontFamily: 'Hiragino Kaku Gothic Pro', fontFallbacks: ['Noto Sans CJK JP'] },
+            { name: 'crewTeam', x1: 100, y1: 450, x2: 500, y2: 510, fontFamily: 'Comic Neue' }
+          ],
+          back: [{ type: 'text', value: '{uid}', x1: 100, y1: 450, x2: 500, y2: 510, fontFamily: 'DejaVu Sans' }]
+        },
+        customFields: [{ name: 'crewTeam', type: 'text', label: 'Crew team' }],
+        backSide: {}
+      });
+
+      expect(warnings).toEqual([
+        {
+          field: 'badgeName',
+          font: 'Hiragino Kaku Gothic Pro',
+          fallback: 'Noto Sans CJK JP',
+          message: "badgeName uses font 'Hiragino Kaku Gothic Pro', which is not available; Noto Sans CJK JP is used instead"
+        },
+        {
+          field: 'crewTeam',
+          font: 'Comic Neue',
+          fallback: 'sans-serif',
+          message: "crewTeam uses font 'Comic Neue', which is not available; sans-serif is used instead"
+        }
+      ]);
+    });
+
+    test('should not warn when the installed fonts cannot be listed', async () => {
+      const unlisted = new FontManager({ bundledDir, uploadDir, listSystemFonts: async () => null });
+      await unlisted.loadFonts();
+
+      expect(unlisted.isAvailable('Hiragino Kaku Gothic Pro')).toBe(true);
+    });
+  });
+
+  describe('Font routes', () => {
+    let app;
+
+    beforeEach(async () => {
+      await fontManager.loadFonts();
+      app = express();
+      app.set('fontManager', fontManager);
+      app.use('/api/fonts', fontRoutes);
+    });
+
+    test('should upload a font and list it', async () => {
+      const uploadResponse = await request(app)
+        .post('/api/fonts')
+        .attach('font', boldFont, 'FestivalSans-Bold.ttf')
+        .expect(201);
+
+      expect(uploadResponse.body.font).toMatchObject({ file: 'FestivalSans-Bold.ttf', family: 'Festival Sans' });
+
+      const listResponse = await request(app).get('/api/fonts').expect(200);
+      expect(listResponse.body.count).toBe(1);
+      expect(listResponse.body.fonts[0].names).toEqual(['Festival Sans Bold']);
+    });
+
+    test('should reject uploads that are not new fonts', async () => {
+      const missing = await request(app).post('/api/fonts').field('name', 'font').expect(400);
+      expect(missing.body.message).toBe('A font file is required (.ttf, .otf)');
+
+      const wrongType = await request(app).post('/api/fonts').attach('font', boldFont, 'festival.woff2').expect(400);
+      expect(wrongType.body.message).toBe('A font file is required (.ttf, .otf)');
+
+      const notFont = await request(app).post('/api/fonts').attach('font', Buffer.from('hello'), 'festival.ttf').expect(400);
+      expect(notFont.body.message).toBe('File is not a TrueType or OpenType font');
+
+      await request(app).post('/api/fonts').attach('font', boldFont, 'festival.ttf').expect(201);
+      const duplicate = await request(app).post('/api/fonts').attach('font', boldFont, 'festival.ttf').expect(409);
+      expect(duplicate.body.error).toBe('Font already exists');
+    });
+
+    test('should answer 503 without a font manager', async () => {
+      const bareApp = express();
+      bareApp.use('/api/fonts', fontRoutes);
+
+      await request(bareApp).get('/api/fonts').expect(503);
+    });
+  });
+});
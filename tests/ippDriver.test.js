@@ -0,0 +1,297 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IppDriver = require('../server/services/drivers/IppDriver');
+const IppResponder = require('../server/services/drivers/ipp/IppResponder');
+const protocol = require('../server/services/drivers/ipp/protocol');
+const PrinterInterface = require('../server/services/PrinterInterface');
+
+const holokotePreset = {
+  name: 'High Quality with HoloKote',
+  options: { paperSize: 'CR80Card', copies: 1, holokote: true, quality: 'high' }
+};
+
+describe('IPP driver', () => {
+  describe('protocol', () => {
+    it('should round-trip a request with multi-valued attributes and document data', () => {
+      const encoded = protocol.encode({
+        code: protocol.OPERATIONS['Print-Job'],
+        requestId: 7,
+        groups: [
+          {
+            tag: 'operation',
+            attributes: [
+              protocol.attribute('attributes-charset', 'charset', 'utf-8'),
+              protocol.attribute('requested-attributes', 'keyword', ['printer-state', 'marker-levels'])
+            ]
+          },
+          {
+            tag: 'job',
+            attributes: [
+              protocol.attribute('copies', 'integer', 2),
+              protocol.attribute('print-quality', 'enum', 5),
+              protocol.attribute('ipp-attribute-fidelity', 'boolean', false)
+            ]
+          }
+        ],
+        data: Buffer.from('%PDF')
+      });
+
+      const decoded = protocol.decode(encoded);
+
+      expect(decoded).toMatchObject({ version: '2.0', code: 0x0002, requestId: 7 });
+      expect(protocol.getGroup(decoded, 'operation')).toEqual({
+        'attributes-charset': ['utf-8'],
+        'requested-attributes': ['printer-state', 'marker-levels']
+      });
+      expect(protocol.getGroup(decoded, 'job')).toEqual({
+        copies: [2],
+        'print-quality': [5],
+        'ipp-attribute-fidelity': [false]
+      });
+      expect(decoded.data.toString()).toBe('%PDF');
+    });
+
+    it('should decode collections', () => {
+      const entry = (tag, name, value = Buffer.alloc(0)) => {
+        const nameBuffer = Buffer.from(name);
+        const header = Buffer.alloc(3);
+        header.writeUInt8(tag, 0);
+        header.writeUInt16BE(nameBuffer.length, 1);
+        const length = Buffer.alloc(2);
+        length.writeUInt16BE(value.length);
+        return Buffer.concat([header, nameBuffer, length, value]);
+      };
+      const integer = value => {
+        const buffer = Buffer.alloc(4);
+        buffer.writeInt32BE(value);
+        return buffer;
+      };
+      const { VALUE_TAGS } = protocol;
+
+      const message = Buffer.concat([
+        Buffer.from([2, 0, 0, 0, 0, 0, 0, 1, 0x04]),
+        entry(VALUE_TAGS.begCollection, 'media-col-default'),
+        entry(VALUE_TAGS.memberAttrName, '', Buffer.from('media-size')),
+        entry(VALUE_TAGS.begCollection, ''),
+        entry(VALUE_TAGS.memberAttrName, '', Buffer.from('x-dimension')),
+        entry(VALUE_TAGS.integer, '', integer(5398)),
+        entry(VALUE_TAGS.endCollection, ''),
+        entry(VALUE_TAGS.endCollection, ''),
+        entry(VALUE_TAGS.keyword, 'media-default', Buffer.from('CR80Card')),
+        Buffer.from([0x03])
+      ]);
+
+      expect(protocol.getGroup(protocol.decode(message), 'printer')).toEqual({
+        'media-col-default': [{ 'media-size': [{ 'x-dimension': [5398] }] }],
+        'media-default': ['CR80Card']
+      });
+    });
+  });
+
+  describe('against the IPP responder', () => {
+    let responder;
+    let driver;
+    let printer;
+    let documentPath;
+
+    beforeEach(async () => {
+      responder = new IppResponder({ printerName: 'Enduro_IPP' });
+      const uri = await responder.start();
+      driver = new IppDriver({ printers: [uri], timeout: 2000 });
+      [printer] = await driver.discover();
+
+      documentPath = path.join(os.tmpdir(), `ipp-badge-${process.pid}.png`);
+      fs.writeFileSync(documentPath, 'badge image');
+    });
+
+    afterEach(async () => {
+      await responder.stop();
+      fs.rmSync(documentPath, { force: true });
+    });
+
+    it('should require printers or a server', () => {
+      const previous = { printers: process.env.IPP_PRINTERS, server: process.env.IPP_SERVER };
+      delete process.env.IPP_PRINTERS;
+      delete process.env.IPP_SERVER;
+
+      try {
+        expect(() => new IppDriver()).toThrow('needs printer URIs');
+      } finally {
+        Object.entries({ IPP_PRINTERS: previous.printers, IPP_SERVER: previous.server })
+          .filter(([, value]) => value !== undefined)
+          .forEach(([name, value]) => { process.env[name] = value; });
+      }
+    });
+
+    it('should discover a configured printer with its status and markers', () => {
+      expect(printer).toMatchObject({
+        id: responder.uri,
+        name: 'Virtual IPP card printer',
+        uri: responder.uri,
+        isConnected: true,
+        status: 'Ready',
+        type: 'Network',
+        stateReasons: [],
+        markers: [{ name: 'Colour ribbon', type: 'ribbon-wax', level: 80, lowLevel: 10, highLevel: 100 }]
+      });
+    });
+
+    it('should discover the queues on a CUPS server', async () => {
+      driver = new IppDriver({ server: responder.host });
+
+      const printers = await driver.discover();
+
+      expect(printers).toEqual([expect.objectContaining({
+        id: 'Enduro_IPP',
+        uri: `ipp://${responder.host}/printers/Enduro_IPP`,
+        status: 'Ready'
+      })]);
+    });
+
+    it('should list an unreachable printer as unavailable', async () => {
+      await responder.stop();
+
+      const [unreachable] = await driver.discover();
+
+      expect(unreachable).toMatchObject({ id: responder.uri, isConnected: false, status: 'Error' });
+    });
+
+    it('should read status from printer-state-reasons', async () => {
+      responder.stateReasons = ['media-empty-error'];
+      expect(await driver.getStatus(printer)).toMatchObject({
+        isConnected: false,
+        status: 'Error',
+        stateReasons: ['media-empty-error']
+      });
+
+      responder.stateReasons = ['paused'];
+      expect((await driver.getStatus(printer)).status).toBe('Offline');
+
+      responder.stateReasons = ['marker-supply-low-warning'];
+      responder.printerState = 'processing';
+      expect(await driver.getStatus(printer)).toMatchObject({ isConnected: true, status: 'Printing' });
+
+      responder.stateReasons = ['none'];
+      responder.acceptingJobs = false;
+      expect((await driver.getStatus(printer)).status).toBe('Offline');
+    });
+
+    it('should report marker levels', async () => {
+      responder.markers[0].level = 4;
+
+      const status = await driver.getStatus(printer);
+
+      expect(status.markers[0]).toMatchObject({ name: 'Colour ribbon', level: 4, lowLevel: 10 });
+    });
+
+    it('should read media and quality capabilities', async () => {
+      expect(await driver.getCapabilities(printer)).toMatchObject({
+        media: { supported: ['CR80Card'], default: 'CR80Card' },
+        printQuality: { supported: ['normal', 'high'], default: 'normal' },
+        sides: { default: 'one-sided' }
+      });
+    });
+
+    it('should submit jobs with media, print-quality and HoloKote attributes', async () => {
+      const { jobId } = await driver.print(printer, documentPath, holokotePreset);
+
+      expect(jobId).toBe('1');
+      const request = responder.requests.find(({ operation }) => operation === 'Print-Job');
+      expect(request.attributes).toMatchObject({
+        'document-format': ['image/png'],
+        'job-name': [path.basename(documentPath)],
+        media: ['CR80Card'],
+        'print-quality': [5],
+        copies: [1],
+        CFHoloKote: ['1PrintHoloKote'],
+        CBHoloKote: ['1PrintHoloKote']
+      });
+      expect(request.data.toString()).toBe('badge image');
+    });
+
+    it('should offer media and sides as preset options and send them with the job', async () => {
+      const { options } = await driver.getCapabilities(printer);
+      expect(options).toEqual([
+        { name: 'media', label: 'Media', choices: ['CR80Card'], default: 'CR80Card' },
+        { name: 'sides', label: 'Sides', choices: ['one-sided', 'two-sided-long-edge'], default: 'one-sided' }
+      ]);
+
+      await driver.print(printer, documentPath, {
+        ...holokotePreset,
+        options: { ...holokotePreset.options, printerOptions: { sides: 'two-sided-long-edge', CFHoloPatch: '1PrintHoloPatch' } }
+      });
+
+      const request = responder.requests.find(({ operation }) => operation === 'Print-Job');
+      expect(request.attributes).toMatchObject({
+        media: ['CR80Card'],
+        sides: ['two-sided-long-edge'],
+        CFHoloPatch: ['1PrintHoloPatch']
+      });
+    });
+
+    it('should track a job until the printer completes it', async () => {
+      responder.completeJobs = false;
+      const { jobId } = await driver.print(printer, documentPath, holokotePreset);
+
+      expect(await driver.getJobState(printer, jobId)).toEqual({ state: 'active', reasons: ['job-printing'] });
+
+      responder.setJobState(jobId, 'completed', ['job-completed-successfully']);
+      expect((await driver.getJobState(printer, jobId)).state).toBe('completed');
+
+      responder.setJobState(jobId, 'aborted', ['job-aborted-by-system']);
+      expect(await driver.getJobState(printer, jobId)).toEqual({ state: 'failed', reasons: ['job-aborted-by-system'] });
+    });
+
+    it('should take a job the printer no longer knows as completed', async () => {
+      expect((await driver.getJobState(printer, '99')).state).toBe('completed');
+    });
+
+    it('should cancel active jobs and refuse to cancel finished ones', async () => {
+      responder.completeJobs = false;
+      const { jobId } = await driver.print(printer, documentPath, holokotePreset);
+
+      expect(await driver.cancel(printer, jobId)).toBe(true);
+      expect(responder.jobs.get(1).state).toBe('canceled');
+      expect(await driver.cancel(printer, jobId)).toBe(false);
+    });
+
+    it('should reject jobs when the printer is not accepting them', async () => {
+      responder.acceptingJobs = false;
+
+      await expect(driver.print(printer, documentPath, holokotePreset))
+        .rejects.toThrow('IPP Print-Job failed: server-error-not-accepting-jobs');
+    });
+
+    it('should print through PrinterInterface and wait for the card', async () => {
+      const printerInterface = new PrinterInterface({
+        drivers: 'ipp',
+        driverOptions: { ipp: { printers: [responder.uri] } }
+      });
+
+      try {
+        await printerInterface.discoverPrinters();
+        await printerInterface.connectToPrinter(responder.uri);
+        responder.completeJobs = false;
+
+        const { cupsJobId } = await printerInterface.printDocument(documentPath, 'standard-holokote', responder.uri);
+        const waiting = printerInterface.waitForPrintCompletion(cupsJobId, { printerId: responder.uri, pollInterval: 5 });
+        setTimeout(() => responder.setJobState(cupsJobId, 'completed', ['job-completed-successfully']), 20);
+
+        await expect(waiting).resolves.toMatchObject({ state: 'completed' });
+        expect((await printerInterface.getPrinterStatus(responder.uri)).markers).toHaveLength(1);
+      } finally {
+        printerInterface.disconnect();
+      }
+    });
+
+    it('should not submit a job whose signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(driver.print(printer, documentPath, holokotePreset, { signal: controller.signal }))
+        .rejects.toMatchObject({ cancelled: true, cancelConfirmed: true });
+      expect(responder.requests.filter(({ operation }) => operation === 'Print-Job')).toHaveLength(0);
+    });
+  });
+});
@@ -92,7 +92,7 @@ describe('Job Management Integration Tests', () => {
           uid: { x: 100, y: 200, fontSize: 14, fontFamily: 'Arial' },
           badgeName: { x: 100, y: 250, fontSize: 16, fontFamily: 'Arial Bold' }
         },
-        printerPresets: 'standard'
+        printerPresets: 'standard-holokote'
       });
     }
     
@@ -652,4 +652,133 @@ describe('Job Management Integration Tests', () => {
       expect(resetJob.status).toBe('queued');
     });
   });
-});
\ No newline at end of file
+});
+describe('Manual intervention on a job that is printing', () => {
+  const DatabaseSchema = require('../server/database/schema');
+
+  let schema;
+  let badgeJobModel;
+  let queueManager;
+  let printerInterface;
+  let app;
+  let job;
+  let cancelledPrints;
+  let finishedPrints;
+  let cancelConfirmed;
+
+  const waitFor = async (condition) => {
+    for (let attempt = 0; attempt < 100 && !(await condition()); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  beforeEach(async () => {
+    schema = new DatabaseSchema();
+    schema.connection.dbPath = ':memory:';
+    await schema.initialize();
+    badgeJobModel = new BadgeJob(schema.connection);
+
+    cancelledPrints = [];
+    finishedPrints = [];
+    cancelConfirmed = true;
+    let printCount = 0;
+
+    // The first card stays on the printer until its print is aborted;
+    // any later card finishes straight away
+    printerInterface = {
+      printDocument: jest.fn().mockImplementation(async () => ({ success: true, cupsJobId: `Enduro-${++printCount}` })),
+      waitForPrintCompletion: jest.fn().mockImplementation((cupsJobId, { signal }) => {
+        if (cupsJobId !== 'Enduro-1') {
+          finishedPrints.push(cupsJobId);
+          return Promise.resolve({ state: 'completed', reasons: [] });
+        }
+        return new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => {
+            cancelledPrints.push(cupsJobId);
+            reject(Object.assign(new Error('Print cancelled'), { cancelled: true, cancelConfirmed, cupsJobId }));
+          });
+        });
+      })
+    };
+
+    queueManager = new PrintQueueManager(
+      badgeJobModel,
+      printerInterface,
+      {
+        generateBadge: jest.fn().mockResolvedValue(Buffer.from('badge')),
+        saveBadgeToFile: jest.fn().mockResolvedValue('/tmp/badge.png')
+      },
+      { emit: jest.fn() },
+      { processingTimeout: 5000, printCompletionTimeout: 5000 }
+    );
+
+    app = express();
+    app.use(express.json());
+    app.set('dbConnection', schema.connection);
+    app.set('queueManager', queueManager);
+    app.use('/api/jobs', require('../server/routes/jobs'));
+
+    job = await badgeJobModel.create({ templateId: 'template-1', uid: 'PRINTING_001', badgeName: 'Printing Job' });
+    queueManager.wake();
+    await waitFor(async () => (await badgeJobModel.findById(job.id)).status === 'printing');
+  });
+
+  afterEach(async () => {
+    queueManager.stopProcessing();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await queueManager.cleanup();
+    await schema.close();
+  });
+
+  it('should cancel the running print when a printing job is reset, so the card prints once', async () => {
+    const response = await request(app)
+      .post(`/api/jobs/${job.id}/manual-intervention`)
+      .send({ action: 'reset' })
+      .expect(200);
+
+    // The job is only requeued once the printer confirmed the cancellation
+    expect(response.body.job.status).toBe('queued');
+    expect(cancelledPrints).toEqual(['Enduro-1']);
+
+    await waitFor(async () => (await badgeJobModel.findById(job.id)).status === 'completed');
+
+    expect(cancelledPrints).toEqual(['Enduro-1']);
+    expect(finishedPrints).toEqual(['Enduro-2']);
+    expect(printerInterface.printDocument).toHaveBeenCalledTimes(2);
+    expect((await badgeJobModel.findById(job.id)).status).toBe('completed');
+  });
+
+  it('should hold a reset job for review when the printer does not confirm the cancellation', async () => {
+    cancelConfirmed = false;
+
+    const response = await request(app)
+      .post(`/api/jobs/${job.id}/manual-intervention`)
+      .send({ action: 'reset' })
+      .expect(200);
+
+    expect(response.body.job.status).toBe('needs_review');
+    expect(response.body.job.errorMessage)
+      .toBe('Manual intervention: reset; cancellation not confirmed, check whether the card was produced');
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const heldJob = await badgeJobModel.findById(job.id);
+    expect(heldJob.status).toBe('needs_review');
+    expect(heldJob.printCancelConfirmed).toBe(false);
+    expect(printerInterface.printDocument).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep an operator\'s fail when the aborted print settles', async () => {
+    await request(app)
+      .post(`/api/jobs/${job.id}/manual-intervention`)
+      .send({ action: 'fail', reason: 'Card jammed' })
+      .expect(200);
+
+    await waitFor(() => cancelledPrints.length > 0);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const failedJob = await badgeJobModel.findById(job.id);
+    expect(failedJob.status).toBe('failed');
+    expect(failedJob.errorMessage).toBe('Card jammed');
+    expect(printerInterface.printDocument).toHaveBeenCalledTimes(1);
+  });
+});
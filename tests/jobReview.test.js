@@ -0,0 +1,97 @@
+const request = require('supertest');
+const express = require('express');
+const DatabaseSchema = require('../server/database/schema');
+const BadgeJob = require('../server/models/BadgeJob');
+const PrintQueueManager = require('../server/services/PrintQueueManager');
+const jobRoutes = require('../server/routes/jobs');
+
+describe('Interrupted job review API', () => {
+  let schema;
+  let badgeJobModel;
+  let queueManager;
+  let app;
+  let reviewJob;
+
+  beforeEach(async () => {
+    schema = new DatabaseSchema();
+    schema.connection.dbPath = ':memory:';
+    await schema.initialize();
+    badgeJobModel = new BadgeJob(schema.connection);
+
+    // Simulate a job that was on the printer when the server died
+    reviewJob = await badgeJobModel.create({ templateId: 'template-1', uid: 'USER001', badgeName: 'John Doe' });
+    await badgeJobModel.claimNextJob('enduro-1');
+    await badgeJobModel.markSentToPrinter(reviewJob.id);
+    await badgeJobModel.reconcileOrphanedJobs();
+
+    queueManager = new PrintQueueManager(
+      badgeJobModel,
+      { printDocument: jest.fn() },
+      { generateBadge: jest.fn() },
+      { emit: jest.fn() },
+      { initialState: { state: 'paused', reason: 'manual' } }
+    );
+
+    app = express();
+    app.use(express.json());
+    app.set('dbConnection', schema.connection);
+    app.set('queueManager', queueManager);
+    app.use('/api/jobs', jobRoutes);
+  });
+
+  afterEach(async () => {
+    // Let queue broadcasts started by the request finish before closing the database
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await queueManager.cleanup();
+    await schema.close();
+  });
+
+  test('should list jobs awaiting review', async () => {
+    const response = await request(app).get('/api/jobs/review').expect(200);
+
+    expect(response.body.count).toBe(1);
+    expect(response.body.jobs[0].id).toBe(reviewJob.id);
+    expect(response.body.jobs[0].status).toBe('needs_review');
+  });
+
+  test('should include review jobs in the queue status', async () => {
+    const status = await queueManager.getQueueStatus();
+
+    expect(status.reviewJobs.map(job => job.id)).toEqual([reviewJob.id]);
+  });
+
+  test('should confirm a job as printed', async () => {
+    const response = await request(app)
+      .post(`/api/jobs/${reviewJob.id}/review`)
+      .send({ action: 'confirm' })
+      .expect(200);
+
+    expect(response.body.job.status).toBe('completed');
+  });
+
+  test('should queue a job for reprint', async () => {
+    const response = await request(app)
+      .post(`/api/jobs/${reviewJob.id}/review`)
+      .send({ action: 'reprint' })
+      .expect(200);
+
+    expect(response.body.job.status).toBe('queued');
+    expect((await badgeJobModel.findAll('queued')).map(job => job.id)).toEqual([reviewJob.id]);
+  });
+
+  test('should reject an unknown action', async () => {
+    await request(app)
+      .post(`/api/jobs/${reviewJob.id}/review`)
+      .send({ action: 'discard' })
+      .expect(400);
+  });
+
+  test('should return 409 once a job has been resolved', async () => {
+    await request(app).post(`/api/jobs/${reviewJob.id}/review`).send({ action: 'confirm' }).expect(200);
+    await request(app).post(`/api/jobs/${reviewJob.id}/review`).send({ action: 'confirm' }).expect(409);
+  });
+
+  test('should return 404 for an unknown job', async () => {
+    await request(app).post('/api/jobs/missing-job/review').send({ action: 'confirm' }).expect(404);
+  });
+});
@@ -10,11 +10,19 @@ const mockBadgeJobModel = {
   incrementRetryCount: jest.fn(),
   delete: jest.fn(),
   getQueueStats: jest.fn(),
-  getNextInQueue: jest.fn()
+  getNextInQueue: jest.fn(),
+  claimNextJob: jest.fn(),
+  markSentToPrinter: jest.fn(),
+  markPrinting: jest.fn(),
+  markCompleted: jest.fn(),
+  recordCancellation: jest.fn(),
+  flagForReview: jest.fn(),
+  resolveReview: jest.fn()
 };
 
 const mockPrinterInterface = {
-  printDocument: jest.fn()
+  printDocument: jest.fn(),
+  waitForPrintCompletion: jest.fn()
 };
 
 const mockTemplateProcessor = {
@@ -117,8 +125,11 @@ describe('PrintQueueManager', () => {
         stats,
         queuedJobs,
         processingJobs,
+        reviewJobs: [],
         currentJob: null,
-        isProcessing: false
+        isProcessing: false,
+        queueState: expect.objectContaining({ state: 'running' }),
+        printers: expect.any(Array)
       });
     });
   });
@@ -211,7 +222,7 @@ describe('PrintQueueManager', () => {
       
       mockTemplateProcessor.generateBadge.mockResolvedValue(badgeDocument);
       mockPrinterInterface.printDocument.mockResolvedValue(true);
-      mockBadgeJobModel.updateStatus.mockResolvedValue({ ...job, status: 'completed' });
+      mockBadgeJobModel.markCompleted.mockResolvedValue({ ...job, status: 'completed' });
       
       const eventSpy = jest.fn();
       queueManager.on('jobCompleted', eventSpy);
@@ -220,7 +231,7 @@ describe('PrintQueueManager', () => {
       
       expect(mockTemplateProcessor.generateBadge).toHaveBeenCalledWith('template1', 'user123', 'John Doe');
       expect(mockPrinterInterface.printDocument).toHaveBeenCalledWith(badgeDocument);
-      expect(mockBadgeJobModel.updateStatus).toHaveBeenCalledWith('job1', 'completed');
+      expect(mockBadgeJobModel.markCompleted).toHaveBeenCalledWith('job1', 'processing');
       expect(eventSpy).toHaveBeenCalledWith(job);
     });
     
@@ -316,6 +327,743 @@ describe('PrintQueueManager', () => {
     });
   });
 
+  describe('resolveReviewJob', () => {
+    it('should resolve a review job and broadcast the change', async () => {
+      const reprinted = { id: 'job1', uid: 'user123', status: 'queued' };
+      mockBadgeJobModel.resolveReview.mockResolvedValue(reprinted);
+      mockBadgeJobModel.getQueueStats.mockResolvedValue({ total: 1 });
+      mockBadgeJobModel.findAll.mockResolvedValue([]);
+      
+      const result = await queueManager.resolveReviewJob('job1', 'reprint');
+      
+      expect(mockBadgeJobModel.resolveReview).toHaveBeenCalledWith('job1', 'reprint');
+      expect(result).toEqual(reprinted);
+      expect(mockIo.emit).toHaveBeenCalledWith('jobStatusChange', expect.objectContaining({ id: 'job1', status: 'queued' }));
+    });
+  });
+
+  describe('setJobPriority', () => {
+    it('should reprioritize a job and broadcast the change', async () => {
+      const bumpedJob = { id: 'job1', uid: 'user123', status: 'queued', priority: 'urgent' };
+      mockBadgeJobModel.updatePriority = jest.fn().mockResolvedValue(bumpedJob);
+      mockBadgeJobModel.getQueueStats.mockResolvedValue({ total: 1 });
+      mockBadgeJobModel.findAll.mockResolvedValue([]);
+      
+      const result = await queueManager.setJobPriority('job1', 'urgent');
+      
+      expect(mockBadgeJobModel.updatePriority).toHaveBeenCalledWith('job1', 'urgent');
+      expect(result).toEqual(bumpedJob);
+      expect(mockIo.emit).toHaveBeenCalledWith('jobStatusChange', expect.objectContaining({ id: 'job1', priority: 'urgent' }));
+    });
+    
+    it('should pass through model errors', async () => {
+      mockBadgeJobModel.updatePriority = jest.fn().mockRejectedValue(new Error('Only queued jobs can be reprioritized'));
+      queueManager.on('error', () => {});
+      
+      await expect(queueManager.setJobPriority('job1', 'urgent')).rejects.toThrow('Only queued jobs');
+    });
+  });
+
+  describe('pause, drain and resume', () => {
+    let mockSettingsModel;
+    let controlledManager;
+    
+    beforeEach(() => {
+      mockSettingsModel = { set: jest.fn().mockResolvedValue(undefined) };
+      mockBadgeJobModel.getQueueStats.mockResolvedValue({ total: 0 });
+      mockBadgeJobModel.findAll.mockResolvedValue([]);
+      mockBadgeJobModel.claimNextJob.mockResolvedValue(null);
+      
+      controlledManager = new PrintQueueManager(
+        mockBadgeJobModel,
+        mockPrinterInterface,
+        mockTemplateProcessor,
+        mockIo,
+        { settingsModel: mockSettingsModel }
+      );
+    });
+    
+    afterEach(async () => {
+      await controlledManager.cleanup();
+    });
+    
+    it('should stop claiming jobs when paused and persist the state', async () => {
+      const queueState = await controlledManager.pause();
+      
+      expect(queueState.state).toBe('paused');
+      expect(queueState.reason).toBe('manual');
+      expect(controlledManager.isProcessing).toBe(false);
+      expect(mockSettingsModel.set).toHaveBeenCalledWith(
+        PrintQueueManager.QUEUE_STATE_SETTING,
+        expect.objectContaining({ state: 'paused' })
+      );
+      expect(mockIo.emit).toHaveBeenCalledWith('queueStateChange', expect.objectContaining({ state: 'paused' }));
+      
+      mockBadgeJobModel.claimNextJob.mockClear();
+      await controlledManager.processNextJob();
+      expect(mockBadgeJobModel.claimNextJob).not.toHaveBeenCalled();
+    });
+    
+    it('should pause straight away when draining an idle queue', async () => {
+      const queueState = await controlledManager.drain();
+      
+      expect(queueState.state).toBe('paused');
+    });
+    
+    it('should pause once the in-flight job finishes when draining', async () => {
+      const worker = controlledManager.workers.get(null);
+      worker.currentJob = { id: 'job1' };
+      
+      const queueState = await controlledManager.drain();
+      expect(queueState.state).toBe('draining');
+      expect(queueState.activeJobs).toBe(1);
+      
+      const pausedEvent = new Promise(resolve => controlledManager.once('queueStateChange', resolve));
+      controlledManager.releaseWorker(worker);
+      
+      expect((await pausedEvent).state).toBe('paused');
+    });
+    
+    it('should resume claiming jobs', async () => {
+      await controlledManager.pause();
+      mockBadgeJobModel.claimNextJob.mockClear();
+      
+      const queueState = await controlledManager.resume();
+      await new Promise(resolve => setImmediate(resolve));
+      
+      expect(queueState.state).toBe('running');
+      expect(controlledManager.isProcessing).toBe(true);
+      expect(mockBadgeJobModel.claimNextJob).toHaveBeenCalled();
+    });
+    
+    it('should come back paused when the saved state was paused or draining', async () => {
+      const restoredManager = new PrintQueueManager(
+        mockBadgeJobModel,
+        mockPrinterInterface,
+        mockTemplateProcessor,
+        mockIo,
+        { initialState: { state: 'draining', reason: 'ribbon swap', changedAt: '2026-07-01T10:00:00.000Z' } }
+      );
+      
+      expect(restoredManager.isProcessing).toBe(false);
+      expect(restoredManager.getQueueState()).toEqual(expect.objectContaining({
+        state: 'paused',
+        reason: 'ribbon swap'
+      }));
+      
+      await restoredManager.cleanup();
+    });
+  });
+
+  describe('printer offline handling', () => {
+    let statusInterface;
+    let statusManager;
+    
+    beforeEach(() => {
+      statusInterface = new EventEmitter();
+      statusInterface.activePrinters = [
+        { id: 'enduro-1', name: 'Enduro 1' },
+        { id: 'enduro-2', name: 'Enduro 2' }
+      ];
+      statusInterface.getActivePrinters = () => statusInterface.activePrinters;
+      statusInterface.printDocument = jest.fn();
+      statusInterface.checkPrinterStatuses = jest.fn().mockResolvedValue([]);
+      
+      mockBadgeJobModel.getQueueStats.mockResolvedValue({ total: 0 });
+      mockBadgeJobModel.findAll.mockResolvedValue([]);
+      mockBadgeJobModel.claimNextJob.mockResolvedValue(null);
+      
+      statusManager = new PrintQueueManager(
+        mockBadgeJobModel,
+        statusInterface,
+        mockTemplateProcessor,
+        mockIo,
+        { maxRetries: 3 }
+      );
+    });
+    
+    afterEach(async () => {
+      await statusManager.cleanup();
+    });
+    
+    const statusChange = (printerId, status, isAvailable) => ({
+      printerId,
+      printerName: printerId,
+      status,
+      previousStatus: null,
+      isAvailable,
+      wasAvailable: null,
+      timestamp: new Date()
+    });
+    
+    it('should stop using an offline printer but keep the queue running', async () => {
+      await statusManager.onPrinterStatusChange(statusChange('enduro-1', 'Offline', false));
+      
+      expect(statusManager.workers.get('enduro-1').offline).toBe(true);
+      expect(statusManager.getQueueState().state).toBe('running');
+      expect(mockIo.emit).toHaveBeenCalledWith('printerStatusChange', expect.objectContaining({ printerId: 'enduro-1' }));
+      
+      mockBadgeJobModel.claimNextJob.mockClear();
+      await statusManager.processNextJob('enduro-1');
+      expect(mockBadgeJobModel.claimNextJob).not.toHaveBeenCalled();
+    });
+    
+    it('should pause when every printer is offline and resume when one returns', async () => {
+      await statusManager.onPrinterStatusChange(statusChange('enduro-1', 'Offline', false));
+      await statusManager.onPrinterStatusChange(statusChange('enduro-2', 'Error', false));
+      
+      expect(statusManager.getQueueState()).toEqual(expect.objectContaining({
+        state: 'paused',
+        reason: PrintQueueManager.PRINTER_OFFLINE_REASON
+      }));
+      
+      await statusManager.onPrinterStatusChange(statusChange('enduro-2', 'Ready', true));
+      
+      expect(statusManager.getQueueState().state).toBe('running');
+      expect(statusManager.workers.get('enduro-2').offline).toBe(false);
+      expect(statusManager.workers.get('enduro-1').offline).toBe(true);
+    });
+    
+    it('should not lift a manual pause when a printer returns', async () => {
+      await statusManager.pause();
+      await statusManager.onPrinterStatusChange(statusChange('enduro-1', 'Ready', true));
+      
+      expect(statusManager.getQueueState()).toEqual(expect.objectContaining({ state: 'paused', reason: 'manual' }));
+    });
+    
+    it('should requeue a job without using a retry when its printer went offline', async () => {
+      const job = { id: 'job1', uid: 'user123', printerId: 'enduro-1', retryCount: 0 };
+      const worker = statusManager.workers.get('enduro-1');
+      worker.currentJob = job;
+      statusInterface.checkPrinterStatuses.mockImplementation(async () => {
+        statusInterface.emit('printerStatusChange', statusChange('enduro-1', 'Offline', false));
+      });
+      mockBadgeJobModel.updateStatus.mockResolvedValue({ ...job, status: 'queued' });
+      
+      await statusManager.handleJobFailure(job, new Error('lp: printer offline'));
+      
+      expect(mockBadgeJobModel.incrementRetryCount).not.toHaveBeenCalled();
+      expect(mockBadgeJobModel.updateStatus).toHaveBeenCalledWith('job1', 'queued');
+      expect(worker.currentJob).toBeNull();
+      expect(worker.offline).toBe(true);
+    });
+    
+    it('should use a retry when the printer is still online', async () => {
+      const job = { id: 'job1', uid: 'user123', printerId: 'enduro-1', retryCount: 0 };
+      statusManager.workers.get('enduro-1').currentJob = job;
+      mockBadgeJobModel.incrementRetryCount.mockResolvedValue({ ...job, retryCount: 1 });
+      
+      jest.useFakeTimers();
+      try {
+        await statusManager.handleJobFailure(job, new Error('Template error'));
+      } finally {
+        jest.clearAllTimers();
+        jest.useRealTimers();
+      }
+      
+      expect(statusInterface.checkPrinterStatuses).toHaveBeenCalled();
+      expect(mockBadgeJobModel.incrementRetryCount).toHaveBeenCalledWith('job1');
+    });
+  });
+
+  describe('printer pool', () => {
+    let poolInterface;
+    let poolManager;
+    
+    beforeEach(() => {
+      poolInterface = new EventEmitter();
+      poolInterface.activePrinters = [];
+      poolInterface.getActivePrinters = jest.fn(() => poolInterface.activePrinters);
+      poolInterface.printDocument = jest.fn().mockResolvedValue(true);
+      
+      mockBadgeJobModel.claimNextJob.mockResolvedValue(null);
+      
+      poolManager = new PrintQueueManager(
+        mockBadgeJobModel,
+        poolInterface,
+        mockTemplateProcessor,
+        mockIo,
+        { maxQueueSize: 5, maxRetries: 2, retryBaseDelay: 100, processingTimeout: 1000 }
+      );
+      poolManager.stopProcessing();
+    });
+    
+    afterEach(async () => {
+      await poolManager.cleanup();
+    });
+    
+    it('should use a single default worker when no printers are in the pool', () => {
+      const pool = poolManager.getPrinterPoolStatus();
+      
+      expect(pool).toHaveLength(1);
+      expect(pool[0].printerId).toBeNull();
+      expect(pool[0].isBusy).toBe(false);
+    });
+    
+    it('should create one worker per connected printer', () => {
+      poolInterface.activePrinters = [
+        { id: 'enduro-1', name: 'Enduro 1' },
+        { id: 'enduro-2', name: 'Enduro 2' }
+      ];
+      poolInterface.emit('printerConnected', poolInterface.activePrinters[1]);
+      
+      const pool = poolManager.getPrinterPoolStatus();
+      
+      expect(pool.map(worker => worker.printerId)).toEqual(['enduro-1', 'enduro-2']);
+      expect(pool.map(worker => worker.printerName)).toEqual(['Enduro 1', 'Enduro 2']);
+    });
+    
+    it('should retire a worker when its printer leaves the pool', () => {
+      poolInterface.activePrinters = [{ id: 'enduro-1', name: 'Enduro 1' }, { id: 'enduro-2', name: 'Enduro 2' }];
+      poolManager.syncWorkers();
+      
+      poolInterface.activePrinters = [{ id: 'enduro-2', name: 'Enduro 2' }];
+      poolInterface.emit('printerDisconnected', { id: 'enduro-1' });
+      
+      expect(poolManager.getPrinterPoolStatus().map(worker => worker.printerId)).toEqual(['enduro-2']);
+    });
+    
+    it('should keep a busy worker until its current job finishes', () => {
+      poolInterface.activePrinters = [{ id: 'enduro-1', name: 'Enduro 1' }];
+      poolManager.syncWorkers();
+      poolManager.workers.get('enduro-1').currentJob = { id: 'job1', printerId: 'enduro-1' };
+      
+      poolInterface.activePrinters = [];
+      poolManager.syncWorkers();
+      
+      expect(poolManager.workers.has('enduro-1')).toBe(true);
+      
+      poolManager.releaseWorker(poolManager.workers.get('enduro-1'));
+      
+      expect(poolManager.workers.has('enduro-1')).toBe(false);
+    });
+    
+    it('should claim jobs for the worker printer and print on that printer', async () => {
+      poolInterface.activePrinters = [{ id: 'enduro-2', name: 'Enduro 2' }];
+      poolManager.syncWorkers();
+      
+      const claimedJob = { id: 'job1', templateId: 'template1', uid: 'user123', badgeName: 'John Doe', printerId: 'enduro-2', status: 'processing' };
+      mockBadgeJobModel.claimNextJob.mockResolvedValueOnce(claimedJob).mockResolvedValue(null);
+      mockBadgeJobModel.markCompleted.mockResolvedValue({ ...claimedJob, status: 'completed' });
+      mockBadgeJobModel.getQueueStats.mockResolvedValue({ total: 0 });
+      mockBadgeJobModel.findAll.mockResolvedValue([]);
+      mockTemplateProcessor.generateBadge.mockResolvedValue(Buffer.from('badge'));
+      mockTemplateProcessor.saveBadgeToFile = jest.fn().mockResolvedValue('/tmp/badge.png');
+      
+      poolManager.isProcessing = true;
+      await poolManager.processNextJob('enduro-2');
+      poolManager.stopProcessing();
+      
+      expect(mockBadgeJobModel.claimNextJob).toHaveBeenCalledWith('enduro-2', null);
+      expect(poolInterface.printDocument).toHaveBeenCalledWith(expect.any(String), 'standard-no-holokote', 'enduro-2', { signal: expect.any(Object) });
+      expect(mockBadgeJobModel.markSentToPrinter).toHaveBeenCalledWith('job1', 'standard-no-holokote');
+      
+      const [worker] = poolManager.getPrinterPoolStatus();
+      expect(worker.isBusy).toBe(false);
+      expect(worker.throughput.completedJobs).toBe(1);
+      expect(worker.throughput.jobsLastHour).toBe(1);
+    });
+    
+    it('should print with the job\'s requested preset and record it', async () => {
+      poolInterface.activePrinters = [{ id: 'enduro-2', name: 'Enduro 2' }];
+      poolInterface.hasPreset = jest.fn().mockReturnValue(true);
+      poolManager.syncWorkers();
+      
+      const claimedJob = { id: 'job1', templateId: 'template1', uid: 'user123', badgeName: 'John Doe', printerId: 'enduro-2', status: 'processing', requestedPreset: 'high-quality-holokote' };
+      mockBadgeJobModel.claimNextJob.mockResolvedValueOnce(claimedJob).mockResolvedValue(null);
+      mockBadgeJobModel.markCompleted.mockResolvedValue({ ...claimedJob, status: 'completed' });
+      mockBadgeJobModel.getQueueStats.mockResolvedValue({ total: 0 });
+      mockBadgeJobModel.findAll.mockResolvedValue([]);
+      mockTemplateProcessor.generateBadge.mockResolvedValue(Buffer.from('badge'));
+      mockTemplateProcessor.saveBadgeToFile = jest.fn().mockResolvedValue('/tmp/badge.png');
+      
+      poolManager.isProcessing = true;
+      await poolManager.processNextJob('enduro-2');
+      poolManager.stopProcessing();
+      
+      expect(poolInterface.hasPreset).toHaveBeenCalledWith('high-quality-holokote', 'enduro-2');
+      expect(mockBadgeJobModel.markSentToPrinter).toHaveBeenCalledWith('job1', 'high-quality-holokote');
+      expect(poolInterface.printDocument).toHaveBeenCalledWith(expect.any(String), 'high-quality-holokote', 'enduro-2', { signal: expect.any(Object) });
+    });
+    
+    it('should render the badge with the calibration of the printer it prints on', async () => {
+      const calibration = { offsetX: 1.5, offsetY: -0.5, scale: 0.98, rotation: 0.3 };
+      poolInterface.activePrinters = [{ id: 'enduro-2', name: 'Enduro 2' }];
+      poolInterface.getCalibration = jest.fn().mockReturnValue(calibration);
+      poolManager.syncWorkers();
+
+      const claimedJob = { id: 'job1', templateId: 'template1', uid: 'user123', badgeName: 'John Doe', printerId: 'enduro-2', status: 'processing' };
+      mockBadgeJobModel.claimNextJob.mockResolvedValueOnce(claimedJob).mockResolvedValue(null);
+      mockBadgeJobModel.markCompleted.mockResolvedValue({ ...claimedJob, status: 'completed' });
+      mockBadgeJobModel.getQueueStats.mockResolvedValue({ total: 0 });
+      mockBadgeJobModel.findAll.mockResolvedValue([]);
+      mockTemplateProcessor.generateBadge.mockResolvedValue(Buffer.from('badge'));
+      mockTemplateProcessor.saveBadgeToFile = jest.fn().mockResolvedValue('/tmp/badge.png');
+
+      poolManager.isProcessing = true;
+      await poolManager.processNextJob('enduro-2');
+      poolManager.stopProcessing();
+
+      expect(poolInterface.getCalibration).toHaveBeenCalledWith('enduro-2');
+      expect(mockTemplateProcessor.generateBadge).toHaveBeenCalledWith(
+        'template1', 'user123', 'John Doe', expect.any(Object), undefined, calibration
+      );
+    });
+
+    it('should refuse a preset the printer lacks instead of using the default one', () => {
+      poolInterface.hasPreset = jest.fn().mockReturnValue(false);
+      
+      expect(() => poolManager.resolveJobPreset({ id: 'job1', requestedPreset: 'staff' }, 'enduro-2'))
+        .toThrow("Printer enduro-2 has no preset 'staff'");
+      expect(poolManager.resolveJobPreset({ id: 'job2', requestedPreset: null }, 'enduro-2')).toBe('standard-no-holokote');
+    });
+    
+    it('should fail a job whose preset the printer lacks without retrying it', async () => {
+      poolInterface.activePrinters = [{ id: 'enduro-2', name: 'Enduro 2' }];
+      poolInterface.hasPreset = jest.fn().mockReturnValue(false);
+      poolManager.syncWorkers();
+      
+      const job = { id: 'job1', templateId: 'template1', uid: 'user123', badgeName: 'John Doe', printerId: 'enduro-2', requestedPreset: 'staff', retryCount: 0 };
+      mockBadgeJobModel.updateStatus.mockResolvedValue({ ...job, status: 'failed' });
+      mockTemplateProcessor.generateBadge.mockResolvedValue(Buffer.from('badge'));
+      
+      await poolManager.executeJob(job);
+      
+      expect(mockBadgeJobModel.updateStatus).toHaveBeenCalledWith('job1', 'failed', "Printer enduro-2 has no preset 'staff'");
+      expect(mockBadgeJobModel.incrementRetryCount).not.toHaveBeenCalled();
+      expect(poolInterface.printDocument).not.toHaveBeenCalled();
+    });
+    
+    it('should pass the routing filter for the worker printer when claiming', async () => {
+      const filter = jest.fn();
+      poolManager.printerRouter = { createClaimFilter: jest.fn().mockResolvedValue(filter) };
+      poolInterface.activePrinters = [{ id: 'enduro-1', name: 'Enduro 1' }, { id: 'enduro-2', name: 'Enduro 2' }];
+      poolManager.syncWorkers();
+      mockBadgeJobModel.claimNextJob.mockResolvedValue(null);
+      
+      poolManager.isProcessing = true;
+      await poolManager.processNextJob('enduro-2');
+      poolManager.stopProcessing();
+      
+      expect(poolManager.printerRouter.createClaimFilter).toHaveBeenCalledWith(
+        { id: 'enduro-2', name: 'Enduro 2' },
+        [{ id: 'enduro-1', name: 'Enduro 1' }, { id: 'enduro-2', name: 'Enduro 2' }]
+      );
+      expect(mockBadgeJobModel.claimNextJob).toHaveBeenCalledWith('enduro-2', filter);
+    });
+    
+    it('should report each busy worker in the queue status', async () => {
+      poolInterface.activePrinters = [{ id: 'enduro-1', name: 'Enduro 1' }, { id: 'enduro-2', name: 'Enduro 2' }];
+      poolManager.syncWorkers();
+      poolManager.workers.get('enduro-2').currentJob = { id: 'job2', printerId: 'enduro-2' };
+      
+      mockBadgeJobModel.getQueueStats.mockResolvedValue({ total: 1 });
+      mockBadgeJobModel.findAll.mockResolvedValue([]);
+      
+      const status = await poolManager.getQueueStatus();
+      
+      expect(status.currentJob).toEqual({ id: 'job2', printerId: 'enduro-2' });
+      expect(status.printers.find(worker => worker.printerId === 'enduro-2').isBusy).toBe(true);
+      expect(status.printers.find(worker => worker.printerId === 'enduro-1').isBusy).toBe(false);
+    });
+  });
+
+  describe('event-driven processing', () => {
+    let loopManager;
+    
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+    
+    beforeEach(() => {
+      mockBadgeJobModel.getQueueStats.mockResolvedValue({ total: 0 });
+      mockBadgeJobModel.findAll.mockResolvedValue([]);
+      mockBadgeJobModel.claimNextJob.mockResolvedValue(null);
+      
+      loopManager = new PrintQueueManager(
+        mockBadgeJobModel,
+        mockPrinterInterface,
+        mockTemplateProcessor,
+        mockIo,
+        { maxQueueSize: 5, maxRetries: 2, retryBaseDelay: 100, processingTimeout: 50 }
+      );
+    });
+    
+    afterEach(async () => {
+      await loopManager.cleanup();
+    });
+    
+    it('should claim as soon as a job is added instead of polling', async () => {
+      await flush();
+      const worker = loopManager.workers.get(null);
+      expect(worker.running).toBeNull();
+      expect(worker.claimRetryTimer).toBeNull();
+      
+      mockBadgeJobModel.claimNextJob.mockClear();
+      mockBadgeJobModel.create.mockResolvedValue({ id: 'job1', status: 'queued' });
+      
+      await loopManager.addJob({ templateId: 'template1', uid: 'user123', badgeName: 'John Doe' });
+      await flush();
+      
+      expect(mockBadgeJobModel.claimNextJob).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should keep one claim in flight per printer however often it is woken', async () => {
+      await flush();
+      let finishClaim;
+      mockBadgeJobModel.claimNextJob.mockClear();
+      mockBadgeJobModel.claimNextJob.mockImplementationOnce(() => new Promise(resolve => {
+        finishClaim = resolve;
+      }));
+      
+      loopManager.wake();
+      loopManager.wake();
+      loopManager.wake();
+      await flush();
+      
+      expect(mockBadgeJobModel.claimNextJob).toHaveBeenCalledTimes(1);
+      
+      finishClaim(null);
+      await flush();
+      
+      // The wakes that arrived mid-claim collapse into one more look
+      expect(mockBadgeJobModel.claimNextJob).toHaveBeenCalledTimes(2);
+    });
+    
+    it('should put a job through failure handling once when it times out', async () => {
+      const job = { id: 'job1', templateId: 'template1', uid: 'user123', badgeName: 'John Doe', printerId: null, retryCount: 0 };
+      mockTemplateProcessor.generateBadge.mockResolvedValue(Buffer.from('badge'));
+      mockTemplateProcessor.saveBadgeToFile = jest.fn().mockResolvedValue('/tmp/badge.png');
+      mockPrinterInterface.printDocument.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve(true), 100)));
+      mockBadgeJobModel.flagForReview.mockResolvedValue({ ...job, status: 'needs_review' });
+      mockBadgeJobModel.claimNextJob.mockResolvedValueOnce(job).mockResolvedValue(null);
+      const failureSpy = jest.spyOn(loopManager, 'handleJobFailure');
+      
+      await loopManager.processNextJob();
+      await new Promise(resolve => setTimeout(resolve, 150));
+      
+      expect(failureSpy).toHaveBeenCalledTimes(1);
+      expect(failureSpy.mock.calls[0][1].message).toContain('timeout');
+      expect(mockBadgeJobModel.markCompleted).not.toHaveBeenCalled();
+      expect(loopManager.workers.get(null).currentJob).toBeNull();
+    });
+    
+    it('should wake the workers when a retry comes due', async () => {
+      const job = { id: 'job1', uid: 'user123', printerId: null, retryCount: 0 };
+      mockBadgeJobModel.incrementRetryCount.mockResolvedValue({ ...job, retryCount: 1 });
+      mockBadgeJobModel.updateStatus.mockResolvedValue({ ...job, status: 'queued' });
+      
+      await loopManager.handleJobFailure(job, new Error('Template error'));
+      mockBadgeJobModel.claimNextJob.mockClear();
+      await new Promise(resolve => setTimeout(resolve, 150));
+      
+      expect(mockBadgeJobModel.updateStatus).toHaveBeenCalledWith('job1', 'queued');
+      expect(mockBadgeJobModel.claimNextJob).toHaveBeenCalled();
+    });
+    
+    it('should drop a pending retry when the job is cancelled', async () => {
+      const job = { id: 'job1', uid: 'user123', printerId: null, retryCount: 0, status: 'processing' };
+      mockBadgeJobModel.incrementRetryCount.mockResolvedValue({ ...job, retryCount: 1 });
+      mockBadgeJobModel.findById.mockResolvedValue(job);
+      mockBadgeJobModel.delete.mockResolvedValue(true);
+      
+      await loopManager.handleJobFailure(job, new Error('Template error'));
+      expect(loopManager.retryTimers.has('job1')).toBe(true);
+      
+      await loopManager.cancelJob('job1');
+      
+      expect(loopManager.retryTimers.has('job1')).toBe(false);
+    });
+  });
+
+  describe('printing status', () => {
+    let printManager;
+    let job;
+    
+    beforeEach(() => {
+      job = { id: 'job1', templateId: 'template1', uid: 'user123', badgeName: 'John Doe', printerId: null, retryCount: 0, status: 'processing' };
+      
+      mockBadgeJobModel.getQueueStats.mockResolvedValue({ total: 0 });
+      mockBadgeJobModel.findAll.mockResolvedValue([]);
+      mockTemplateProcessor.generateBadge.mockResolvedValue(Buffer.from('badge'));
+      mockTemplateProcessor.saveBadgeToFile = jest.fn().mockResolvedValue('/tmp/badge.png');
+      mockPrinterInterface.printDocument.mockResolvedValue({ success: true, cupsJobId: 'Enduro-7' });
+      mockBadgeJobModel.markPrinting.mockResolvedValue({ ...job, status: 'printing', cupsJobId: 'Enduro-7' });
+      
+      printManager = new PrintQueueManager(
+        mockBadgeJobModel,
+        mockPrinterInterface,
+        mockTemplateProcessor,
+        mockIo,
+        { maxRetries: 3, retryBaseDelay: 1000, processingTimeout: 1000, printCompletionTimeout: 30, cancelTimeout: 50 }
+      );
+      printManager.stopProcessing();
+    });
+    
+    afterEach(async () => {
+      await printManager.cleanup();
+    });
+    
+    it('should only complete the job once CUPS reports the card finished', async () => {
+      let finishPrint;
+      mockPrinterInterface.waitForPrintCompletion.mockImplementation(() => new Promise(resolve => {
+        finishPrint = resolve;
+      }));
+      mockBadgeJobModel.markCompleted.mockResolvedValue({ ...job, status: 'completed' });
+      printManager.options.printCompletionTimeout = 1000;
+      
+      const execution = printManager.executeJob(job);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      
+      expect(mockBadgeJobModel.markPrinting).toHaveBeenCalledWith('job1', 'Enduro-7');
+      expect(mockIo.emit).toHaveBeenCalledWith('jobStatusChange', expect.objectContaining({ status: 'printing', cupsJobId: 'Enduro-7' }));
+      expect(mockBadgeJobModel.markCompleted).not.toHaveBeenCalled();
+      
+      finishPrint({ state: 'completed', reasons: [] });
+      await execution;
+      
+      expect(mockPrinterInterface.waitForPrintCompletion).toHaveBeenCalledWith('Enduro-7', { signal: expect.any(Object), printerId: null });
+      expect(mockBadgeJobModel.markCompleted).toHaveBeenCalledWith('job1', 'printing');
+    });
+    
+    it('should retry when CUPS reports the job failed', async () => {
+      mockPrinterInterface.waitForPrintCompletion.mockRejectedValue(new Error('Printer reported job Enduro-7 as failed: job-aborted-by-system'));
+      mockBadgeJobModel.incrementRetryCount.mockResolvedValue({ ...job, retryCount: 1 });
+      
+      await printManager.executeJob(job);
+      
+      expect(mockBadgeJobModel.incrementRetryCount).toHaveBeenCalledWith('job1');
+      expect(mockBadgeJobModel.markCompleted).not.toHaveBeenCalled();
+    });
+    
+    it('should complete straight away when the spooler reports no job ID', async () => {
+      mockPrinterInterface.printDocument.mockResolvedValue({ success: true, cupsJobId: null });
+      mockBadgeJobModel.markCompleted.mockResolvedValue({ ...job, status: 'completed' });
+      
+      await printManager.executeJob(job);
+      
+      expect(mockBadgeJobModel.markPrinting).not.toHaveBeenCalled();
+      expect(mockPrinterInterface.waitForPrintCompletion).not.toHaveBeenCalled();
+      expect(mockBadgeJobModel.markCompleted).toHaveBeenCalledWith('job1', 'processing');
+    });
+    
+    it('should cancel the CUPS job when the printer does not finish in time', async () => {
+      mockPrinterInterface.waitForPrintCompletion.mockImplementation((cupsJobId, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+          reject(Object.assign(new Error('Print cancelled'), { cancelled: true, cancelConfirmed: true, cupsJobId }));
+        });
+      }));
+      mockBadgeJobModel.incrementRetryCount.mockResolvedValue({ ...job, retryCount: 1 });
+      
+      await printManager.executeJob(job);
+      
+      expect(mockBadgeJobModel.recordCancellation).toHaveBeenCalledWith('job1', true);
+      expect(mockBadgeJobModel.incrementRetryCount).toHaveBeenCalledWith('job1');
+    });
+  });
+
+  describe('print cancellation', () => {
+    let cancelManager;
+    let job;
+    
+    beforeEach(() => {
+      job = { id: 'job1', templateId: 'template1', uid: 'user123', badgeName: 'John Doe', printerId: null, retryCount: 0, status: 'processing' };
+      
+      mockBadgeJobModel.getQueueStats.mockResolvedValue({ total: 0 });
+      mockBadgeJobModel.findAll.mockResolvedValue([]);
+      mockBadgeJobModel.claimNextJob.mockResolvedValue(null);
+      mockTemplateProcessor.generateBadge.mockResolvedValue(Buffer.from('badge'));
+      mockTemplateProcessor.saveBadgeToFile = jest.fn().mockResolvedValue('/tmp/badge.png');
+      
+      cancelManager = new PrintQueueManager(
+        mockBadgeJobModel,
+        mockPrinterInterface,
+        mockTemplateProcessor,
+        mockIo,
+        { maxRetries: 3, retryBaseDelay: 1000, processingTimeout: 30, cancelTimeout: 50 }
+      );
+      cancelManager.stopProcessing();
+    });
+    
+    afterEach(async () => {
+      await cancelManager.cleanup();
+    });
+    
+    // printDocument that only settles when aborted, with the given cancellation result
+    const abortablePrint = (confirmed, cupsJobId) => (documentPath, presetName, printerId, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+          reject(Object.assign(new Error('Print cancelled'), { cancelled: true, cancelConfirmed: confirmed, cupsJobId }));
+        });
+      });
+    
+    it('should abort the print on timeout and retry when the cancellation is confirmed', async () => {
+      mockPrinterInterface.printDocument.mockImplementation(abortablePrint(true, 'Enduro-42'));
+      mockBadgeJobModel.incrementRetryCount.mockResolvedValue({ ...job, retryCount: 1 });
+      
+      await cancelManager.executeJob(job);
+      
+      const [, , , { signal }] = mockPrinterInterface.printDocument.mock.calls[0];
+      expect(signal.aborted).toBe(true);
+      expect(mockBadgeJobModel.recordCancellation).toHaveBeenCalledWith('job1', true);
+      expect(mockBadgeJobModel.incrementRetryCount).toHaveBeenCalledWith('job1');
+      expect(mockBadgeJobModel.flagForReview).not.toHaveBeenCalled();
+    });
+    
+    it('should hold the job for review when the cancellation is not confirmed', async () => {
+      mockPrinterInterface.printDocument.mockImplementation(abortablePrint(false, null));
+      mockBadgeJobModel.flagForReview.mockResolvedValue({ ...job, status: 'needs_review' });
+      const reviewSpy = jest.fn();
+      cancelManager.on('jobNeedsReview', reviewSpy);
+      
+      await cancelManager.executeJob(job);
+      
+      expect(mockBadgeJobModel.recordCancellation).toHaveBeenCalledWith('job1', false);
+      expect(mockBadgeJobModel.flagForReview).toHaveBeenCalledWith('job1', expect.stringContaining('cancellation not confirmed'));
+      expect(mockBadgeJobModel.incrementRetryCount).not.toHaveBeenCalled();
+      expect(reviewSpy).toHaveBeenCalledWith(expect.objectContaining({ status: 'needs_review' }), expect.any(Error));
+    });
+    
+    it('should treat a print that never reports back as unconfirmed', async () => {
+      mockPrinterInterface.printDocument.mockImplementation(() => new Promise(() => {}));
+      mockBadgeJobModel.flagForReview.mockResolvedValue({ ...job, status: 'needs_review' });
+      
+      await cancelManager.executeJob(job);
+      
+      expect(mockBadgeJobModel.recordCancellation).toHaveBeenCalledWith('job1', false);
+      expect(mockBadgeJobModel.flagForReview).toHaveBeenCalled();
+    });
+    
+    it('should not send the badge when the timeout fires before printing', async () => {
+      mockTemplateProcessor.generateBadge.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve(Buffer.from('badge')), 60)));
+      mockBadgeJobModel.incrementRetryCount.mockResolvedValue({ ...job, retryCount: 1 });
+      
+      await cancelManager.executeJob(job);
+      await new Promise(resolve => setTimeout(resolve, 60));
+      
+      expect(mockPrinterInterface.printDocument).not.toHaveBeenCalled();
+      expect(mockBadgeJobModel.recordCancellation).not.toHaveBeenCalled();
+      expect(mockBadgeJobModel.incrementRetryCount).toHaveBeenCalledWith('job1');
+    });
+    
+    it('should abort the print when the operator cancels a printing job', async () => {
+      mockPrinterInterface.printDocument.mockImplementation(abortablePrint(true, 'Enduro-42'));
+      mockBadgeJobModel.findById.mockResolvedValue(job);
+      mockBadgeJobModel.delete.mockResolvedValue(true);
+      
+      const worker = cancelManager.workers.get(null);
+      worker.currentJob = job;
+      const execution = cancelManager.executeJob(job);
+      await new Promise(resolve => setImmediate(resolve));
+      
+      await cancelManager.cancelJob('job1');
+      await execution;
+      
+      const [, , , { signal }] = mockPrinterInterface.printDocument.mock.calls[0];
+      expect(signal.aborted).toBe(true);
+      expect(mockBadgeJobModel.incrementRetryCount).not.toHaveBeenCalled();
+      expect(worker.currentJob).toBeNull();
+    });
+  });
+
   describe('event handling', () => {
     it('should emit error events when operations fail', async () => {
       const error = new Error('Database error');
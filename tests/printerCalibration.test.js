@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const DatabaseSchema = require('../server/database/schema');
+const PrinterConfiguration = require('../server/models/PrinterConfiguration');
+const PrinterInterface = require('../server/services/PrinterInterface');
+const printerRoutes = require('../server/routes/printers');
+
+describe('Printer calibration', () => {
+  let schema;
+  let presetStore;
+  let printerInterface;
+  let spoolDir;
+
+  const calibration = { offsetX: 1.2, offsetY: -0.8, scale: 0.99, rotation: 0.5 };
+
+  beforeEach(async () => {
+    schema = new DatabaseSchema();
+    schema.connection.dbPath = ':memory:';
+    await schema.initialize();
+    presetStore = new PrinterConfiguration(schema.connection);
+
+    spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calibration-'));
+    printerInterface = new PrinterInterface({
+      drivers: 'spool',
+      driverOptions: { spool: { directory: spoolDir } },
+      presetStore
+    });
+  });
+
+  afterEach(async () => {
+    printerInterface.disconnect();
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+    await schema.close();
+  });
+
+  describe('PrinterInterface', () => {
+    test('should print uncalibrated until a calibration is saved', async () => {
+      expect(printerInterface.getCalibration('file-spool')).toEqual(PrinterConfiguration.DEFAULT_CALIBRATION);
+
+      await printerInterface.saveCalibration('file-spool', calibration);
+
+      expect(printerInterface.getCalibration('file-spool')).toEqual(calibration);
+      expect((await presetStore.findByName('file-spool')).calibration).toEqual(calibration);
+      expect(printerInterface.getCalibration('other-printer')).toEqual(PrinterConfiguration.DEFAULT_CALIBRATION);
+    });
+
+    test('should load a printer\'s calibration when it connects', async () => {
+      await printerInterface.saveCalibration('file-spool', calibration);
+      const restarted = new PrinterInterface({
+        drivers: 'spool',
+        driverOptions: { spool: { directory: spoolDir } },
+        presetStore
+      });
+
+      await restarted.discoverPrinters();
+      await restarted.connectToPrinter('file-spool');
+
+      expect(restarted.getCalibration()).toEqual(calibration);
+      restarted.disconnect();
+    });
+
+    test('should reject calibration outside the accepted range', async () => {
+      await expect(printerInterface.saveCalibration('file-spool', { ...calibration, offsetX: 25 }))
+        .rejects.toThrow('calibration offsetX must be a number from -10 to 10');
+      await expect(printerInterface.saveCalibration('file-spool', { ...calibration, scale: '1' }))
+        .rejects.toThrow('calibration scale must be a number');
+    });
+  });
+
+  describe('/api/printers/:id/calibration', () => {
+    let app;
+    let templateProcessor;
+
+    beforeEach(() => {
+      templateProcessor = {
+        generateCalibrationCard: jest.fn().mockReturnValue(Buffer.from('calibration card')),
+        saveBadgeToFile: jest.fn(async (buffer, outputPath) => {
+          fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+          fs.writeFileSync(outputPath, buffer);
+          return outputPath;
+        })
+      };
+
+      app = express();
+      app.use(express.json());
+      app.set('printerInterface', printerInterface);
+      app.set('templateProcessor', templateProcessor);
+      app.use('/api/printers', printerRoutes);
+    });
+
+    test('should save and return a printer\'s calibration', async () => {
+      await printerInterface.discoverPrinters();
+
+      const initial = await request(app).get('/api/printers/file-spool/calibration').expect(200);
+      expect(initial.body.calibration).toEqual(PrinterConfiguration.DEFAULT_CALIBRATION);
+
+      await request(app).put('/api/printers/file-spool/calibration').send(calibration).expect(200);
+
+      const saved = await request(app).get('/api/printers/file-spool/calibration').expect(200);
+      expect(saved.body.calibration).toEqual(calibration);
+
+      await request(app)
+        .put('/api/printers/file-spool/calibration')
+        .send({ ...calibration, rotation: 45 })
+        .expect(400);
+    });
+
+    test('should print a calibration card on a connected printer', async () => {
+      await request(app).post('/api/printers/file-spool/calibration/print').expect(404);
+
+      await printerInterface.discoverPrinters();
+      await printerInterface.connectToPrinter('file-spool');
+      await printerInterface.saveCalibration('file-spool', calibration);
+
+      const response = await request(app).post('/api/printers/file-spool/calibration/print').send({}).expect(200);
+
+      expect(response.body.calibration).toBeNull();
+      expect(templateProcessor.generateCalibrationCard).toHaveBeenCalledWith({ printerName: expect.any(String), calibration: null });
+      expect(fs.readdirSync(spoolDir).filter(file => file.endsWith('.json'))).toHaveLength(1);
+
+      const checked = await request(app)
+        .post('/api/printers/file-spool/calibration/print')
+        .send({ applyCalibration: true })
+        .expect(200);
+
+      expect(checked.body.calibration).toEqual(calibration);
+      expect(templateProcessor.generateCalibrationCard).toHaveBeenLastCalledWith({ printerName: expect.any(String), calibration });
+    });
+  });
+});
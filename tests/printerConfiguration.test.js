@@ -397,5 +397,25 @@ describe('PrinterConfiguration Model', () => {
 
       expect(() => printerConfig.validatePresets(invalidPresets)).toThrow('must be a number');
     });
+
+    test('should validate card printer options', () => {
+      const cardPreset = {
+        label: 'Staff',
+        description: 'Staff badges',
+        paperSize: 'CR80Card',
+        quality: 'high',
+        orientation: 'portrait',
+        holokote: true,
+        copies: 2
+      };
+
+      expect(() => printerConfig.validatePresetConfig(cardPreset)).not.toThrow();
+      expect(() => printerConfig.validatePresetConfig({ ...cardPreset, holokote: 'yes' }))
+        .toThrow('holokote must be true or false');
+      expect(() => printerConfig.validatePresetConfig({ ...cardPreset, copies: 0 }))
+        .toThrow('copies must be a whole number');
+      expect(() => printerConfig.validatePresetConfig({ ...cardPreset, label: 5 }))
+        .toThrow('label must be a string');
+    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const DatabaseSchema = require('../server/database/schema');
+const PrinterConsumable = require('../server/models/PrinterConsumable');
+const PrinterInterface = require('../server/services/PrinterInterface');
+const PrintQueueManager = require('../server/services/PrintQueueManager');
+const printerRoutes = require('../server/routes/printers');
+const monitoringRoutes = require('../server/routes/monitoring');
+
+// Keep the alerts endpoint away from log files and system calls
+jest.mock('../server/utils/logger', () => ({
+  debug: jest.fn(),
+  getRecentLogs: jest.fn().mockResolvedValue([])
+}));
+
+jest.mock('../server/utils/diagnostics', () => ({
+  runSpecificDiagnostic: jest.fn().mockResolvedValue({ status: 'ok' })
+}));
+
+describe('Printer consumables', () => {
+  let schema;
+  let consumableModel;
+
+  beforeEach(async () => {
+    schema = new DatabaseSchema();
+    schema.connection.dbPath = ':memory:';
+    await schema.initialize();
+    consumableModel = new PrinterConsumable(schema.connection);
+  });
+
+  afterEach(async () => {
+    await schema.close();
+  });
+
+  describe('PrinterConsumable model', () => {
+    test('should report a new printer\'s supplies as full with the default settings', async () => {
+      const consumables = await consumableModel.findByPrinter('enduro-1');
+
+      expect(consumables).toEqual([
+        expect.objectContaining({ consumable: 'ribbon', capacity: 300, remaining: 300, lowThreshold: 30, isLow: false }),
+        expect.objectContaining({ consumable: 'cards', capacity: 100, remaining: 100, lowThreshold: 10, isLow: false })
+      ]);
+      expect(await consumableModel.findAll()).toEqual([]);
+    });
+
+    test('should use up ribbon and cards for each card printed, stopping at zero', async () => {
+      await consumableModel.updateSettings('enduro-1', 'cards', { capacity: 20, lowThreshold: 5 });
+
+      await consumableModel.recordUsage('enduro-1');
+      const consumables = await consumableModel.recordUsage('enduro-1', 16);
+
+      expect(consumables.map(consumable => consumable.remaining)).toEqual([283, 3]);
+      expect(consumables[1].isLow).toBe(true);
+      expect(await consumableModel.findLow()).toEqual([expect.objectContaining({ printerId: 'enduro-1', consumable: 'cards' })]);
+
+      const [, cards] = await consumableModel.recordUsage('enduro-1', 10);
+      expect(cards.remaining).toBe(0);
+    });
+
+    test('should refill a consumable to capacity when it is replaced', async () => {
+      await consumableModel.recordUsage('enduro-1', 290);
+
+      const ribbon = await consumableModel.replace('enduro-1', 'ribbon');
+
+      expect(ribbon.remaining).toBe(300);
+      expect(ribbon.replacedAt).toBeInstanceOf(Date);
+      expect((await consumableModel.find('enduro-1', 'cards')).remaining).toBe(0);
+    });
+
+    test('should keep the remaining count within a smaller capacity', async () => {
+      const ribbon = await consumableModel.updateSettings('enduro-1', 'ribbon', { capacity: 250 });
+
+      expect(ribbon).toMatchObject({ capacity: 250, remaining: 250, lowThreshold: 30 });
+    });
+
+    test('should reject unknown consumables and invalid settings', async () => {
+      await expect(consumableModel.replace('enduro-1', 'toner')).rejects.toThrow('Invalid consumable');
+      await expect(consumableModel.updateSettings('enduro-1', 'ribbon', { capacity: 0 }))
+        .rejects.toThrow('Invalid capacity');
+      await expect(consumableModel.updateSettings('enduro-1', 'cards', { lowThreshold: 100 }))
+        .rejects.toThrow('Invalid lowThreshold');
+      await expect(consumableModel.recordUsage('enduro-1', 0)).rejects.toThrow('Invalid cards');
+    });
+  });
+
+  describe('PrintQueueManager', () => {
+    let spoolDir;
+    let printerInterface;
+    let queueManager;
+    let io;
+
+    beforeEach(async () => {
+      spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'consumables-'));
+      printerInterface = new PrinterInterface({ drivers: 'spool', driverOptions: { spool: { directory: spoolDir } } });
+      await printerInterface.discoverPrinters();
+      await printerInterface.connectToPrinter('file-spool');
+
+      io = { emit: jest.fn() };
+      const badgeJobModel = { claimNextJob: jest.fn().mockResolvedValue(null) };
+      queueManager = new PrintQueueManager(badgeJobModel, printerInterface, {}, io, { consumableModel });
+      queueManager.stopProcessing();
+    });
+
+    afterEach(async () => {
+      await queueManager.cleanup();
+      printerInterface.disconnect();
+      fs.rmSync(spoolDir, { recursive: true, force: true });
+    });
+
+    test('should count each copy a completed job printed', async () => {
+      const { options } = printerInterface.getPresets('file-spool').get('standard-holokote');
+      printerInterface.getPresets('file-spool').set('two-copies', { name: 'Two copies', options: { ...options, copies: 2 } });
+
+      await queueManager.recordConsumableUsage({ id: 'job1', printerId: 'file-spool', printerPreset: 'two-copies' });
+
+      expect((await consumableModel.find('file-spool', 'cards')).remaining).toBe(98);
+      expect(io.emit).toHaveBeenCalledWith('consumablesUpdate', expect.objectContaining({ printerId: 'file-spool' }));
+    });
+
+    test('should announce supplies once when a job takes them below the threshold', async () => {
+      const lowListener = jest.fn();
+      queueManager.on('consumablesLow', lowListener);
+      await consumableModel.updateSettings('file-spool', 'cards', { capacity: 12, lowThreshold: 10 });
+
+      const job = { id: 'job1', printerId: 'file-spool', printerPreset: 'standard-holokote' };
+      await queueManager.recordConsumableUsage(job);
+      await queueManager.recordConsumableUsage(job);
+      await queueManager.recordConsumableUsage(job);
+
+      expect(lowListener).toHaveBeenCalledTimes(1);
+      expect(lowListener).toHaveBeenCalledWith('file-spool', [expect.objectContaining({ consumable: 'cards', remaining: 10 })]);
+    });
+  });
+
+  describe('API', () => {
+    let app;
+    let printerInterface;
+
+    beforeEach(async () => {
+      printerInterface = new PrinterInterface({ drivers: 'spool', driverOptions: { spool: { directory: os.tmpdir() } } });
+      await printerInterface.discoverPrinters();
+      app = express();
+      app.use(express.json());
+      app.set('dbConnection', schema.connection);
+      app.set('printerInterface', printerInterface);
+      app.use('/api/printers', printerRoutes);
+      app.use('/api/monitoring', monitoringRoutes);
+    });
+
+    afterEach(() => {
+      printerInterface.disconnect();
+    });
+
+    test('should set capacity, list stock and record a replacement', async () => {
+      const settingsResponse = await request(app)
+        .put('/api/printers/file-spool/consumables/ribbon')
+        .send({ capacity: 250, lowThreshold: 25 })
+        .expect(200);
+      expect(settingsResponse.body.consumable).toMatchObject({ capacity: 250, remaining: 250, lowThreshold: 25 });
+
+      await consumableModel.recordUsage('file-spool', 240);
+
+      const listResponse = await request(app).get('/api/printers/consumables').expect(200);
+      expect(listResponse.body.printers).toEqual([
+        expect.objectContaining({ printerId: 'file-spool', isLow: true })
+      ]);
+
+      const replaceResponse = await request(app)
+        .post('/api/printers/file-spool/consumables/ribbon/replace')
+        .expect(200);
+      expect(replaceResponse.body.consumable.remaining).toBe(250);
+
+      const printerResponse = await request(app).get('/api/printers/file-spool/consumables').expect(200);
+      expect(printerResponse.body.consumables.map(consumable => consumable.remaining)).toEqual([250, 0]);
+    });
+
+    test('should reject invalid consumable requests', async () => {
+      await request(app).post('/api/printers/file-spool/consumables/toner/replace').expect(400);
+      await request(app)
+        .put('/api/printers/file-spool/consumables/cards')
+        .send({ capacity: 'lots' })
+        .expect(400);
+      await request(app).post('/api/printers/enduro-9/consumables/ribbon/replace').expect(404);
+      await request(app).get('/api/printers/enduro-9/consumables').expect(404);
+    });
+
+    test('should raise low-stock alerts', async () => {
+      await consumableModel.recordUsage('enduro-1', 100);
+
+      const response = await request(app).get('/api/monitoring/alerts').expect(200);
+
+      expect(response.body.alerts).toEqual([
+        expect.objectContaining({ type: 'error', category: 'consumables', consumable: 'cards', value: '0 of 100 left' })
+      ]);
+    });
+  });
+});
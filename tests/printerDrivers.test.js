@@ -0,0 +1,464 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createDriver } = require('../server/services/drivers');
+const CupsDriver = require('../server/services/drivers/CupsDriver');
+const FileSpoolDriver = require('../server/services/drivers/FileSpoolDriver');
+const PrinterInterface = require('../server/services/PrinterInterface');
+const { parseLpoptions, filterPrinterOptions } = require('../server/services/drivers/ppdOptions');
+
+jest.mock('child_process');
+jest.mock('pdf-to-printer');
+
+const holokotePreset = {
+  name: 'Use TokoBadge Preset',
+  options: { paperSize: 'CR80Card', holokote: true, quality: 'normal' }
+};
+
+const noHolokotePreset = {
+  name: 'Use TokoBadge NoHoloKote Preset',
+  options: { paperSize: 'CR80Card', holokote: false, quality: 'normal' }
+};
+
+describe('Printer drivers', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createDriver', () => {
+    it('should create drivers by name', () => {
+      expect(createDriver('cups')).toBeInstanceOf(CupsDriver);
+      expect(createDriver('spool', { directory: os.tmpdir() })).toBeInstanceOf(FileSpoolDriver);
+      expect(createDriver('windows').name).toBe('windows');
+    });
+
+    it('should reject unknown driver names', () => {
+      expect(() => createDriver('carrier-pigeon')).toThrow('Unknown printer driver: carrier-pigeon');
+    });
+
+    it('should require printers or a server for the ipp driver', () => {
+      const previous = process.env.IPP_SERVER;
+      delete process.env.IPP_SERVER;
+
+      try {
+        expect(() => createDriver('ipp')).toThrow('needs printer URIs (IPP_PRINTERS) or a server (IPP_SERVER)');
+        expect(createDriver('ipp', { server: 'printhost:631' }).server).toBe('printhost:631');
+      } finally {
+        if (previous !== undefined) {
+          process.env.IPP_SERVER = previous;
+        }
+      }
+    });
+  });
+
+  describe('CupsDriver', () => {
+    let driver;
+
+    beforeEach(() => {
+      driver = new CupsDriver();
+    });
+
+    describe('print options', () => {
+      it('should send the HoloKote and CR80 card options on every OS', async () => {
+        for (const platform of ['linux', 'darwin']) {
+          Object.defineProperty(process, 'platform', { value: platform, configurable: true });
+          execFile.mockImplementation((file, args, options, callback) => callback(null, 'request id is Enduro_1-42 (1 file(s))\n', ''));
+
+          const result = await driver.print({ id: 'Enduro_1', name: 'Enduro_1' }, '/tmp/badge.png', noHolokotePreset);
+
+          expect(result).toEqual({ jobId: 'Enduro_1-42' });
+          expect(execFile.mock.calls[execFile.mock.calls.length - 1].slice(0, 2)).toEqual(['lp', [
+            '-d', 'Enduro_1', '-o', 'CFHoloKote=0PrintNoHoloKote', '-o', 'CBHoloKote=0PrintNoHoloKote',
+            '-o', 'CFHoloPatch=0PrintNoHoloPatch', '-o', 'PageSize=CR80Card', '-o', 'media=CR80Card',
+            '-o', 'fit-to-page', '-o', 'scaling=100', '-o', 'print-scaling=fill', '-o', 'print-quality=normal',
+            '/tmp/badge.png'
+          ]]);
+        }
+      });
+
+      it('should keep HoloPatch when HoloKote is on', () => {
+        const options = driver.buildPrintOptions(holokotePreset);
+
+        expect(options).toContain('CFHoloKote=1PrintHoloKote');
+        expect(options).not.toContain('CFHoloPatch=0PrintNoHoloPatch');
+      });
+
+      it('should let preset printer options override the HoloKote defaults', () => {
+        const options = driver.buildPrintOptions({
+          name: 'Staff',
+          options: {
+            holokote: true,
+            quality: 'normal',
+            printerOptions: { CBHoloKote: '0PrintNoHoloKote', CFCardRotation: '1Rotate180' }
+          }
+        });
+
+        expect(options).toContain('CFHoloKote=1PrintHoloKote');
+        expect(options).toContain('CBHoloKote=0PrintNoHoloKote');
+        expect(options).not.toContain('CBHoloKote=1PrintHoloKote');
+        expect(options).toContain('CFCardRotation=1Rotate180');
+      });
+
+      it('should point the client tools at a configured server', async () => {
+        driver = new CupsDriver({ server: 'printhost:631' });
+        execFile.mockImplementation((file, args, options, callback) => callback(null, { stdout: '' }));
+
+        await driver.discover();
+
+        expect(execFile).toHaveBeenCalledWith('lpstat', ['-h', 'printhost:631', '-p'], {}, expect.any(Function));
+      });
+    });
+
+    describe('hostile input', () => {
+      const hostileNames = ['Enduro"; rm -rf ~; "', '$(touch /tmp/pwned)', '`id`', '-h evil:631', 'Enduro|nc'];
+
+      beforeEach(() => {
+        execFile.mockImplementation((file, args, options, callback) => callback(null, { stdout: '' }));
+      });
+
+      it('should refuse to print to a printer with a hostile name', async () => {
+        for (const name of hostileNames) {
+          await expect(driver.print({ id: name, name }, '/tmp/badge.png', noHolokotePreset))
+            .rejects.toThrow('Invalid printer name');
+        }
+        expect(execFile).not.toHaveBeenCalled();
+      });
+
+      it('should pass a hostile document path to lp as one absolute argument', async () => {
+        const documentPath = '-o x "; rm -rf ~; $(id).png';
+        execFile.mockImplementation((file, args, options, callback) => callback(null, 'request id is Enduro_1-42 (1 file(s))\n', ''));
+
+        await driver.print({ id: 'Enduro_1', name: 'Enduro_1' }, documentPath, noHolokotePreset);
+
+        const [file, args] = execFile.mock.calls[0];
+        expect(file).toBe('lp');
+        expect(args[args.length - 1]).toBe(path.resolve(documentPath));
+        expect(args.filter(arg => arg.includes('rm -rf'))).toHaveLength(1);
+      });
+
+      it('should reject printer options that could add extra lp options', () => {
+        expect(() => driver.buildPrintOptions({
+          name: 'Staff',
+          options: { holokote: false, printerOptions: { CFCardRotation: '1Rotate180 -o job-sheets=standard' } }
+        })).toThrow('Invalid print option');
+      });
+
+      it('should skip discovered printers with unsafe names', async () => {
+        execFile.mockImplementation((file, args, options, callback) => callback(null, {
+          stdout: args.length === 1
+            ? 'printer Enduro_1 is idle.  enabled since Sat 01 Aug 2026\nprinter $(id) is idle.  enabled since Sat 01 Aug 2026\n'
+            : 'printer Enduro_1 is idle.'
+        }));
+
+        const printers = await driver.discover();
+
+        expect(printers.map(printer => printer.id)).toEqual(['Enduro_1']);
+        expect(execFile.mock.calls.map(([, args]) => args)).toEqual([['-p'], ['-p', 'Enduro_1']]);
+      });
+
+      it('should not cancel a job with a hostile job ID', async () => {
+        expect(await driver.cancel(null, 'Enduro_1-42; reboot')).toBe(false);
+        expect(execFile).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('capabilities', () => {
+      it('should parse every PPD option lpoptions reports', async () => {
+        execFile.mockImplementation((file, args, options, callback) => callback(null, {
+          stdout: [
+            'PageSize/Media Size: *CR80Card CR79Card',
+            'CFHoloKote/Front HoloKote: 0PrintNoHoloKote *1PrintHoloKote',
+            'CFColourFormat/Colour Panels: *0YMCKO 1KO'
+          ].join('\n')
+        }));
+
+        const capabilities = await driver.getCapabilities({ id: 'Enduro', name: 'Enduro' });
+
+        expect(execFile).toHaveBeenCalledWith('lpoptions', ['-p', 'Enduro', '-l'], {}, expect.any(Function));
+        expect(capabilities.options).toEqual([
+          { name: 'PageSize', label: 'Media Size', choices: ['CR80Card', 'CR79Card'], default: 'CR80Card' },
+          { name: 'CFHoloKote', label: 'Front HoloKote', choices: ['0PrintNoHoloKote', '1PrintHoloKote'], default: '1PrintHoloKote' },
+          { name: 'CFColourFormat', label: 'Colour Panels', choices: ['0YMCKO', '1KO'], default: '0YMCKO' }
+        ]);
+      });
+
+      it('should report no capabilities when lpoptions fails', async () => {
+        execFile.mockImplementation((file, args, options, callback) => callback(new Error('lpoptions: Unknown printer')));
+
+        expect(await driver.getCapabilities({ id: 'Enduro', name: 'Enduro' })).toEqual({});
+      });
+    });
+
+    describe('print cancellation', () => {
+      let child;
+      let finishCommand;
+
+      beforeEach(() => {
+        execFile.mockImplementation((file, args, options, callback) => {
+          child = new (require('events'))();
+          child.kill = jest.fn(() => finishCommand(Object.assign(new Error('Command killed'), { killed: true })));
+          finishCommand = (error) => callback(error, 'request id is Enduro_1-42 (1 file(s))\n', '');
+          return child;
+        });
+      });
+
+      it('should kill lp and cancel the CUPS job it submitted when aborted', async () => {
+        const cancelSpy = jest.spyOn(driver, 'cancel').mockResolvedValue(true);
+        const controller = new AbortController();
+
+        const printing = driver.runPrintCommand(['-d', 'Enduro_1', '/tmp/badge.png'], controller.signal);
+        controller.abort();
+
+        await expect(printing).rejects.toMatchObject({
+          cancelled: true,
+          cancelConfirmed: true,
+          cupsJobId: 'Enduro_1-42'
+        });
+        expect(child.kill).toHaveBeenCalled();
+        expect(cancelSpy).toHaveBeenCalledWith(null, 'Enduro_1-42');
+      });
+
+      it('should report an unconfirmed cancellation when CUPS refuses it', async () => {
+        jest.spyOn(driver, 'cancel').mockResolvedValue(false);
+        const controller = new AbortController();
+
+        const printing = driver.runPrintCommand(['-d', 'Enduro_1', '/tmp/badge.png'], controller.signal);
+        controller.abort();
+
+        await expect(printing).rejects.toMatchObject({ cancelled: true, cancelConfirmed: false });
+      });
+
+      it('should not start lp when the signal is already aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        await expect(driver.runPrintCommand(['-d', 'Enduro_1', '/tmp/badge.png'], controller.signal))
+          .rejects.toMatchObject({ cancelled: true, cancelConfirmed: true });
+        expect(execFile).not.toHaveBeenCalled();
+      });
+
+      it('should return the CUPS job ID when lp completes', async () => {
+        const printing = driver.runPrintCommand(['-d', 'Enduro_1', '/tmp/badge.png']);
+        finishCommand(null);
+
+        await expect(printing).resolves.toMatchObject({ cupsJobId: 'Enduro_1-42' });
+      });
+
+      it('should not confirm a cancellation without a CUPS job ID', async () => {
+        expect(await driver.cancel(null, null)).toBe(false);
+      });
+    });
+
+    describe('job state', () => {
+      const activeOutput = 'Enduro_1-42   festival   10240   Sat 01 Aug 2026 10:00:00\n';
+      const completedOutput = (alerts) => [
+        'Enduro_1-41   festival   10240   Sat 01 Aug 2026 09:59:00',
+        '\tStatus: ',
+        '\tAlerts: job-completed-successfully',
+        'Enduro_1-42   festival   10240   Sat 01 Aug 2026 10:00:00',
+        '\tStatus: ',
+        `\tAlerts: ${alerts}`,
+        '\tqueued for Enduro_1',
+        ''
+      ].join('\n');
+
+      const lpstatResponses = (responses) => {
+        execFile.mockImplementation((file, args, options, callback) => {
+          callback(null, { stdout: args.includes('completed') ? responses.completed : responses.active });
+        });
+      };
+
+      it('should report a job still in the queue as active', async () => {
+        lpstatResponses({ active: activeOutput, completed: '' });
+
+        expect(await driver.getJobState(null, 'Enduro_1-42')).toEqual({ state: 'active', reasons: [] });
+      });
+
+      it('should read the job state reasons of a finished job', async () => {
+        lpstatResponses({ active: '', completed: completedOutput('job-aborted-by-system') });
+
+        expect(await driver.getJobState(null, 'Enduro_1-42')).toEqual({
+          state: 'failed',
+          reasons: ['job-aborted-by-system']
+        });
+      });
+
+      it('should report a successfully finished job as completed', async () => {
+        lpstatResponses({ active: '', completed: completedOutput('job-completed-successfully') });
+
+        expect((await driver.getJobState(null, 'Enduro_1-42')).state).toBe('completed');
+      });
+
+      it('should keep waiting when lpstat fails', async () => {
+        execFile.mockImplementation((file, args, options, callback) => callback(new Error('cupsd not running')));
+
+        expect((await driver.getJobState(null, 'Enduro_1-42')).state).toBe('active');
+      });
+    });
+  });
+
+  describe('PPD options', () => {
+    it('should use the option name as the label when there is none', () => {
+      expect(parseLpoptions('Duplex: *None DuplexNoTumble\n\n')).toEqual([
+        { name: 'Duplex', label: 'Duplex', choices: ['None', 'DuplexNoTumble'], default: 'None' }
+      ]);
+    });
+
+    it('should drop options and choices the printer does not support', () => {
+      const capabilityOptions = parseLpoptions('CFHoloPatch/Front HoloPatch: *0PrintNoHoloPatch 1PrintHoloPatch');
+
+      const { accepted, rejected } = filterPrinterOptions({
+        CFHoloPatch: '1PrintHoloPatch',
+        CFOvercoat: '1Overcoat'
+      }, capabilityOptions);
+      expect(accepted).toEqual({ CFHoloPatch: '1PrintHoloPatch' });
+      expect(rejected).toEqual([expect.objectContaining({ name: 'CFOvercoat', value: '1Overcoat' })]);
+
+      expect(filterPrinterOptions({ CFHoloPatch: 'Sometimes' }, capabilityOptions).rejected[0].reason)
+        .toContain('expected one of: 0PrintNoHoloPatch, 1PrintHoloPatch');
+    });
+
+    it('should accept every option when the printer\'s options are unknown', () => {
+      expect(filterPrinterOptions({ CFOvercoat: '1Overcoat' }, undefined).accepted).toEqual({ CFOvercoat: '1Overcoat' });
+    });
+  });
+
+  describe('FileSpoolDriver', () => {
+    let spoolDir;
+    let documentPath;
+    let driver;
+
+    beforeEach(() => {
+      spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'badge-spool-'));
+      documentPath = path.join(spoolDir, 'source.png');
+      fs.writeFileSync(documentPath, 'badge');
+      driver = new FileSpoolDriver({ directory: path.join(spoolDir, 'out') });
+    });
+
+    afterEach(() => {
+      fs.rmSync(spoolDir, { recursive: true, force: true });
+    });
+
+    it('should offer one printer and create the spool directory', async () => {
+      const printers = await driver.discover();
+
+      expect(printers).toHaveLength(1);
+      expect(printers[0]).toMatchObject({ id: 'file-spool', isConnected: true, status: 'Ready', type: 'File' });
+      expect(fs.existsSync(path.join(spoolDir, 'out'))).toBe(true);
+    });
+
+    it('should copy printed documents into the spool directory', async () => {
+      await driver.discover();
+
+      const { jobId } = await driver.print({ id: 'file-spool' }, documentPath, holokotePreset);
+
+      expect(jobId).toMatch(/^file-spool-\d+-1\.png$/);
+      expect(fs.readFileSync(path.join(spoolDir, 'out', jobId), 'utf8')).toBe('badge');
+      expect(await driver.getJobState(null, jobId)).toEqual({ state: 'completed', reasons: [] });
+    });
+
+    it('should write a JSON sidecar describing each job', async () => {
+      await driver.discover();
+
+      const { jobId } = await driver.print({ id: 'file-spool' }, documentPath, holokotePreset);
+      const sidecar = JSON.parse(fs.readFileSync(path.join(spoolDir, 'out', `${jobId}.json`), 'utf8'));
+
+      expect(sidecar).toMatchObject({
+        jobId,
+        printerId: 'file-spool',
+        preset: 'Use TokoBadge Preset',
+        options: holokotePreset.options,
+        simulatedOutcome: 'completed'
+      });
+    });
+
+    it('should remove a spooled document and its sidecar when cancelled', async () => {
+      await driver.discover();
+      const { jobId } = await driver.print({ id: 'file-spool' }, documentPath, holokotePreset);
+
+      expect(await driver.cancel(null, jobId)).toBe(true);
+      expect(fs.existsSync(path.join(spoolDir, 'out', jobId))).toBe(false);
+      expect(fs.existsSync(path.join(spoolDir, 'out', `${jobId}.json`))).toBe(false);
+    });
+
+    it('should keep jobs active for the simulated latency', async () => {
+      driver = new FileSpoolDriver({ directory: path.join(spoolDir, 'out'), latencyMs: 60000 });
+      await driver.discover();
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      try {
+        const { jobId } = await driver.print({ id: 'file-spool' }, documentPath, holokotePreset);
+        expect((await driver.getJobState(null, jobId)).state).toBe('active');
+
+        clock.mockReturnValue(now + 60000);
+        expect((await driver.getJobState(null, jobId)).state).toBe('completed');
+      } finally {
+        clock.mockRestore();
+      }
+    });
+
+    it('should fail jobs at the configured failure rate', async () => {
+      driver = new FileSpoolDriver({ directory: path.join(spoolDir, 'out'), failureRate: 1 });
+      await driver.discover();
+
+      const { jobId } = await driver.print({ id: 'file-spool' }, documentPath, holokotePreset);
+
+      expect(await driver.getJobState(null, jobId)).toEqual({ state: 'failed', reasons: ['job-aborted-by-system'] });
+    });
+
+    it('should go offline for the end of each offline cycle', async () => {
+      driver = new FileSpoolDriver({ directory: path.join(spoolDir, 'out'), offlineEveryMs: 1000, offlineForMs: 200 });
+      await driver.discover();
+
+      expect(driver.isOffline(driver.startedAt + 500)).toBe(false);
+      expect(driver.isOffline(driver.startedAt + 900)).toBe(true);
+      expect(driver.isOffline(driver.startedAt + 1100)).toBe(false);
+
+      jest.spyOn(driver, 'isOffline').mockReturnValue(true);
+      expect(await driver.getStatus()).toEqual({ isConnected: false, status: 'Offline' });
+      await expect(driver.print({ id: 'file-spool' }, documentPath, holokotePreset))
+        .rejects.toThrow('Virtual printer is offline');
+    });
+
+    it('should let PrinterInterface discover and print to the virtual printer', async () => {
+      const printerInterface = new PrinterInterface({
+        drivers: 'spool',
+        driverOptions: { spool: { directory: path.join(spoolDir, 'out') } }
+      });
+
+      try {
+        const printers = await printerInterface.discoverPrinters();
+        expect(printers).toEqual([expect.objectContaining({ id: 'file-spool', driver: 'spool', isConnected: true })]);
+
+        await printerInterface.connectToPrinter('file-spool');
+        const result = await printerInterface.printDocument(documentPath, 'standard-holokote');
+        await printerInterface.waitForPrintCompletion(result.cupsJobId, { printerId: 'file-spool', pollInterval: 1 });
+
+        expect(fs.existsSync(path.join(spoolDir, 'out', result.cupsJobId))).toBe(true);
+      } finally {
+        printerInterface.disconnect();
+      }
+    });
+
+    it('should read the simulation settings from the environment', () => {
+      process.env.PRINTER_SPOOL_LATENCY_MS = '1500';
+      process.env.PRINTER_SPOOL_FAILURE_RATE = '0.25';
+
+      try {
+        driver = new FileSpoolDriver({ directory: spoolDir });
+        expect(driver.latencyMs).toBe(1500);
+        expect(driver.failureRate).toBe(0.25);
+        expect(driver.offlineEveryMs).toBe(0);
+      } finally {
+        delete process.env.PRINTER_SPOOL_LATENCY_MS;
+        delete process.env.PRINTER_SPOOL_FAILURE_RATE;
+      }
+    });
+
+    it('should report the printer offline when the directory is missing', async () => {
+      expect(await driver.getStatus()).toEqual({ isConnected: false, status: 'Offline' });
+    });
+  });
+});
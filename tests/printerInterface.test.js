@@ -1,5 +1,5 @@
 const PrinterInterface = require('../server/services/PrinterInterface');
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const fs = require('fs').promises;
 const pdfToPrinter = require('pdf-to-printer');
 
@@ -19,8 +19,8 @@ describe('PrinterInterface', () => {
   beforeEach(() => {
     printerInterface = new PrinterInterface();
     mockExec = jest.fn();
-    exec.mockImplementation((command, callback) => {
-      mockExec(command, callback);
+    execFile.mockImplementation((file, args, options, callback) => {
+      mockExec([file, ...args].join(' '), callback);
     });
     jest.clearAllMocks();
   });
@@ -47,12 +47,13 @@ describe('PrinterInterface', () => {
   });
 
   describe('discoverPrinters', () => {
-    it('should discover printers on macOS', async () => {
+    it('should discover CUPS printers on macOS', async () => {
       // Mock platform
       Object.defineProperty(process, 'platform', {
         value: 'darwin',
         configurable: true
       });
+      printerInterface = new PrinterInterface({ drivers: 'cups' });
 
       // Mock lpstat output
       mockExec.mockImplementation((command, callback) => {
@@ -71,15 +72,17 @@ describe('PrinterInterface', () => {
         name: 'HP_LaserJet',
         isConnected: true,
         type: 'USB',
-        platform: 'darwin'
+        platform: 'darwin',
+        driver: 'cups'
       });
     });
 
-    it('should discover printers on Linux', async () => {
+    it('should discover CUPS printers on Linux', async () => {
       Object.defineProperty(process, 'platform', {
         value: 'linux',
         configurable: true
       });
+      printerInterface = new PrinterInterface({ drivers: 'cups' });
 
       mockExec.mockImplementation((command, callback) => {
         if (command === 'lpstat -p') {
@@ -95,15 +98,13 @@ describe('PrinterInterface', () => {
       expect(printers[0]).toMatchObject({
         id: 'Brother_Printer',
         name: 'Brother_Printer',
-        platform: 'linux'
+        platform: 'linux',
+        driver: 'cups'
       });
     });
 
-    it('should discover printers on Windows', async () => {
-      Object.defineProperty(process, 'platform', {
-        value: 'win32',
-        configurable: true
-      });
+    it('should discover printers with the windows driver', async () => {
+      printerInterface = new PrinterInterface({ drivers: 'windows' });
 
       mockExec.mockImplementation((command, callback) => {
         if (command === 'wmic printer get name,status /format:csv') {
@@ -120,29 +121,46 @@ describe('PrinterInterface', () => {
         id: 'HP LaserJet',
         name: 'HP LaserJet',
         isConnected: true,
-        platform: 'win32'
+        platform: 'win32',
+        driver: 'windows'
       });
     });
 
-    it('should handle discovery errors gracefully', async () => {
-      // Mock platform to ensure we test the main discoverPrinters method error handling
-      Object.defineProperty(process, 'platform', {
-        value: 'unsupported',
-        configurable: true
-      });
+    it('should combine printers from every configured driver', async () => {
+      printerInterface = new PrinterInterface({ drivers: 'cups,windows' });
 
       mockExec.mockImplementation((command, callback) => {
-        callback(new Error('Command failed'));
+        if (command === 'lpstat -p') {
+          callback(null, { stdout: 'printer Enduro_1 is idle' });
+        } else if (command.startsWith('lpstat -p ')) {
+          callback(null, { stdout: 'printer Enduro_1 is idle' });
+        } else {
+          callback(null, { stdout: 'Node,Name,Status\n,HP LaserJet,OK\n' });
+        }
       });
 
+      const printers = await printerInterface.discoverPrinters();
+
+      expect(printers.map(p => [p.id, p.driver])).toEqual([
+        ['Enduro_1', 'cups'],
+        ['HP LaserJet', 'windows']
+      ]);
+    });
+
+    it('should reject unknown drivers', () => {
+      expect(() => new PrinterInterface({ drivers: 'carrier-pigeon' }))
+        .toThrow('Unknown printer driver: carrier-pigeon');
+    });
+
+    it('should handle discovery errors gracefully', async () => {
+      printerInterface = new PrinterInterface({ drivers: 'cups' });
+      jest.spyOn(printerInterface.getDriver(null), 'discover').mockRejectedValue(new Error('Driver crashed'));
+
       await expect(printerInterface.discoverPrinters()).rejects.toThrow('Failed to discover printers');
     });
 
-    it('should handle platform-specific discovery errors gracefully', async () => {
-      Object.defineProperty(process, 'platform', {
-        value: 'win32',
-        configurable: true
-      });
+    it('should handle driver-specific discovery errors gracefully', async () => {
+      printerInterface = new PrinterInterface({ drivers: 'windows' });
 
       mockExec.mockImplementation((command, callback) => {
         callback(new Error('Command failed'));
@@ -207,6 +225,203 @@ describe('PrinterInterface', () => {
     });
   });
 
+  describe('printer pool', () => {
+    beforeEach(() => {
+      ['Enduro_1', 'Enduro_2'].forEach(id => {
+        printerInterface.connectedPrinters.set(id, {
+          id,
+          name: id,
+          isConnected: true,
+          platform: 'linux'
+        });
+      });
+    });
+
+    it('should keep every connected printer in the pool', async () => {
+      await printerInterface.connectToPrinter('Enduro_1');
+      await printerInterface.connectToPrinter('Enduro_2');
+
+      expect(printerInterface.getActivePrinters().map(p => p.id)).toEqual(['Enduro_1', 'Enduro_2']);
+      expect(printerInterface.selectedPrinter.id).toBe('Enduro_2');
+    });
+
+    it('should emit printerConnected once per printer', async () => {
+      const listener = jest.fn();
+      printerInterface.on('printerConnected', listener);
+
+      await printerInterface.connectToPrinter('Enduro_1');
+      await printerInterface.connectToPrinter('Enduro_1');
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ id: 'Enduro_1' }));
+    });
+
+    it('should remove a single printer and reselect a remaining one', async () => {
+      const listener = jest.fn();
+      printerInterface.on('printerDisconnected', listener);
+
+      await printerInterface.connectToPrinter('Enduro_1');
+      await printerInterface.connectToPrinter('Enduro_2');
+      printerInterface.disconnect('Enduro_2');
+
+      expect(printerInterface.getActivePrinters().map(p => p.id)).toEqual(['Enduro_1']);
+      expect(printerInterface.selectedPrinter.id).toBe('Enduro_1');
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ id: 'Enduro_2' }));
+    });
+
+    it('should reject printing to a printer outside the pool', async () => {
+      fs.access.mockResolvedValue();
+      await printerInterface.connectToPrinter('Enduro_1');
+
+      await expect(printerInterface.printDocument('/path/to/doc.png', 'standard-no-holokote', 'Enduro_2'))
+        .rejects.toThrow('Printer Enduro_2 is not connected');
+    });
+  });
+
+  describe('status monitoring', () => {
+    let statusSpy;
+
+    beforeEach(async () => {
+      printerInterface.connectedPrinters.set('Enduro_1', {
+        id: 'Enduro_1',
+        name: 'Enduro 1',
+        isConnected: true,
+        platform: 'linux'
+      });
+      await printerInterface.connectToPrinter('Enduro_1');
+      statusSpy = jest.spyOn(printerInterface, 'getPrinterStatus');
+    });
+
+    it('should emit printerStatusChange only when the status changes', async () => {
+      const listener = jest.fn();
+      printerInterface.on('printerStatusChange', listener);
+      statusSpy.mockResolvedValue({ isConnected: true, status: 'Ready' });
+
+      await printerInterface.checkPrinterStatuses();
+      await printerInterface.checkPrinterStatuses();
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        printerId: 'Enduro_1',
+        status: 'Ready',
+        previousStatus: null,
+        isAvailable: true,
+        wasAvailable: null
+      }));
+    });
+
+    it('should report Offline and Error as unavailable', async () => {
+      const listener = jest.fn();
+      printerInterface.on('printerStatusChange', listener);
+
+      statusSpy.mockResolvedValueOnce({ isConnected: true, status: 'Ready' });
+      await printerInterface.checkPrinterStatuses();
+      statusSpy.mockResolvedValueOnce({ isConnected: false, status: 'Offline' });
+      await printerInterface.checkPrinterStatuses();
+      statusSpy.mockResolvedValueOnce({ isConnected: false, status: 'Error' });
+      await printerInterface.checkPrinterStatuses();
+
+      expect(listener.mock.calls.map(([change]) => [change.status, change.isAvailable, change.wasAvailable])).toEqual([
+        ['Ready', true, null],
+        ['Offline', false, true],
+        ['Error', false, false]
+      ]);
+    });
+
+    it('should forget the last status when a printer leaves the pool', async () => {
+      statusSpy.mockResolvedValue({ isConnected: true, status: 'Ready' });
+      await printerInterface.checkPrinterStatuses();
+
+      printerInterface.disconnect('Enduro_1');
+
+      expect(printerInterface.lastKnownStatuses.has('Enduro_1')).toBe(false);
+    });
+  });
+
+  describe('print completion', () => {
+    const lpstatResponses = (responses) => {
+      execFile.mockImplementation((file, args, options, callback) => {
+        const key = args.includes('completed') ? 'completed' : 'active';
+        const next = responses[key].length > 1 ? responses[key].shift() : responses[key][0];
+        callback(null, { stdout: next });
+      });
+    };
+
+    beforeEach(() => {
+      printerInterface = new PrinterInterface({ drivers: 'cups' });
+    });
+
+    it('should wait until the driver reports the job completed', async () => {
+      lpstatResponses({
+        active: ['Enduro_1-42   festival   10240   Sat 01 Aug 2026 10:00:00\n', ''],
+        completed: ['']
+      });
+
+      const jobState = await printerInterface.waitForPrintCompletion('Enduro_1-42', { pollInterval: 1 });
+
+      expect(jobState.state).toBe('completed');
+      expect(execFile.mock.calls.filter(([file, args]) => file === 'lpstat' && args.join(' ') === '-o')).toHaveLength(2);
+    });
+
+    it('should reject when the driver reports the job failed', async () => {
+      jest.spyOn(printerInterface.getDriver(null), 'getJobState')
+        .mockResolvedValue({ state: 'failed', reasons: ['job-canceled-at-device'] });
+
+      await expect(printerInterface.waitForPrintCompletion('Enduro_1-42', { pollInterval: 1 }))
+        .rejects.toThrow('Printer reported job Enduro_1-42 as failed: job-canceled-at-device');
+    });
+
+    it('should cancel the job through the printer\'s driver when aborted while waiting', async () => {
+      const driver = printerInterface.getDriver(null);
+      jest.spyOn(driver, 'getJobState').mockResolvedValue({ state: 'active', reasons: [] });
+      const cancelSpy = jest.spyOn(driver, 'cancel').mockResolvedValue(true);
+      const controller = new AbortController();
+
+      const waiting = printerInterface.waitForPrintCompletion('Enduro_1-42', { signal: controller.signal, pollInterval: 60000 });
+      await new Promise(resolve => setImmediate(resolve));
+      controller.abort();
+
+      await expect(waiting).rejects.toMatchObject({ cancelled: true, cancelConfirmed: true, cupsJobId: 'Enduro_1-42' });
+      expect(cancelSpy).toHaveBeenCalledWith(null, 'Enduro_1-42');
+    });
+  });
+
+  describe('driver dispatch', () => {
+    beforeEach(() => {
+      printerInterface = new PrinterInterface({ drivers: 'cups,windows' });
+      printerInterface.connectedPrinters.set('HP LaserJet', {
+        id: 'HP LaserJet',
+        name: 'HP LaserJet',
+        isConnected: true,
+        driver: 'windows'
+      });
+      fs.access.mockResolvedValue();
+      pdfToPrinter.print.mockResolvedValue();
+    });
+
+    it('should print through the driver recorded on the printer', async () => {
+      await printerInterface.connectToPrinter('HP LaserJet');
+
+      const result = await printerInterface.printDocument('/path/to/badge.png', 'standard-holokote', 'HP LaserJet');
+
+      expect(result).toEqual({ success: true, cupsJobId: null });
+      expect(pdfToPrinter.print).toHaveBeenCalledWith('/path/to/badge.png', expect.objectContaining({
+        printer: 'HP LaserJet',
+        holokote: true
+      }));
+      expect(execFile).not.toHaveBeenCalled();
+    });
+
+    it('should report an error status for a printer whose driver is not configured', async () => {
+      printerInterface.selectedPrinter = { id: 'spooled', name: 'spooled', driver: 'spool' };
+
+      const status = await printerInterface.getPrinterStatus();
+
+      expect(status).toMatchObject({ isConnected: false, status: 'Error' });
+      expect(status.error).toContain('Printer driver not configured: spool');
+    });
+  });
+
   describe('getPrinterStatus', () => {
     it('should return no printer selected status when no printer connected', async () => {
       const status = await printerInterface.getPrinterStatus();
@@ -274,7 +489,7 @@ describe('PrinterInterface', () => {
     it('should print document with default preset', async () => {
       const result = await printerInterface.printDocument('/path/to/document.pdf');
 
-      expect(result).toBe(true);
+      expect(result).toEqual({ success: true, cupsJobId: null });
       expect(pdfToPrinter.print).toHaveBeenCalledWith('/path/to/document.pdf', {
         printer: 'TestPrinter',
         paperSize: 'A4',
@@ -287,7 +502,7 @@ describe('PrinterInterface', () => {
     it('should print document with specified preset', async () => {
       const result = await printerInterface.printDocument('/path/to/document.pdf', 'high-quality');
 
-      expect(result).toBe(true);
+      expect(result).toEqual({ success: true, cupsJobId: null });
       expect(pdfToPrinter.print).toHaveBeenCalledWith('/path/to/document.pdf', {
         printer: 'TestPrinter',
         paperSize: 'A4',
@@ -0,0 +1,238 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const DatabaseSchema = require('../server/database/schema');
+const PrinterConfiguration = require('../server/models/PrinterConfiguration');
+const PrinterInterface = require('../server/services/PrinterInterface');
+const printerRoutes = require('../server/routes/printers');
+
+describe('Printer presets', () => {
+  let schema;
+  let presetStore;
+  let printerInterface;
+  let spoolDir;
+
+  const staffPreset = {
+    id: 'staff',
+    label: 'Staff Badge',
+    description: 'Staff badges with two copies',
+    paperSize: 'CR80Card',
+    quality: 'high',
+    orientation: 'portrait',
+    holokote: true,
+    copies: 2
+  };
+
+  beforeEach(async () => {
+    schema = new DatabaseSchema();
+    schema.connection.dbPath = ':memory:';
+    await schema.initialize();
+    presetStore = new PrinterConfiguration(schema.connection);
+
+    spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'presets-'));
+    printerInterface = new PrinterInterface({
+      drivers: 'spool',
+      driverOptions: { spool: { directory: spoolDir } },
+      presetStore
+    });
+  });
+
+  afterEach(async () => {
+    printerInterface.disconnect();
+    fs.rmSync(spoolDir, { recursive: true, force: true });
+    await schema.close();
+  });
+
+  describe('PrinterInterface', () => {
+    test('should seed a printer\'s presets from the defaults when it connects', async () => {
+      await printerInterface.discoverPrinters();
+      await printerInterface.connectToPrinter('file-spool');
+
+      const config = await presetStore.findByName('file-spool');
+      expect(Object.keys(config.presets)).toEqual(['standard-holokote', 'standard-no-holokote', 'high-quality-holokote']);
+      expect(config.presets['standard-holokote']).toMatchObject({
+        label: 'Use TokoBadge Preset',
+        paperSize: 'CR80Card',
+        quality: 'normal',
+        holokote: true
+      });
+      expect(printerInterface.getAvailablePresets('file-spool')).toEqual(printerInterface.getAvailablePresets());
+    });
+
+    test('should print with a stored preset', async () => {
+      await printerInterface.discoverPrinters();
+      await printerInterface.connectToPrinter('file-spool');
+      const { id, ...config } = staffPreset;
+      await printerInterface.savePreset('file-spool', id, config);
+
+      const documentPath = path.join(spoolDir, 'badge.png');
+      fs.writeFileSync(documentPath, 'badge image');
+      const { cupsJobId } = await printerInterface.printDocument(documentPath, 'staff', 'file-spool');
+
+      const sidecar = JSON.parse(fs.readFileSync(path.join(spoolDir, `${cupsJobId}.json`), 'utf8'));
+      expect(sidecar).toMatchObject({
+        preset: 'Staff Badge',
+        options: { quality: 'high', copies: 2, holokote: true }
+      });
+    });
+
+    test('should drop printer options the printer does not support when printing', async () => {
+      await printerInterface.discoverPrinters();
+      await printerInterface.connectToPrinter('file-spool');
+      const { id, ...config } = staffPreset;
+      await printerInterface.savePreset('file-spool', id, {
+        ...config,
+        printerOptions: { CFCardRotation: '1Rotate180', CFUVPanel: '1PrintUV' }
+      });
+
+      const documentPath = path.join(spoolDir, 'badge.png');
+      fs.writeFileSync(documentPath, 'badge image');
+      const { cupsJobId } = await printerInterface.printDocument(documentPath, 'staff', 'file-spool');
+
+      const sidecar = JSON.parse(fs.readFileSync(path.join(spoolDir, `${cupsJobId}.json`), 'utf8'));
+      expect(sidecar.options.printerOptions).toEqual({ CFCardRotation: '1Rotate180' });
+    });
+
+    test('should tell whether a printer has a preset', async () => {
+      await printerInterface.discoverPrinters();
+      await printerInterface.connectToPrinter('file-spool');
+      const { id, ...config } = staffPreset;
+      await printerInterface.savePreset('file-spool', id, config);
+
+      expect(printerInterface.hasPreset('staff', 'file-spool')).toBe(true);
+      expect(printerInterface.hasPreset('staff')).toBe(true);
+      expect(printerInterface.hasPreset('staff', 'other-printer')).toBe(false);
+      expect(printerInterface.hasPreset('standard-holokote', 'other-printer')).toBe(true);
+      expect(printerInterface.getPresetIds())
+        .toEqual(['high-quality-holokote', 'staff', 'standard-holokote', 'standard-no-holokote']);
+    });
+
+    test('should keep the default preset', async () => {
+      await expect(printerInterface.removePreset('file-spool', PrinterInterface.DEFAULT_PRESET))
+        .rejects.toThrow('cannot be removed');
+    });
+
+    test('should use the defaults without a preset store', async () => {
+      printerInterface = new PrinterInterface({ drivers: 'spool', driverOptions: { spool: { directory: spoolDir } } });
+
+      await printerInterface.loadPrinterPresets('file-spool');
+
+      expect(printerInterface.getPresets('file-spool')).toBe(printerInterface.presets);
+      await expect(printerInterface.savePreset('file-spool', 'staff', staffPreset))
+        .rejects.toThrow('Preset storage is not available');
+    });
+  });
+
+  describe('/api/printers/:id/presets', () => {
+    let app;
+
+    beforeEach(async () => {
+      await printerInterface.discoverPrinters();
+      app = express();
+      app.use(express.json());
+      app.set('printerInterface', printerInterface);
+      app.use('/api/printers', printerRoutes);
+    });
+
+    test('should create, list, update and delete presets', async () => {
+      const createResponse = await request(app)
+        .post('/api/printers/file-spool/presets')
+        .send(staffPreset)
+        .expect(201);
+      expect(createResponse.body.preset).toMatchObject({
+        id: 'staff',
+        name: 'Staff Badge',
+        options: { quality: 'high', copies: 2, holokote: true }
+      });
+
+      const listResponse = await request(app).get('/api/printers/file-spool/presets').expect(200);
+      expect(listResponse.body.defaultPreset).toBe('standard-no-holokote');
+      expect(listResponse.body.presets.map(preset => preset.id)).toContain('staff');
+
+      const updateResponse = await request(app)
+        .put('/api/printers/file-spool/presets/staff')
+        .send({ ...staffPreset, copies: 1 })
+        .expect(200);
+      expect(updateResponse.body.preset.options.copies).toBe(1);
+
+      await request(app).delete('/api/printers/file-spool/presets/staff').expect(200);
+      await request(app).delete('/api/printers/file-spool/presets/staff').expect(404);
+      await request(app).put('/api/printers/file-spool/presets/staff').send(staffPreset).expect(404);
+    });
+
+    test('should list the printer\'s options and ignore unsupported ones when saving', async () => {
+      await request(app).get('/api/printers/file-spool/options').expect(404);
+
+      await printerInterface.discoverPrinters();
+      await printerInterface.connectToPrinter('file-spool');
+
+      const optionsResponse = await request(app).get('/api/printers/file-spool/options').expect(200);
+      expect(optionsResponse.body.options).toContainEqual({
+        name: 'CFHoloPatch',
+        label: 'Front HoloPatch',
+        choices: ['0PrintNoHoloPatch', '1PrintHoloPatch'],
+        default: '0PrintNoHoloPatch'
+      });
+
+      const createResponse = await request(app)
+        .post('/api/printers/file-spool/presets')
+        .send({ ...staffPreset, printerOptions: { CFHoloPatch: '1PrintHoloPatch', CFOvercoat: 'Thick' } })
+        .expect(201);
+
+      expect(createResponse.body.preset.options.printerOptions).toEqual({ CFHoloPatch: '1PrintHoloPatch' });
+      expect(createResponse.body.ignoredOptions).toEqual([expect.objectContaining({ name: 'CFOvercoat', value: 'Thick' })]);
+    });
+
+    test('should list the defaults without storing anything until the printer connects', async () => {
+      const response = await request(app).get('/api/printers/file-spool/presets').expect(200);
+
+      expect(response.body.presets.map(preset => preset.id))
+        .toEqual(['standard-holokote', 'standard-no-holokote', 'high-quality-holokote']);
+      expect(await presetStore.findByName('file-spool')).toBeNull();
+    });
+
+    test('should answer 404 for printers that were never discovered', async () => {
+      const printerId = encodeURIComponent('ipp://127.0.0.1:631/printers/Enduro');
+
+      await request(app).get(`/api/printers/${printerId}/presets`).expect(404);
+      await request(app).post(`/api/printers/${printerId}/presets`).send(staffPreset).expect(404);
+      await request(app).get(`/api/printers/${printerId}/calibration`).expect(404);
+
+      expect(await presetStore.findByName('ipp://127.0.0.1:631/printers/Enduro')).toBeNull();
+    });
+
+    test('should reject invalid presets', async () => {
+      const invalidOrientation = await request(app)
+        .post('/api/printers/file-spool/presets')
+        .send({ ...staffPreset, orientation: 'sideways' })
+        .expect(400);
+      expect(invalidOrientation.body.error).toContain('orientation');
+
+      await request(app)
+        .post('/api/printers/file-spool/presets')
+        .send({ ...staffPreset, id: 'staff badge' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/printers/file-spool/presets')
+        .send({ ...staffPreset, copies: 'two' })
+        .expect(400);
+
+      await request(app)
+        .post('/api/printers/file-spool/presets')
+        .send({ ...staffPreset, printerOptions: { CFHoloPatch: 1 } })
+        .expect(400);
+    });
+
+    test('should reject duplicate presets and removing the default preset', async () => {
+      await request(app)
+        .post('/api/printers/file-spool/presets')
+        .send({ ...staffPreset, id: 'standard-holokote' })
+        .expect(409);
+
+      await request(app).delete('/api/printers/file-spool/presets/standard-no-holokote').expect(409);
+    });
+  });
+});
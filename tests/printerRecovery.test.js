@@ -0,0 +1,281 @@
+const DatabaseSchema = require('../server/database/schema');
+const PrinterConfiguration = require('../server/models/PrinterConfiguration');
+const PrinterRoutingRule = require('../server/models/PrinterRoutingRule');
+const PrinterInterface = require('../server/services/PrinterInterface');
+const PrinterRouter = require('../server/services/PrinterRouter');
+const PrinterRecovery = require('../server/services/PrinterRecovery');
+const CupsDriver = require('../server/services/drivers/CupsDriver');
+const diagnostics = require('../server/utils/diagnostics');
+const { AppError, ErrorRecovery } = require('../server/utils/errorHandler');
+
+const ENDURO_URI = 'usb://Magicard/Enduro%203E?serial=E1001';
+const SPARE_URI = 'usb://Magicard/Enduro%203E?serial=E1002';
+const RIO_URI = 'usb://Magicard/Rio%20Pro?serial=R2001';
+
+describe('Printer recovery', () => {
+  let schema;
+  let presetStore;
+  let printerInterface;
+  let queues;
+
+  // Fake CUPS: queue name -> { status, uri }
+  const addQueue = (id, uri, status = 'Ready') => queues.set(id, { status, uri });
+
+  beforeEach(async () => {
+    schema = new DatabaseSchema();
+    schema.connection.dbPath = ':memory:';
+    await schema.initialize();
+    presetStore = new PrinterConfiguration(schema.connection);
+
+    queues = new Map();
+    printerInterface = new PrinterInterface({ drivers: 'cups', presetStore });
+
+    const driver = printerInterface.getDriver(null);
+    const statusOf = (id) => queues.has(id)
+      ? { isConnected: queues.get(id).status === 'Ready', status: queues.get(id).status }
+      : { isConnected: false, status: 'Error' };
+    jest.spyOn(driver, 'discover').mockImplementation(async () =>
+      Array.from(queues.keys()).map(id => ({ id, name: id, ...statusOf(id) }))
+    );
+    jest.spyOn(driver, 'getStatus').mockImplementation(async (printer) => statusOf(printer.id));
+    jest.spyOn(driver, 'getDeviceUri').mockImplementation(async (printer) =>
+      queues.has(printer.id) ? queues.get(printer.id).uri : null
+    );
+  });
+
+  afterEach(async () => {
+    printerInterface.disconnect();
+    await schema.close();
+  });
+
+  const connect = async (...ids) => {
+    await printerInterface.discoverPrinters();
+    for (const id of ids) {
+      await printerInterface.connectToPrinter(id);
+    }
+    await printerInterface.checkPrinterStatuses();
+  };
+
+  describe('PrinterInterface.recoverPrinter', () => {
+    test('should reconnect a printer that comes back under the same queue', async () => {
+      addQueue('Enduro', ENDURO_URI);
+      await connect('Enduro');
+      queues.delete('Enduro');
+      await printerInterface.checkPrinterStatuses();
+
+      const missing = await printerInterface.recoverPrinter('Enduro');
+      expect(missing).toMatchObject({ recovered: false, message: 'Printer Enduro is still unavailable' });
+
+      addQueue('Enduro', ENDURO_URI);
+      const changes = [];
+      printerInterface.on('printerStatusChange', change => changes.push(change));
+
+      const result = await printerInterface.recoverPrinter('Enduro');
+
+      expect(result).toEqual({
+        recovered: true,
+        printerId: 'Enduro',
+        previousPrinterId: 'Enduro',
+        queueChanged: false,
+        message: 'Printer Enduro reconnected'
+      });
+      expect(changes).toEqual([expect.objectContaining({ printerId: 'Enduro', isAvailable: true })]);
+    });
+
+    test('should follow a printer to a new queue with the same device', async () => {
+      addQueue('Enduro', ENDURO_URI);
+      addQueue('Rio', RIO_URI);
+      await connect('Enduro', 'Rio');
+      await printerInterface.saveCalibration('Enduro', { offsetX: 1, offsetY: 0, scale: 1, rotation: 0 });
+      await printerInterface.rememberDeviceUri(printerInterface.getActivePrinters()[0]);
+
+      queues.delete('Enduro');
+      addQueue('Enduro_Plus', ENDURO_URI);
+      const result = await printerInterface.recoverPrinter('Enduro');
+
+      expect(result).toMatchObject({
+        recovered: true,
+        printerId: 'Enduro_Plus',
+        queueChanged: true,
+        message: 'Printer Enduro reconnected as Enduro_Plus'
+      });
+      expect(printerInterface.getActivePrinters().map(printer => printer.id)).toEqual(['Rio', 'Enduro_Plus']);
+      expect(printerInterface.selectedPrinter.id).toBe('Rio');
+      expect(printerInterface.getCalibration('Enduro_Plus').offsetX).toBe(1);
+      expect((await presetStore.findByName('Enduro_Plus')).calibration.offsetX).toBe(1);
+    });
+
+    test('should recognise a numbered queue CUPS re-added when the device is unknown', async () => {
+      addQueue('Enduro', null);
+      await connect('Enduro');
+
+      queues.delete('Enduro');
+      addQueue('Enduro_1', null);
+      addQueue('Enduro_Backup', null);
+      const result = await printerInterface.recoverPrinter();
+
+      expect(result).toMatchObject({ recovered: true, printerId: 'Enduro_1', queueChanged: true });
+      expect(printerInterface.selectedPrinter.id).toBe('Enduro_1');
+    });
+
+    test('should need a printer to recover', async () => {
+      await expect(printerInterface.recoverPrinter()).rejects.toThrow('No printer selected to recover');
+    });
+  });
+
+  describe('Failover', () => {
+    let routingRuleModel;
+
+    beforeEach(async () => {
+      routingRuleModel = new PrinterRoutingRule(schema.connection);
+      await routingRuleModel.create({ matchType: 'template', matchValue: 'staff-template', printerName: 'Enduro' });
+
+      addQueue('Enduro', ENDURO_URI);
+      addQueue('Spare', SPARE_URI);
+      addQueue('Rio', RIO_URI);
+      await connect('Enduro', 'Spare', 'Rio');
+      for (const printer of printerInterface.getActivePrinters()) {
+        await printerInterface.rememberDeviceUri(printer);
+      }
+    });
+
+    test('should only treat printers of the same model as compatible', () => {
+      expect(printerInterface.isCompatiblePrinter('Enduro', 'Spare')).toBe(true);
+      expect(printerInterface.isCompatiblePrinter('Enduro', 'Rio')).toBe(false);
+      expect(printerInterface.isCompatiblePrinter('Enduro', 'Enduro')).toBe(false);
+      expect(printerInterface.isCompatiblePrinter('Unknown', 'Spare')).toBe(false);
+    });
+
+    test('should send routed jobs to a compatible printer only when failover is on', async () => {
+      const online = [{ id: 'Spare', name: 'Spare' }, { id: 'Rio', name: 'Rio' }];
+      const isCompatible = (printerName, candidate) => printerInterface.isCompatiblePrinter(printerName, candidate.id);
+      const job = { templateId: 'staff-template' };
+
+      const strict = new PrinterRouter(routingRuleModel, { failover: false });
+      expect((await strict.createClaimFilter(online[0], online, isCompatible))(job)).toBe(false);
+
+      const failover = new PrinterRouter(routingRuleModel, { failover: true });
+      expect(failover.resolvePrinter(job, await routingRuleModel.findAll(), online, isCompatible))
+        .toMatchObject({ printer: online[0], failover: true });
+      expect((await failover.createClaimFilter(online[0], online, isCompatible))(job)).toBe(true);
+      expect((await failover.createClaimFilter(online[1], online, isCompatible))(job)).toBe(false);
+    });
+  });
+
+  describe('ErrorRecovery', () => {
+    test('should reconnect the printer and report the attempt', async () => {
+      addQueue('Enduro', ENDURO_URI);
+      await connect('Enduro');
+      const io = { emit: jest.fn() };
+
+      const recovery = await ErrorRecovery.attemptRecovery(
+        new AppError('PRINTER_OFFLINE', 'Printer Enduro is Offline'),
+        { printerInterface, printerId: 'Enduro', io }
+      );
+
+      expect(recovery).toMatchObject({
+        attempted: true,
+        successful: true,
+        action: 'printer_reconnect',
+        printerId: 'Enduro',
+        message: 'Printer Enduro reconnected'
+      });
+      expect(io.emit).toHaveBeenCalledWith('printerRecovery', expect.objectContaining({
+        action: 'printer_reconnect',
+        errorType: 'PRINTER_OFFLINE',
+        successful: true
+      }));
+      expect(diagnostics.getDiagnosticHistory()).toContainEqual(expect.objectContaining({
+        component: 'recovery',
+        summary: { status: 'ok', action: 'printer_reconnect', printerId: 'Enduro', message: 'Printer Enduro reconnected' }
+      }));
+    });
+
+    test('should report a failed attempt', async () => {
+      const io = { emit: jest.fn() };
+
+      const recovery = await ErrorRecovery.attemptRecovery(
+        new AppError('PRINTER_NOT_FOUND', 'No printer'),
+        { printerInterface, io }
+      );
+
+      expect(recovery).toMatchObject({
+        attempted: true,
+        successful: false,
+        message: 'Recovery failed: No printer selected to recover'
+      });
+      expect(io.emit).toHaveBeenCalledWith('printerRecovery', expect.objectContaining({ successful: false }));
+    });
+  });
+
+  describe('PrinterRecovery', () => {
+    let printerRecovery;
+
+    beforeEach(async () => {
+      addQueue('Enduro', ENDURO_URI);
+      await connect('Enduro');
+      printerRecovery = new PrinterRecovery(printerInterface, { retryInterval: 1000, maxAttempts: 2 });
+      printerRecovery.start();
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      printerRecovery.stop();
+    });
+
+    const goOffline = async () => {
+      queues.get('Enduro').status = 'Offline';
+      await printerInterface.checkPrinterStatuses();
+    };
+
+    test('should keep trying until the printer is back', async () => {
+      const recovered = new Promise(resolve => printerRecovery.once('printerRecovered', resolve));
+
+      await goOffline();
+      expect(printerRecovery.getPendingRecoveries()).toEqual([{ printerId: 'Enduro', attempts: 0 }]);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(printerRecovery.getPendingRecoveries()).toEqual([{ printerId: 'Enduro', attempts: 1 }]);
+
+      queues.get('Enduro').status = 'Ready';
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(await recovered).toMatchObject({ successful: true, printerId: 'Enduro' });
+      expect(printerRecovery.getPendingRecoveries()).toEqual([]);
+    });
+
+    test('should stop trying when the printer comes back by itself', async () => {
+      await goOffline();
+
+      queues.get('Enduro').status = 'Ready';
+      await printerInterface.checkPrinterStatuses();
+
+      expect(printerRecovery.getPendingRecoveries()).toEqual([]);
+    });
+
+    test('should give up after the last attempt', async () => {
+      const gaveUp = jest.fn();
+      printerRecovery.on('recoveryGaveUp', gaveUp);
+
+      await goOffline();
+      await jest.advanceTimersByTimeAsync(2000);
+
+      expect(gaveUp).toHaveBeenCalledWith('Enduro', 2);
+      expect(printerRecovery.getPendingRecoveries()).toEqual([]);
+    });
+  });
+
+  describe('CupsDriver.getDeviceUri', () => {
+    test('should read the device URI from lpstat', async () => {
+      const driver = new CupsDriver();
+      jest.spyOn(driver, 'run').mockResolvedValue({ stdout: `device for Enduro: ${ENDURO_URI}\n` });
+
+      expect(await driver.getDeviceUri({ id: 'Enduro' })).toBe(ENDURO_URI);
+      expect(driver.run).toHaveBeenCalledWith('lpstat', ['-v', 'Enduro']);
+
+      driver.run.mockRejectedValue(new Error('lpstat: Invalid destination name'));
+      expect(await driver.getDeviceUri({ id: 'Enduro' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,203 @@
+const request = require('supertest');
+const express = require('express');
+const DatabaseSchema = require('../server/database/schema');
+const BadgeJob = require('../server/models/BadgeJob');
+const PrinterRoutingRule = require('../server/models/PrinterRoutingRule');
+const PrinterRouter = require('../server/services/PrinterRouter');
+const printerRoutes = require('../server/routes/printers');
+
+describe('Printer Routing', () => {
+  let schema;
+  let routingRuleModel;
+
+  beforeEach(async () => {
+    schema = new DatabaseSchema();
+    schema.connection.dbPath = ':memory:';
+    await schema.initialize();
+    routingRuleModel = new PrinterRoutingRule(schema.connection);
+  });
+
+  afterEach(async () => {
+    await schema.close();
+  });
+
+  describe('PrinterRoutingRule model', () => {
+    test('should create and list routing rules', async () => {
+      const rule = await routingRuleModel.create({
+        matchType: 'template',
+        matchValue: 'staff-template',
+        printerName: 'enduro-staff',
+        fallbackPrinterName: 'enduro-spare'
+      });
+
+      expect(rule.id).toBeDefined();
+      expect(rule.printerName).toBe('enduro-staff');
+      expect(rule.fallbackPrinterName).toBe('enduro-spare');
+
+      const rules = await routingRuleModel.findAll();
+      expect(rules).toHaveLength(1);
+    });
+
+    test('should reject an unknown match type', async () => {
+      await expect(routingRuleModel.create({
+        matchType: 'colour',
+        matchValue: 'red',
+        printerName: 'enduro-1'
+      })).rejects.toThrow('Invalid matchType');
+    });
+
+    test('should reject a duplicate match', async () => {
+      await routingRuleModel.create({ matchType: 'category', matchValue: 'staff', printerName: 'enduro-1' });
+
+      await expect(routingRuleModel.create({
+        matchType: 'category',
+        matchValue: 'staff',
+        printerName: 'enduro-2'
+      })).rejects.toThrow('already exists');
+    });
+
+    test('should reject a fallback that is the same printer', async () => {
+      await expect(routingRuleModel.create({
+        matchType: 'category',
+        matchValue: 'staff',
+        printerName: 'enduro-1',
+        fallbackPrinterName: 'enduro-1'
+      })).rejects.toThrow('Invalid fallbackPrinterName');
+    });
+
+    test('should update and delete a rule', async () => {
+      const rule = await routingRuleModel.create({ matchType: 'badgeImage', matchValue: 'house-a.png', printerName: 'enduro-1' });
+
+      const updated = await routingRuleModel.update(rule.id, { printerName: 'enduro-2' });
+      expect(updated.printerName).toBe('enduro-2');
+      expect(updated.matchValue).toBe('house-a.png');
+
+      await routingRuleModel.delete(rule.id);
+      expect(await routingRuleModel.findById(rule.id)).toBeNull();
+      await expect(routingRuleModel.delete(rule.id)).rejects.toThrow('not found');
+    });
+  });
+
+  describe('PrinterRouter', () => {
+    const staffPrinter = { id: 'enduro-staff', name: 'Enduro Staff' };
+    const attendeePrinter = { id: 'enduro-attendee', name: 'Enduro Attendee' };
+    const sparePrinter = { id: 'enduro-spare', name: 'Enduro Spare' };
+    let router;
+
+    beforeEach(async () => {
+      router = new PrinterRouter(routingRuleModel);
+      await routingRuleModel.create({ matchType: 'template', matchValue: 'staff-template', printerName: 'enduro-staff', fallbackPrinterName: 'Enduro Spare' });
+      await routingRuleModel.create({ matchType: 'category', matchValue: 'crew', printerName: 'enduro-attendee' });
+    });
+
+    test('should send routed jobs only to their target printer', async () => {
+      const online = [staffPrinter, attendeePrinter];
+      const job = { templateId: 'staff-template' };
+
+      const staffFilter = await router.createClaimFilter(staffPrinter, online);
+      const attendeeFilter = await router.createClaimFilter(attendeePrinter, online);
+
+      expect(staffFilter(job)).toBe(true);
+      expect(attendeeFilter(job)).toBe(false);
+    });
+
+    test('should let any printer take unrouted jobs', async () => {
+      const filter = await router.createClaimFilter(attendeePrinter, [staffPrinter, attendeePrinter]);
+
+      expect(filter({ templateId: 'attendee-template' })).toBe(true);
+    });
+
+    test('should prefer a category rule over a template rule', async () => {
+      const online = [staffPrinter, attendeePrinter];
+      const job = { templateId: 'staff-template', category: 'crew' };
+
+      const attendeeFilter = await router.createClaimFilter(attendeePrinter, online);
+
+      expect(attendeeFilter(job)).toBe(true);
+    });
+
+    test('should use the fallback printer while the target is offline', async () => {
+      const online = [attendeePrinter, sparePrinter];
+
+      const spareFilter = await router.createClaimFilter(sparePrinter, online);
+      const attendeeFilter = await router.createClaimFilter(attendeePrinter, online);
+
+      expect(spareFilter({ templateId: 'staff-template' })).toBe(true);
+      expect(attendeeFilter({ templateId: 'staff-template' })).toBe(false);
+    });
+
+    test('should leave routed jobs queued when no allowed printer is online', async () => {
+      const attendeeFilter = await router.createClaimFilter(attendeePrinter, [attendeePrinter]);
+      const defaultFilter = await router.createClaimFilter(null, []);
+
+      expect(attendeeFilter({ templateId: 'staff-template' })).toBe(false);
+      expect(defaultFilter({ templateId: 'staff-template' })).toBe(false);
+    });
+
+    test('should keep the job queued when claiming for the wrong printer', async () => {
+      const badgeJob = new BadgeJob(schema.connection);
+      await badgeJob.create({ templateId: 'staff-template', uid: 'STAFF001', badgeName: 'Sam Staff' });
+
+      const filter = await router.createClaimFilter(attendeePrinter, [attendeePrinter]);
+      const claimed = await badgeJob.claimNextJob(attendeePrinter.id, filter);
+
+      expect(claimed).toBeNull();
+      expect((await badgeJob.findAll('queued'))).toHaveLength(1);
+    });
+  });
+
+  describe('/api/printers/routing', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.set('dbConnection', schema.connection);
+      app.use('/api/printers', printerRoutes);
+    });
+
+    test('should create, list, update and delete routing rules', async () => {
+      const createResponse = await request(app)
+        .post('/api/printers/routing')
+        .send({ matchType: 'category', matchValue: 'staff', printerName: 'enduro-staff' })
+        .expect(201);
+
+      expect(createResponse.body.success).toBe(true);
+      const ruleId = createResponse.body.rule.id;
+
+      const listResponse = await request(app).get('/api/printers/routing').expect(200);
+      expect(listResponse.body.count).toBe(1);
+      expect(listResponse.body.matchTypes).toEqual(['category', 'badgeImage', 'template']);
+
+      const updateResponse = await request(app)
+        .put(`/api/printers/routing/${ruleId}`)
+        .send({ fallbackPrinterName: 'enduro-spare' })
+        .expect(200);
+      expect(updateResponse.body.rule.fallbackPrinterName).toBe('enduro-spare');
+
+      await request(app).delete(`/api/printers/routing/${ruleId}`).expect(200);
+      await request(app).delete(`/api/printers/routing/${ruleId}`).expect(404);
+    });
+
+    test('should reject invalid rules', async () => {
+      const response = await request(app)
+        .post('/api/printers/routing')
+        .send({ matchType: 'template', printerName: 'enduro-staff' })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toContain('matchValue');
+    });
+
+    test('should reject duplicate rules', async () => {
+      const rule = { matchType: 'template', matchValue: 'staff-template', printerName: 'enduro-staff' };
+      await request(app).post('/api/printers/routing').send(rule).expect(201);
+      await request(app).post('/api/printers/routing').send(rule).expect(409);
+    });
+
+    test('should return 503 without a database connection', async () => {
+      app.set('dbConnection', null);
+      await request(app).get('/api/printers/routing').expect(503);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const request = require('supertest');
+const express = require('express');
+const DatabaseSchema = require('../server/database/schema');
+const Setting = require('../server/models/Setting');
+const PrintQueueManager = require('../server/services/PrintQueueManager');
+const { errorMiddleware } = require('../server/utils/errorHandler');
+const queueRoutes = require('../server/routes/queue');
+
+describe('Queue pause, resume and drain', () => {
+  let schema;
+  let settingsModel;
+
+  beforeEach(async () => {
+    schema = new DatabaseSchema();
+    schema.connection.dbPath = ':memory:';
+    await schema.initialize();
+    settingsModel = new Setting(schema.connection);
+  });
+
+  afterEach(async () => {
+    await schema.close();
+  });
+
+  describe('Setting model', () => {
+    test('should return the default for a missing key', async () => {
+      expect(await settingsModel.get('missing', 'fallback')).toBe('fallback');
+    });
+
+    test('should store and overwrite JSON values', async () => {
+      await settingsModel.set('queue.state', { state: 'paused' });
+      await settingsModel.set('queue.state', { state: 'running' });
+
+      expect(await settingsModel.get('queue.state')).toEqual({ state: 'running' });
+    });
+
+    test('should delete a key', async () => {
+      await settingsModel.set('queue.state', { state: 'paused' });
+
+      expect(await settingsModel.delete('queue.state')).toBe(true);
+      expect(await settingsModel.get('queue.state')).toBeNull();
+    });
+  });
+
+  describe('/api/queue controls', () => {
+    let app;
+    let queueManager;
+    let mockBadgeJobModel;
+    let mockIo;
+
+    beforeEach(() => {
+      mockBadgeJobModel = {
+        claimNextJob: jest.fn().mockResolvedValue(null),
+        getQueueStats: jest.fn().mockResolvedValue({ total: 0 }),
+        findAll: jest.fn().mockResolvedValue([])
+      };
+      mockIo = { emit: jest.fn() };
+
+      queueManager = new PrintQueueManager(
+        mockBadgeJobModel,
+        { printDocument: jest.fn() },
+        { generateBadge: jest.fn() },
+        mockIo,
+        { settingsModel }
+      );
+
+      app = express();
+      app.use(express.json());
+      app.set('queueManager', queueManager);
+      app.use('/api/queue', queueRoutes);
+      app.use(errorMiddleware);
+    });
+
+    afterEach(async () => {
+      await queueManager.cleanup();
+    });
+
+    test('should pause the queue and persist the paused state', async () => {
+      const response = await request(app).post('/api/queue/pause').expect(200);
+
+      expect(response.body.queueState.state).toBe('paused');
+      expect(await settingsModel.get(PrintQueueManager.QUEUE_STATE_SETTING)).toEqual(
+        expect.objectContaining({ state: 'paused', reason: 'manual' })
+      );
+      expect(mockIo.emit).toHaveBeenCalledWith('queueStateChange', expect.objectContaining({ state: 'paused' }));
+    });
+
+    test('should resume a paused queue', async () => {
+      await request(app).post('/api/queue/pause').expect(200);
+      const response = await request(app).post('/api/queue/resume').expect(200);
+
+      expect(response.body.queueState.state).toBe('running');
+      expect(queueManager.isProcessing).toBe(true);
+      expect(await settingsModel.get(PrintQueueManager.QUEUE_STATE_SETTING)).toEqual(
+        expect.objectContaining({ state: 'running' })
+      );
+    });
+
+    test('should drain while a job is in flight', async () => {
+      queueManager.workers.get(null).currentJob = { id: 'job1' };
+
+      const response = await request(app).post('/api/queue/drain').expect(200);
+
+      expect(response.body.queueState.state).toBe('draining');
+      expect(response.body.queueState.activeJobs).toBe(1);
+    });
+
+    test('should restore a paused queue from settings', async () => {
+      await request(app).post('/api/queue/pause').expect(200);
+
+      const restoredManager = new PrintQueueManager(
+        mockBadgeJobModel,
+        { printDocument: jest.fn() },
+        { generateBadge: jest.fn() },
+        mockIo,
+        { settingsModel, initialState: await settingsModel.get(PrintQueueManager.QUEUE_STATE_SETTING) }
+      );
+
+      expect(restoredManager.getQueueState().state).toBe('paused');
+      expect(restoredManager.isProcessing).toBe(false);
+
+      await restoredManager.cleanup();
+    });
+
+    test('should return 503 without a queue manager', async () => {
+      app.set('queueManager', null);
+      await request(app).post('/api/queue/pause').expect(503);
+    });
+  });
+});
@@ -38,19 +38,16 @@ describe('Template Compatibility and Processing Tests', () => {
         expect(typeof template.textFields).toBe('object');
         
         // Validate text fields structure
-        expect(template.textFields).toHaveProperty('uid');
-        expect(template.textFields).toHaveProperty('badgeName');
+        expect(template.textFields.version).toBe(2);
         
-        ['uid', 'badgeName'].forEach(field => {
-          expect(template.textFields[field]).toHaveProperty('x');
-          expect(template.textFields[field]).toHaveProperty('y');
-          expect(template.textFields[field]).toHaveProperty('fontSize');
-          expect(template.textFields[field]).toHaveProperty('fontFamily');
+        ['uid', 'badgeName'].forEach(name => {
+          const field = template.textFields.fields.find(textField => textField.name === name);
+          expect(field).toBeDefined();
           
-          expect(typeof template.textFields[field].x).toBe('number');
-          expect(typeof template.textFields[field].y).toBe('number');
-          expect(typeof template.textFields[field].fontSize).toBe('number');
-          expect(typeof template.textFields[field].fontFamily).toBe('string');
+          ['x1', 'y1', 'x2', 'y2'].forEach(prop => {
+            expect(typeof field[prop]).toBe('number');
+          });
+          expect(typeof field.fontFamily).toBe('string');
         });
       });
       
@@ -281,24 +278,20 @@ describe('Template Compatibility and Processing Tests', () => {
       
       templates.forEach(template => {
         // Validate text field coordinates are reasonable
-        ['uid', 'badgeName'].forEach(field => {
-          const textField = template.textFields[field];
-          
-          // Coordinates should be positive
-          expect(textField.x).toBeGreaterThanOrEqual(0);
-          expect(textField.y).toBeGreaterThanOrEqual(0);
-          
-          // Font size should be reasonable
-          expect(textField.fontSize).toBeGreaterThan(0);
-          expect(textField.fontSize).toBeLessThan(200);
+        template.textFields.fields.forEach(textField => {
+          // Coordinates should be positive, with room for text
+          expect(textField.x1).toBeGreaterThanOrEqual(0);
+          expect(textField.y1).toBeGreaterThanOrEqual(0);
+          expect(textField.x2).toBeGreaterThan(textField.x1);
+          expect(textField.y2).toBeGreaterThan(textField.y1);
           
           // Font family should be specified
           expect(textField.fontFamily.length).toBeGreaterThan(0);
         });
         
         // Template should have reasonable dimensions implied by coordinates
-        const maxX = Math.max(template.textFields.uid.x, template.textFields.badgeName.x);
-        const maxY = Math.max(template.textFields.uid.y, template.textFields.badgeName.y);
+        const maxX = Math.max(...template.textFields.fields.map(textField => textField.x2));
+        const maxY = Math.max(...template.textFields.fields.map(textField => textField.y2));
         
         // Coordinates should be within reasonable badge dimensions
         expect(maxX).toBeLessThan(2000); // Assuming max badge width
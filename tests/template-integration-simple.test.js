@@ -2,6 +2,7 @@ const request = require('supertest');
 const express = require('express');
 const DatabaseConnection = require('../server/database/connection');
 const Template = require('../server/models/Template');
+const TemplateProcessor = require('../server/services/TemplateProcessor');
 const path = require('path');
 const fs = require('fs');
 
@@ -32,7 +33,8 @@ describe('Template Integration - Simple Tests', () => {
     app = createTestApp();
     
     // Initialize test database
-    dbConnection = new DatabaseConnection(':memory:');
+    dbConnection = new DatabaseConnection();
+    dbConnection.dbPath = ':memory:';
     await dbConnection.connect();
     
     // Create templates table
@@ -44,6 +46,8 @@ describe('Template Integration - Simple Tests', () => {
         preview_path TEXT,
         text_fields TEXT NOT NULL,
         printer_presets TEXT,
+        back_side TEXT,
+        custom_fields TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
@@ -185,6 +189,287 @@ describe('Template Integration - Simple Tests', () => {
     });
   });
 
+  describe('Template Back Side', () => {
+    const backSide = { background: 'Byakko2025.png' };
+
+    afterEach(async () => {
+      await templateModel.update(testTemplateId, { backSide: null });
+    });
+
+    it('should set and clear a template back side', async () => {
+      const response = await request(app)
+        .put(`/api/templates/${testTemplateId}/back-side`)
+        .send({ backSide })
+        .expect(200);
+      expect(response.body.template.backSide).toEqual(backSide);
+
+      const template = await request(app).get(`/api/templates/${testTemplateId}`).expect(200);
+      expect(template.body.template.backSide).toEqual(backSide);
+
+      const cleared = await request(app)
+        .put(`/api/templates/${testTemplateId}/back-side`)
+        .send({ backSide: null })
+        .expect(200);
+      expect(cleared.body.template.backSide).toBeNull();
+    });
+
+    it('should reject an invalid back side', async () => {
+      const boxes = await request(app)
+        .put(`/api/templates/${testTemplateId}/back-side`)
+        .send({ backSide: { fields: [{ type: 'text', value: 'Badge {uid}', x1: 100, y1: 650, x2: 700, y2: 740 }] } })
+        .expect(400);
+      expect(boxes.body.message).toBe('backSide fields belong in the text field layout, as textFields.back');
+      await request(app).put(`/api/templates/${testTemplateId}/back-side`).send({}).expect(400);
+      await request(app).put('/api/templates/non-existent-id/back-side').send({ backSide }).expect(404);
+    });
+  });
+
+  describe('Template Text Fields', () => {
+    const layout = {
+      version: 2,
+      fields: [
+        { name: 'uid', x1: 120, y1: 640, x2: 320, y2: 710, fontFamily: 'Arial' },
+        { name: 'badgeName', x1: 120, y1: 240, x2: 520, y2: 340, fontFamily: 'Arial Bold' }
+      ],
+      back: [
+        { type: 'text', value: 'Badge {uid}', x1: 100, y1: 650, x2: 700, y2: 740 },
+        { type: 'qr', value: 'https://example.org/badges/{uid}', x1: 800, y1: 250, x2: 1100, y2: 550 }
+      ]
+    };
+
+    it('should move the text boxes of a template created through the model', async () => {
+      const response = await request(app)
+        .put(`/api/templates/${testTemplateId}/text-fields`)
+        .send({ textFields: layout })
+        .expect(200);
+      expect(response.body.template.textFields).toEqual(layout);
+
+      const template = await request(app).get(`/api/templates/${testTemplateId}`).expect(200);
+      expect(template.body.template.textFields).toEqual(layout);
+    });
+
+    it('should accept the box list the positioning UI used to send', async () => {
+      const response = await request(app)
+        .put(`/api/templates/${testTemplateId}/text-fields`)
+        .send({ textFields: layout.fields.map(({ fontFamily, ...box }) => box) })
+        .expect(200);
+      expect(response.body.template.textFields).toEqual({
+        version: 2,
+        fields: [
+          { ...layout.fields[0], fontFamily: 'Arial' },
+          { ...layout.fields[1], fontFamily: 'Arial Bold' }
+        ]
+      });
+    });
+
+    it('should reject an invalid layout', async () => {
+      await request(app).put(`/api/templates/${testTemplateId}/text-fields`).send({}).expect(400);
+      await request(app)
+        .put(`/api/templates/${testTemplateId}/text-fields`)
+        .send({ textFields: { version: 2, fields: layout.fields.slice(0, 1) } })
+        .expect(400);
+      await request(app).put('/api/templates/non-existent-id/text-fields').send({ textFields: layout }).expect(404);
+    });
+  });
+
+  describe('Template Custom Fields', () => {
+    const customFields = [
+      { name: 'crewTeam', type: 'text', label: 'Crew team', required: true, maxLength: 20 }
+    ];
+
+    afterEach(async () => {
+      await templateModel.update(testTemplateId, { customFields: [] });
+    });
+
+    it('should set and clear a template\'s custom fields', async () => {
+      const response = await request(app)
+        .put(`/api/templates/${testTemplateId}/custom-fields`)
+        .send({ customFields })
+        .expect(200);
+      expect(response.body.template.customFields).toEqual(customFields);
+
+      const cleared = await request(app)
+        .put(`/api/templates/${testTemplateId}/custom-fields`)
+        .send({ customFields: [] })
+        .expect(200);
+      expect(cleared.body.template.customFields).toEqual([]);
+    });
+
+    it('should place custom fields with the text fields', async () => {
+      await request(app).put(`/api/templates/${testTemplateId}/custom-fields`).send({ customFields }).expect(200);
+      const template = await request(app).get(`/api/templates/${testTemplateId}`).expect(200);
+      const box = { name: 'crewTeam', x1: 100, y1: 450, x2: 500, y2: 510, align: 'left' };
+      const textFields = { ...template.body.template.textFields, fields: [...template.body.template.textFields.fields, box] };
+
+      const placed = await request(app)
+        .put(`/api/templates/${testTemplateId}/text-fields`)
+        .send({ textFields })
+        .expect(200);
+      expect(placed.body.template.textFields.fields).toContainEqual(box);
+
+      const removed = await request(app)
+        .put(`/api/templates/${testTemplateId}/custom-fields`)
+        .send({ customFields: [] })
+        .expect(200);
+      expect(removed.body.template.textFields.fields.map(field => field.name)).toEqual(['uid', 'badgeName']);
+
+      const unknown = await request(app)
+        .put(`/api/templates/${testTemplateId}/text-fields`)
+        .send({ textFields })
+        .expect(400);
+      expect(unknown.body.message).toBe('textFields.crewTeam is not a field of this template');
+    });
+
+    it('should reject invalid custom fields', async () => {
+      await request(app).put(`/api/templates/${testTemplateId}/custom-fields`).send({ customFields: [{ name: 'uid' }] }).expect(400);
+      await request(app).put(`/api/templates/${testTemplateId}/custom-fields`).send({}).expect(400);
+      await request(app).put('/api/templates/non-existent-id/custom-fields').send({ customFields }).expect(404);
+    });
+  });
+
+  describe('Template Upload', () => {
+    const pngImage = Buffer.from('89504e470d0a1a0a0000000d4948445200000001000000010806000000', 'hex');
+    const textFields = JSON.stringify({
+      uid: { x: 100, y: 650, fontSize: 14, fontFamily: 'Arial' },
+      badgeName: { x: 100, y: 250, fontSize: 18, fontFamily: 'Arial Bold' }
+    });
+    let templatesDir;
+
+    const uploadTemplate = (name, options = {}) => request(app)
+      .post('/api/templates')
+      .field('name', name)
+      .field('textFields', options.textFields || textFields)
+      .field('defaultPreset', options.defaultPreset || 'standard-holokote')
+      .attach('background', pngImage, options.fileName || 'front.png');
+
+    beforeAll(async () => {
+      templatesDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'templates-'));
+      app.set('templatesDir', templatesDir);
+      await dbConnection.run(`
+        CREATE TABLE IF NOT EXISTS badge_jobs (
+          id TEXT PRIMARY KEY,
+          template_id TEXT NOT NULL,
+          status TEXT NOT NULL
+        )
+      `);
+    });
+
+    afterAll(() => {
+      fs.rmSync(templatesDir, { recursive: true, force: true });
+    });
+
+    it('should store an uploaded template under the templates directory', async () => {
+      const response = await uploadTemplate('Uploaded Staff').expect(201);
+      const { template } = response.body;
+
+      expect(template).toMatchObject({ name: 'Uploaded Staff', printerPresets: 'standard-holokote' });
+      expect(response.body.validation.isValid).toBe(true);
+      expect(path.dirname(path.dirname(template.filePath))).toBe(path.resolve(templatesDir));
+      expect(fs.readFileSync(template.filePath)).toEqual(pngImage);
+      expect(template.previewPath).toBe(`/templates/${path.basename(path.dirname(template.filePath))}/background.png`);
+
+      const list = await request(app).get('/api/templates').expect(200);
+      expect(list.body.templates.map(listed => listed.name)).toContain('Uploaded Staff');
+    });
+
+    it('should refuse a second template with the same name', async () => {
+      await uploadTemplate('Uploaded Crew').expect(201);
+      const directories = fs.readdirSync(templatesDir).length;
+
+      const response = await uploadTemplate('Uploaded Crew').expect(409);
+
+      expect(response.body.message).toContain('already exists');
+      expect(fs.readdirSync(templatesDir)).toHaveLength(directories);
+    });
+
+    it('should reject incomplete or invalid uploads', async () => {
+      await request(app).post('/api/templates').field('name', 'No Background').field('textFields', textFields).expect(400);
+      await uploadTemplate('Wrong Format', { fileName: 'front.gif' }).expect(400);
+      await uploadTemplate('Bad Layout', { textFields: '{"uid":' }).expect(400);
+      await uploadTemplate('Missing Field', { textFields: JSON.stringify({ uid: { x: 1, y: 2, fontSize: 3, fontFamily: 'Arial' } }) })
+        .expect(400);
+      await uploadTemplate('Bad Preset', { defaultPreset: '../presets' }).expect(400);
+
+      const list = await request(app).get('/api/templates').expect(200);
+      expect(list.body.templates.map(listed => listed.name)).not.toContain('Wrong Format');
+    });
+
+    it('should reject a background that is not the image its name says', async () => {
+      const directories = fs.readdirSync(templatesDir).length;
+
+      const response = await request(app)
+        .post('/api/templates')
+        .field('name', 'Renamed Text')
+        .field('textFields', textFields)
+        .attach('background', Buffer.from('not an image'), 'front.png')
+        .expect(400);
+
+      expect(response.body.message).toBe('background is not a PNG image');
+      await request(app)
+        .post('/api/templates')
+        .field('name', 'Renamed PNG')
+        .field('textFields', textFields)
+        .attach('background', pngImage, 'front.jpg')
+        .expect(400);
+      expect(fs.readdirSync(templatesDir)).toHaveLength(directories);
+    });
+
+    it('should reject a default preset no printer has', async () => {
+      app.set('printerInterface', { getPresetIds: () => ['standard-holokote', 'standard-no-holokote'] });
+
+      try {
+        const response = await uploadTemplate('Unknown Preset', { defaultPreset: 'standard' }).expect(400);
+
+        expect(response.body.message)
+          .toBe("defaultPreset 'standard' does not exist; valid presets are: standard-holokote, standard-no-holokote");
+        await uploadTemplate('Known Preset').expect(201);
+      } finally {
+        app.set('printerInterface', null);
+      }
+    });
+
+    it('should remove the template directory when saving the upload fails', async () => {
+      const directories = fs.readdirSync(templatesDir).length;
+      const validate = jest.spyOn(TemplateProcessor.prototype, 'validateTemplate')
+        .mockRejectedValue(new Error('Disk unavailable'));
+
+      try {
+        await uploadTemplate('Uploaded Broken').expect(500);
+      } finally {
+        validate.mockRestore();
+      }
+
+      expect(fs.readdirSync(templatesDir)).toHaveLength(directories);
+    });
+
+    it('should delete a template and its files once no active job uses it', async () => {
+      const { body } = await uploadTemplate('Uploaded Guest').expect(201);
+      await dbConnection.run('INSERT INTO badge_jobs (id, template_id, status) VALUES (?, ?, ?)', ['job1', body.template.id, 'queued']);
+
+      const inUse = await request(app).delete(`/api/templates/${body.template.id}`).expect(409);
+      expect(inUse.body.message).toBe('Cannot delete template that is being used by active jobs');
+
+      await dbConnection.run('UPDATE badge_jobs SET status = ? WHERE id = ?', ['completed', 'job1']);
+      await request(app).delete(`/api/templates/${body.template.id}`).expect(200);
+
+      expect(fs.existsSync(path.dirname(body.template.filePath))).toBe(false);
+      await request(app).get(`/api/templates/${body.template.id}`).expect(404);
+      await request(app).delete(`/api/templates/${body.template.id}`).expect(404);
+    });
+
+    it('should leave files outside the templates directory alone', async () => {
+      const template = await templateModel.create({
+        name: 'Stored Elsewhere',
+        filePath: testTemplateFilePath,
+        textFields: JSON.parse(textFields)
+      });
+
+      await request(app).delete(`/api/templates/${template.id}`).expect(200);
+
+      expect(fs.existsSync(testTemplateFilePath)).toBe(true);
+    });
+  });
+
   describe('Template Integration Workflow', () => {
     it('should complete template selection to preview workflow', async () => {
       // Step 1: Get template details
@@ -61,7 +61,13 @@ describe('Template Model', () => {
       expect(createdTemplate).toHaveProperty('id');
       expect(createdTemplate.name).toBe(templateData.name);
       expect(createdTemplate.filePath).toBe(templateData.filePath);
-      expect(createdTemplate.textFields).toEqual(templateData.textFields);
+      expect(createdTemplate.textFields).toEqual({
+        version: 2,
+        fields: [
+          { name: 'uid', x1: 100, y1: 200, x2: 300, y2: 270, fontFamily: 'Arial', fontSize: 12 },
+          { name: 'badgeName', x1: 100, y1: 250, x2: 500, y2: 350, fontFamily: 'Arial Bold', fontSize: 16 }
+        ]
+      });
       expect(createdTemplate.printerPresets).toBe(templateData.printerPresets);
       expect(createdTemplate.createdAt).toBeInstanceOf(Date);
     });
@@ -245,6 +251,21 @@ describe('Template Model', () => {
     test('should throw error for non-existent template', async () => {
       await expect(template.delete('non-existent-id')).rejects.toThrow('not found');
     });
+
+    test('should not delete a template while a job awaits review', async () => {
+      const BadgeJob = require('../server/models/BadgeJob');
+      const badgeJob = new BadgeJob(schema.connection);
+      const createdTemplate = await template.create({
+        name: 'Standard Badge',
+        filePath: testFilePath,
+        textFields: validTextFields
+      });
+      const job = await badgeJob.create({ templateId: createdTemplate.id, uid: 'USER001', badgeName: 'John Doe' });
+      await badgeJob.flagForReview(job.id, 'Interrupted while printing');
+
+      await expect(template.delete(createdTemplate.id)).rejects.toThrow('being used by active jobs');
+      expect(await template.findById(createdTemplate.id)).not.toBeNull();
+    });
   });
 
   describe('validateTemplateFile', () => {
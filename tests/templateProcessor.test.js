@@ -79,8 +79,8 @@ describe('TemplateProcessor', () => {
       expect(template).toBeDefined();
       expect(template.id).toBe(testTemplate.id);
       expect(template.name).toBe('Test Badge');
-      expect(template.textFields).toHaveProperty('uid');
-      expect(template.textFields).toHaveProperty('badgeName');
+      expect(template.textFields.version).toBe(2);
+      expect(template.textFields.fields.map(field => field.name)).toEqual(['uid', 'badgeName']);
     });
 
     test('should throw error for non-existent template', async () => {
@@ -160,6 +160,79 @@ describe('TemplateProcessor', () => {
     });
   });
 
+  describe('getTextFieldBoxes', () => {
+    test('should read the boxes of the template layout', () => {
+      const boxes = templateProcessor.getTextFieldBoxes(testTemplate);
+
+      expect(boxes.uid).toMatchObject({ x1: 50, y1: 100, x2: 250, y2: 170, fontFamily: 'Arial' });
+      expect(boxes.badgeName).toMatchObject({ x1: 50, y1: 150, x2: 450, y2: 250, fontFamily: 'Arial Bold' });
+    });
+
+    test('should convert a layout stored in an older shape', () => {
+      const boxes = templateProcessor.getTextFieldBoxes({
+        textFields: JSON.stringify([
+          { name: 'uid', x1: 10, y1: 20, x2: 110, y2: 60 },
+          { name: 'badgeName', x: 10, y: 80, fontSize: 18, fontFamily: 'Arial Bold' }
+        ])
+      });
+
+      expect(boxes.uid).toMatchObject({ x1: 10, y1: 20, x2: 110, y2: 60, fontFamily: 'Arial' });
+      expect(boxes.badgeName).toMatchObject({ x1: 10, y1: 80, x2: 410, y2: 180 });
+    });
+
+    test('should fall back to default boxes for a layout it cannot read', () => {
+      const boxes = templateProcessor.getTextFieldBoxes({ textFields: '{"uid":' });
+
+      expect(boxes.uid).toMatchObject({ x1: 100, y1: 650, x2: 300, y2: 720 });
+      expect(boxes.badgeName).toMatchObject({ x1: 100, y1: 250, x2: 500, y2: 350 });
+    });
+  });
+
+  describe('generateBadgeDocument', () => {
+    const back = [
+      { type: 'text', value: 'Lost? Return to the info desk', x1: 100, y1: 50, x2: 1126, y2: 150 },
+      { type: 'text', value: 'Badge {uid}', x1: 100, y1: 650, x2: 700, y2: 740 },
+      { type: 'qr', value: 'https://example.org/badges/{uid}', x1: 800, y1: 250, x2: 1100, y2: 550 }
+    ];
+
+    const addBackSide = () => templateModel.update(testTemplate.id, {
+      backSide: {},
+      textFields: { ...testTemplate.textFields, back }
+    });
+
+    test('should keep single-sided templates as a PNG', async () => {
+      const document = await templateProcessor.generateBadgeDocument(testTemplate.id, 'TEST123', 'John Doe', templateModel);
+
+      expect(document.sides).toBe(1);
+      expect(document.extension).toBe('.png');
+      expect(document.buffer.slice(0, 4)).toEqual(Buffer.from([0x89, 0x50, 0x4E, 0x47]));
+    });
+
+    test('should render a two-page PDF for a template with a back side', async () => {
+      await addBackSide();
+      const renderQrCode = jest.spyOn(templateProcessor, 'renderQrCode');
+
+      const document = await templateProcessor.generateBadgeDocument(testTemplate.id, 'TEST123', 'John Doe', templateModel);
+
+      expect(document.sides).toBe(2);
+      expect(document.extension).toBe('.pdf');
+      expect(document.buffer.slice(0, 4).toString()).toBe('%PDF');
+      expect(document.buffer.toString('latin1').match(/\/Type\s*\/Page\b/g)).toHaveLength(2);
+      expect(renderQrCode).toHaveBeenCalledWith(expect.anything(), 'https://example.org/badges/TEST123', back[2]);
+    });
+
+    test('should leave the back out when asked to', async () => {
+      await addBackSide();
+
+      const document = await templateProcessor.generateBadgeDocument(
+        testTemplate.id, 'TEST123', 'John Doe', templateModel, null, { printBack: false }
+      );
+
+      expect(document.sides).toBe(1);
+      expect(document.extension).toBe('.png');
+    });
+  });
+
   describe('getTemplatePreview', () => {
     test('should generate template preview successfully', async () => {
       const previewBuffer = await templateProcessor.getTemplatePreview(
@@ -371,6 +444,75 @@ describe('TemplateProcessor', () => {
     });
   });
 
+  describe('layoutText', () => {
+    // Every character is half the font size wide
+    const createMeasuringContext = () => ({
+      font: '10px Arial',
+      measureText(text) {
+        return { width: text.length * parseFloat(this.font) * 0.5 };
+      },
+      save: jest.fn(),
+      restore: jest.fn(),
+      beginPath: jest.fn(),
+      rect: jest.fn(),
+      clip: jest.fn(),
+      fillText: jest.fn(),
+      strokeText: jest.fn()
+    });
+    const box = { x1: 100, y1: 200, x2: 300, y2: 300, fontFamily: 'Arial' };
+    const layout = (text, config = {}) => {
+      const field = { ...box, ...config };
+      return templateProcessor.layoutText(createMeasuringContext(), text, field, templateProcessor.getTextStyle(field));
+    };
+
+    test('should use the largest size that fits the box', () => {
+      expect(layout('Sam').fontSize).toBe(83);
+      expect(layout('A'.repeat(40)).fontSize).toBe(10);
+      expect(layout('Sam', { maxFontSize: 30 }).fontSize).toBe(30);
+      expect(layout('Sam', { fontSize: 24 }).fontSize).toBe(24);
+      expect(layout('A'.repeat(100), { minFontSize: 12 }).fontSize).toBe(12);
+    });
+
+    test('should wrap onto more lines when the field allows it', () => {
+      const single = layout('Alexandra Catherine Montgomery');
+      const wrapped = layout('Alexandra Catherine Montgomery', { wrap: true });
+
+      expect(single).toMatchObject({ fontSize: 13, lines: [{ text: 'Alexandra Catherine Montgomery' }] });
+      expect(wrapped.fontSize).toBe(27);
+      expect(wrapped.lines.map(line => line.text)).toEqual(['Alexandra', 'Catherine', 'Montgomery']);
+    });
+
+    test('should place lines by the field alignment', () => {
+      const centred = layout('Sam', { maxFontSize: 20 });
+      expect(centred.lines).toEqual([{ text: 'Sam', x: 185, y: 250 }]);
+
+      const topLeft = layout('Sam', { maxFontSize: 20, align: 'left', verticalAlign: 'top' });
+      expect(topLeft.lines).toEqual([{ text: 'Sam', x: 100, y: 212 }]);
+
+      const bottomRight = layout('Sam', { maxFontSize: 20, align: 'right', verticalAlign: 'bottom', strokeWidth: 4 });
+      expect(bottomRight.lines).toEqual([{ text: 'Sam', x: 268, y: 288 }]);
+    });
+
+    test('should leave room for letter spacing', () => {
+      expect(layout('A'.repeat(40), { letterSpacing: 2 }).fontSize).toBe(8);
+    });
+
+    test('should draw the outline under the fill and space out letters', () => {
+      const ctx = createMeasuringContext();
+
+      templateProcessor.renderText(ctx, 'Sam', {
+        ...box, maxFontSize: 20, color: '#1a1a1a', strokeColor: '#ffcc00', strokeWidth: 2, letterSpacing: 4
+      });
+
+      expect(ctx.fillStyle).toBe('#1a1a1a');
+      expect(ctx.strokeStyle).toBe('#ffcc00');
+      expect(ctx.fillText.mock.calls.map(call => call[0])).toEqual(['S', 'a', 'm']);
+      expect(ctx.strokeText).toHaveBeenCalledTimes(3);
+      expect(ctx.fillText.mock.calls[1][1] - ctx.fillText.mock.calls[0][1]).toBe(14);
+      expect(ctx.clip).toHaveBeenCalled();
+    });
+  });
+
   describe('wrapText', () => {
     test('should wrap long text correctly', () => {
       const { createCanvas } = require('canvas');
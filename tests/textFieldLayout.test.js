@@ -0,0 +1,242 @@
+const DatabaseSchema = require('../server/database/schema');
+const Template = require('../server/models/Template');
+
+const layout = {
+  version: 2,
+  fields: [
+    { name: 'uid', x1: 100, y1: 650, x2: 300, y2: 720, fontFamily: 'Arial' },
+    { name: 'badgeName', x1: 100, y1: 250, x2: 500, y2: 350, fontFamily: 'Arial Bold' }
+  ]
+};
+
+// The shapes text fields were stored in before the layout was versioned
+const legacyShapes = {
+  'points keyed by field name': {
+    uid: { x: 50, y: 100, fontSize: 14, fontFamily: 'Arial' },
+    badgeName: { x: 50, y: 150, fontSize: 18, fontFamily: 'Arial Bold' }
+  },
+  'an array of named points': [
+    { name: 'uid', x: 50, y: 100, fontSize: 14, fontFamily: 'Arial' },
+    { name: 'badgeName', x: 50, y: 150, fontSize: 18, fontFamily: 'Arial Bold' }
+  ],
+  'an array of named boxes': [
+    { name: 'badgeName', x1: 100, y1: 250, x2: 500, y2: 350, fontFamily: 'Hiragino Kaku Gothic Pro' },
+    { name: 'uid', x1: 100, y1: 650, x2: 300, y2: 720 }
+  ],
+  'a version 1 layout': {
+    version: 1,
+    fields: [
+      { name: 'uid', x1: 100, y1: 650, x2: 300, y2: 720, fontFamily: 'Arial' },
+      { name: 'badgeName', x1: 100, y1: 250, x2: 500, y2: 350, fontFamily: 'Arial Bold' }
+    ]
+  }
+};
+
+const migratedShapes = {
+  'points keyed by field name': {
+    version: 2,
+    fields: [
+      { name: 'uid', x1: 50, y1: 100, x2: 250, y2: 170, fontFamily: 'Arial', fontSize: 14 },
+      { name: 'badgeName', x1: 50, y1: 150, x2: 450, y2: 250, fontFamily: 'Arial Bold', fontSize: 18 }
+    ]
+  },
+  'an array of named points': {
+    version: 2,
+    fields: [
+      { name: 'uid', x1: 50, y1: 100, x2: 250, y2: 170, fontFamily: 'Arial', fontSize: 14 },
+      { name: 'badgeName', x1: 50, y1: 150, x2: 450, y2: 250, fontFamily: 'Arial Bold', fontSize: 18 }
+    ]
+  },
+  'an array of named boxes': {
+    version: 2,
+    fields: [
+      { name: 'badgeName', x1: 100, y1: 250, x2: 500, y2: 350, fontFamily: 'Hiragino Kaku Gothic Pro' },
+      { name: 'uid', x1: 100, y1: 650, x2: 300, y2: 720, fontFamily: 'Arial' }
+    ]
+  },
+  'a version 1 layout': layout
+};
+
+describe('Text field layout', () => {
+  let schema;
+  let templateModel;
+
+  beforeEach(async () => {
+    schema = new DatabaseSchema();
+    schema.connection.dbPath = ':memory:';
+    await schema.initialize();
+    templateModel = new Template(schema.connection);
+  });
+
+  afterEach(async () => {
+    await schema.close();
+  });
+
+  describe('normalizeTextFields', () => {
+    test('should keep a current layout as it is', () => {
+      expect(Template.normalizeTextFields(layout)).toEqual(layout);
+    });
+
+    test.each(Object.keys(legacyShapes))('should convert %s', (shape) => {
+      expect(Template.normalizeTextFields(legacyShapes[shape])).toEqual(migratedShapes[shape]);
+    });
+
+    test('should reject layouts that are not valid', () => {
+      const [uid, badgeName] = layout.fields;
+
+      expect(() => Template.normalizeTextFields('uid')).toThrow('textFields must be an object');
+      expect(() => Template.normalizeTextFields({ ...layout, version: 3 })).toThrow('textFields version 3 is not supported');
+      expect(() => Template.normalizeTextFields({ version: 2, fields: [uid] }))
+        .toThrow("textFields must contain 'badgeName' configuration");
+      expect(() => Template.normalizeTextFields({ version: 2, fields: [uid, uid, badgeName] }))
+        .toThrow('textFields.uid is listed more than once');
+      expect(() => Template.normalizeTextFields({ version: 2, fields: [uid, { ...badgeName, name: 'crew team' }] }))
+        .toThrow('textFields.fields[1] name must be uid, badgeName or a custom field name');
+      expect(() => Template.normalizeTextFields({ version: 2, fields: [{ ...uid, y2: 600 }, badgeName] }))
+        .toThrow('textFields.uid x2 and y2 must be greater than x1 and y1');
+      expect(() => Template.normalizeTextFields({ version: 2, fields: [uid, { ...badgeName, fontFamily: '' }] }))
+        .toThrow('textFields.badgeName fontFamily must be a non-empty string');
+      expect(() => Template.normalizeTextFields({ version: 2, fields: [uid, { ...badgeName, fontFamily: undefined }] }))
+        .toThrow('textFields.badgeName fontFamily must be a non-empty string');
+      expect(() => Template.normalizeTextFields({ ...layout, back: {} })).toThrow('textFields back must be an array');
+      expect(() => Template.normalizeTextFields([{ name: 'uid', x: 50, y: 100, fontFamily: 'Arial' }]))
+        .toThrow("textFields.uid must contain 'fontSize' property");
+    });
+  });
+
+  describe('validateTextStyle', () => {
+    const styled = (style) => ({ version: 2, fields: [{ ...layout.fields[0], ...style }, layout.fields[1]] });
+
+    test('should accept styled fields', () => {
+      const style = {
+        minFontSize: 10, maxFontSize: 48, wrap: true, align: 'left', verticalAlign: 'bottom',
+        color: '#1a1a1a', strokeColor: '#fff', strokeWidth: 2, letterSpacing: -0.5,
+        fontFallbacks: ['Noto Sans JP', 'sans-serif']
+      };
+      expect(Template.normalizeTextFields(styled(style)).fields[0]).toMatchObject(style);
+    });
+
+    test('should reject styling it cannot draw', () => {
+      expect(() => Template.normalizeTextFields(styled({ fontFallbacks: 'Noto Sans JP' })))
+        .toThrow('textFields.uid fontFallbacks must be a list of font names');
+      expect(() => Template.normalizeTextFields(styled({ fontFallbacks: ['Noto Sans JP', ''] })))
+        .toThrow('textFields.uid fontFallbacks must be a list of font names');
+      expect(() => Template.normalizeTextFields(styled({ minFontSize: 0 })))
+        .toThrow('textFields.uid minFontSize must be a positive number');
+      expect(() => Template.normalizeTextFields(styled({ minFontSize: 40, maxFontSize: 20 })))
+        .toThrow('textFields.uid minFontSize must not be greater than maxFontSize');
+      expect(() => Template.normalizeTextFields(styled({ wrap: 'yes' })))
+        .toThrow('textFields.uid wrap must be true or false');
+      expect(() => Template.normalizeTextFields(styled({ align: 'justify' })))
+        .toThrow('textFields.uid align must be one of: left, center, right');
+      expect(() => Template.normalizeTextFields(styled({ verticalAlign: 'center' })))
+        .toThrow('textFields.uid verticalAlign must be one of: top, middle, bottom');
+      expect(() => Template.normalizeTextFields(styled({ color: 'red' })))
+        .toThrow('textFields.uid color must be a hex colour such as #1a1a1a');
+      expect(() => Template.normalizeTextFields(styled({ strokeWidth: -1 })))
+        .toThrow('textFields.uid strokeWidth must be a number of 0 or more');
+      expect(() => Template.normalizeTextFields(styled({ letterSpacing: '2px' })))
+        .toThrow('textFields.uid letterSpacing must be a number');
+    });
+
+    test('should check custom field and back-side boxes the same way', () => {
+      const box = { x1: 100, y1: 450, x2: 500, y2: 510 };
+
+      expect(() => Template.normalizeTextFields({ ...layout, fields: [...layout.fields, { name: 'crewTeam', ...box, align: 'middle' }] }))
+        .toThrow('textFields.crewTeam align must be one of: left, center, right');
+      expect(() => Template.normalizeTextFields({ ...layout, fields: [...layout.fields, { name: 'crewTeam', ...box, x2: 50 }] }))
+        .toThrow('textFields.crewTeam x2 and y2 must be greater than x1 and y1');
+      expect(() => Template.normalizeTextFields({ ...layout, back: [{ type: 'text', value: '{uid}', ...box, strokeColor: '#12' }] }))
+        .toThrow('textFields.back[0] strokeColor must be a hex colour such as #1a1a1a');
+      expect(() => Template.normalizeTextFields({ ...layout, back: [{ type: 'qr', value: '{uid}', ...box, y1: 'top' }] }))
+        .toThrow('textFields.back[0] x1, y1, x2 and y2 must be numbers');
+    });
+  });
+
+  describe('Template model', () => {
+    test.each(Object.keys(legacyShapes))('should store %s as the current layout', async (shape) => {
+      const template = await templateModel.create({
+        name: 'Crew', filePath: 'internal://crew', textFields: legacyShapes[shape]
+      });
+      expect(template.textFields).toEqual(migratedShapes[shape]);
+
+      const updated = await templateModel.update(template.id, { textFields: layout });
+      expect(updated.textFields).toEqual(layout);
+    });
+  });
+
+  describe('migrateTextFields', () => {
+    const insertTemplate = (id, textFields) => schema.connection.run(
+      'INSERT INTO templates (id, name, file_path, text_fields) VALUES (?, ?, ?, ?)',
+      [id, `Template ${id}`, `internal://${id}`, JSON.stringify(textFields)]
+    );
+
+    test('should bring every legacy layout up to date on startup', async () => {
+      const shapes = Object.keys(legacyShapes);
+      for (const [index, shape] of shapes.entries()) {
+        await insertTemplate(`legacy-${index}`, legacyShapes[shape]);
+      }
+      await insertTemplate('current', layout);
+
+      await DatabaseSchema.applyMigrations(schema.connection);
+
+      for (const [index, shape] of shapes.entries()) {
+        expect((await templateModel.findById(`legacy-${index}`)).textFields).toEqual(migratedShapes[shape]);
+      }
+      expect((await templateModel.findById('current')).textFields).toEqual(layout);
+      expect(await templateModel.migrateTextFields()).toBe(0);
+    });
+
+    test('should move the boxes of custom fields and back sides into the layout', async () => {
+      await schema.connection.run(
+        'INSERT INTO templates (id, name, file_path, text_fields, back_side, custom_fields) VALUES (?, ?, ?, ?, ?, ?)',
+        [
+          'crew', 'Crew', 'internal://crew',
+          JSON.stringify({ version: 1, fields: layout.fields }),
+          JSON.stringify({
+            background: 'Byakko2025.png',
+            fields: [{ type: 'qr', value: '{uid}', x1: 800, y1: 250, x2: 1100, y2: 550 }]
+          }),
+          JSON.stringify([
+            { name: 'crewTeam', type: 'text', label: 'Crew team', required: true, x1: 100, y1: 450, x2: 500, y2: 510, align: 'left' },
+            { name: 'validOn', type: 'date', label: 'Valid on' }
+          ])
+        ]
+      );
+
+      expect(await templateModel.migrateTextFields()).toBe(1);
+
+      const template = await templateModel.findById('crew');
+      expect(template.textFields).toEqual({
+        version: 2,
+        fields: [
+          ...layout.fields,
+          { name: 'crewTeam', x1: 100, y1: 450, x2: 500, y2: 510, align: 'left' }
+        ],
+        back: [{ type: 'qr', value: '{uid}', x1: 800, y1: 250, x2: 1100, y2: 550 }]
+      });
+      expect(template.backSide).toEqual({ background: 'Byakko2025.png' });
+      expect(template.customFields).toEqual([
+        { name: 'crewTeam', type: 'text', label: 'Crew team', required: true },
+        { name: 'validOn', type: 'date', label: 'Valid on' }
+      ]);
+      expect(await templateModel.migrateTextFields()).toBe(0);
+    });
+
+    test('should leave a layout it cannot convert alone', async () => {
+      const broken = { uid: { x: 50, y: 100 } };
+      await insertTemplate('broken', broken);
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      try {
+        expect(await templateModel.migrateTextFields()).toBe(0);
+        expect(warn).toHaveBeenCalledWith(
+          "Could not migrate text fields of template 'Template broken': textFields.uid must contain 'fontSize' property"
+        );
+        expect((await templateModel.findById('broken')).textFields).toEqual(broken);
+      } finally {
+        warn.mockRestore();
+      }
+    });
+  });
+});